@@ -48,6 +48,98 @@ const validate = (schema, options = {}) => {
 // MongoDB ObjectId validation
 const objectIdSchema = Joi.string().regex(/^[0-9a-fA-F]{24}$/, 'valid ObjectId');
 
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'short-answer', 'essay', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'];
+
+// Types the AI can generate; essays are written by hand
+const GENERATED_QUESTION_TYPES = QUESTION_TYPES.filter(type => type !== 'essay');
+
+// Community quizzes have no true/false, short answer or essay questions
+const COMMUNITY_QUESTION_TYPES = ['multiple-choice', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'];
+
+// Each blank in a fill-in-the-blank question is written as three or more underscores
+const BLANK_PATTERN = /_{3,}/g;
+
+const choiceOptionsSchema = Joi.array().items(Joi.object({
+  text: Joi.string().trim().min(1).max(500).required(),
+  isCorrect: Joi.boolean().default(false)
+})).min(2).max(8).unique('text', { ignoreUndefined: true });
+
+// A question's answer: text for choice and free-text questions, a number (optionally with a unit
+// as text) for numeric ones, and a list for multi-select (option texts), fill-in-the-blank (one
+// per blank), matching (the right-hand item for each pair) and ordering (items in order)
+const answerValueSchema = Joi.alternatives().try(
+  Joi.string().allow('').max(10000),
+  Joi.number(),
+  Joi.array().items(Joi.string().allow('').max(1000)).max(50)
+);
+
+// One personal quiz question (bank questions, imported questions)
+const quizQuestionSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(2000).required(),
+  type: Joi.string().valid(...QUESTION_TYPES).default('multiple-choice'),
+  options: Joi.when('type', {
+    switch: [
+      { is: Joi.valid('multiple-choice', 'multi-select'), then: choiceOptionsSchema.has(Joi.object({ isCorrect: Joi.valid(true) }).unknown()).required() },
+      // Ordering questions list their items in the correct order
+      { is: 'ordering', then: choiceOptionsSchema.max(10).required() }
+    ],
+    otherwise: Joi.array().max(0).default([])
+  }),
+  correctAnswer: Joi.when('type', {
+    switch: [
+      { is: 'true-false', then: Joi.string().lowercase().valid('true', 'false').required() },
+      { is: 'short-answer', then: Joi.string().trim().min(1).max(500).required() }
+    ],
+    otherwise: Joi.string().trim().max(5000).allow('').optional()
+  }),
+  acceptedAnswers: Joi.array().items(Joi.string().trim().min(1).max(500)).max(20).optional(),
+  partialCredit: Joi.boolean().default(false),
+  numericAnswer: Joi.when('type', {
+    is: 'numeric',
+    then: Joi.object({
+      value: Joi.number().required(),
+      tolerance: Joi.number().min(0).default(0),
+      toleranceType: Joi.string().valid('absolute', 'percent').default('absolute'),
+      unit: Joi.string().trim().max(30).allow('').default(''),
+      unitRequired: Joi.boolean().default(false)
+    }).required(),
+    otherwise: Joi.any().strip()
+  }),
+  blanks: Joi.when('type', {
+    is: 'fill-in-the-blank',
+    then: Joi.array().items(Joi.object({
+      acceptedAnswers: Joi.array().items(Joi.string().trim().min(1).max(500)).min(1).max(20).required()
+    })).min(1).max(20).required(),
+    otherwise: Joi.any().strip()
+  }),
+  pairs: Joi.when('type', {
+    is: 'matching',
+    then: Joi.array().items(Joi.object({
+      left: Joi.string().trim().min(1).max(500).required(),
+      right: Joi.string().trim().min(1).max(500).required()
+    })).min(2).max(12).unique('left').required(),
+    otherwise: Joi.any().strip()
+  }),
+  rubric: Joi.array().items(Joi.object({
+    criterion: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(500).allow('').optional(),
+    maxPoints: Joi.number().integer().min(1).max(10).default(1)
+  })).max(10).optional(),
+  explanation: Joi.string().trim().max(2000).allow('').optional(),
+  points: Joi.number().integer().min(1).max(10).default(1),
+  difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium'),
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(20).unique().default([])
+}).custom((question, helpers) => {
+  // Grading accepts a single option per multiple choice question
+  if (question.type === 'multiple-choice' && question.options.filter(option => option.isCorrect).length > 1) {
+    return helpers.message('multiple choice questions must have exactly one correct option; use multi-select for more');
+  }
+  if (question.type === 'fill-in-the-blank' && (question.question.match(BLANK_PATTERN) || []).length !== question.blanks.length) {
+    return helpers.message('fill-in-the-blank questions need one ___ in the question text for each blank');
+  }
+  return question;
+});
+
 // Common validation schemas
 const schemas = {
   // MongoDB ObjectId parameter
@@ -105,7 +197,7 @@ const schemas = {
     fileName: Joi.string().trim().min(1).max(255).required(),
     pageCount: Joi.number().integer().min(1).max(1000).optional(),
     fileSize: Joi.number().integer().min(1).optional(),
-    fileType: Joi.string().valid('pdf', 'txt', 'md', 'docx').default('pdf'),
+    fileType: Joi.string().valid('pdf', 'txt', 'md', 'docx', 'html').default('pdf'),
     category: Joi.string().valid(
       'technology', 'science', 'business', 'education', 
       'health', 'arts', 'general'
@@ -114,7 +206,9 @@ const schemas = {
       .items(Joi.string().trim().min(1).max(50))
       .max(10)
       .unique()
-      .optional()
+      .optional(),
+    // What to do when the same text was uploaded before
+    onDuplicate: Joi.string().valid('warn', 'reuse-summary', 'use-existing').default('warn')
   }),
 
   // Content update validation
@@ -138,7 +232,7 @@ const schemas = {
     difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced').default('intermediate'),
     questionsCount: Joi.number().integer().min(1).max(20).default(5),
     questionTypes: Joi.array()
-      .items(Joi.string().valid('multiple-choice', 'true-false', 'short-answer'))
+      .items(Joi.string().valid(...GENERATED_QUESTION_TYPES))
       .min(1)
       .default(['multiple-choice', 'true-false']),
     timeLimit: Joi.number().integer().min(0).max(180).default(0), // 0 = unlimited, max 3 hours
@@ -166,6 +260,162 @@ const schemas = {
     completedAt: Joi.date().min(Joi.ref('startedAt')).max('now').required()
   }),
 
+  // Starting a quiz attempt; adaptive attempts pick each question from the answers so far
+  quizAttemptStart: Joi.object({
+    mode: Joi.string().valid('standard', 'adaptive').default('standard'),
+    maxQuestions: Joi.number().integer().min(5).max(50).optional()
+  }).default(),
+
+  // Answer to any question (see answerValueSchema)
+  answerValue: answerValueSchema,
+
+  // Question types to ask the AI for, personal and community
+  generatedQuestionTypes: Joi.array().items(Joi.string().valid(...GENERATED_QUESTION_TYPES)).min(1).unique(),
+  communityQuestionTypes: Joi.array().items(Joi.string().valid(...COMMUNITY_QUESTION_TYPES)).min(1).unique(),
+
+  // Answer to the current question of an adaptive attempt
+  adaptiveAnswer: Joi.object({
+    questionId: objectIdSchema.required(),
+    userAnswer: answerValueSchema.required(),
+    timeSpent: Joi.number().min(0).optional(), // seconds on this question
+    confidence: Joi.string().valid('low', 'medium', 'high').allow(null).optional()
+  }),
+
+  // Personal quiz question
+  quizQuestion: quizQuestionSchema,
+
+  // Question bank entry
+  bankQuestion: quizQuestionSchema.keys({
+    communityId: objectIdSchema.allow(null).optional(),
+    sourceContentId: objectIdSchema.allow(null).optional()
+  }),
+
+  // Quiz assembled from the question bank per attempt
+  bankQuiz: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().max(500).allow('').optional(),
+    difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced', 'easy', 'medium', 'hard').default('intermediate'),
+    category: Joi.string().valid('technology', 'science', 'business', 'education', 'health', 'arts', 'general', 'custom').default('custom'),
+    drawRules: Joi.array().items(Joi.object({
+      count: Joi.number().integer().min(1).max(50).required(),
+      difficulty: Joi.string().valid('easy', 'medium', 'hard').optional(),
+      tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(10).default([]),
+      sourceContentId: objectIdSchema.optional(),
+      type: Joi.string().valid(...QUESTION_TYPES).optional()
+    })).min(1).max(20).required(),
+    timeLimit: Joi.number().integer().min(0).max(180).default(0), // minutes; 0 = unlimited
+    maxAttempts: Joi.number().integer().min(1).max(10).default(3),
+    passingScore: Joi.number().integer().min(0).max(100).default(70),
+    randomizeQuestions: Joi.boolean().default(true),
+    randomizeOptions: Joi.boolean().default(true),
+    showCorrectAnswer: Joi.boolean().default(true)
+  }),
+
+  // Quiz imported from a GIFT, QTI or CSV file (multipart fields arrive as strings)
+  quizImport: Joi.object({
+    format: Joi.string().lowercase().valid('gift', 'qti', 'csv').optional(), // detected from the file name when omitted
+    data: Joi.string().max(5 * 1024 * 1024).optional(), // file contents when not uploading a file
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().max(500).allow('').optional(),
+    difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced', 'easy', 'medium', 'hard').default('intermediate'),
+    category: Joi.string().valid('technology', 'science', 'business', 'education', 'health', 'arts', 'general', 'custom').default('custom'),
+    timeLimit: Joi.number().integer().min(0).max(180).optional(),
+    passingScore: Joi.number().integer().min(0).max(100).optional(),
+    maxAttempts: Joi.number().integer().min(1).max(10).optional(),
+    skipInvalid: Joi.boolean().default(false), // import the valid questions and report the rest
+    dryRun: Joi.boolean().default(false) // parse and validate without saving
+  }),
+
+  // Community quiz imported from a GIFT, QTI or CSV file
+  communityQuizImport: Joi.object({
+    format: Joi.string().lowercase().valid('gift', 'qti', 'csv').optional(),
+    data: Joi.string().max(5 * 1024 * 1024).optional(),
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().max(500).allow('').optional(),
+    difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced', 'easy', 'medium', 'hard').default('intermediate'),
+    category: Joi.string().valid('technology', 'science', 'business', 'education', 'health', 'arts', 'general', 'custom').default('custom'),
+    type: Joi.string().valid('public', 'private').default('public'),
+    timeLimit: Joi.number().integer().min(5).max(180).default(30),
+    passingScore: Joi.number().integer().min(0).max(100).default(60),
+    maxAttempts: Joi.number().integer().min(1).max(5).default(3),
+    skipInvalid: Joi.boolean().default(false),
+    dryRun: Joi.boolean().default(false)
+  }),
+
+  // Community quiz drawn from the community's question bank
+  communityBankQuiz: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().max(500).allow('').optional(),
+    difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced', 'easy', 'medium', 'hard').default('intermediate'),
+    category: Joi.string().valid('technology', 'science', 'business', 'education', 'health', 'arts', 'general', 'custom').default('custom'),
+    drawRules: Joi.array().items(Joi.object({
+      count: Joi.number().integer().min(1).max(50).required(),
+      difficulty: Joi.string().valid('easy', 'medium', 'hard').optional(),
+      tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(10).default([]),
+      sourceContentId: objectIdSchema.optional()
+    })).min(1).max(20).required(),
+    timeLimit: Joi.number().integer().min(5).max(180).default(30),
+    maxAttempts: Joi.number().integer().min(1).max(5).default(3),
+    passingScore: Joi.number().integer().min(0).max(100).default(60),
+    settings: Joi.object({
+      showAnswersAfterSubmission: Joi.boolean().default(true),
+      allowDiscussion: Joi.boolean().default(true),
+      shuffleQuestions: Joi.boolean().default(true),
+      shuffleOptions: Joi.boolean().default(true)
+    }).default()
+  }),
+
+  // Joining a community; the message goes to the moderators when the community needs approval
+  communityJoin: Joi.object({
+    message: Joi.string().trim().max(500).allow('').default('')
+  }).default(),
+
+  // Moderator rejecting a join request; the reason is shown to the requester
+  joinRequestRejection: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required()
+  }),
+
+  // Community invite link; without expiresAt or maxUses the link stays valid until revoked
+  communityInvite: Joi.object({
+    role: Joi.string().valid('member', 'moderator').default('member'),
+    expiresAt: Joi.date().greater('now').optional(),
+    maxUses: Joi.number().integer().min(1).max(1000).optional()
+  }).default(),
+
+  // Admin changing a member's role; ownership moves with transferOwnership instead
+  communityRoleChange: Joi.object({
+    role: Joi.string().valid('member', 'moderator').required()
+  }),
+
+  communityOwnershipTransfer: Joi.object({
+    userId: objectIdSchema.required()
+  }),
+
+  communityKick: Joi.object({
+    reason: Joi.string().trim().max(500).allow('').default('')
+  }).default(),
+
+  // Without durationHours the ban is permanent until lifted
+  communityBan: Joi.object({
+    reason: Joi.string().trim().max(500).allow('').default(''),
+    durationHours: Joi.number().integer().min(1).max(24 * 365).optional()
+  }).default(),
+
+  // Moderator rejecting shared community content; the reason is shown to the author
+  contentRejection: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required()
+  }),
+
+  // Result of reviewing one item in the spaced-repetition queue
+  reviewResult: Joi.object({
+    answer: Joi.alternatives().try(
+      answerValueSchema,
+      Joi.boolean()
+    ).optional(),
+    quality: Joi.number().integer().min(0).max(5).optional(), // SM-2 self-rating; 0 = blackout, 5 = perfect recall
+    timeSpent: Joi.number().min(0).max(3600).default(0) // seconds
+  }).or('answer', 'quality'),
+
   // Search queries
   search: Joi.object({
     query: Joi.string().trim().min(2).max(100).required(),
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Ban from a community; while active the user can't join, request to join or redeem invites
+const communityBanSchema = new mongoose.Schema({
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    default: null // permanent
+  },
+  // Set when a moderator lifts the ban early
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+communityBanSchema.index({ communityId: 1, userId: 1, liftedAt: 1 });
+
+module.exports = mongoose.model('CommunityBan', communityBanSchema);
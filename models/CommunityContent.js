@@ -68,11 +68,43 @@ const communityContentSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  // Outcome of the community-content-summary job; 'failed' once its retries run out
+  summaryStatus: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: null
+  },
+  summaryError: {
+    type: String,
+    default: null
+  },
+  // Normalized-text hash plus MinHash signature for duplicate detection (fingerprintService)
+  fingerprint: {
+    hash: String,
+    minhash: {
+      type: [Number],
+      select: false
+    },
+    bands: {
+      type: [String],
+      select: false
+    },
+    shingleCount: {
+      type: Number,
+      min: 0
+    }
+  },
   fileType: {
     type: String,
-    enum: ['pdf', 'txt', 'docx'],
+    enum: ['pdf', 'txt', 'md', 'docx', 'html'],
     default: 'pdf'
   },
+  metadata: {
+    language: {
+      type: String,
+      default: 'en'
+    }
+  },
   category: {
     type: String,
     enum: ['notes', 'assignment', 'reference', 'practice', 'solution', 'general'],
@@ -84,10 +116,29 @@ const communityContentSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   }],
+  // Pending items wait for a moderator when the community has settings.requireModeration
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
-    default: 'approved' // Auto-approve for now, can add moderation later
+    default: 'approved'
+  },
+  moderation: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    // Shown to the author when an item is rejected
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxLength: 500,
+      default: ''
+    }
   },
   visibility: {
     type: String,
@@ -120,6 +171,8 @@ const communityContentSchema = new mongoose.Schema({
 communityContentSchema.index({ communityId: 1, status: 1, createdAt: -1 });
 communityContentSchema.index({ userId: 1, communityId: 1 });
 communityContentSchema.index({ category: 1, communityId: 1 });
+communityContentSchema.index({ communityId: 1, 'fingerprint.hash': 1 });
+communityContentSchema.index({ communityId: 1, 'fingerprint.bands': 1 });
 
 // Virtual for author information
 communityContentSchema.virtual('author', {
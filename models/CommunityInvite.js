@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Invite link into a community; redeeming it makes the user a member without a join request
+const communityInviteSchema = new mongoose.Schema({
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Random URL-safe secret shared in the invite link
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Role the invited user joins with
+  role: {
+    type: String,
+    enum: ['member', 'moderator'],
+    default: 'member'
+  },
+  expiresAt: {
+    type: Date,
+    default: null // never expires
+  },
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null // unlimited
+  },
+  uses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  redemptions: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isRevoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// active | revoked | expired | used-up
+communityInviteSchema.virtual('status').get(function() {
+  if (this.isRevoked) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  if (this.maxUses !== null && this.maxUses !== undefined && this.uses >= this.maxUses) return 'used-up';
+  return 'active';
+});
+
+communityInviteSchema.virtual('remainingUses').get(function() {
+  return this.maxUses === null || this.maxUses === undefined ? null : Math.max(0, this.maxUses - this.uses);
+});
+
+module.exports = mongoose.model('CommunityInvite', communityInviteSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Request to join a private community or one that requires approval; reviewed by moderators and admins
+const communityJoinRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  clerkUserId: {
+    type: String,
+    required: true
+  },
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  // Note from the requester to the moderators
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Shown to the requester when a request is rejected
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// At most one pending request per user and community
+communityJoinRequestSchema.index(
+  { userId: 1, communityId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+communityJoinRequestSchema.index({ communityId: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CommunityJoinRequest', communityJoinRequestSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One moderation action in a community, kept as an audit trail for its moderators and admins
+const communityModerationLogSchema = new mongoose.Schema({
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  // User who took the action
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['promote', 'demote', 'transfer-ownership', 'kick', 'ban', 'unban', 'approve-content', 'reject-content'],
+    required: true
+  },
+  // Member the action was taken on
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Action-specific details, e.g. { fromRole, toRole }, { expiresAt } or { contentId, title }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+communityModerationLogSchema.index({ communityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CommunityModerationLog', communityModerationLogSchema);
@@ -81,17 +81,88 @@ const communityQuizSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    // Community quizzes have no true/false, short answer or essay questions
+    type: {
+      type: String,
+      enum: ['multiple-choice', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'],
+      default: 'multiple-choice'
+    },
+    // Choices for multiple choice and multi-select; the items to arrange, in the correct order, for ordering
     options: [{
       type: String,
       required: true,
       trim: true
     }],
+    // Index of the correct option (multiple choice)
     correctAnswer: {
       type: Number,
-      required: true,
-      min: 0,
-      max: 3
+      required: function() {
+        return !this.type || this.type === 'multiple-choice';
+      },
+      min: 0
     },
+    // Indexes of every correct option (multi-select)
+    correctAnswers: [{
+      type: Number,
+      min: 0
+    }],
+    // Multi-select, fill-in-the-blank, matching and ordering: score each part instead of all-or-nothing
+    partialCredit: {
+      type: Boolean,
+      default: false
+    },
+    // Numeric questions: the answer, how far off it may be, and its unit
+    numericAnswer: {
+      type: new mongoose.Schema({
+        value: {
+          type: Number,
+          required: true
+        },
+        tolerance: {
+          type: Number,
+          min: 0,
+          default: 0
+        },
+        toleranceType: {
+          type: String,
+          enum: ['absolute', 'percent'],
+          default: 'absolute'
+        },
+        unit: {
+          type: String,
+          trim: true,
+          default: ''
+        },
+        // When false the unit may be left out, but a wrong unit is still marked wrong
+        unitRequired: {
+          type: Boolean,
+          default: false
+        }
+      }, { _id: false }),
+      default: undefined
+    },
+    // Fill-in-the-blank questions: accepted answers for each ___ in the question, in order
+    blanks: [{
+      _id: false,
+      acceptedAnswers: [{
+        type: String,
+        trim: true
+      }]
+    }],
+    // Matching questions: each left-hand item and the right-hand item it belongs with
+    pairs: [{
+      _id: false,
+      left: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      right: {
+        type: String,
+        required: true,
+        trim: true
+      }
+    }],
     explanation: {
       type: String,
       trim: true,
@@ -108,6 +179,29 @@ const communityQuizSchema = new mongoose.Schema({
       min: 1
     }
   }],
+  // Questions sampled from the community bank for each attempt: multiple choice (2-4 options),
+  // multi-select, numeric, fill-in-the-blank, matching and ordering (questionBankService COMMUNITY_QUESTION_FILTER)
+  drawRules: [{
+    _id: false,
+    count: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 50
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    sourceContentId: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  }],
   timeLimit: {
     type: Number,
     default: 30, // minutes
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const CommunityQuiz = require('./CommunityQuiz');
 
 const communityQuizAttemptSchema = new mongoose.Schema({
   userId: {
@@ -29,6 +30,8 @@ const communityQuizAttemptSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Questions drawn from the community question bank for this attempt (bank-drawn quizzes only)
+  drawnQuestions: [CommunityQuiz.schema.path('questions').schema],
   answers: [{
     questionIndex: {
       type: Number,
@@ -38,22 +41,54 @@ const communityQuizAttemptSchema = new mongoose.Schema({
       type: String,
       required: false
     },
+    // Option index for multiple choice questions
     selectedAnswer: {
       type: Number,
       required: false,
       default: null,
-      min: 0,
-      max: 3
+      min: 0
+    },
+    // Answer to any other question type: option indexes (multi-select, ordering), a list of
+    // texts (blanks in order, matches in pair order) or a number with an optional unit
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
     },
     isCorrect: {
       type: Boolean,
       default: false
     },
+    // Share of the question earned (0-1); below 1 only for partial credit
+    credit: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0
+    },
     timeSpent: {
       type: Number, // seconds spent on this question
       default: 0
+    },
+    // Marked by the user to revisit before submitting
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    // Self-reported; low-confidence answers are scheduled for review even when correct
+    confidence: {
+      type: String,
+      enum: ['low', 'medium', 'high', null],
+      default: null
+    },
+    savedAt: {
+      type: Date,
+      default: null
     }
   }],
+  lastSavedAt: {
+    type: Date,
+    default: null
+  },
   score: {
     type: Number,
     required: false,
@@ -88,6 +123,26 @@ const communityQuizAttemptSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Seeds the question/option shuffle so a resumed attempt is served in the same order
+  shuffleSeed: {
+    type: Number,
+    default: null
+  },
+  // Deadline from the quiz time limit
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Failed timeout sweeps; the sweeper backs off until timeoutRetryAt before trying again
+  timeoutFailures: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  timeoutRetryAt: {
+    type: Date,
+    default: null
+  },
   completedAt: {
     type: Date,
     required: false,
@@ -95,7 +150,7 @@ const communityQuizAttemptSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['in-progress', 'completed', 'submitted', 'abandoned'],
+    enum: ['in-progress', 'completed', 'submitted', 'abandoned', 'timed-out'],
     default: 'in-progress'
   },
   isPassed: {
@@ -109,7 +164,14 @@ const communityQuizAttemptSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Drawn questions carry the answer key; they're served through the quiz view instead
+    transform: (doc, ret) => {
+      delete ret.drawnQuestions;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -137,6 +199,8 @@ communityQuizAttemptSchema.index({
   createdAt: -1 
 }); // For user's overall quiz history
 
+communityQuizAttemptSchema.index({ status: 1, expiresAt: 1 }); // For the timeout sweeper
+
 // Virtual for quiz information
 communityQuizAttemptSchema.virtual('quiz', {
   ref: 'CommunityQuiz',
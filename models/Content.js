@@ -30,7 +30,7 @@ const contentSchema = new mongoose.Schema({
   },
   fileType: {
     type: String,
-    enum: ['pdf', 'txt', 'docx'],
+    enum: ['pdf', 'txt', 'md', 'docx', 'html'],
     default: 'pdf'
   },
   category: {
@@ -55,6 +55,101 @@ const contentSchema = new mongoose.Schema({
     max: 100,
     default: 0
   },
+  // Incremented on every edit or restore; history lives in ContentRevision
+  currentRevision: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // AI summarization progress; kept apart from `progress`, which tracks the reader
+  processingProgress: {
+    stage: {
+      type: String,
+      enum: ['queued', 'map', 'reduce', 'completed', 'failed'],
+      default: 'queued'
+    },
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    completedChunks: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    totalChunks: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    updatedAt: Date
+  },
+  // Section tree parsed from document headings (Markdown, DOCX heading styles, HTML);
+  // offsets are character positions in originalText. Empty for unstructured files.
+  outline: {
+    sections: [{
+      _id: false,
+      sectionId: {
+        type: String,
+        required: true
+      },
+      title: {
+        type: String,
+        trim: true
+      },
+      level: {
+        type: Number,
+        min: 1,
+        max: 6
+      },
+      parentId: {
+        type: String,
+        default: null
+      },
+      start: Number, // heading line
+      contentStart: Number, // first character after the heading
+      ownEnd: Number, // next heading of any level
+      end: Number, // end of the section including subsections
+      wordCount: {
+        type: Number,
+        min: 0
+      }
+    }],
+    generatedAt: Date
+  },
+  // Normalized-text hash plus MinHash signature for duplicate detection (fingerprintService)
+  fingerprint: {
+    hash: {
+      type: String,
+      index: true
+    },
+    minhash: {
+      type: [Number],
+      select: false
+    },
+    bands: {
+      type: [String],
+      select: false
+    },
+    shingleCount: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Last reading position in originalText and the outline section it falls in
+  readingPosition: {
+    offset: {
+      type: Number,
+      min: 0
+    },
+    sectionId: {
+      type: String,
+      default: null
+    },
+    updatedAt: Date
+  },
   metadata: {
     wordCount: {
       type: Number,
@@ -103,6 +198,11 @@ const contentSchema = new mongoose.Schema({
       min: 0 // in minutes
     },
     sections: [{
+      // Outline section this summary belongs to (structured documents only)
+      sectionId: {
+        type: String,
+        default: null
+      },
       title: String,
       content: String,
       keyPoints: [String]
@@ -214,6 +314,7 @@ contentSchema.index({ clerkUserId: 1, isActive: 1, createdAt: -1 });
 contentSchema.index({ category: 1, isActive: 1 });
 contentSchema.index({ tags: 1, isActive: 1 });
 contentSchema.index({ 'aiSummary.difficulty': 1, isActive: 1 });
+contentSchema.index({ clerkUserId: 1, 'fingerprint.bands': 1 });
 
 // Text search index
 contentSchema.index({
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a Content document after each change
+const contentRevisionSchema = new mongoose.Schema({
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Author of the change
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clerkUserId: {
+    type: String,
+    required: true
+  },
+  changeType: {
+    type: String,
+    enum: ['create', 'edit', 'restore'],
+    default: 'edit'
+  },
+  changedFields: [{
+    type: String,
+    trim: true
+  }],
+  // Revision number this one was restored from (changeType 'restore' only)
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  category: String,
+  tags: [String],
+  originalText: {
+    type: String,
+    required: true
+  },
+  // Summary generated for this revision's text; filled in once processing finishes
+  aiSummary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One document per revision number
+contentRevisionSchema.index({ contentId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('ContentRevision', contentRevisionSchema);
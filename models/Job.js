@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Owner of the job, used to authorize status lookups
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  clerkUserId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Prevents enqueueing the same work twice while a job is still pending or running
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead'],
+    default: 'pending'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 20
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  errorHistory: [{
+    attempt: Number,
+    message: String,
+    failedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+jobSchema.index({ status: 1, runAt: 1, priority: -1 }); // For claiming the next job
+jobSchema.index({ status: 1, lockedAt: 1 }); // For recovering stale locks
+// One active job per dedupeKey, so concurrent enqueues can't both insert (needs MongoDB 6.0+ for $in)
+jobSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' }, status: { $in: ['pending', 'processing'] } } }
+);
+jobSchema.index({ clerkUserId: 1, createdAt: -1 });
+
+// Virtual for whether the job has reached a terminal state
+jobSchema.virtual('isFinished').get(function() {
+  return this.status === 'completed' || this.status === 'dead';
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+
+// Reusable question in a personal bank (communityId null) or a community's shared bank
+const questionSchema = new mongoose.Schema({
+  // Author; owns personal bank questions
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  clerkUserId: {
+    type: String,
+    required: true
+  },
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    default: null,
+    index: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['multiple-choice', 'true-false', 'short-answer', 'essay', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'],
+    default: 'multiple-choice'
+  },
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  correctAnswer: {
+    type: String,
+    trim: true
+  },
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  // Multi-select, fill-in-the-blank, matching and ordering: score each part instead of all-or-nothing
+  partialCredit: {
+    type: Boolean,
+    default: false
+  },
+  // Numeric questions: the answer, how far off it may be, and its unit
+  numericAnswer: {
+    type: new mongoose.Schema({
+      value: {
+        type: Number,
+        required: true
+      },
+      tolerance: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      toleranceType: {
+        type: String,
+        enum: ['absolute', 'percent'],
+        default: 'absolute'
+      },
+      unit: {
+        type: String,
+        trim: true,
+        default: ''
+      },
+      // When false the unit may be left out, but a wrong unit is still marked wrong
+      unitRequired: {
+        type: Boolean,
+        default: false
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  // Fill-in-the-blank questions: accepted answers for each ___ in the question, in order
+  blanks: [{
+    _id: false,
+    acceptedAnswers: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  // Matching questions: each left-hand item and the right-hand item it belongs with
+  pairs: [{
+    _id: false,
+    left: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    right: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  rubric: [{
+    _id: false,
+    criterion: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    maxPoints: {
+      type: Number,
+      min: 1,
+      default: 1
+    }
+  }],
+  explanation: {
+    type: String,
+    trim: true
+  },
+  points: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 1
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Where the question came from
+  sourceContentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    default: null,
+    index: true
+  },
+  sourceCommunityContentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityContent',
+    default: null
+  },
+  sourceQuizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  usage: {
+    timesDrawn: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    timesAnswered: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    timesCorrect: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Share of answers that were correct
+questionSchema.virtual('correctRate').get(function() {
+  if (!this.usage || this.usage.timesAnswered === 0) return null;
+  return Math.round((this.usage.timesCorrect / this.usage.timesAnswered) * 100);
+});
+
+// Draw rules filter on these within one bank
+questionSchema.index({ userId: 1, communityId: 1, isActive: 1, difficulty: 1, tags: 1 });
+questionSchema.index({ communityId: 1, isActive: 1, difficulty: 1, tags: 1 });
+
+questionSchema.index({
+  question: 'text',
+  explanation: 'text',
+  tags: 'text'
+}, {
+  weights: {
+    question: 10,
+    tags: 5,
+    explanation: 2
+  }
+});
+
+// Multiple choice and multi-select questions need a correct option
+questionSchema.pre('save', function(next) {
+  if (['multiple-choice', 'multi-select'].includes(this.type) && !this.options.some(option => option.isCorrect)) {
+    return next(new Error(`Multiple choice question "${this.question}" must have at least one correct answer`));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Question', questionSchema);
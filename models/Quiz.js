@@ -59,7 +59,7 @@ const quizSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['multiple-choice', 'true-false', 'short-answer', 'essay'],
+      enum: ['multiple-choice', 'true-false', 'short-answer', 'essay', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'],
       default: 'multiple-choice'
     },
     options: [{
@@ -77,6 +77,86 @@ const quizSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    // Other answers accepted for short-answer questions
+    acceptedAnswers: [{
+      type: String,
+      trim: true
+    }],
+    // Multi-select, fill-in-the-blank, matching and ordering: score each part instead of all-or-nothing
+    partialCredit: {
+      type: Boolean,
+      default: false
+    },
+    // Numeric questions: the answer, how far off it may be, and its unit
+    numericAnswer: {
+      type: new mongoose.Schema({
+        value: {
+          type: Number,
+          required: true
+        },
+        tolerance: {
+          type: Number,
+          min: 0,
+          default: 0
+        },
+        toleranceType: {
+          type: String,
+          enum: ['absolute', 'percent'],
+          default: 'absolute'
+        },
+        unit: {
+          type: String,
+          trim: true,
+          default: ''
+        },
+        // When false the unit may be left out, but a wrong unit is still marked wrong
+        unitRequired: {
+          type: Boolean,
+          default: false
+        }
+      }, { _id: false }),
+      default: undefined
+    },
+    // Fill-in-the-blank questions: accepted answers for each ___ in the question, in order
+    blanks: [{
+      _id: false,
+      acceptedAnswers: [{
+        type: String,
+        trim: true
+      }]
+    }],
+    // Matching questions: each left-hand item and the right-hand item it belongs with
+    pairs: [{
+      _id: false,
+      left: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      right: {
+        type: String,
+        required: true,
+        trim: true
+      }
+    }],
+    // Essay grading criteria; points are scaled to the question's points
+    rubric: [{
+      _id: false,
+      criterion: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      description: {
+        type: String,
+        trim: true
+      },
+      maxPoints: {
+        type: Number,
+        min: 1,
+        default: 1
+      }
+    }],
     explanation: {
       type: String,
       trim: true
@@ -98,6 +178,32 @@ const quizSchema = new mongoose.Schema({
       lowercase: true
     }]
   }],
+  // Questions sampled from the question bank for each attempt instead of fixed questions
+  drawRules: [{
+    _id: false,
+    count: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 50
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard']
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    sourceContentId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    type: {
+      type: String,
+      enum: ['multiple-choice', 'true-false', 'short-answer', 'essay', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering']
+    }
+  }],
   settings: {
     timeLimit: {
       type: Number,
@@ -166,6 +272,21 @@ const quizSchema = new mongoose.Schema({
       default: null
     }
   },
+  // Content revision the questions were generated from
+  contentRevision: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Set when the content's text changes after this quiz was generated
+  isStale: {
+    type: Boolean,
+    default: false
+  },
+  staleSince: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ['draft', 'published', 'archived'],
@@ -236,16 +357,16 @@ quizSchema.index({
 
 // Validate at least one question exists
 quizSchema.pre('save', function(next) {
-  if (this.status === 'published' && this.questions.length === 0) {
-    next(new Error('Published quiz must have at least one question'));
+  if (this.status === 'published' && this.questions.length === 0 && this.drawRules.length === 0) {
+    next(new Error('Published quiz must have at least one question or draw rule'));
   }
   next();
 });
 
-// Validate multiple choice questions have correct answers
+// Validate multiple choice and multi-select questions have correct answers
 quizSchema.pre('save', function(next) {
   for (const question of this.questions) {
-    if (question.type === 'multiple-choice') {
+    if (['multiple-choice', 'multi-select'].includes(question.type)) {
       const hasCorrectOption = question.options.some(option => option.isCorrect);
       if (!hasCorrectOption) {
         next(new Error(`Multiple choice question "${question.question}" must have at least one correct answer`));
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Quiz = require('./Quiz');
 
 const quizAttemptSchema = new mongoose.Schema({
   quizId: {
@@ -38,10 +39,10 @@ const quizAttemptSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    // Text, a number, or a list for multi-select, fill-in-the-blank, matching and ordering questions
     userAnswer: {
-      type: String,
-      required: true,
-      trim: true
+      type: mongoose.Schema.Types.Mixed,
+      required: true
     },
     isCorrect: {
       type: Boolean,
@@ -52,12 +53,98 @@ const quizAttemptSchema = new mongoose.Schema({
       min: 0,
       default: 0
     },
+    maxPoints: {
+      type: Number,
+      min: 0
+    },
     timeSpent: {
       type: Number,
       min: 0,
       default: 0 // in seconds
+    },
+    // Self-reported; low-confidence answers are scheduled for review even when correct
+    confidence: {
+      type: String,
+      enum: ['low', 'medium', 'high', null],
+      default: null
+    },
+    // How the answer was graded; see services/gradingService
+    grading: {
+      method: {
+        type: String,
+        enum: ['exact', 'fuzzy', 'numeric', 'partial', 'ai-rubric', 'manual'],
+        default: 'exact'
+      },
+      status: {
+        type: String,
+        enum: ['graded', 'needs-review', 'overridden'],
+        default: 'graded'
+      },
+      similarity: Number,
+      matchedAnswer: String,
+      // Parts answered correctly (options, blanks, pairs or positions) for multi-part questions
+      partsCorrect: Number,
+      partsTotal: Number,
+      criteria: [{
+        _id: false,
+        criterion: String,
+        score: Number,
+        maxPoints: Number,
+        justification: String
+      }],
+      feedback: String,
+      // Automatic result kept so an override can be reverted
+      autoPoints: Number,
+      autoIsCorrect: Boolean,
+      autoStatus: String,
+      override: {
+        points: Number,
+        isCorrect: Boolean,
+        comment: String,
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        at: Date
+      }
+    }
+  }],
+  // Questions drawn from the question bank for this attempt (bank-drawn quizzes only)
+  drawnQuestions: [Quiz.schema.path('questions').schema],
+  // Answers saved while the attempt is in progress; graded into `answers` on submit or timeout
+  savedAnswers: [{
+    _id: false,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    userAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      default: ''
+    },
+    timeSpent: {
+      type: Number,
+      min: 0,
+      default: 0 // in seconds
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    confidence: {
+      type: String,
+      enum: ['low', 'medium', 'high', null],
+      default: null
+    },
+    savedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
+  lastSavedAt: {
+    type: Date,
+    default: null
+  },
   score: {
     type: Number,
     min: 0,
@@ -84,6 +171,73 @@ const quizAttemptSchema = new mongoose.Schema({
     required: true,
     default: Date.now
   },
+  // Seeds the question/option shuffle so a resumed attempt is served in the same order
+  shuffleSeed: {
+    type: Number,
+    default: null
+  },
+  // Deadline from the quiz time limit; null when the quiz is untimed
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Failed timeout sweeps; the sweeper backs off until timeoutRetryAt before trying again
+  timeoutFailures: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  timeoutRetryAt: {
+    type: Date,
+    default: null
+  },
+  // Adaptive attempts are served one question at a time; see services/adaptiveQuizService
+  mode: {
+    type: String,
+    enum: ['standard', 'adaptive'],
+    default: 'standard'
+  },
+  adaptive: {
+    type: {
+      _id: false,
+      startingDifficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard']
+      },
+      maxQuestions: {
+        type: Number,
+        min: 1
+      },
+      targetStandardError: {
+        type: Number,
+        min: 0
+      },
+      // Questions in the order they were served; the last one is current until answered
+      servedQuestionIds: [mongoose.Schema.Types.ObjectId],
+      responses: [{
+        _id: false,
+        questionId: mongoose.Schema.Types.ObjectId,
+        difficulty: String,
+        isCorrect: Boolean,
+        // Estimate after this response
+        ability: Number,
+        standardError: Number
+      }],
+      // Ability estimate in logits (0 = medium questions answered correctly half the time)
+      ability: Number,
+      standardError: Number,
+      isComplete: {
+        type: Boolean,
+        default: false
+      },
+      stopReason: {
+        type: String,
+        enum: ['confident', 'max-questions', 'pool-exhausted', null],
+        default: null
+      }
+    },
+    default: null
+  },
   completedAt: {
     type: Date,
     default: null
@@ -132,7 +286,21 @@ const quizAttemptSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Drawn questions carry the answer key; they're served through the quiz view instead.
+    // Adaptive responses and the running estimate would tell whether each answer was right,
+    // so they're only shown once the attempt is finished.
+    transform: (doc, ret) => {
+      delete ret.drawnQuestions;
+      if (ret.status === 'in-progress' && ret.adaptive) {
+        delete ret.adaptive.responses;
+        delete ret.adaptive.ability;
+        delete ret.adaptive.standardError;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -175,6 +343,7 @@ quizAttemptSchema.index({ quizId: 1, userId: 1, attemptNumber: 1 }, { unique: tr
 quizAttemptSchema.index({ clerkUserId: 1, completedAt: -1 });
 quizAttemptSchema.index({ contentId: 1, userId: 1 });
 quizAttemptSchema.index({ status: 1, startedAt: -1 });
+quizAttemptSchema.index({ status: 1, expiresAt: 1 });
 quizAttemptSchema.index({ passed: 1, score: -1 });
 
 // Pre-save middleware to calculate score and determine pass/fail
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Quiz = require('./Quiz');
+
+// One question in a user's spaced-repetition review queue, scheduled with SM-2
+const reviewItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  clerkUserId: {
+    type: String,
+    required: true
+  },
+  // Quiz question the item was created from
+  source: {
+    kind: {
+      type: String,
+      enum: ['quiz', 'community-quiz'],
+      required: true
+    },
+    quizId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    communityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Community',
+      default: null
+    },
+    questionId: {
+      type: String,
+      required: true
+    },
+    quizTitle: {
+      type: String,
+      trim: true
+    }
+  },
+  // Snapshot of the question in the personal quiz shape, so edits or deletions of the quiz don't break reviews
+  question: {
+    type: Quiz.schema.path('questions').schema,
+    required: true
+  },
+  // SM-2 state
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+  interval: {
+    type: Number,
+    default: 0,
+    min: 0 // in days
+  },
+  repetitions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lapses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dueAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReviewedAt: {
+    type: Date,
+    default: null
+  },
+  lastQuality: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: null
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Recent reviews, newest last; used for streaks and study time in analytics
+  history: [{
+    _id: false,
+    reviewedAt: {
+      type: Date,
+      default: Date.now
+    },
+    quality: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    isCorrect: Boolean,
+    timeSpent: {
+      type: Number,
+      min: 0,
+      default: 0 // in seconds
+    }
+  }],
+  // Suspended items stay out of review sessions but keep their schedule
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+reviewItemSchema.index({ userId: 1, 'source.kind': 1, 'source.quizId': 1, 'source.questionId': 1 }, { unique: true });
+reviewItemSchema.index({ userId: 1, isActive: 1, dueAt: 1 });
+reviewItemSchema.index({ userId: 1, 'history.reviewedAt': 1 });
+
+module.exports = mongoose.model('ReviewItem', reviewItemSchema);
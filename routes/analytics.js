@@ -2,11 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, getOrCreateUser } = require('../middleware/auth');
 const databaseService = require('../services/databaseService');
+const reviewService = require('../services/reviewService');
+const adaptiveQuizService = require('../services/adaptiveQuizService');
 const Content = require('../models/Content');
 const Quiz = require('../models/Quiz');
 const QuizAttempt = require('../models/QuizAttempt');
 const CommunityQuizAttempt = require('../models/CommunityQuizAttempt');
 const Progress = require('../models/Progress');
+const ReviewItem = require('../models/ReviewItem');
 const User = require('../models/User');
 
 // Helper function to get date range
@@ -49,7 +52,10 @@ router.get('/dashboard', requireAuth, getOrCreateUser, async (req, res, next) =>
       communityQuizStats,
       progressData,
       recentActivity,
-      studyTimeData
+      studyTimeData,
+      reviewDays,
+      reviewsDue,
+      latestAdaptiveAttempt
     ] = await Promise.all([
       // Content statistics
       Content.aggregate([
@@ -162,7 +168,19 @@ router.get('/dashboard', requireAuth, getOrCreateUser, async (req, res, next) =>
           }
         },
         { $sort: { '_id.date': 1 } }
-      ])
+      ]),
+
+      // Spaced-repetition reviews per day (all time, for the streak)
+      reviewService.getReviewActivity(user._id),
+
+      ReviewItem.countDocuments(reviewService.dueQuery(user._id)),
+
+      // Most recent ability estimate from an adaptive quiz
+      QuizAttempt.findOne({
+        userId: user._id,
+        mode: 'adaptive',
+        status: { $in: ['completed', 'timed-out'] }
+      }).sort({ completedAt: -1 }).select('quizId adaptive completedAt')
     ]);
 
     // Process content stats
@@ -209,7 +227,7 @@ router.get('/dashboard', requireAuth, getOrCreateUser, async (req, res, next) =>
         return total + (p.quizProgress.totalTimeSpent || 0);
       }
       return total;
-    }, 0);
+    }, 0) + reviewTimeInRange(reviewDays, startDate);
 
     // Process categories
     const categoryStats = contentAnalytics.categories.reduce((acc, category) => {
@@ -217,8 +235,8 @@ router.get('/dashboard', requireAuth, getOrCreateUser, async (req, res, next) =>
       return acc;
     }, {});
 
-    // Calculate streaks and achievements
-    const currentStreak = calculateStreak(recentActivity);
+    // Calculate streaks and achievements (review days count as activity)
+    const currentStreak = calculateStreak(withReviewActivity(recentActivity, reviewDays));
     
     const dashboard = {
       overview: {
@@ -243,7 +261,14 @@ router.get('/dashboard', requireAuth, getOrCreateUser, async (req, res, next) =>
           Math.round(((passedQuizzes + communityQuizAnalytics.passedAttempts) / (quizAnalytics.total + communityQuizAnalytics.total)) * 100) : 0,
         totalStudyTime: totalStudyTime + (communityQuizAnalytics.totalTimeSpent || 0), // in minutes
         avgStudySession: progressData.length > 0 ? 
-          Math.round((totalStudyTime + (communityQuizAnalytics.totalTimeSpent || 0)) / progressData.length) : 0
+          Math.round((totalStudyTime + (communityQuizAnalytics.totalTimeSpent || 0)) / progressData.length) : 0,
+        reviews: {
+          dueToday: reviewsDue,
+          reviewed: reviewDays
+            .filter(day => day.date >= startDate.toISOString().slice(0, 10))
+            .reduce((total, day) => total + day.reviews, 0),
+          timeSpent: reviewTimeInRange(reviewDays, startDate) // in minutes
+        }
       },
       
       activity: {
@@ -258,7 +283,7 @@ router.get('/dashboard', requireAuth, getOrCreateUser, async (req, res, next) =>
             activity.contentProgress.percentageRead : 
             (activity.quizProgress.isPassed ? 100 : 0)
         })),
-        studyTimeByDay: studyTimeData
+        studyTimeByDay: mergeReviewStudyTime(studyTimeData, reviewDays, startDate)
       },
       
       performance: {
@@ -267,7 +292,12 @@ router.get('/dashboard', requireAuth, getOrCreateUser, async (req, res, next) =>
           .sort(([,a], [,b]) => b - a)
           .slice(0, 3)
           .map(([category, count]) => ({ category, count })),
-        improvementAreas: getImprovementAreas(quizProgress)
+        improvementAreas: getImprovementAreas(quizProgress),
+        abilityEstimate: latestAdaptiveAttempt ? {
+          ...adaptiveQuizService.getResult(latestAdaptiveAttempt),
+          quizId: latestAdaptiveAttempt.quizId,
+          measuredAt: latestAdaptiveAttempt.completedAt
+        } : null
       },
       
       insights: generateInsights(user, {
@@ -673,6 +703,7 @@ router.get('/all-quiz-analyses', requireAuth, getOrCreateUser, async (req, res,
           timeSpent: latestAttempt.timeSpent,
           completedAt: latestAttempt.completedAt,
           sectionScores: latestAttempt.sectionScores || [],
+          adaptive: latestAttempt.mode === 'adaptive' ? adaptiveQuizService.getResult(latestAttempt) : null,
           aiSummary: latestAttempt.aiSummary || null,
           feedback: latestAttempt.feedback || null,
           strengths: latestAttempt.aiSummary?.strengths || [],
@@ -904,11 +935,15 @@ router.get('/achievements', requireAuth, getOrCreateUser, async (req, res, next)
   try {
     const user = req.user;
     
-    // Get recent activity for streak calculation
-    const recentActivity = await Progress.find({
-      clerkUserId: user.clerkUserId,
-      isActive: true
-    }).sort({ lastAccessed: -1 }).limit(30);
+    // Get recent activity for streak calculation; review days count as activity
+    const [progressActivity, reviewDays] = await Promise.all([
+      Progress.find({
+        clerkUserId: user.clerkUserId,
+        isActive: true
+      }).sort({ lastAccessed: -1 }).limit(30),
+      reviewService.getReviewActivity(user._id)
+    ]);
+    const recentActivity = withReviewActivity(progressActivity, reviewDays);
     
     // Calculate streaks
     const currentStreak = calculateStreak(recentActivity);
@@ -932,7 +967,7 @@ router.get('/achievements', requireAuth, getOrCreateUser, async (req, res, next)
     const totalStudyTime = totalProgress.reduce((total, p) => {
       return total + (p.progressType === 'content' ? 
         p.contentProgress.timeSpent : p.quizProgress.totalTimeSpent);
-    }, 0);
+    }, 0) + reviewTimeInRange(reviewDays, null);
     
     // Define achievements
     const achievements = [
@@ -1094,6 +1129,37 @@ function calculateLongestStreak(activities) {
   return Math.max(longestStreak, currentStreak);
 }
 
+// Review days as activity entries for the streak helpers
+function withReviewActivity(activities, reviewDays) {
+  return [
+    ...activities,
+    ...reviewDays.map(day => ({ lastAccessed: day.lastReviewedAt }))
+  ];
+}
+
+// Minutes spent on reviews since startDate (all time when null)
+function reviewTimeInRange(reviewDays, startDate) {
+  const since = startDate ? startDate.toISOString().slice(0, 10) : '';
+  return reviewDays
+    .filter(day => day.date >= since)
+    .reduce((total, day) => total + day.timeSpent, 0);
+}
+
+// Add review time to the per-day study time series
+function mergeReviewStudyTime(studyTimeData, reviewDays, startDate) {
+  const byDate = new Map(studyTimeData.map(day => [day._id.date, { ...day }]));
+  const since = startDate.toISOString().slice(0, 10);
+
+  reviewDays.filter(day => day.date >= since).forEach(day => {
+    const entry = byDate.get(day.date) || { _id: { date: day.date }, totalTime: 0, sessionsCount: 0 };
+    entry.totalTime += day.timeSpent;
+    entry.sessionsCount += 1;
+    byDate.set(day.date, entry);
+  });
+
+  return [...byDate.values()].sort((a, b) => a._id.date.localeCompare(b._id.date));
+}
+
 function getDaysActive(activities) {
   if (!activities || activities.length === 0) return 0;
   
@@ -52,7 +52,7 @@ router.post('/chat/content/:contentId', requireAuth, getOrCreateUser, async (req
 
   } catch (error) {
     console.error('Content chat error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to generate response',
       error: error.message
@@ -122,7 +122,7 @@ router.post('/chat/quiz/:quizId', requireAuth, getOrCreateUser, async (req, res)
 
   } catch (error) {
     console.error('Quiz chat error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to generate response',
       error: error.message
@@ -154,7 +154,7 @@ router.post('/chat/general', requireAuth, getOrCreateUser, async (req, res) => {
 
   } catch (error) {
     console.error('General chat error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to generate response',
       error: error.message
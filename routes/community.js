@@ -8,13 +8,39 @@ const CommunityContent = require('../models/CommunityContent');
 const CommunityQuiz = require('../models/CommunityQuiz');
 const CommunityQuizAttempt = require('../models/CommunityQuizAttempt');
 const CommunityMessage = require('../models/CommunityMessage');
+const CommunityJoinRequest = require('../models/CommunityJoinRequest');
+const CommunityInvite = require('../models/CommunityInvite');
+const CommunityBan = require('../models/CommunityBan');
+const CommunityModerationLog = require('../models/CommunityModerationLog');
+const communityMembershipService = require('../services/communityMembershipService');
 
-// Get all available communities
+// Current user's membership when they moderate the community; sends a 403 and returns null otherwise
+const findManagerMembership = async (req, res) => {
+  const membership = await CommunityMember.findOne({
+    userId: req.user._id,
+    communityId: req.params.communityId,
+    isActive: true
+  });
+
+  if (!communityMembershipService.isManager(membership)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only community moderators and admins can do this',
+      error: 'NOT_A_MODERATOR'
+    });
+    return null;
+  }
+
+  return membership;
+};
+
+// Get all available communities; private ones are only listed for their members
 router.get('/', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
     const { _id: userId } = req.user;
     
-    const communities = await Community.find({ isActive: true })
+    const query = await communityMembershipService.visibleCommunitiesQuery(userId);
+    const communities = await Community.find(query)
       .select('name description category icon color memberCount settings createdBy')
       .populate('createdBy', 'firstName lastName username')
       .sort({ memberCount: -1, name: 1 });
@@ -64,10 +90,151 @@ router.get('/my-communities', requireAuth, getOrCreateUser, async (req, res, nex
   }
 });
 
+// Get the current user's join requests (?status=pending|approved|rejected|cancelled)
+router.get('/my-join-requests', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const query = { userId: req.user._id };
+    if (status) query.status = status;
+
+    const joinRequests = await CommunityJoinRequest.find(query)
+      .populate('communityId', 'name description category icon color memberCount')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: joinRequests
+    });
+  } catch (error) {
+    console.error('Get user join requests error:', error);
+    next(error);
+  }
+});
+
+// Error codes for invites that can no longer be redeemed, by invite status
+const INVITE_ERRORS = {
+  revoked: { message: 'This invite has been revoked', error: 'INVITE_REVOKED' },
+  expired: { message: 'This invite has expired', error: 'INVITE_EXPIRED' },
+  'used-up': { message: 'This invite has reached its maximum number of uses', error: 'INVITE_USED_UP' }
+};
+
+// Preview an invite before redeeming it: the community it leads to and whether it still works
+router.get('/invites/:token', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const invite = await CommunityInvite.findOne({ token: req.params.token })
+      .populate('communityId', 'name description category icon color memberCount isActive');
+
+    if (!invite || !invite.communityId || !invite.communityId.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found',
+        error: 'INVITE_NOT_FOUND'
+      });
+    }
+
+    const isMember = await CommunityMember.exists({
+      userId: req.user._id,
+      communityId: invite.communityId._id,
+      isActive: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        community: invite.communityId,
+        role: invite.role,
+        status: invite.status,
+        expiresAt: invite.expiresAt,
+        remainingUses: invite.remainingUses,
+        isMember: Boolean(isMember)
+      }
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    next(error);
+  }
+});
+
+// Redeem an invite: join the community with the invite's role, without a join request
+router.post('/invites/:token/redeem', requireAuth, getOrCreateUser, requireUsername, async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    const { _id: userId } = req.user;
+
+    const invite = await CommunityInvite.findOne({ token });
+    const community = invite && await Community.findOne({ _id: invite.communityId, isActive: true });
+    if (!invite || !community) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found',
+        error: 'INVITE_NOT_FOUND'
+      });
+    }
+
+    if (invite.status !== 'active') {
+      return res.status(410).json({
+        success: false,
+        ...INVITE_ERRORS[invite.status]
+      });
+    }
+
+    const existingMember = await CommunityMember.findOne({ userId, communityId: community._id, isActive: true });
+    if (existingMember) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this community',
+        error: 'ALREADY_MEMBER'
+      });
+    }
+
+    const ban = await communityMembershipService.getActiveBan(community._id, userId);
+    if (ban) {
+      return res.status(403).json(communityMembershipService.banResponse(ban));
+    }
+
+    // Another redemption may have taken the last use since the check above
+    const claimed = await communityMembershipService.claimInvite(token, userId);
+    if (!claimed) {
+      return res.status(410).json({
+        success: false,
+        message: 'This invite can no longer be used',
+        error: 'INVITE_UNAVAILABLE'
+      });
+    }
+
+    const membership = await communityMembershipService.addMember(community._id, req.user, claimed.role);
+
+    // The invite settles any request the user had waiting
+    await CommunityJoinRequest.updateMany(
+      { userId, communityId: community._id, status: 'pending' },
+      { status: 'approved', reviewedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `Successfully joined ${community.name}`,
+      data: {
+        community: {
+          _id: community._id,
+          name: community.name,
+          icon: community.icon,
+          color: community.color
+        },
+        membership
+      }
+    });
+  } catch (error) {
+    console.error('Redeem invite error:', error);
+    next(error);
+  }
+});
+
 // Create a new community
 router.post('/create', requireAuth, getOrCreateUser, requireUsername, async (req, res, next) => {
   try {
-    const { name, description, category, isPrivate } = req.body;
+    const { name, description, category, isPrivate, requireApproval, requireModeration } = req.body;
     const { _id: userId, clerkUserId } = req.user;
 
     // Validate required fields
@@ -102,7 +269,8 @@ router.post('/create', requireAuth, getOrCreateUser, requireUsername, async (req
       settings: {
         isPrivate: isPrivate || false,
         allowMemberInvites: true,
-        requireApproval: false
+        requireApproval: requireApproval || false,
+        requireModeration: requireModeration || false
       }
     });
 
@@ -166,8 +334,9 @@ function getCommunityColor(category) {
   return colors[category] || colors['Study Group'];
 }
 
-// Join a community
-router.post('/:communityId/join', requireAuth, getOrCreateUser, requireUsername, async (req, res, next) => {
+// Join a community. Private communities and those that require approval get a pending join
+// request instead, which a moderator or admin approves or rejects.
+router.post('/:communityId/join', requireAuth, getOrCreateUser, requireUsername, validate(schemas.communityJoin), async (req, res, next) => {
   try {
     const { communityId } = req.params;
     const { _id: userId, clerkUserId } = req.user;
@@ -195,20 +364,39 @@ router.post('/:communityId/join', requireAuth, getOrCreateUser, requireUsername,
       });
     }
 
-    // Create new membership
-    const membership = new CommunityMember({
-      userId,
-      clerkUserId,
-      communityId,
-      role: 'member'
-    });
+    const ban = await communityMembershipService.getActiveBan(communityId, userId);
+    if (ban) {
+      return res.status(403).json(communityMembershipService.banResponse(ban));
+    }
 
-    await membership.save();
+    if (communityMembershipService.requiresApproval(community)) {
+      const pendingRequest = await CommunityJoinRequest.findOne({ userId, communityId, status: 'pending' });
+      if (pendingRequest) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a pending request to join this community',
+          error: 'JOIN_REQUEST_PENDING',
+          data: pendingRequest
+        });
+      }
 
-    // Update community member count
-    await Community.findByIdAndUpdate(communityId, {
-      $inc: { memberCount: 1 }
-    });
+      const joinRequest = new CommunityJoinRequest({
+        userId,
+        clerkUserId,
+        communityId,
+        message: req.body.message
+      });
+      await joinRequest.save();
+
+      return res.status(202).json({
+        success: true,
+        message: 'Join request sent; a moderator will review it',
+        data: joinRequest
+      });
+    }
+
+    // Create new membership (or reactivate the one from an earlier stay)
+    const membership = await communityMembershipService.addMember(communityId, req.user);
 
     res.json({
       success: true,
@@ -227,12 +415,7 @@ router.post('/:communityId/leave', requireAuth, getOrCreateUser, requireUsername
     const { communityId } = req.params;
     const { _id: userId } = req.user;
 
-    // Find and deactivate membership
-    const membership = await CommunityMember.findOneAndUpdate(
-      { userId, communityId, isActive: true },
-      { isActive: false },
-      { new: true }
-    );
+    const membership = await CommunityMember.findOne({ userId, communityId, isActive: true });
 
     if (!membership) {
       return res.status(404).json({
@@ -241,10 +424,8 @@ router.post('/:communityId/leave', requireAuth, getOrCreateUser, requireUsername
       });
     }
 
-    // Update community member count
-    await Community.findByIdAndUpdate(communityId, {
-      $inc: { memberCount: -1 }
-    });
+    // Deactivate membership and update community member count
+    await communityMembershipService.removeMember(membership);
 
     res.json({
       success: true,
@@ -256,6 +437,637 @@ router.post('/:communityId/leave', requireAuth, getOrCreateUser, requireUsername
   }
 });
 
+// Get the current user's latest join request for a community
+router.get('/:communityId/join-request', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const joinRequest = await CommunityJoinRequest.findOne({
+      userId: req.user._id,
+      communityId: req.params.communityId
+    }).sort({ createdAt: -1 });
+
+    if (!joinRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'No join request found for this community',
+        error: 'JOIN_REQUEST_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: joinRequest
+    });
+  } catch (error) {
+    console.error('Get join request error:', error);
+    next(error);
+  }
+});
+
+// Cancel the current user's pending join request
+router.delete('/:communityId/join-request', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const joinRequest = await CommunityJoinRequest.findOneAndUpdate(
+      { userId: req.user._id, communityId: req.params.communityId, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!joinRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending join request found for this community',
+        error: 'JOIN_REQUEST_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Join request cancelled',
+      data: joinRequest
+    });
+  } catch (error) {
+    console.error('Cancel join request error:', error);
+    next(error);
+  }
+});
+
+// List a community's join requests for moderators and admins (?status=pending by default)
+router.get('/:communityId/join-requests', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const query = { communityId, status };
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [joinRequests, total] = await Promise.all([
+      CommunityJoinRequest.find(query)
+        .populate('userId', 'firstName lastName username profileImage')
+        .populate('reviewedBy', 'firstName lastName username')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 }) // oldest pending requests first
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CommunityJoinRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        joinRequests,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    next(error);
+  }
+});
+
+// Approve a pending join request; the requester becomes a member
+router.post('/:communityId/join-requests/:requestId/approve', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId, requestId } = req.params;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const pendingRequest = await CommunityJoinRequest.findOne({ _id: requestId, communityId, status: 'pending' });
+    if (pendingRequest && await communityMembershipService.getActiveBan(communityId, pendingRequest.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is banned from the community; lift the ban before approving',
+        error: 'USER_BANNED'
+      });
+    }
+
+    // Only one reviewer can act on a request
+    const joinRequest = await CommunityJoinRequest.findOneAndUpdate(
+      { _id: requestId, communityId, status: 'pending' },
+      { status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date() },
+      { new: true }
+    );
+
+    if (!joinRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending join request not found',
+        error: 'JOIN_REQUEST_NOT_FOUND'
+      });
+    }
+
+    const existingMember = await CommunityMember.findOne({
+      userId: joinRequest.userId,
+      communityId,
+      isActive: true
+    });
+    const membership = existingMember || await communityMembershipService.addMember(communityId, {
+      _id: joinRequest.userId,
+      clerkUserId: joinRequest.clerkUserId
+    });
+
+    res.json({
+      success: true,
+      message: 'Join request approved',
+      data: { joinRequest, membership }
+    });
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    next(error);
+  }
+});
+
+// Reject a pending join request with a reason for the requester
+router.post('/:communityId/join-requests/:requestId/reject', requireAuth, getOrCreateUser, validate(schemas.joinRequestRejection), async (req, res, next) => {
+  try {
+    const { communityId, requestId } = req.params;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const joinRequest = await CommunityJoinRequest.findOneAndUpdate(
+      { _id: requestId, communityId, status: 'pending' },
+      {
+        status: 'rejected',
+        rejectionReason: req.body.reason,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!joinRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending join request not found',
+        error: 'JOIN_REQUEST_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Join request rejected',
+      data: joinRequest
+    });
+  } catch (error) {
+    console.error('Reject join request error:', error);
+    next(error);
+  }
+});
+
+// Create an invite link. Who may invite depends on settings.allowMemberInvites.
+router.post('/:communityId/invites', requireAuth, getOrCreateUser, requireUsername, validate(schemas.communityInvite), async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { role, expiresAt, maxUses } = req.body;
+
+    const community = await Community.findOne({ _id: communityId, isActive: true });
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        message: 'Community not found'
+      });
+    }
+
+    const membership = await CommunityMember.findOne({ userId: req.user._id, communityId, isActive: true });
+    const inviteError = communityMembershipService.getInviteError(community, membership, role);
+    if (inviteError) {
+      return res.status(403).json({
+        success: false,
+        message: inviteError,
+        error: 'INVITE_NOT_ALLOWED'
+      });
+    }
+
+    const invite = new CommunityInvite({
+      communityId,
+      createdBy: req.user._id,
+      token: communityMembershipService.createInviteToken(),
+      role,
+      expiresAt: expiresAt || null,
+      maxUses: maxUses || null
+    });
+    await invite.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite created',
+      data: invite
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    next(error);
+  }
+});
+
+// List a community's invites with their usage, for moderators and admins (?status=active|all)
+router.get('/:communityId/invites', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { status = 'all' } = req.query;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const invites = await CommunityInvite.find({ communityId })
+      .select('-redemptions')
+      .populate('createdBy', 'firstName lastName username')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      data: status === 'all' ? invites : invites.filter(invite => invite.status === status)
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    next(error);
+  }
+});
+
+// Revoke an invite; moderators and admins can revoke any invite, members their own
+router.delete('/:communityId/invites/:inviteId', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId, inviteId } = req.params;
+    const { _id: userId } = req.user;
+
+    const invite = await CommunityInvite.findOne({ _id: inviteId, communityId });
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found',
+        error: 'INVITE_NOT_FOUND'
+      });
+    }
+
+    const membership = await CommunityMember.findOne({ userId, communityId, isActive: true });
+    const canRevoke = communityMembershipService.isManager(membership) ||
+                     (membership && invite.createdBy.toString() === userId.toString());
+
+    if (!canRevoke) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to revoke this invite',
+        error: 'INVITE_NOT_ALLOWED'
+      });
+    }
+
+    if (!invite.isRevoked) {
+      invite.isRevoked = true;
+      invite.revokedAt = new Date();
+      invite.revokedBy = userId;
+      await invite.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked',
+      data: invite
+    });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    next(error);
+  }
+});
+
+// Change a member's role between member and moderator (admin only)
+router.put('/:communityId/members/:memberUserId/role', requireAuth, getOrCreateUser, validate(schemas.communityRoleChange), async (req, res, next) => {
+  try {
+    const { communityId, memberUserId } = req.params;
+    const { role } = req.body;
+
+    const actor = await CommunityMember.findOne({ userId: req.user._id, communityId, isActive: true });
+    if (!actor || actor.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the community admin can change member roles',
+        error: 'ADMIN_REQUIRED'
+      });
+    }
+
+    const target = await CommunityMember.findOne({ userId: memberUserId, communityId, isActive: true });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+        error: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    if (target.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role moves with transfer-ownership',
+        error: 'CANNOT_CHANGE_ADMIN_ROLE'
+      });
+    }
+
+    if (target.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `This member is already a ${role}`,
+        error: 'ROLE_UNCHANGED'
+      });
+    }
+
+    const fromRole = target.role;
+    target.role = role;
+    await target.save();
+
+    await communityMembershipService.recordModeration(communityId, req.user._id, role === 'moderator' ? 'promote' : 'demote', {
+      targetUserId: target.userId,
+      details: { fromRole, toRole: role }
+    });
+
+    res.json({
+      success: true,
+      message: role === 'moderator' ? 'Member promoted to moderator' : 'Moderator demoted to member',
+      data: target
+    });
+  } catch (error) {
+    console.error('Change member role error:', error);
+    next(error);
+  }
+});
+
+// Hand the admin role to another member; the current admin stays on as a moderator
+router.post('/:communityId/transfer-ownership', requireAuth, getOrCreateUser, validate(schemas.communityOwnershipTransfer), async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { userId: newOwnerId } = req.body;
+
+    const actor = await CommunityMember.findOne({ userId: req.user._id, communityId, isActive: true });
+    if (!actor || actor.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the community admin can transfer ownership',
+        error: 'ADMIN_REQUIRED'
+      });
+    }
+
+    if (newOwnerId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this community',
+        error: 'ALREADY_OWNER'
+      });
+    }
+
+    const target = await CommunityMember.findOne({ userId: newOwnerId, communityId, isActive: true });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'The new owner must be a member of the community',
+        error: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    const fromRole = target.role;
+    await communityMembershipService.transferOwnership(communityId, actor, target);
+
+    await communityMembershipService.recordModeration(communityId, req.user._id, 'transfer-ownership', {
+      targetUserId: target.userId,
+      details: { fromRole, toRole: 'admin', previousOwnerRole: 'moderator' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred',
+      data: { newOwner: target, previousOwner: actor }
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    next(error);
+  }
+});
+
+// Remove a member from the community; they can join again unless banned
+router.post('/:communityId/members/:memberUserId/kick', requireAuth, getOrCreateUser, validate(schemas.communityKick), async (req, res, next) => {
+  try {
+    const { communityId, memberUserId } = req.params;
+    const { reason } = req.body;
+
+    const actor = await findManagerMembership(req, res);
+    if (!actor) return;
+
+    const target = await CommunityMember.findOne({ userId: memberUserId, communityId, isActive: true });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+        error: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    if (!communityMembershipService.canActOn(actor, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only kick members with a lower role than yours',
+        error: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    await communityMembershipService.removeMember(target);
+    await communityMembershipService.recordModeration(communityId, req.user._id, 'kick', {
+      targetUserId: target.userId,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed from the community'
+    });
+  } catch (error) {
+    console.error('Kick member error:', error);
+    next(error);
+  }
+});
+
+// Ban a current or former member, for durationHours or until lifted; a current member is removed
+router.post('/:communityId/members/:memberUserId/ban', requireAuth, getOrCreateUser, validate(schemas.communityBan), async (req, res, next) => {
+  try {
+    const { communityId, memberUserId } = req.params;
+    const { reason, durationHours } = req.body;
+
+    const actor = await findManagerMembership(req, res);
+    if (!actor) return;
+
+    const target = await CommunityMember.findOne({ userId: memberUserId, communityId });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+        error: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    // A former member is judged by the role they had
+    if (!communityMembershipService.canActOn(actor, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only ban members with a lower role than yours',
+        error: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    if (await communityMembershipService.getActiveBan(communityId, target.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already banned',
+        error: 'ALREADY_BANNED'
+      });
+    }
+
+    const ban = new CommunityBan({
+      communityId,
+      userId: target.userId,
+      bannedBy: req.user._id,
+      reason,
+      expiresAt: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null
+    });
+    await ban.save();
+
+    if (target.isActive) {
+      await communityMembershipService.removeMember(target);
+    }
+
+    // A banned user's waiting request won't be approved
+    await CommunityJoinRequest.updateMany(
+      { userId: target.userId, communityId, status: 'pending' },
+      { status: 'rejected', rejectionReason: 'Banned from the community', reviewedBy: req.user._id, reviewedAt: new Date() }
+    );
+
+    await communityMembershipService.recordModeration(communityId, req.user._id, 'ban', {
+      targetUserId: target.userId,
+      reason,
+      details: { expiresAt: ban.expiresAt }
+    });
+
+    res.json({
+      success: true,
+      message: ban.expiresAt ? `User banned until ${ban.expiresAt.toISOString()}` : 'User banned',
+      data: ban
+    });
+  } catch (error) {
+    console.error('Ban member error:', error);
+    next(error);
+  }
+});
+
+// Bans in force, for moderators and admins
+router.get('/:communityId/bans', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const bans = await CommunityBan.find({
+      communityId,
+      liftedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    })
+      .populate('userId', 'firstName lastName username profileImage')
+      .populate('bannedBy', 'firstName lastName username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: bans
+    });
+  } catch (error) {
+    console.error('Get bans error:', error);
+    next(error);
+  }
+});
+
+// Lift a ban early
+router.delete('/:communityId/bans/:bannedUserId', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId, bannedUserId } = req.params;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const ban = await communityMembershipService.getActiveBan(communityId, bannedUserId);
+    if (!ban) {
+      return res.status(404).json({
+        success: false,
+        message: 'This user is not banned',
+        error: 'BAN_NOT_FOUND'
+      });
+    }
+
+    ban.liftedAt = new Date();
+    ban.liftedBy = req.user._id;
+    await ban.save();
+
+    await communityMembershipService.recordModeration(communityId, req.user._id, 'unban', {
+      targetUserId: ban.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Ban lifted',
+      data: ban
+    });
+  } catch (error) {
+    console.error('Lift ban error:', error);
+    next(error);
+  }
+});
+
+// Moderation log, newest first, for moderators and admins (?action=kick|ban|...)
+router.get('/:communityId/moderation-log', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { action, page = 1, limit = 50 } = req.query;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const query = { communityId };
+    if (action) query.action = action;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    const [entries, total] = await Promise.all([
+      CommunityModerationLog.find(query)
+        .populate('actorId', 'firstName lastName username')
+        .populate('targetUserId', 'firstName lastName username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CommunityModerationLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation log error:', error);
+    next(error);
+  }
+});
+
 // Get community members
 router.get('/:communityId/members', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -3,6 +3,7 @@ const router = express.Router();
 const { requireAuth, getOrCreateUser, requireUsername } = require('../middleware/auth');
 const CommunityMessage = require('../models/CommunityMessage');
 const CommunityMember = require('../models/CommunityMember');
+const realtimeService = require('../services/realtimeService');
 
 // Get community chat messages
 router.get('/:communityId/messages', requireAuth, getOrCreateUser, async (req, res, next) => {
@@ -215,6 +216,8 @@ router.post('/:communityId/messages', requireAuth, getOrCreateUser, requireUsern
     // Populate user info for response
     await message.populate('userId', 'firstName lastName username profileImage');
 
+    realtimeService.emitMessageEvent('message:created', message, { message });
+
     res.json({
       success: true,
       message: 'Message sent successfully',
@@ -296,6 +299,8 @@ router.post('/:communityId/quiz/:quizId/discussion', requireAuth, getOrCreateUse
     // Populate user info for response
     await message.populate('userId', 'firstName lastName username profileImage');
 
+    realtimeService.emitMessageEvent('message:created', message, { message });
+
     res.json({
       success: true,
       message: 'Discussion message sent successfully',
@@ -342,6 +347,8 @@ router.put('/:communityId/messages/:messageId', requireAuth, getOrCreateUser, as
     message.editedAt = new Date();
     await message.save();
 
+    realtimeService.emitMessageEvent('message:updated', message, { message });
+
     res.json({
       success: true,
       message: 'Message updated successfully',
@@ -403,6 +410,11 @@ router.delete('/:communityId/messages/:messageId', requireAuth, getOrCreateUser,
     message.deletedAt = new Date();
     await message.save();
 
+    realtimeService.emitMessageEvent('message:deleted', message, {
+      messageId: message._id,
+      parentMessageId: message.parentMessageId
+    });
+
     res.json({
       success: true,
       message: 'Message deleted successfully'
@@ -477,6 +489,11 @@ router.post('/:communityId/messages/:messageId/react', requireAuth, getOrCreateU
 
     await message.save();
 
+    realtimeService.emitMessageEvent('message:reactions', message, {
+      messageId: message._id,
+      reactions: message.reactions
+    });
+
     res.json({
       success: true,
       message: existingReaction ? 'Reaction removed' : 'Reaction added',
@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
 const { validate, schemas } = require('../middleware/validation');
 const { requireAuth, getOrCreateUser } = require('../middleware/auth');
+const textExtractionService = require('../services/textExtractionService');
+const languageDetectionService = require('../services/languageDetectionService');
+const fingerprintService = require('../services/fingerprintService');
+const jobQueue = require('../services/jobQueue');
+const communityMembershipService = require('../services/communityMembershipService');
+const Community = require('../models/Community');
 const CommunityContent = require('../models/CommunityContent');
 const CommunityMember = require('../models/CommunityMember');
 const Content = require('../models/Content');
@@ -16,15 +21,57 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'text/plain', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (textExtractionService.isSupported(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, TXT, and DOCX files are allowed.'));
+      cb(new Error('Invalid file type. Only PDF, TXT, MD, DOCX, and HTML files are allowed.'));
     }
   },
 });
 
+// Stop the same document from being shared to a community again. Exact copies are always
+// rejected; near-duplicates (e.g. a revised edition) can be forced with allowDuplicate=true.
+const checkCommunityDuplicates = async (text, communityId, allowDuplicate) => {
+  const fingerprint = fingerprintService.compute(text);
+  const matches = await fingerprintService.findDuplicates(CommunityContent, fingerprint, { communityId, status: { $ne: 'rejected' } }, {
+    select: 'title fileName status createdAt userId'
+  });
+
+  const blocking = matches.filter(match => match.exact || !allowDuplicate);
+  return { fingerprint, matches, blocking };
+};
+
+// Pending and rejected content is only visible to its author and to moderators and admins
+const visibleContentQuery = (userId, membership) => (communityMembershipService.isManager(membership)
+  ? {}
+  : { $or: [{ status: 'approved' }, { userId }] });
+
+// Status for new content: pending when it has to wait for a moderator
+const getSubmissionStatus = async (communityId, membership) => {
+  const community = await Community.findById(communityId).select('settings');
+  return communityMembershipService.requiresContentReview(community, membership) ? 'pending' : 'approved';
+};
+
+// Saved content counts towards the author's stats once it is live; pending content counts on approval
+const countSharedContent = async (content) => {
+  if (content.status !== 'approved') return;
+  await CommunityMember.findOneAndUpdate(
+    { userId: content.userId, communityId: content.communityId },
+    { $inc: { 'stats.contentShared': 1 } }
+  );
+};
+
+const duplicateContentResponse = (res, blocking) => res.status(409).json({
+  success: false,
+  message: blocking[0].exact
+    ? `This document has already been shared in this community as "${blocking[0].document.title}"`
+    : `A very similar document has already been shared in this community as "${blocking[0].document.title}". Set allowDuplicate to share it anyway.`,
+  error: 'DUPLICATE_CONTENT',
+  data: {
+    duplicates: blocking.map(match => fingerprintService.describeMatch(match))
+  }
+});
+
 // Get community content
 router.get('/:communityId', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -93,7 +140,7 @@ router.get('/:communityId', requireAuth, getOrCreateUser, async (req, res, next)
 router.post('/:communityId/upload', requireAuth, getOrCreateUser, upload.single('file'), async (req, res, next) => {
   try {
     const { communityId } = req.params;
-    const { title, description, category = 'general', tags } = req.body;
+    const { title, description, category = 'general', tags, allowDuplicate } = req.body;
     const { _id: userId, clerkUserId } = req.user;
 
     // Check if user is a member of this community
@@ -117,34 +164,28 @@ router.post('/:communityId/upload', requireAuth, getOrCreateUser, upload.single(
       });
     }
 
-    // Process file content
-    let originalText = '';
+    // Extract text with the same parser layer used for personal uploads
     const fileName = req.file.originalname;
-    let fileType = 'pdf';
-
+    let extracted;
     try {
-      if (req.file.mimetype === 'text/plain') {
-        originalText = req.file.buffer.toString('utf-8');
-        fileType = 'txt';
-      } else if (req.file.mimetype === 'application/pdf') {
-        // Extract text from PDF using pdf-parse
-        const data = await pdfParse(req.file.buffer);
-        originalText = data.text || 'Unable to extract text from this PDF file. The content may be image-based or encrypted.';
-        fileType = 'pdf';
-      } else if (req.file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-        // For DOCX files, we'll use a placeholder for now
-        originalText = 'DOCX content extraction would be implemented here. This document contains valuable educational content that can be accessed by community members for study purposes.';
-        fileType = 'docx';
-      }
-
-      // Ensure minimum length requirement is met
-      if (originalText.length < 50) {
-        originalText = originalText + ' This content has been uploaded to the community library for educational purposes and can be accessed by all community members.';
-      }
+      extracted = await textExtractionService.extract(req.file);
     } catch (extractionError) {
       console.error('Text extraction error:', extractionError);
-      // Fallback to a default message if extraction fails
-      originalText = `Content from ${fileName} has been uploaded to the community library. This file contains educational material that can be accessed by community members for learning and study purposes.`;
+      return res.status(extractionError.status || 400).json({
+        success: false,
+        message: extractionError.error ? extractionError.message : 'Failed to extract text from file',
+        error: extractionError.error || 'TEXT_EXTRACTION_FAILED'
+      });
+    }
+
+    const originalText = extracted.text;
+    const fileType = extracted.fileType;
+
+    const { fingerprint, blocking } = await checkCommunityDuplicates(
+      originalText, communityId, allowDuplicate === true || allowDuplicate === 'true'
+    );
+    if (blocking.length > 0) {
+      return duplicateContentResponse(res, blocking);
     }
 
     // Create community content
@@ -157,81 +198,35 @@ router.post('/:communityId/upload', requireAuth, getOrCreateUser, upload.single(
       fileName,
       originalText,
       fileType,
+      fingerprint,
+      metadata: {
+        language: languageDetectionService.detect(originalText).language
+      },
       category,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+      status: await getSubmissionStatus(communityId, membership)
     });
 
     await communityContent.save();
+    await countSharedContent(communityContent);
 
-    // Generate AI summary after saving the content
-    try {
-      const { GoogleGenerativeAI } = require('@google/generative-ai');
-      const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-      const prompt = `
-        Analyze the following content and provide a comprehensive summary:
-        
-        Title: ${title}
-        Content: ${originalText}
-        
-        Please provide a JSON response with the following structure:
-        {
-          "summary": "A thorough summary of the content in 3-4 detailed paragraphs, covering all major points, examples, and explanations. Make it informative and well-structured.",
-          "keyTopics": ["topic1", "topic2", "topic3"],
-          "difficulty": "beginner|intermediate|advanced",
-          "estimatedReadTime": "X minutes",
-          "sections": [
-            {
-              "title": "Section Title",
-              "summary": "A detailed summary of this section capturing the main ideas and supporting details.",
-              "keyPoints": [
-                "Clear, detailed point 1",
-                "Clear, detailed point 2"
-              ]
-            }
-          ]
-        }
-        
-        Respond with only the JSON object.
-      `;
-
-      console.log('Generating AI summary for uploaded content:', communityContent._id);
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const responseText = response.text();
-      
-      const cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      const summaryData = JSON.parse(cleanedText);
-      
-      // Update the content with AI summary
-      communityContent.aiSummary = {
-        summary: summaryData.summary,
-        keyTopics: summaryData.keyTopics || [],
-        difficulty: summaryData.difficulty || 'intermediate',
-        estimatedReadTime: summaryData.estimatedReadTime || '5 minutes',
-        sections: summaryData.sections || [],
-        generatedAt: new Date()
-      };
-      
-      await communityContent.save();
-      console.log('AI summary generated and saved for content:', communityContent._id);
-      
-    } catch (summaryError) {
-      console.error('Failed to generate AI summary:', summaryError);
-      // Continue without summary - content is still uploaded successfully
-    }
-
-    // Update member stats
-    await CommunityMember.findOneAndUpdate(
-      { userId, communityId },
-      { $inc: { 'stats.contentShared': 1 } }
-    );
+    // Queue AI summary generation; approved content is available to members right away, so the
+    // summary is also ready by the time a moderator reviews pending content
+    const job = await jobQueue.enqueue('community-content-summary', {
+      communityContentId: communityContent._id
+    }, {
+      userId,
+      clerkUserId,
+      dedupeKey: `community-content-summary:${communityContent._id}`
+    });
 
     res.json({
       success: true,
-      message: 'Content uploaded successfully',
-      data: communityContent
+      message: communityContent.status === 'pending'
+        ? 'Content uploaded and submitted for moderator review'
+        : 'Content uploaded successfully',
+      data: communityContent,
+      jobId: job._id
     });
   } catch (error) {
     console.error('Upload community content error:', error);
@@ -243,7 +238,7 @@ router.post('/:communityId/upload', requireAuth, getOrCreateUser, upload.single(
 router.post('/:communityId/share/:contentId', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
     const { communityId, contentId } = req.params;
-    const { description } = req.body;
+    const { description, allowDuplicate } = req.body;
     const { _id: userId, clerkUserId } = req.user;
 
     // Check if user is a member of this community
@@ -273,11 +268,12 @@ router.post('/:communityId/share/:contentId', requireAuth, getOrCreateUser, asyn
       });
     }
 
-    // Check if already shared
+    // Check if already shared; rejected shares can be fixed and submitted again
     const existingShare = await CommunityContent.findOne({
       originalContentId: contentId,
       communityId,
-      userId
+      userId,
+      status: { $ne: 'rejected' }
     });
 
     if (existingShare) {
@@ -287,6 +283,13 @@ router.post('/:communityId/share/:contentId', requireAuth, getOrCreateUser, asyn
       });
     }
 
+    const { fingerprint, blocking } = await checkCommunityDuplicates(
+      originalContent.originalText, communityId, allowDuplicate === true || allowDuplicate === 'true'
+    );
+    if (blocking.length > 0) {
+      return duplicateContentResponse(res, blocking);
+    }
+
     // Create shared community content
     const sharedContent = new CommunityContent({
       userId,
@@ -298,21 +301,23 @@ router.post('/:communityId/share/:contentId', requireAuth, getOrCreateUser, asyn
       fileName: originalContent.fileName,
       originalText: originalContent.originalText,
       fileType: originalContent.fileType,
+      fingerprint,
+      metadata: {
+        language: originalContent.metadata?.language || languageDetectionService.detect(originalContent.originalText).language
+      },
       category: originalContent.category,
-      tags: originalContent.tags
+      tags: originalContent.tags,
+      status: await getSubmissionStatus(communityId, membership)
     });
 
     await sharedContent.save();
-
-    // Update member stats
-    await CommunityMember.findOneAndUpdate(
-      { userId, communityId },
-      { $inc: { 'stats.contentShared': 1 } }
-    );
+    await countSharedContent(sharedContent);
 
     res.json({
       success: true,
-      message: 'Content shared successfully',
+      message: sharedContent.status === 'pending'
+        ? 'Content shared and submitted for moderator review'
+        : 'Content shared successfully',
       data: sharedContent
     });
   } catch (error) {
@@ -344,8 +349,8 @@ router.get('/:communityId/content/:contentId', requireAuth, getOrCreateUser, asy
     const content = await CommunityContent.findOne({
       _id: contentId,
       communityId,
-      status: 'approved',
-      isActive: true
+      isActive: true,
+      ...visibleContentQuery(userId, membership)
     }).populate('userId', 'firstName lastName username profileImage');
 
     if (!content) {
@@ -355,10 +360,12 @@ router.get('/:communityId/content/:contentId', requireAuth, getOrCreateUser, asy
       });
     }
 
-    // Increment view count
-    await CommunityContent.findByIdAndUpdate(contentId, {
-      $inc: { viewCount: 1 }
-    });
+    // Increment view count; reviews of pending content don't count as views
+    if (content.status === 'approved') {
+      await CommunityContent.findByIdAndUpdate(contentId, {
+        $inc: { viewCount: 1 }
+      });
+    }
 
     res.json({
       success: true,
@@ -405,7 +412,7 @@ router.delete('/:communityId/content/:contentId', requireAuth, getOrCreateUser,
 
     // Check if user can delete (author or moderator/admin)
     const canDelete = content.userId.toString() === userId.toString() || 
-                     ['moderator', 'admin'].includes(membership.role);
+                     communityMembershipService.isManager(membership);
 
     if (!canDelete) {
       return res.status(403).json({
@@ -429,6 +436,202 @@ router.delete('/:communityId/content/:contentId', requireAuth, getOrCreateUser,
   }
 });
 
+// Moderators' and admins' membership, or null after sending a 403
+const findManagerMembership = async (req, res) => {
+  const membership = await CommunityMember.findOne({
+    userId: req.user._id,
+    communityId: req.params.communityId,
+    isActive: true
+  });
+
+  if (!communityMembershipService.isManager(membership)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only community moderators and admins can review content',
+      error: 'NOT_A_MODERATOR'
+    });
+    return null;
+  }
+
+  return membership;
+};
+
+const pageParams = ({ page = 1, limit = 20 }) => {
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  return { pageNum, limitNum };
+};
+
+// The author's own submissions in any status, including pending and rejected ones
+router.get('/:communityId/my-submissions', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { status } = req.query;
+    const { pageNum, limitNum } = pageParams(req.query);
+
+    const query = { communityId, userId: req.user._id, isActive: true };
+    if (status) query.status = status;
+
+    const [content, total] = await Promise.all([
+      CommunityContent.find(query)
+        .select('-originalText -fingerprint')
+        .populate('moderation.reviewedBy', 'firstName lastName username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CommunityContent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        content,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get community content submissions error:', error);
+    next(error);
+  }
+});
+
+// Review queue for moderators and admins; pending content is listed oldest first
+router.get('/:communityId/review-queue', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { status = 'pending' } = req.query;
+    const { pageNum, limitNum } = pageParams(req.query);
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const query = { communityId, status, isActive: true };
+
+    const [content, total] = await Promise.all([
+      CommunityContent.find(query)
+        .select('-originalText -fingerprint')
+        .populate('userId', 'firstName lastName username profileImage')
+        .populate('moderation.reviewedBy', 'firstName lastName username')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CommunityContent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        content,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get content review queue error:', error);
+    next(error);
+  }
+});
+
+// Approve pending content; it becomes visible to all members
+router.post('/:communityId/content/:contentId/approve', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId, contentId } = req.params;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    // Only one reviewer can act on an item
+    const content = await CommunityContent.findOneAndUpdate(
+      { _id: contentId, communityId, status: 'pending', isActive: true },
+      {
+        status: 'approved',
+        'moderation.reviewedBy': req.user._id,
+        'moderation.reviewedAt': new Date(),
+        'moderation.rejectionReason': ''
+      },
+      { new: true }
+    );
+
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending content not found',
+        error: 'PENDING_CONTENT_NOT_FOUND'
+      });
+    }
+
+    await countSharedContent(content);
+
+    await communityMembershipService.recordModeration(communityId, req.user._id, 'approve-content', {
+      targetUserId: content.userId,
+      details: { contentId: content._id, title: content.title }
+    });
+
+    res.json({
+      success: true,
+      message: 'Content approved',
+      data: content
+    });
+  } catch (error) {
+    console.error('Approve community content error:', error);
+    next(error);
+  }
+});
+
+// Reject pending content with a reason for the author
+router.post('/:communityId/content/:contentId/reject', requireAuth, getOrCreateUser, validate(schemas.contentRejection), async (req, res, next) => {
+  try {
+    const { communityId, contentId } = req.params;
+    const { reason } = req.body;
+
+    const manager = await findManagerMembership(req, res);
+    if (!manager) return;
+
+    const content = await CommunityContent.findOneAndUpdate(
+      { _id: contentId, communityId, status: 'pending', isActive: true },
+      {
+        status: 'rejected',
+        'moderation.reviewedBy': req.user._id,
+        'moderation.reviewedAt': new Date(),
+        'moderation.rejectionReason': reason
+      },
+      { new: true }
+    );
+
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending content not found',
+        error: 'PENDING_CONTENT_NOT_FOUND'
+      });
+    }
+
+    await communityMembershipService.recordModeration(communityId, req.user._id, 'reject-content', {
+      targetUserId: content.userId,
+      reason,
+      details: { contentId: content._id, title: content.title }
+    });
+
+    res.json({
+      success: true,
+      message: 'Content rejected',
+      data: content
+    });
+  } catch (error) {
+    console.error('Reject community content error:', error);
+    next(error);
+  }
+});
+
 // Generate summary for community content
 router.post('/:communityId/:contentId/generate-summary', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -453,8 +656,8 @@ router.post('/:communityId/:contentId/generate-summary', requireAuth, getOrCreat
     const content = await CommunityContent.findOne({
       _id: contentId,
       communityId,
-      status: 'approved',
-      isActive: true
+      isActive: true,
+      ...visibleContentQuery(userId, membership)
     });
 
     if (!content) {
@@ -473,73 +676,23 @@ router.post('/:communityId/:contentId/generate-summary', requireAuth, getOrCreat
       });
     }
 
-    // Generate new summary if not exists
-    console.log('Generating new AI summary for content:', contentId);
-    
-    try {
-      const { GoogleGenerativeAI } = require('@google/generative-ai');
-      const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-      const prompt = `
-        Analyze the following content and provide a comprehensive summary:
-        
-        Title: ${content.title}
-        Content: ${content.originalText}
-        
-        Please provide a JSON response with the following structure:
-        {
-          "summary": "A thorough summary of the content in 3-4 detailed paragraphs, covering all major points, examples, and explanations. Make it informative and well-structured.",
-          "keyTopics": ["topic1", "topic2", "topic3"],
-          "difficulty": "beginner|intermediate|advanced",
-          "estimatedReadTime": "X minutes",
-          "sections": [
-            {
-              "title": "Section Title",
-              "summary": "A detailed summary of this section capturing the main ideas and supporting details.",
-              "keyPoints": [
-                "Clear, detailed point 1",
-                "Clear, detailed point 2"
-              ]
-            }
-          ]
-        }
-        
-        Respond with only the JSON object.
-      `;
-      
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const responseText = response.text();
-      
-      const cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      const summaryData = JSON.parse(cleanedText);
-      
-      // Save the generated summary to database
-      content.aiSummary = {
-        summary: summaryData.summary,
-        keyTopics: summaryData.keyTopics || [],
-        difficulty: summaryData.difficulty || 'intermediate',
-        estimatedReadTime: summaryData.estimatedReadTime || '5 minutes',
-        sections: summaryData.sections || [],
-        generatedAt: new Date()
-      };
-      
-      await content.save();
-      console.log('New AI summary generated and saved for content:', contentId);
-      
-      res.json({
-        success: true,
-        data: content.aiSummary
-      });
-      
-    } catch (parseError) {
-      console.error('Failed to parse AI summary response:', parseError);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate content summary'
-      });
-    }
+    // Queue summary generation if it doesn't exist yet; clients poll the job status endpoint
+    const job = await jobQueue.enqueue('community-content-summary', {
+      communityContentId: content._id
+    }, {
+      userId,
+      clerkUserId: req.user.clerkUserId,
+      dedupeKey: `community-content-summary:${content._id}`
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Summary generation queued',
+      data: {
+        jobId: job._id,
+        status: job.status
+      }
+    });
 
   } catch (error) {
     console.error('Generate community content summary error:', error);
@@ -1,15 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const multer = require('multer');
 const { validate, schemas } = require('../middleware/validation');
 const { requireAuth, getOrCreateUser, requireUsername } = require('../middleware/auth');
 const CommunityQuiz = require('../models/CommunityQuiz');
 const CommunityQuizAttempt = require('../models/CommunityQuizAttempt');
 const CommunityMember = require('../models/CommunityMember');
 const CommunityContent = require('../models/CommunityContent');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const geminiService = require('../services/geminiService');
+const quizAttemptService = require('../services/quizAttemptService');
+const quizDeliveryService = require('../services/quizDeliveryService');
+const questionBankService = require('../services/questionBankService');
+const quizFormats = require('../services/quizFormats');
+const itemAnalysisService = require('../services/itemAnalysisService');
+const { FINISHED_STATUSES } = quizAttemptService;
 
 console.log('🔧 Community Quiz routes loaded');
 
@@ -96,6 +101,22 @@ router.post('/:communityId/test-route', (req, res) => {
   res.json({ message: 'Test route working', params: req.params });
 });
 
+// Optional `questionTypes` for AI generation; sends a 400 and returns null when invalid
+const readQuestionTypes = (req, res) => {
+  if (req.body.questionTypes === undefined) return undefined;
+
+  const { error, value } = schemas.communityQuestionTypes.validate(req.body.questionTypes);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid questionTypes: ${error.details[0].message}`,
+      error: 'VALIDATION_ERROR'
+    });
+    return null;
+  }
+  return value;
+};
+
 // Create quiz from community content
 router.post('/:communityId/create-from-content/:contentId', requireAuth, getOrCreateUser, requireUsername, async (req, res, next) => {
   try {
@@ -110,6 +131,9 @@ router.post('/:communityId/create-from-content/:contentId', requireAuth, getOrCr
     } = req.body;
     const { _id: userId, clerkUserId } = req.user;
 
+    const questionTypes = readQuestionTypes(req, res);
+    if (questionTypes === null) return;
+
     console.log('🚀 Creating quiz from content with params:', {
       communityId,
       contentId,
@@ -165,49 +189,27 @@ router.post('/:communityId/create-from-content/:contentId', requireAuth, getOrCr
       });
     }
 
-    // Generate questions using Gemini AI
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    const prompt = `Generate ${questionCount} multiple choice questions based on the following content. 
-    Make them ${difficulty} level difficulty.
-    
-    Content:
-    ${content.originalText}
-    
-    Return the response in the following JSON format:
-    {
-      "questions": [
-        {
-          "question": "Question text here",
-          "options": ["Option A", "Option B", "Option C", "Option D"],
-          "correctAnswer": 0,
-          "explanation": "Explanation for the correct answer",
-          "difficulty": "easy|medium|hard",
-          "points": 1
-        }
-      ]
-    }`;
-
+    // Generate questions using the configured AI provider
     console.log('Generating quiz with prompt for content:', content._id);
     console.log('Content text length:', content.originalText.length);
     
     let questionsData;
     try {
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const responseText = response.text();
-      console.log('AI Response received:', responseText.substring(0, 500) + '...');
-      
-      const cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      questionsData = JSON.parse(cleanedText);
+      questionsData = await geminiService.generateCommunityQuizQuestions({
+        text: content.originalText,
+        questionCount,
+        difficulty,
+        questionTypes,
+        language: content.metadata?.language
+      });
       console.log('Questions parsed successfully, count:', questionsData.questions?.length);
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', parseError);
-      console.error('Raw AI response:', response?.text?.());
-      return res.status(500).json({
+    } catch (aiError) {
+      console.error('Failed to parse AI response:', aiError);
+      return res.status(aiError.status || 500).json({
         success: false,
         message: 'Failed to generate questions from AI response',
-        error: parseError.message
+        error: aiError.error || 'AI_SERVICE_ERROR',
+        ...(aiError.errors && { errors: aiError.errors })
       });
     }
 
@@ -280,6 +282,9 @@ router.post('/:communityId/create-custom', requireAuth, getOrCreateUser, async (
     } = req.body;
     const { _id: userId, clerkUserId } = req.user;
 
+    const questionTypes = readQuestionTypes(req, res);
+    if (questionTypes === null) return;
+
     // Check if user is a member of this community
     const membership = await CommunityMember.findOne({ 
       userId, 
@@ -294,45 +299,25 @@ router.post('/:communityId/create-custom', requireAuth, getOrCreateUser, async (
       });
     }
 
-    // Generate questions using Gemini AI
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    const prompt = `Generate ${questionCount} multiple choice questions about: ${customTopic}
-    Make them ${difficulty} level difficulty.
-    
-    Return the response in the following JSON format:
-    {
-      "questions": [
-        {
-          "question": "Question text here",
-          "options": ["Option A", "Option B", "Option C", "Option D"],
-          "correctAnswer": 0,
-          "explanation": "Explanation for the correct answer",
-          "difficulty": "easy|medium|hard",
-          "points": 1
-        }
-      ]
-    }`;
-
+    // Generate questions using the configured AI provider
     console.log('Generating custom quiz for topic:', customTopic);
     
     let questionsData;
     try {
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const responseText = response.text();
-      console.log('AI Response received for custom quiz:', responseText.substring(0, 500) + '...');
-      
-      const cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      questionsData = JSON.parse(cleanedText);
+      questionsData = await geminiService.generateCommunityQuizQuestions({
+        topic: customTopic,
+        questionCount,
+        difficulty,
+        questionTypes
+      });
       console.log('Custom quiz questions parsed successfully, count:', questionsData.questions?.length);
-    } catch (parseError) {
-      console.error('Failed to parse AI response for custom quiz:', parseError);
-      console.error('Raw AI response:', response?.text?.());
-      return res.status(500).json({
+    } catch (aiError) {
+      console.error('Failed to parse AI response for custom quiz:', aiError);
+      return res.status(aiError.status || 500).json({
         success: false,
         message: 'Failed to generate custom quiz questions from AI response',
-        error: parseError.message
+        error: aiError.error || 'AI_SERVICE_ERROR',
+        ...(aiError.errors && { errors: aiError.errors })
       });
     }
 
@@ -391,6 +376,292 @@ router.post('/:communityId/create-custom', requireAuth, getOrCreateUser, async (
   }
 });
 
+// Create a quiz whose questions are drawn from the community question bank on every attempt
+router.post('/:communityId/create-from-bank', requireAuth, getOrCreateUser, requireUsername, validate(schemas.communityBankQuiz), async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { _id: userId, clerkUserId } = req.user;
+    const { drawRules, ...fields } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(communityId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid community ID format',
+        error: 'INVALID_COMMUNITY_ID'
+      });
+    }
+
+    if (!(await questionBankService.canManageCommunityBank(req.user, communityId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only community moderators and admins can create quizzes from the question bank',
+        error: 'BANK_ACCESS_DENIED'
+      });
+    }
+
+    const availability = await questionBankService.checkAvailability(
+      drawRules,
+      questionBankService.getScope(req.user, communityId),
+      { community: true }
+    );
+    const shortRules = availability.filter(item => item.available < item.requested);
+    if (shortRules.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough questions in the community bank for some draw rules',
+        error: 'INSUFFICIENT_QUESTIONS',
+        data: { rules: shortRules }
+      });
+    }
+
+    const quiz = new CommunityQuiz({
+      ...fields,
+      userId,
+      clerkUserId,
+      communityId,
+      isCustom: true,
+      type: 'public',
+      drawRules,
+      questions: [],
+      status: 'published',
+      isActive: true
+    });
+    await quiz.save();
+
+    await CommunityMember.findOneAndUpdate(
+      { userId, communityId },
+      { $inc: { 'stats.quizzesCreated': 1 } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created from the community question bank',
+      data: {
+        quiz,
+        questionsPerAttempt: drawRules.reduce((sum, rule) => sum + rule.count, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Create community bank quiz error:', error);
+    next(error);
+  }
+});
+
+// Question files for import are small text/XML files or QTI packages
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Import a community quiz from a GIFT, QTI 2.1 or CSV file (multipart "file", or the file's text in "data").
+// Short-answer and essay questions don't fit a community quiz; quizFormats.toCommunityQuestions lists what does.
+router.post('/:communityId/import', requireAuth, getOrCreateUser, requireUsername, importUpload.single('file'), validate(schemas.communityQuizImport), async (req, res, next) => {
+  try {
+    const { communityId } = req.params;
+    const { _id: userId, clerkUserId } = req.user;
+    const { format, data, skipInvalid, dryRun, ...fields } = req.body;
+
+    const membership = await CommunityMember.findOne({
+      userId,
+      communityId,
+      isActive: true
+    });
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must be a member to create quizzes'
+      });
+    }
+
+    const parsed = await quizFormats.readImport({ file: req.file, data, format });
+    const converted = quizFormats.toCommunityQuestions(parsed.questions);
+    const errors = [...parsed.errors, ...converted.errors];
+    const summary = { format: parsed.format, total: parsed.total, valid: converted.questions.length, errors };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${converted.questions.length} of ${parsed.total} question(s) can be imported`,
+        data: {
+          ...summary,
+          questions: converted.questions
+        }
+      });
+    }
+
+    if (converted.questions.length === 0 || (errors.length > 0 && !skipInvalid)) {
+      return res.status(400).json({
+        success: false,
+        message: converted.questions.length === 0
+          ? 'No valid questions found in the file'
+          : `${errors.length} question(s) have errors; fix them or import with skipInvalid`,
+        error: 'IMPORT_VALIDATION_ERROR',
+        data: summary
+      });
+    }
+
+    const quizData = {
+      ...fields,
+      userId,
+      clerkUserId,
+      communityId,
+      isCustom: true,
+      questions: converted.questions,
+      status: 'published',
+      isActive: true
+    };
+
+    // Private quizzes start open to all current members, as with custom quizzes
+    if (fields.type === 'private') {
+      const communityMembers = await CommunityMember.find({
+        communityId,
+        isActive: true
+      }).select('userId');
+      quizData.allowedUsers = communityMembers.map(member => member.userId);
+    }
+
+    const quiz = new CommunityQuiz(quizData);
+    await quiz.save();
+
+    await CommunityMember.findOneAndUpdate(
+      { userId, communityId },
+      { $inc: { 'stats.quizzesCreated': 1 } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Quiz imported with ${converted.questions.length} question(s)`,
+      data: {
+        quiz,
+        accessCode: quiz.accessCode,
+        ...summary
+      }
+    });
+  } catch (error) {
+    console.error('Import community quiz error:', error);
+    next(error);
+  }
+});
+
+// Download a community quiz as GIFT, QTI 2.1 (content package) or CSV; ?format= defaults to gift.
+// Exports include the answer key, so only the quiz's creator and community moderators/admins may export.
+router.get('/:communityId/quiz/:quizId/export', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId, quizId } = req.params;
+    const format = String(req.query.format || 'gift').toLowerCase();
+
+    if (!quizFormats.FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${Object.keys(quizFormats.FORMATS).join(', ')}`,
+        error: 'UNSUPPORTED_FORMAT'
+      });
+    }
+
+    const quiz = await CommunityQuiz.findOne({
+      _id: quizId,
+      communityId,
+      isActive: true
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const membership = await CommunityMember.findOne({
+      userId: req.user._id,
+      communityId,
+      isActive: true
+    });
+    const isCreator = quiz.userId.equals(req.user._id);
+
+    if (!isCreator && !['moderator', 'admin'].includes(membership?.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the quiz creator and community moderators can export this quiz',
+        error: 'EXPORT_NOT_ALLOWED'
+      });
+    }
+
+    if (quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quiz draws its questions from the question bank and has none to export',
+        error: 'QUIZ_HAS_NO_QUESTIONS'
+      });
+    }
+
+    const file = await quizFormats.exportQuestions(format, { title: quiz.title, questions: quizFormats.fromCommunityQuiz(quiz) });
+
+    res.attachment(file.fileName);
+    res.type(file.contentType);
+    if (file.skipped > 0) {
+      // Questions of types the format can't express are left out of the file
+      res.set('X-Skipped-Questions', String(file.skipped));
+    }
+    res.send(file.body);
+  } catch (error) {
+    console.error('Export community quiz error:', error);
+    next(error);
+  }
+});
+
+// Per-question statistics from finished attempts, for the quiz creator and community moderators
+router.get('/:communityId/quiz/:quizId/item-analysis', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId, quizId } = req.params;
+
+    const quiz = await CommunityQuiz.findOne({
+      _id: quizId,
+      communityId,
+      isActive: true
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const membership = await CommunityMember.findOne({
+      userId: req.user._id,
+      communityId,
+      isActive: true
+    });
+    const isCreator = quiz.userId.equals(req.user._id);
+
+    if (!isCreator && !['moderator', 'admin'].includes(membership?.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the quiz creator and community moderators can view item analysis',
+        error: 'ITEM_ANALYSIS_NOT_ALLOWED'
+      });
+    }
+
+    const analysis = await itemAnalysisService.analyzeCommunityQuiz(quiz);
+
+    res.json({
+      success: true,
+      data: {
+        quizId: quiz._id,
+        title: quiz.title,
+        ...analysis,
+        generatedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Community quiz item analysis error:', error);
+    next(error);
+  }
+});
+
 // Join private quiz with access code
 router.post('/join-private', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -511,10 +782,13 @@ router.get('/:communityId/quiz/:quizId', requireAuth, getOrCreateUser, async (re
       communityQuizId: quizId
     }).select('attemptNumber score percentage isPassed createdAt');
 
+    // Only the creator sees correct answers and explanations here
+    const isCreator = quiz.userId?._id?.toString() === userId.toString();
+
     res.json({
       success: true,
       data: {
-        quiz,
+        quiz: isCreator ? quiz : quizDeliveryService.stripCommunityAnswers(quiz),
         userAttempts,
         canAttempt: userAttempts.length < quiz.maxAttempts
       }
@@ -731,6 +1005,34 @@ router.post('/:communityId/quiz/:quizId/attempt', requireAuth, getOrCreateUser,
       });
     }
 
+    // Resume an unfinished attempt with its saved answers; one whose time ran out is closed instead
+    let inProgressAttempt = await CommunityQuizAttempt.findOne({
+      userId,
+      communityQuizId: quizId,
+      status: 'in-progress'
+    }).sort({ attemptNumber: -1 });
+
+    if (inProgressAttempt && quizAttemptService.isExpired(inProgressAttempt)) {
+      await quizAttemptService.timeOutCommunityAttempt(inProgressAttempt, quiz);
+      inProgressAttempt = null;
+    }
+
+    if (inProgressAttempt) {
+      return res.json({
+        success: true,
+        message: 'Quiz attempt resumed',
+        data: {
+          ...inProgressAttempt.toJSON(),
+          ...quizAttemptService.getTiming(inProgressAttempt),
+          quiz: quizDeliveryService.buildCommunityQuizView(
+            questionBankService.getAttemptQuiz(quiz, inProgressAttempt),
+            inProgressAttempt
+          ),
+          isResumed: true
+        }
+      });
+    }
+
     // Check if user can take more attempts
     const existingAttempts = await CommunityQuizAttempt.countDocuments({
       userId,
@@ -744,14 +1046,38 @@ router.post('/:communityId/quiz/:quizId/attempt', requireAuth, getOrCreateUser,
       });
     }
 
-    // Create new attempt
+    // Bank quizzes get a fresh sample of questions for every attempt
+    let drawnQuestions = [];
+    if (quiz.drawRules?.length > 0) {
+      const drawn = await questionBankService.drawQuestions(
+        quiz.drawRules,
+        questionBankService.getScope(req.user, communityId),
+        { community: true }
+      );
+      if (drawn.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'The question bank has no questions matching this quiz',
+          error: 'NO_QUESTIONS_AVAILABLE'
+        });
+      }
+      drawnQuestions = drawn.map(question => questionBankService.toCommunityQuestion(question));
+    }
+    const questions = drawnQuestions.length > 0 ? drawnQuestions : quiz.questions;
+
+    // Create new attempt; the deadline is enforced on submit and by the timeout sweeper
+    const startedAt = new Date();
     const attempt = new CommunityQuizAttempt({
       userId,
       clerkUserId,
       communityId,
       communityQuizId: quizId,
       attemptNumber: existingAttempts + 1,
-      answers: quiz.questions.map((q, index) => ({
+      startedAt,
+      expiresAt: quizAttemptService.getExpiresAt(startedAt, quiz.timeLimit),
+      shuffleSeed: quizDeliveryService.createSeed(),
+      drawnQuestions,
+      answers: questions.map((q, index) => ({
         questionIndex: index,
         questionId: q._id || `q_${index}`,
         selectedAnswer: null,
@@ -764,7 +1090,11 @@ router.post('/:communityId/quiz/:quizId/attempt', requireAuth, getOrCreateUser,
 
     res.json({
       success: true,
-      data: attempt
+      data: {
+        ...attempt.toJSON(),
+        ...quizAttemptService.getTiming(attempt),
+        quiz: quizDeliveryService.buildCommunityQuizView(questionBankService.getAttemptQuiz(quiz, attempt), attempt)
+      }
     });
   } catch (error) {
     console.error('Start community quiz attempt error:', error);
@@ -772,6 +1102,148 @@ router.post('/:communityId/quiz/:quizId/attempt', requireAuth, getOrCreateUser,
   }
 });
 
+const communityAnswerSaveSchema = require('joi').object({
+  selectedAnswer: require('joi').number().integer().min(0).allow(null).optional(), // multiple choice
+  // Other types: displayed option positions (multi-select, ordering), texts (fill-in-the-blank,
+  // matching) or a number with an optional unit (numeric)
+  response: require('joi').alternatives().try(
+    require('joi').string().allow('').max(1000),
+    require('joi').number(),
+    require('joi').array().items(
+      require('joi').number().integer().min(0),
+      require('joi').string().allow('').max(1000)
+    ).max(50)
+  ).allow(null).optional(),
+  timeSpent: require('joi').number().min(0).optional(), // total seconds on this question
+  flagged: require('joi').boolean().optional(),
+  confidence: require('joi').string().valid('low', 'medium', 'high').allow(null).optional()
+}).min(1);
+
+// Why an answer doesn't fit its question's type, or null when it does
+const getCommunityAnswerError = (question, { selectedAnswer, response }) => {
+  const type = question.type || 'multiple-choice';
+
+  if (type === 'multiple-choice') {
+    if (response !== undefined) return 'multiple choice answers are sent as selectedAnswer';
+    if (Number.isInteger(selectedAnswer) && selectedAnswer >= question.options.length) {
+      return `the question has only ${question.options.length} options`;
+    }
+    return null;
+  }
+
+  if (selectedAnswer !== undefined) return `${type} answers are sent as response`;
+  if (response === undefined || response === null) return null;
+
+  if (['multi-select', 'ordering'].includes(type)) {
+    const valid = Array.isArray(response)
+      && response.every(position => Number.isInteger(position) && position < question.options.length)
+      && new Set(response).size === response.length;
+    return valid ? null : `${type} answers are lists of distinct option positions`;
+  }
+  if (['fill-in-the-blank', 'matching'].includes(type)) {
+    return Array.isArray(response) && response.every(item => typeof item === 'string')
+      ? null
+      : `${type} answers are lists of texts`;
+  }
+  return Array.isArray(response) ? 'numeric answers are a number, optionally followed by a unit' : null;
+};
+
+// Save one answer (and time spent / review flag / confidence) while the attempt is in progress
+router.put('/:communityId/quiz/:quizId/attempt/:attemptId/answers/:questionIndex', requireAuth, getOrCreateUser, requireUsername, async (req, res, next) => {
+  try {
+    const { quizId, attemptId } = req.params;
+    const questionIndex = parseInt(req.params.questionIndex, 10);
+
+    const { error, value } = communityAnswerSaveSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const attempt = await CommunityQuizAttempt.findOne({
+      _id: attemptId,
+      userId: req.user._id,
+      communityQuizId: quizId,
+      status: 'in-progress'
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found or already completed'
+      });
+    }
+
+    const originalQuiz = await CommunityQuiz.findById(quizId);
+    if (!originalQuiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+    const quiz = questionBankService.getAttemptQuiz(originalQuiz, attempt);
+
+    if (quizAttemptService.isExpired(attempt)) {
+      await quizAttemptService.timeOutCommunityAttempt(attempt, originalQuiz);
+      return res.status(409).json({
+        success: false,
+        message: 'Time limit exceeded. The attempt was submitted with the answers saved before the deadline.',
+        error: 'TIME_LIMIT_EXCEEDED'
+      });
+    }
+
+    const question = quiz.questions[questionIndex];
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz'
+      });
+    }
+
+    const answerError = getCommunityAnswerError(question, value);
+    if (answerError) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${questionIndex + 1}: ${answerError}`,
+        error: 'INVALID_ANSWER'
+      });
+    }
+
+    // Option positions are as displayed; store canonical indexes
+    const { optionOrders } = quizDeliveryService.getCommunityOrder(quiz, attempt);
+    const savedAnswer = quizAttemptService.saveCommunityAnswer(attempt, questionIndex, {
+      ...value,
+      ...(value.selectedAnswer !== undefined && {
+        selectedAnswer: quizDeliveryService.toCanonicalOption(quiz, attempt, questionIndex, value.selectedAnswer)
+      }),
+      ...(value.response !== undefined && {
+        response: quizDeliveryService.toCanonicalResponse(question, optionOrders[questionIndex], value.response)
+      })
+    });
+    await attempt.save();
+
+    res.json({
+      success: true,
+      message: 'Answer saved',
+      data: {
+        attemptId: attempt._id,
+        answer: savedAnswer,
+        answeredCount: attempt.answers.filter(item => quizAttemptService.isCommunityAnswered(item)).length,
+        flaggedCount: attempt.answers.filter(item => item.flagged).length,
+        totalQuestions: quiz.questions.length,
+        ...quizAttemptService.getTiming(attempt)
+      }
+    });
+  } catch (error) {
+    console.error('Save community quiz answer error:', error);
+    next(error);
+  }
+});
+
 // Submit community quiz attempt
 router.post('/:communityId/quiz/:quizId/attempt/:attemptId/submit', requireAuth, getOrCreateUser, requireUsername, async (req, res, next) => {
   try {
@@ -794,53 +1266,53 @@ router.post('/:communityId/quiz/:quizId/attempt/:attemptId/submit', requireAuth,
       });
     }
 
-    // Get the quiz for scoring
-    const quiz = await CommunityQuiz.findById(quizId);
-    if (!quiz) {
+    // Get the quiz for scoring (bank quizzes score against the questions drawn for this attempt)
+    const originalQuiz = await CommunityQuiz.findById(quizId);
+    if (!originalQuiz) {
       return res.status(404).json({
         success: false,
         message: 'Quiz not found'
       });
     }
+    const quiz = questionBankService.getAttemptQuiz(originalQuiz, attempt);
 
-    // Calculate score
-    let correctAnswers = 0;
-    console.log('Starting score calculation for quiz:', quizId);
-    console.log('Number of questions:', quiz.questions.length);
-    console.log('Number of answers received:', answers.length);
-    
-    const scoredAnswers = answers.map((answer, index) => {
-      const question = quiz.questions[index];
-      console.log(`Question ${index}:`, {
-        questionText: question?.question,
-        correctAnswer: question?.correctAnswer,
-        userAnswer: answer.selectedAnswer,
-        userAnswerType: typeof answer.selectedAnswer
-      });
-      
-      const isCorrect = question && question.correctAnswer === answer.selectedAnswer;
-      if (isCorrect) {
-        correctAnswers++;
-        console.log(`Question ${index}: CORRECT`);
-      } else {
-        console.log(`Question ${index}: INCORRECT - Expected ${question?.correctAnswer}, got ${answer.selectedAnswer}`);
+    // Past the deadline: close the attempt with the answers saved in time and reject the late ones
+    if (quizAttemptService.isExpired(attempt)) {
+      const timedOutAttempt = await quizAttemptService.timeOutCommunityAttempt(attempt, originalQuiz);
+      if (!timedOutAttempt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz attempt not found or already completed'
+        });
       }
-      
-      return {
-        questionIndex: index,
-        questionId: question?._id || `q_${index}`,
-        selectedAnswer: answer.selectedAnswer,
-        isCorrect,
-        timeSpent: answer.timeSpent || 0
-      };
-    });
 
+      return res.status(409).json({
+        success: false,
+        message: 'Time limit exceeded. Answers submitted after the deadline were not accepted.',
+        error: 'TIME_LIMIT_EXCEEDED',
+        data: {
+          attempt: timedOutAttempt,
+          score: timedOutAttempt.score,
+          percentage: timedOutAttempt.percentage,
+          isPassed: timedOutAttempt.isPassed,
+          correctAnswers: timedOutAttempt.correctAnswers,
+          totalQuestions: quiz.questions.length,
+          totalTimeTaken: timedOutAttempt.totalTimeTaken,
+          review: quizDeliveryService.buildCommunityReview(quiz, timedOutAttempt)
+        }
+      });
+    }
+
+    // Calculate score from the saved answers, replaced by any sent with the submit
+    // (submitted answers use served positions and are mapped back to the canonical order first)
+    const submittedAnswers = quizDeliveryService.toCanonicalCommunityAnswers(quiz, attempt, answers);
+    const { answers: scoredAnswers, correctAnswers, percentage, isPassed } =
+      quizAttemptService.scoreCommunityAnswers(quiz, quizAttemptService.collectCommunityAnswers(quiz, attempt, submittedAnswers));
     const score = correctAnswers;
-    const percentage = Math.round((correctAnswers / quiz.questions.length) * 100);
     const totalTimeTaken = timeSpent || scoredAnswers.reduce((total, answer) => total + (answer.timeSpent || 0), 0);
-    const isPassed = percentage >= (quiz.passingScore || 70);
 
     console.log('Final score calculation:', {
+      quizId,
       correctAnswers,
       totalQuestions: quiz.questions.length,
       score,
@@ -851,13 +1323,23 @@ router.post('/:communityId/quiz/:quizId/attempt/:attemptId/submit', requireAuth,
     // Update attempt
     attempt.answers = scoredAnswers;
     attempt.score = score;
+    attempt.correctAnswers = correctAnswers;
+    attempt.totalQuestions = quiz.questions.length;
     attempt.percentage = percentage;
     attempt.totalTimeTaken = totalTimeTaken;
     attempt.isPassed = isPassed;
     attempt.status = 'completed';
     attempt.completedAt = new Date();
 
-    await attempt.save();
+    // The sweeper or another submit may have closed the attempt while this one was scored
+    if (!await quizAttemptService.saveIfInProgress(attempt)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt was already submitted or timed out',
+        error: 'ATTEMPT_ALREADY_CLOSED'
+      });
+    }
+    await quizAttemptService.recordCommunityResult(originalQuiz, attempt);
 
     res.json({
       success: true,
@@ -868,7 +1350,8 @@ router.post('/:communityId/quiz/:quizId/attempt/:attemptId/submit', requireAuth,
         isPassed,
         correctAnswers,
         totalQuestions: quiz.questions.length,
-        totalTimeTaken
+        totalTimeTaken,
+        review: quizDeliveryService.buildCommunityReview(quiz, attempt)
       }
     });
   } catch (error) {
@@ -888,7 +1371,7 @@ router.get('/user/attempts', requireAuth, getOrCreateUser, async (req, res, next
     // Get user's community quiz attempts
     const attempts = await CommunityQuizAttempt.find({
       userId,
-      status: 'completed'
+      status: { $in: FINISHED_STATUSES }
     })
     .populate({
       path: 'communityQuizId',
@@ -903,7 +1386,7 @@ router.get('/user/attempts', requireAuth, getOrCreateUser, async (req, res, next
 
     const total = await CommunityQuizAttempt.countDocuments({
       userId,
-      status: 'completed'
+      status: { $in: FINISHED_STATUSES }
     });
 
     // Format the response to match regular quiz format
@@ -4,7 +4,12 @@ const multer = require('multer');
 const { requireAuth, getOrCreateUser } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const databaseService = require('../services/databaseService');
-const geminiService = require('../services/geminiService');
+const textExtractionService = require('../services/textExtractionService');
+const languageDetectionService = require('../services/languageDetectionService');
+const jobQueue = require('../services/jobQueue');
+const contentRevisionService = require('../services/contentRevisionService');
+const outlineService = require('../services/outlineService');
+const fingerprintService = require('../services/fingerprintService');
 const Content = require('../models/Content');
 
 // Configure multer for file uploads with better error handling
@@ -16,15 +21,10 @@ const upload = multer({
     fieldSize: 1024 * 1024, // 1MB for other fields
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'text/plain', 'text/markdown', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-    const allowedExtensions = ['.pdf', '.txt', '.md', '.docx'];
-    
-    const fileExtension = require('path').extname(file.originalname).toLowerCase();
-    
-    if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+    if (textExtractionService.isSupported(file)) {
       cb(null, true);
     } else {
-      cb(new Error(`Invalid file type. Only PDF, TXT, MD, and DOCX files are allowed. Received: ${file.mimetype}`), false);
+      cb(new Error(`Invalid file type. Only PDF, TXT, MD, DOCX, and HTML files are allowed. Received: ${file.mimetype}`), false);
     }
   }
 });
@@ -33,9 +33,63 @@ const upload = multer({
 const contentUploadSchema = require('joi').object({
   title: require('joi').string().min(3).max(200).required().trim(),
   category: require('joi').string().valid('technology', 'science', 'business', 'education', 'health', 'arts', 'general').default('general'),
-  tags: require('joi').array().items(require('joi').string().trim().max(50)).max(10).optional()
+  tags: require('joi').array().items(require('joi').string().trim().max(50)).max(10).optional(),
+  onDuplicate: require('joi').string().valid('warn', 'reuse-summary', 'use-existing').default('warn')
 });
 
+// Summaries are keyed by revision so an in-flight job for older text doesn't absorb the new one
+const enqueueRevisionSummary = (content, user) => jobQueue.enqueue('content-summary', {
+  contentId: content._id,
+  revision: content.currentRevision
+}, {
+  userId: user._id,
+  clerkUserId: user.clerkUserId,
+  dedupeKey: `content-summary:${content._id}:${content.currentRevision}`
+});
+
+// Look for earlier uploads of the same (or nearly the same) text by this user
+const findUserDuplicates = async (text, user) => {
+  const fingerprint = fingerprintService.compute(text);
+  const matches = await fingerprintService.findDuplicates(Content, fingerprint, { clerkUserId: user.clerkUserId }, {
+    select: 'title fileName status createdAt aiSummary'
+  });
+  return { fingerprint, matches };
+};
+
+// onDuplicate=use-existing: hand back the earlier upload instead of storing another copy
+const existingDuplicateResponse = (res, matches) => {
+  const existing = matches[0].document;
+  return res.json({
+    success: true,
+    message: 'This document has already been uploaded. Returning the existing copy.',
+    data: {
+      contentId: existing._id,
+      title: existing.title,
+      status: existing.status,
+      duplicate: true,
+      duplicates: matches.map(match => fingerprintService.describeMatch(match))
+    }
+  });
+};
+
+// onDuplicate=reuse-summary: copy a processed duplicate's summary instead of generating a new one.
+// Returns the source content id, or null when the summary still has to be generated.
+const reuseDuplicateSummary = (contentData, matches, onDuplicate) => {
+  if (onDuplicate !== 'reuse-summary') return null;
+
+  const source = matches.find(match => match.document.status === 'processed' && match.document.aiSummary?.summary);
+  if (!source) return null;
+
+  contentData.aiSummary = JSON.parse(JSON.stringify(source.document.toObject().aiSummary));
+  contentData.status = 'processed';
+  contentData.processingProgress = { stage: 'completed', percent: 100, updatedAt: new Date() };
+  return source.document._id;
+};
+
+const duplicateWarning = (matches) => (matches.length > 0
+  ? `Similar content already exists: "${matches[0].document.title}" (${Math.round(matches[0].similarity * 100)}% match)`
+  : undefined);
+
 // Upload content with enhanced validation and error handling
 router.post('/upload', requireAuth, getOrCreateUser, upload.single('file'), async (req, res, next) => {
   try {
@@ -59,33 +113,31 @@ router.post('/upload', requireAuth, getOrCreateUser, upload.single('file'), asyn
       });
     }
 
-    const { title, category = 'general', tags = [] } = value;
+    const { title, category = 'general', tags = [], onDuplicate } = value;
     const user = req.user;
     
-    // Extract text from file buffer
-    let extractedText;
+    // Extract text from file buffer using the parser for its type
+    let extracted;
     try {
-      extractedText = req.file.buffer.toString('utf-8');
-      
-      // Basic text validation
-      if (extractedText.trim().length < 50) {
-        return res.status(400).json({
-          success: false,
-          message: 'File content is too short. Minimum 50 characters required.',
-          error: 'CONTENT_TOO_SHORT'
-        });
-      }
+      extracted = await textExtractionService.extract(req.file);
     } catch (textError) {
       console.error('Error extracting text:', textError);
-      return res.status(400).json({
+      return res.status(textError.status || 400).json({
         success: false,
-        message: 'Failed to extract text from file',
-        error: 'TEXT_EXTRACTION_FAILED'
+        message: textError.error ? textError.message : 'Failed to extract text from file',
+        error: textError.error || 'TEXT_EXTRACTION_FAILED'
       });
     }
 
+    const extractedText = extracted.text;
+
+    const { fingerprint, matches } = await findUserDuplicates(extractedText, user);
+    if (matches.length > 0 && onDuplicate === 'use-existing') {
+      return existingDuplicateResponse(res, matches);
+    }
+
     // Calculate metadata
-    const wordCount = extractedText.split(/\s+/).length;
+    const wordCount = extracted.wordCount;
     const estimatedReadingTime = Math.ceil(wordCount / 200); // Average 200 words per minute
 
     // Create content document with enhanced fields
@@ -95,18 +147,23 @@ router.post('/upload', requireAuth, getOrCreateUser, upload.single('file'), asyn
       title,
       fileName: req.file.originalname,
       originalText: extractedText,
-      fileType: req.file.mimetype,
+      fileType: extracted.fileType,
       category,
       tags: tags.map(tag => tag.toLowerCase()),
+      outline: outlineService.build(extractedText, extracted.fileType),
+      fingerprint,
       status: 'processing',
       metadata: {
         wordCount,
+        pageCount: extracted.pageCount,
         fileSize: req.file.size,
         readingTime: estimatedReadingTime,
-        language: 'en' // TODO: Add language detection
+        language: languageDetectionService.detect(extractedText).language
       }
     };
 
+    const summaryReusedFrom = reuseDuplicateSummary(contentData, matches, onDuplicate);
+
     // Save content to database first
     const result = await databaseService.createContent(contentData);
     if (!result.success) {
@@ -120,45 +177,30 @@ router.post('/upload', requireAuth, getOrCreateUser, upload.single('file'), asyn
     const content = result.data;
     const contentId = content._id;
 
-    // Process content with AI in background (don't wait for it)
-    setImmediate(async () => {
-      try {
-        const aiSummary = await geminiService.generateContentSummary(extractedText, title);
-        
-        await Content.findByIdAndUpdate(contentId, {
-          status: 'processed',
-          aiSummary: {
-            summary: aiSummary.summary,
-            keyTopics: aiSummary.keyTopics?.map(topic => ({
-              topic: topic,
-              confidence: 0.8 // Default confidence
-            })) || [],
-            difficulty: aiSummary.difficulty || 'intermediate',
-            estimatedStudyTime: parseInt(aiSummary.estimatedReadTime?.replace(/\D/g, '')) || estimatedReadingTime
-          }
-        });
-        
-        console.log(`Content ${contentId} processed successfully`);
-      } catch (aiError) {
-        console.error('AI processing error:', aiError);
-        await Content.findByIdAndUpdate(contentId, {
-          status: 'failed'
-        });
-      }
-    });
+    // Queue AI processing so it survives restarts (don't wait for it)
+    const job = summaryReusedFrom ? null : await enqueueRevisionSummary(content, user);
 
     res.status(201).json({
       success: true,
-      message: 'Content uploaded successfully. AI processing in progress.',
+      message: summaryReusedFrom
+        ? 'Content uploaded successfully. Summary reused from a matching upload.'
+        : 'Content uploaded successfully. AI processing in progress.',
+      warning: duplicateWarning(matches),
       data: {
         contentId: contentId,
         title,
         category,
         fileName: req.file.originalname,
         fileSize: req.file.size,
+        fileType: extracted.fileType,
+        pageCount: extracted.pageCount,
         wordCount,
         estimatedReadingTime,
-        status: 'processing'
+        language: content.metadata?.language,
+        status: content.status,
+        jobId: job ? job._id : null,
+        summaryReusedFrom,
+        duplicates: matches.map(match => fingerprintService.describeMatch(match))
       }
     });
   } catch (error) {
@@ -195,7 +237,8 @@ router.post('/text', requireAuth, getOrCreateUser, validate(schemas.contentText)
       fileSize, 
       fileType = 'pdf',
       category = 'general',
-      tags = []
+      tags = [],
+      onDuplicate = 'warn'
     } = req.body;
 
     const user = req.user;
@@ -209,6 +252,11 @@ router.post('/text', requireAuth, getOrCreateUser, validate(schemas.contentText)
       });
     }
 
+    const { fingerprint, matches } = await findUserDuplicates(extractedText, user);
+    if (matches.length > 0 && onDuplicate === 'use-existing') {
+      return existingDuplicateResponse(res, matches);
+    }
+
     // Calculate metadata
     const wordCount = extractedText.split(/\s+/).length;
     const estimatedReadingTime = Math.ceil(wordCount / 200); // Average 200 words per minute
@@ -223,17 +271,22 @@ router.post('/text', requireAuth, getOrCreateUser, validate(schemas.contentText)
       fileType: fileType,
       category: category.toLowerCase(),
       tags: Array.isArray(tags) ? tags.map(tag => tag.toLowerCase()) : [],
+      outline: outlineService.build(extractedText, fileType),
+      fingerprint,
       metadata: {
         wordCount,
         readingTime: estimatedReadingTime,
         pageCount: pageCount || 1,
         fileSize: fileSize || extractedText.length,
+        language: languageDetectionService.detect(extractedText).language,
         extractedAt: new Date()
       },
-      processingStatus: 'pending',
+      status: 'processing',
       progress: 0
     };
 
+    const summaryReusedFrom = reuseDuplicateSummary(contentData, matches, onDuplicate);
+
     // Save content to database
     const result = await databaseService.createContent(contentData);
     
@@ -247,83 +300,16 @@ router.post('/text', requireAuth, getOrCreateUser, validate(schemas.contentText)
 
     const contentId = result.data.insertedId || result.data._id;
 
-    // Trigger AI processing asynchronously
-    setImmediate(async () => {
-      try {
-        console.log(`Starting AI processing for content ${contentId}`);
-        
-        // Generate AI summary using the correct method name
-        const summaryResult = await geminiService.generateContentSummary(extractedText, contentData.title);
-        
-        console.log('AI Summary Result:', summaryResult);
-        
-        // The geminiService returns the result directly, not wrapped in success/data
-        if (summaryResult) {
-          // Map AI difficulty values to database enum values
-          const mapDifficulty = (aiDifficulty) => {
-            const difficultyMap = {
-              'easy': 'beginner',
-              'medium': 'intermediate',
-              'hard': 'advanced',
-              'beginner': 'beginner',
-              'intermediate': 'intermediate',
-              'advanced': 'advanced'
-            };
-            return difficultyMap[aiDifficulty?.toLowerCase()] || 'intermediate';
-          };
-
-          // Transform the AI result to match the database schema
-          const transformedSummary = {
-            summary: summaryResult.summary,
-            keyTopics: summaryResult.keyTopics?.map(topic => ({
-              topic: topic,
-              confidence: 0.8 // Default confidence score
-            })) || [],
-            difficulty: mapDifficulty(summaryResult.difficulty),
-            learningObjectives: summaryResult.sections?.map(section => section.title) || [],
-            prerequisites: [],
-            sections: summaryResult.sections?.map(section => ({
-              title: section.title,
-              content: section.summary,
-              keyPoints: section.keyPoints || []
-            })) || [],
-            generatedAt: new Date()
-          };
-
-          console.log('Transformed AI Summary:', transformedSummary);
-
-          // Update content with AI summary - pass all required parameters
-          const updateResult = await databaseService.updateContent(contentId, user.clerkUserId, {
-            aiSummary: transformedSummary,
-            processingStatus: 'completed',
-            status: 'processed'
-          });
-
-          if (updateResult.success) {
-            console.log(`AI processing completed for content ${contentId}`);
-          } else {
-            console.error(`Failed to update content ${contentId}:`, updateResult.error);
-          }
-        } else {
-          console.error(`AI processing failed for content ${contentId}: No result returned`);
-          await databaseService.updateContent(contentId, user.clerkUserId, {
-            processingStatus: 'failed',
-            processingError: 'No result returned from AI service'
-          });
-        }
-      } catch (aiError) {
-        console.error(`AI processing error for content ${contentId}:`, aiError);
-        await databaseService.updateContent(contentId, user.clerkUserId, {
-          processingStatus: 'failed',
-          processingError: aiError.message
-        });
-      }
-    });
+    // Queue AI processing so it survives restarts
+    const job = summaryReusedFrom ? null : await enqueueRevisionSummary(result.data, user);
 
     // Return success response immediately
     res.status(201).json({
       success: true,
-      message: 'Content uploaded successfully from extracted text. AI processing in progress.',
+      message: summaryReusedFrom
+        ? 'Content uploaded successfully from extracted text. Summary reused from a matching upload.'
+        : 'Content uploaded successfully from extracted text. AI processing in progress.',
+      warning: duplicateWarning(matches),
       data: {
         content: {
           id: contentId,
@@ -334,11 +320,14 @@ router.post('/text', requireAuth, getOrCreateUser, validate(schemas.contentText)
           wordCount: contentData.metadata.wordCount,
           estimatedReadingTime: contentData.metadata.readingTime,
           pageCount: contentData.metadata.pageCount,
-          status: 'processing',
+          status: contentData.status,
           createdAt: new Date().toISOString(),
           originalText: contentData.originalText,
           metadata: contentData.metadata
-        }
+        },
+        jobId: job ? job._id : null,
+        summaryReusedFrom,
+        duplicates: matches.map(match => fingerprintService.describeMatch(match))
       }
     });
 
@@ -348,6 +337,126 @@ router.post('/text', requireAuth, getOrCreateUser, validate(schemas.contentText)
   }
 });
 
+// Query parameters for raw HTML imports (the body itself is the HTML page)
+const htmlImportSchema = require('joi').object({
+  title: require('joi').string().min(3).max(200).trim().optional(),
+  fileName: require('joi').string().trim().max(255).optional(),
+  category: require('joi').string().valid('technology', 'science', 'business', 'education', 'health', 'arts', 'general').default('general'),
+  tags: require('joi').string().trim().max(600).optional(),
+  onDuplicate: require('joi').string().valid('warn', 'reuse-summary', 'use-existing').default('warn')
+});
+
+// Import a saved web page sent as a raw text/html body. Parsed here rather than by the global
+// JSON parser so the markup isn't HTML-escaped by the sanitize middleware.
+router.post('/html', requireAuth, getOrCreateUser, express.text({
+  type: ['text/html', 'application/xhtml+xml'],
+  limit: '10mb'
+}), async (req, res, next) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the page as the request body with Content-Type: text/html',
+        error: 'HTML_REQUIRED'
+      });
+    }
+
+    const { error, value } = htmlImportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = req.user;
+
+    let extracted;
+    try {
+      extracted = await textExtractionService.extractFromHtml(req.body);
+    } catch (textError) {
+      console.error('Error extracting HTML article:', textError);
+      return res.status(textError.status || 400).json({
+        success: false,
+        message: textError.error ? textError.message : 'Failed to extract text from HTML',
+        error: textError.error || 'TEXT_EXTRACTION_FAILED'
+      });
+    }
+
+    const { fingerprint, matches } = await findUserDuplicates(extracted.text, user);
+    if (matches.length > 0 && value.onDuplicate === 'use-existing') {
+      return existingDuplicateResponse(res, matches);
+    }
+
+    const title = value.title || (extracted.title || 'Imported Article').substring(0, 200);
+    const tags = value.tags ? value.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean).slice(0, 10) : [];
+    const estimatedReadingTime = Math.ceil(extracted.wordCount / 200);
+
+    const contentData = {
+      userId: user._id,
+      clerkUserId: user.clerkUserId,
+      title,
+      fileName: value.fileName || 'article.html',
+      originalText: extracted.text,
+      fileType: 'html',
+      category: value.category,
+      tags,
+      outline: outlineService.build(extracted.text, 'html'),
+      fingerprint,
+      status: 'processing',
+      metadata: {
+        wordCount: extracted.wordCount,
+        pageCount: 1,
+        fileSize: Buffer.byteLength(req.body),
+        readingTime: estimatedReadingTime,
+        language: languageDetectionService.detect(extracted.text).language
+      }
+    };
+
+    const summaryReusedFrom = reuseDuplicateSummary(contentData, matches, value.onDuplicate);
+
+    const result = await databaseService.createContent(contentData);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save content',
+        error: 'DATABASE_ERROR'
+      });
+    }
+
+    const content = result.data;
+
+    const job = summaryReusedFrom ? null : await enqueueRevisionSummary(content, user);
+
+    res.status(201).json({
+      success: true,
+      message: summaryReusedFrom
+        ? 'Article imported successfully. Summary reused from a matching upload.'
+        : 'Article imported successfully. AI processing in progress.',
+      warning: duplicateWarning(matches),
+      data: {
+        contentId: content._id,
+        title,
+        category: contentData.category,
+        fileName: contentData.fileName,
+        fileType: 'html',
+        wordCount: extracted.wordCount,
+        estimatedReadingTime,
+        language: contentData.metadata.language,
+        status: content.status,
+        jobId: job ? job._id : null,
+        summaryReusedFrom,
+        duplicates: matches.map(match => fingerprintService.describeMatch(match))
+      }
+    });
+  } catch (error) {
+    console.error('HTML import error:', error);
+    next(error);
+  }
+});
+
 // Get user's content with pagination, filtering, and sorting
 router.get('/', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -480,7 +589,7 @@ router.get('/:id', requireAuth, getOrCreateUser, async (req, res, next) => {
   }
 });
 
-// Update content (title, category, tags)
+// Update content (title, category, tags, text); each change is stored as a revision
 router.put('/:id', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -494,7 +603,7 @@ router.put('/:id', requireAuth, getOrCreateUser, async (req, res, next) => {
       });
     }
 
-    const allowedUpdates = ['title', 'category', 'tags'];
+    const allowedUpdates = ['title', 'category', 'tags', 'originalText'];
     const updates = {};
     
     Object.keys(req.body).forEach(key => {
@@ -539,27 +648,41 @@ router.put('/:id', requireAuth, getOrCreateUser, async (req, res, next) => {
       updates.tags = updates.tags.map(tag => tag.toString().toLowerCase().trim());
     }
 
-    const result = await databaseService.updateContent(id, user.clerkUserId, updates);
-    
-    if (!result.success) {
-      if (result.error.includes('not found')) {
-        return res.status(404).json({
+    if (updates.originalText !== undefined) {
+      if (typeof updates.originalText !== 'string' || updates.originalText.trim().length < 50) {
+        return res.status(400).json({
           success: false,
-          message: 'Content not found or access denied',
-          error: 'CONTENT_NOT_FOUND'
+          message: 'Content text must be at least 50 characters long',
+          error: 'INVALID_TEXT'
         });
       }
-      return res.status(500).json({
+      updates.originalText = updates.originalText.trim();
+    }
+
+    const content = await Content.findOne({ _id: id, clerkUserId: user.clerkUserId, isActive: true });
+    if (!content) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to update content',
-        error: 'DATABASE_ERROR'
+        message: 'Content not found or access denied',
+        error: 'CONTENT_NOT_FOUND'
       });
     }
 
+    // Every edit is stored as a revision; text edits re-run the AI summary and mark quizzes stale
+    const { revision, changedFields, textChanged } = await contentRevisionService.applyChanges(content, updates, user);
+
+    let job = null;
+    if (textChanged) {
+      job = await enqueueRevisionSummary(content, user);
+    }
+
     res.json({
       success: true,
-      message: 'Content updated successfully',
-      data: result.data
+      message: revision ? 'Content updated successfully' : 'No changes to save',
+      data: content,
+      revision: revision ? revision.revision : content.currentRevision,
+      changedFields,
+      ...(job && { jobId: job._id })
     });
   } catch (error) {
     console.error('Update content error:', error);
@@ -653,47 +776,23 @@ router.post('/:id/summary', requireAuth, getOrCreateUser, async (req, res, next)
       });
     }
 
-    // Generate AI summary
-    try {
-      const aiSummary = await geminiService.generateContentSummary(content.originalText, content.title);
-      
-      const updateData = {
-        status: 'processed',
-        aiSummary: {
-          summary: aiSummary.summary,
-          keyTopics: aiSummary.keyTopics?.map(topic => ({
-            topic: typeof topic === 'string' ? topic : topic.topic || topic,
-            confidence: typeof topic === 'object' ? topic.confidence || 0.8 : 0.8
-          })) || [],
-          difficulty: aiSummary.difficulty || 'intermediate',
-          estimatedStudyTime: parseInt(aiSummary.estimatedReadTime?.toString().replace(/\D/g, '')) || content.metadata?.readingTime || 0
-        }
-      };
+    // Queue summary generation; clients poll the job status endpoint
+    await databaseService.updateContent(id, user.clerkUserId, {
+      status: 'processing',
+      processingProgress: { stage: 'queued', percent: 0, completedChunks: 0, totalChunks: 0, updatedAt: new Date() }
+    });
 
-      const updateResult = await databaseService.updateContent(id, user.clerkUserId, updateData);
-      
-      if (!updateResult.success) {
-        throw new Error('Failed to save summary');
-      }
+    const job = await enqueueRevisionSummary(content, user);
 
-      res.json({
-        success: true,
-        message: regenerate ? 'Summary regenerated successfully' : 'Summary generated successfully',
-        data: updateData.aiSummary
-      });
-      
-    } catch (aiError) {
-      console.error('AI summary generation error:', aiError);
-      
-      // Update status to failed
-      await databaseService.updateContent(id, user.clerkUserId, { status: 'failed' });
-      
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to generate summary. Please try again later.',
-        error: 'AI_PROCESSING_FAILED'
-      });
-    }
+    res.status(202).json({
+      success: true,
+      message: regenerate ? 'Summary regeneration queued' : 'Summary generation queued',
+      data: {
+        contentId: content._id,
+        jobId: job._id,
+        status: job.status
+      }
+    });
   } catch (error) {
     console.error('Generate summary error:', error);
     next(error);
@@ -754,7 +853,7 @@ router.get('/search/:query', requireAuth, getOrCreateUser, async (req, res, next
 router.put('/:id/progress', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { progress } = req.body;
+    const { progress, position } = req.body;
     const user = req.user;
 
     // Validate progress value
@@ -766,6 +865,14 @@ router.put('/:id/progress', requireAuth, getOrCreateUser, async (req, res, next)
       });
     }
 
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Position must be a non-negative character offset',
+        error: 'INVALID_POSITION'
+      });
+    }
+
     // Find and update the content
     const content = await Content.findOne({ 
       _id: id, 
@@ -786,6 +893,17 @@ router.put('/:id/progress', requireAuth, getOrCreateUser, async (req, res, next)
     // Update progress
     content.progress = progress;
     content.lastAccessed = new Date();
+
+    // Tie the reading position to the section it falls in
+    if (position !== undefined) {
+      const offset = Math.min(position, content.originalText.length);
+      const section = outlineService.sectionAt(content.outline?.sections || [], offset);
+      content.readingPosition = {
+        offset,
+        sectionId: section ? section.sectionId : null,
+        updatedAt: new Date()
+      };
+    }
     
     // Update completion status if progress is 100
     if (progress === 100) {
@@ -800,6 +918,7 @@ router.put('/:id/progress', requireAuth, getOrCreateUser, async (req, res, next)
       data: {
         contentId: content._id,
         progress: content.progress,
+        readingPosition: content.readingPosition,
         completedAt: content.completedAt,
         lastAccessed: content.lastAccessed
       }
@@ -823,7 +942,7 @@ router.get('/:id/progress', requireAuth, getOrCreateUser, async (req, res, next)
         { userId: user._id },
         { clerkUserId: user.clerkUserId }
       ]
-    }).select('progress completedAt lastAccessed');
+    }).select('progress readingPosition completedAt lastAccessed status processingProgress');
 
     if (!content) {
       return res.status(404).json({
@@ -839,8 +958,11 @@ router.get('/:id/progress', requireAuth, getOrCreateUser, async (req, res, next)
       data: {
         contentId: content._id,
         progress: content.progress || 0,
+        readingPosition: content.readingPosition,
         completedAt: content.completedAt,
-        lastAccessed: content.lastAccessed
+        lastAccessed: content.lastAccessed,
+        status: content.status,
+        processingProgress: content.processingProgress
       }
     });
   } catch (error) {
@@ -849,4 +971,227 @@ router.get('/:id/progress', requireAuth, getOrCreateUser, async (req, res, next)
   }
 });
 
+// Find content owned by the current user for revision endpoints
+const findOwnedContent = (id, user) => Content.findOne({
+  _id: id,
+  clerkUserId: user.clerkUserId,
+  isActive: true
+});
+
+const contentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Content not found',
+  error: 'CONTENT_NOT_FOUND'
+});
+
+const revisionNotFound = (res, revision) => res.status(404).json({
+  success: false,
+  message: `Revision ${revision} not found`,
+  error: 'REVISION_NOT_FOUND'
+});
+
+// Get the section outline of structured content (Markdown, DOCX, HTML)
+router.get('/:id/outline', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const content = await findOwnedContent(req.params.id, req.user)
+      .select('title fileType originalText outline aiSummary.sections readingPosition');
+    if (!content) {
+      return contentNotFound(res);
+    }
+
+    const includeText = req.query.includeText === 'true';
+    const sections = content.outline?.sections || [];
+    const summaries = new Map((content.aiSummary?.sections || [])
+      .filter(section => section.sectionId)
+      .map(section => [section.sectionId, { summary: section.content, keyPoints: section.keyPoints }]));
+
+    const attachSummaries = (nodes) => nodes.map(node => ({
+      ...node,
+      aiSummary: summaries.get(node.sectionId) || null,
+      children: attachSummaries(node.children)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        contentId: content._id,
+        title: content.title,
+        structured: outlineService.isStructured(content.fileType),
+        sectionCount: sections.length,
+        generatedAt: content.outline?.generatedAt || null,
+        readingPosition: content.readingPosition,
+        sections: attachSummaries(outlineService.toTree(sections, includeText ? content.originalText : undefined))
+      }
+    });
+  } catch (error) {
+    console.error('Get outline error:', error);
+    next(error);
+  }
+});
+
+// List content revisions (newest first)
+router.get('/:id/revisions', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const content = await findOwnedContent(id, req.user);
+    if (!content) {
+      return contentNotFound(res);
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const { revisions, total } = await contentRevisionService.listRevisions(content._id, {
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.json({
+      success: true,
+      data: {
+        contentId: content._id,
+        currentRevision: content.currentRevision,
+        revisions,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    next(error);
+  }
+});
+
+// Section-level diff between two revisions (defaults to previous vs current)
+router.get('/:id/revisions/diff', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const content = await findOwnedContent(id, req.user);
+    if (!content) {
+      return contentNotFound(res);
+    }
+
+    const to = parseInt(req.query.to) || content.currentRevision;
+    const from = parseInt(req.query.from) || to - 1;
+
+    if (from < 1 || from === to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide two different revision numbers to compare',
+        error: 'INVALID_REVISION_RANGE'
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      contentRevisionService.getRevision(content._id, from),
+      contentRevisionService.getRevision(content._id, to)
+    ]);
+
+    if (!fromRevision) return revisionNotFound(res, from);
+    if (!toRevision) return revisionNotFound(res, to);
+
+    res.json({
+      success: true,
+      data: {
+        contentId: content._id,
+        from,
+        to,
+        ...contentRevisionService.diff(fromRevision, toRevision)
+      }
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    next(error);
+  }
+});
+
+// Get a single revision with its full text
+router.get('/:id/revisions/:revision', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.params.revision);
+
+    const content = await findOwnedContent(id, req.user);
+    if (!content) {
+      return contentNotFound(res);
+    }
+
+    const revision = await contentRevisionService.getRevision(content._id, revisionNumber);
+    if (!revision) {
+      return revisionNotFound(res, req.params.revision);
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    next(error);
+  }
+});
+
+// Restore an older revision; stored as a new revision so history is never rewritten
+router.post('/:id/revisions/:revision/restore', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = req.user;
+    const revisionNumber = parseInt(req.params.revision);
+
+    const content = await findOwnedContent(id, user);
+    if (!content) {
+      return contentNotFound(res);
+    }
+
+    const target = await contentRevisionService.getRevision(content._id, revisionNumber);
+    if (!target) {
+      return revisionNotFound(res, req.params.revision);
+    }
+
+    const { revision, changedFields, textChanged } = await contentRevisionService.applyChanges(content, {
+      title: target.title,
+      category: target.category,
+      tags: target.tags,
+      originalText: target.originalText
+    }, user, {
+      changeType: 'restore',
+      restoredFrom: target.revision,
+      aiSummary: target.aiSummary
+    });
+
+    if (!revision) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content already matches this revision',
+        error: 'NO_CHANGES'
+      });
+    }
+
+    // Reuse the restored revision's summary when it has one
+    let job = null;
+    if (textChanged && !target.aiSummary) {
+      job = await enqueueRevisionSummary(content, user);
+    }
+
+    res.json({
+      success: true,
+      message: `Restored revision ${target.revision}`,
+      data: content,
+      revision: revision.revision,
+      changedFields,
+      ...(job && { jobId: job._id })
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, getOrCreateUser } = require('../middleware/auth');
+const jobQueue = require('../services/jobQueue');
+const Job = require('../models/Job');
+
+// Shape a job document for API responses (payload stays internal)
+const formatJob = (job) => ({
+  jobId: job._id,
+  type: job.type,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  nextRunAt: job.status === 'pending' ? job.runAt : null,
+  lastError: job.lastError,
+  result: job.result,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt
+});
+
+// List the authenticated user's jobs
+router.get('/', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { clerkUserId } = req.user;
+    const { page = 1, limit = 20, status, type } = req.query;
+
+    const query = { clerkUserId };
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Job.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(formatJob),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    next(error);
+  }
+});
+
+// Get job status
+router.get('/:jobId', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { clerkUserId } = req.user;
+
+    const job = await jobQueue.getJob(jobId);
+
+    if (!job || job.clerkUserId !== clerkUserId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+        error: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Get job status error:', error);
+    next(error);
+  }
+});
+
+// Retry a dead-lettered job
+router.post('/:jobId/retry', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { clerkUserId } = req.user;
+
+    const job = await jobQueue.getJob(jobId);
+
+    if (!job || job.clerkUserId !== clerkUserId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+        error: 'JOB_NOT_FOUND'
+      });
+    }
+
+    if (job.status !== 'dead') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed jobs can be retried',
+        error: 'JOB_NOT_RETRYABLE'
+      });
+    }
+
+    await jobQueue.retry(job);
+
+    res.status(202).json({
+      success: true,
+      message: 'Job queued for retry',
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requireAuth, getOrCreateUser } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const questionBankService = require('../services/questionBankService');
+const Question = require('../models/Question');
+const Quiz = require('../models/Quiz');
+const CommunityQuiz = require('../models/CommunityQuiz');
+
+// Resolve the bank a request targets; community banks are limited to moderators and admins
+const resolveBank = async (req, res, communityId) => {
+  if (!communityId) {
+    return questionBankService.getScope(req.user);
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(communityId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid community ID format',
+      error: 'INVALID_COMMUNITY_ID'
+    });
+    return null;
+  }
+
+  if (!(await questionBankService.canManageCommunityBank(req.user, communityId))) {
+    res.status(403).json({
+      success: false,
+      message: 'Only community moderators and admins can use the community question bank',
+      error: 'BANK_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return questionBankService.getScope(req.user, communityId);
+};
+
+// Find an active bank question the current user may manage
+const findManageableQuestion = async (req, res) => {
+  const { questionId } = req.params;
+
+  const question = mongoose.Types.ObjectId.isValid(questionId)
+    ? await Question.findOne({ _id: questionId, isActive: true })
+    : null;
+
+  if (!question || !(await questionBankService.canManage(req.user, question))) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found',
+      error: 'QUESTION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return question;
+};
+
+// Search the personal bank, or a community bank with ?communityId=
+router.get('/', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { communityId, q, tags, difficulty, type, sourceContentId, page = 1, limit = 20 } = req.query;
+
+    const scope = await resolveBank(req, res, communityId);
+    if (!scope) return;
+
+    if (sourceContentId && !mongoose.Types.ObjectId.isValid(sourceContentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid content ID format',
+        error: 'INVALID_CONTENT_ID'
+      });
+    }
+
+    const query = {
+      ...scope,
+      ...questionBankService.buildFilter({
+        q,
+        tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        difficulty,
+        type,
+        sourceContentId
+      }),
+      isActive: true
+    };
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [questions, total] = await Promise.all([
+      Question.find(query)
+        .sort(q ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Question.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        questions,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search question bank error:', error);
+    next(error);
+  }
+});
+
+// Copy the questions of an existing quiz into the bank (personal quiz -> personal bank,
+// community quiz -> that community's bank)
+router.post('/import', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { quizId, communityQuizId, tags = [] } = req.body;
+    const extraTags = (Array.isArray(tags) ? tags : [])
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(Boolean);
+
+    let questions;
+    let scope;
+    let source;
+
+    if (quizId && mongoose.Types.ObjectId.isValid(quizId)) {
+      const quiz = await Quiz.findOne({ _id: quizId, userId: req.user._id, isActive: true });
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found',
+          error: 'QUIZ_NOT_FOUND'
+        });
+      }
+
+      scope = questionBankService.getScope(req.user);
+      source = { sourceContentId: quiz.contentId || null, sourceQuizId: quiz._id };
+      questions = quiz.questions.map(question => questionBankService.fromQuizQuestion(question));
+    } else if (communityQuizId && mongoose.Types.ObjectId.isValid(communityQuizId)) {
+      const quiz = await CommunityQuiz.findOne({ _id: communityQuizId, isActive: true });
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz not found',
+          error: 'QUIZ_NOT_FOUND'
+        });
+      }
+
+      scope = await resolveBank(req, res, quiz.communityId.toString());
+      if (!scope) return;
+
+      source = {
+        sourceContentId: quiz.originalContentId || null,
+        sourceCommunityContentId: quiz.communityContentId || null,
+        sourceQuizId: quiz._id
+      };
+      questions = quiz.questions.map(question => questionBankService.fromCommunityQuestion(question));
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'quizId or communityQuizId is required',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Skip questions already imported from this quiz
+    const existing = await Question.find({ ...scope, sourceQuizId: source.sourceQuizId, isActive: true }).select('question');
+    const existingTexts = new Set(existing.map(question => question.question));
+
+    const created = await Question.insertMany(
+      questions
+        .filter(question => !existingTexts.has(question.question))
+        .map(question => ({
+          ...question,
+          ...source,
+          tags: [...new Set([...(question.tags || []), ...extraTags])],
+          userId: req.user._id,
+          clerkUserId: req.user.clerkUserId,
+          communityId: scope.communityId
+        }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} question(s) added to the bank`,
+      data: {
+        imported: created.length,
+        skipped: questions.length - created.length,
+        questions: created
+      }
+    });
+  } catch (error) {
+    console.error('Import quiz into question bank error:', error);
+    next(error);
+  }
+});
+
+// Add a question to the personal bank, or a community bank with communityId
+router.post('/', requireAuth, getOrCreateUser, validate(schemas.bankQuestion), async (req, res, next) => {
+  try {
+    const { communityId, ...fields } = req.body;
+
+    const scope = await resolveBank(req, res, communityId);
+    if (!scope) return;
+
+    const question = new Question({
+      ...fields,
+      userId: req.user._id,
+      clerkUserId: req.user.clerkUserId,
+      communityId: scope.communityId
+    });
+    await question.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added to the bank',
+      data: question
+    });
+  } catch (error) {
+    console.error('Create bank question error:', error);
+    next(error);
+  }
+});
+
+// Get one bank question
+router.get('/:questionId', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const question = await findManageableQuestion(req, res);
+    if (!question) return;
+
+    res.json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    console.error('Get bank question error:', error);
+    next(error);
+  }
+});
+
+// Replace a bank question's content (its bank cannot change)
+router.put('/:questionId', requireAuth, getOrCreateUser, validate(schemas.bankQuestion), async (req, res, next) => {
+  try {
+    const question = await findManageableQuestion(req, res);
+    if (!question) return;
+
+    const { communityId, ...fields } = req.body;
+    question.set({
+      correctAnswer: undefined,
+      acceptedAnswers: [],
+      rubric: [],
+      explanation: undefined,
+      sourceContentId: null,
+      partialCredit: false,
+      numericAnswer: undefined,
+      blanks: [],
+      pairs: [],
+      ...fields
+    });
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Question updated',
+      data: question
+    });
+  } catch (error) {
+    console.error('Update bank question error:', error);
+    next(error);
+  }
+});
+
+// Remove a question from the bank; quizzes already drawn keep their copy
+router.delete('/:questionId', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const question = await findManageableQuestion(req, res);
+    if (!question) return;
+
+    question.isActive = false;
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Question removed from the bank'
+    });
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
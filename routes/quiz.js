@@ -1,11 +1,22 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { requireAuth, getOrCreateUser } = require('../middleware/auth');
 const geminiService = require('../services/geminiService');
+const gradingService = require('../services/gradingService');
+const jobQueue = require('../services/jobQueue');
+const databaseService = require('../services/databaseService');
+const quizAttemptService = require('../services/quizAttemptService');
+const quizDeliveryService = require('../services/quizDeliveryService');
+const questionBankService = require('../services/questionBankService');
+const adaptiveQuizService = require('../services/adaptiveQuizService');
+const itemAnalysisService = require('../services/itemAnalysisService');
+const quizFormats = require('../services/quizFormats');
+const { validate, schemas } = require('../middleware/validation');
+const { FINISHED_STATUSES } = quizAttemptService;
 const Content = require('../models/Content');
 const Quiz = require('../models/Quiz');
 const QuizAttempt = require('../models/QuizAttempt');
-const User = require('../models/User');
 
 // Get all quizzes for the authenticated user
 router.get('/all', requireAuth, getOrCreateUser, async (req, res, next) => {
@@ -43,7 +54,7 @@ router.get('/all', requireAuth, getOrCreateUser, async (req, res, next) => {
         const attempts = await QuizAttempt.find({
           quizId: quiz._id,
           userId: userId,
-          status: 'completed'
+          status: { $in: FINISHED_STATUSES }
         })
         .sort({ completedAt: -1 })
         .limit(5)
@@ -87,12 +98,31 @@ router.get('/all', requireAuth, getOrCreateUser, async (req, res, next) => {
   }
 });
 
+// Optional `questionTypes` for AI generation; sends a 400 and returns null when invalid
+const readQuestionTypes = (req, res) => {
+  if (req.body.questionTypes === undefined) return undefined;
+
+  const { error, value } = schemas.generatedQuestionTypes.validate(req.body.questionTypes);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid questionTypes: ${error.details[0].message}`,
+      error: 'VALIDATION_ERROR'
+    });
+    return null;
+  }
+  return value;
+};
+
 // Generate quiz from content
 router.post('/generate', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
     const { contentId, questionsPerSection = 3 } = req.body;
     const { clerkUserId, _id: userId } = req.user;
 
+    const questionTypes = readQuestionTypes(req, res);
+    if (questionTypes === null) return;
+
     // Get the content with AI summary
     const content = await Content.findOne({ 
       _id: contentId, 
@@ -119,11 +149,12 @@ router.post('/generate', requireAuth, getOrCreateUser, async (req, res, next) =>
       });
     }
 
-    // Check if quiz already exists for this content and user
+    // Check if an up-to-date quiz already exists for this content and user
     let existingQuiz = await Quiz.findOne({ 
       contentId: contentId, 
       userId: userId,
-      isActive: true 
+      isActive: true,
+      isStale: { $ne: true }
     });
 
     if (existingQuiz) {
@@ -135,62 +166,25 @@ router.post('/generate', requireAuth, getOrCreateUser, async (req, res, next) =>
       });
     }
 
-    // Generate quiz using AI
-    const quizData = await geminiService.generateQuiz(
-      content, 
-      content.aiSummary.sections,
-      { questionsPerSection }
-    );
-
-    // Transform questions to match our schema
-    const transformedQuestions = quizData.questions.map(q => ({
-      question: q.question,
-      type: q.type,
-      sectionTitle: q.sectionTitle,
-      options: q.type === 'multiple-choice' ? 
-        q.options.map((opt, idx) => ({
-          text: opt,
-          isCorrect: opt === q.correctAnswer
-        })) : [],
-      correctAnswer: q.correctAnswer,
-      explanation: q.explanation,
-      points: q.points || 1,
-      difficulty: q.difficulty || 'medium'
-    }));
-
-    // Create quiz document
-    const quiz = new Quiz({
+    // Queue quiz generation; the job result carries the new quizId
+    const job = await jobQueue.enqueue('quiz-generation', {
       contentId: content._id,
-      userId: userId,
-      clerkUserId: clerkUserId,
-      title: quizData.title,
-      description: quizData.description,
-      difficulty: content.aiSummary.difficulty || 'intermediate',
-      category: content.category,
-      questions: transformedQuestions,
-      settings: {
-        timeLimit: parseInt(quizData.estimatedTime) || 30,
-        randomizeQuestions: true,
-        randomizeOptions: true,
-        showCorrectAnswer: true,
-        allowRetakes: true,
-        maxAttempts: 3,
-        passingScore: 70
-      },
-      status: 'published'
+      questionsPerSection,
+      questionTypes
+    }, {
+      userId,
+      clerkUserId,
+      dedupeKey: `quiz-generation:${userId}:${content._id}`
     });
 
-    await quiz.save();
-
-    // Update content to mark it has a quiz
-    content.quizHistory.hasQuiz = true;
-    content.quizHistory.quizId = quiz._id;
-    await content.save();
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Quiz generated successfully',
-      data: quiz,
+      message: 'Quiz generation queued',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        contentId: content._id
+      },
       isExisting: false
     });
   } catch (error) {
@@ -205,6 +199,9 @@ router.post('/generate-from-topic', requireAuth, getOrCreateUser, async (req, re
     const { topic, description, difficulty = 'medium', numQuestions = 5 } = req.body;
     const { clerkUserId, _id: userId } = req.user;
 
+    const questionTypes = readQuestionTypes(req, res);
+    if (questionTypes === null) return;
+
     if (!topic || !topic.trim()) {
       return res.status(400).json({
         success: false,
@@ -213,66 +210,157 @@ router.post('/generate-from-topic', requireAuth, getOrCreateUser, async (req, re
       });
     }
 
-    // Generate quiz using AI based on topic
-    const quizData = await geminiService.generateQuizFromTopic({
+    // Queue quiz generation based on topic; the job result carries the new quizId
+    const job = await jobQueue.enqueue('topic-quiz-generation', {
       topic: topic.trim(),
       description: description || '',
       difficulty,
-      numQuestions
-    });
-
-    // Transform questions to match our schema
-    const transformedQuestions = quizData.questions.map(q => ({
-      question: q.question,
-      type: q.type,
-      sectionTitle: q.sectionTitle || topic,
-      options: q.type === 'multiple-choice' ? 
-        q.options.map((opt, idx) => ({
-          text: opt,
-          isCorrect: opt === q.correctAnswer
-        })) : [],
-      correctAnswer: q.correctAnswer,
-      explanation: q.explanation,
-      points: q.points || 1,
-      difficulty: q.difficulty || difficulty
-    }));
-
-    // Create quiz document
+      numQuestions,
+      questionTypes
+    }, {
+      userId,
+      clerkUserId
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Custom quiz generation queued',
+      data: {
+        jobId: job._id,
+        status: job.status
+      }
+    });
+  } catch (error) {
+    console.error('Generate custom quiz error:', error);
+    next(error);
+  }
+});
+
+// Create a quiz whose questions are drawn from the personal question bank for each attempt
+router.post('/from-bank', requireAuth, getOrCreateUser, validate(schemas.bankQuiz), async (req, res, next) => {
+  try {
+    const { clerkUserId, _id: userId } = req.user;
+    const { title, description, difficulty, category, drawRules, ...settings } = req.body;
+
+    const availability = await questionBankService.checkAvailability(drawRules, questionBankService.getScope(req.user));
+    const shortRules = availability.filter(item => item.available < item.requested);
+    if (shortRules.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not enough questions in the bank for some draw rules',
+        error: 'INSUFFICIENT_QUESTIONS',
+        data: { rules: shortRules }
+      });
+    }
+
     const quiz = new Quiz({
-      userId: userId,
-      clerkUserId: clerkUserId,
-      title: quizData.title || `${topic} Quiz`,
-      description: quizData.description || `A custom quiz on ${topic}`,
-      difficulty: difficulty,
-      category: 'custom',
-      questions: transformedQuestions,
-      settings: {
-        timeLimit: parseInt(quizData.estimatedTime) || 20,
-        randomizeQuestions: true,
-        randomizeOptions: true,
-        showCorrectAnswer: true,
-        allowRetakes: true,
-        maxAttempts: 5,
-        passingScore: 70
-      },
-      status: 'published',
+      userId,
+      clerkUserId,
+      title,
+      description,
+      difficulty,
+      category,
       isCustom: true,
-      customTopic: topic
+      drawRules,
+      questions: [],
+      settings,
+      status: 'published'
+    });
+    await quiz.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created from question bank',
+      data: {
+        quiz,
+        questionsPerAttempt: drawRules.reduce((sum, rule) => sum + rule.count, 0)
+      }
     });
+  } catch (error) {
+    console.error('Create bank quiz error:', error);
+    next(error);
+  }
+});
 
+// Question files for import are small text/XML files or QTI packages
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Import a quiz from a GIFT, QTI 2.1 or CSV file (multipart "file", or the file's text in "data")
+router.post('/import', requireAuth, getOrCreateUser, importUpload.single('file'), validate(schemas.quizImport), async (req, res, next) => {
+  try {
+    const { clerkUserId, _id: userId } = req.user;
+    const { format, data, title, description, difficulty, category, skipInvalid, dryRun, ...settings } = req.body;
+
+    const { format: detectedFormat, questions, errors, total } = await quizFormats.readImport({ file: req.file, data, format });
+    const summary = { format: detectedFormat, total, valid: questions.length, errors };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${questions.length} of ${total} question(s) can be imported`,
+        data: {
+          ...summary,
+          questions: questions.map(item => item.question)
+        }
+      });
+    }
+
+    if (questions.length === 0 || (errors.length > 0 && !skipInvalid)) {
+      return res.status(400).json({
+        success: false,
+        message: questions.length === 0
+          ? 'No valid questions found in the file'
+          : `${errors.length} question(s) have errors; fix them or import with skipInvalid`,
+        error: 'IMPORT_VALIDATION_ERROR',
+        data: summary
+      });
+    }
+
+    const quiz = new Quiz({
+      userId,
+      clerkUserId,
+      title,
+      description,
+      difficulty,
+      category,
+      isCustom: true,
+      questions: questions.map(item => item.question),
+      settings,
+      status: 'published'
+    });
     await quiz.save();
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Custom quiz generated successfully',
-      data: quiz
+      message: `Quiz imported with ${questions.length} question(s)`,
+      data: {
+        quiz,
+        ...summary
+      }
     });
   } catch (error) {
-    console.error('Generate custom quiz error:', error);
+    console.error('Import quiz error:', error);
     next(error);
   }
 });
 
+// The owner's quiz with its answer key, except while they're taking it: then the in-progress
+// attempt's delivery view (attempt order, no answers or explanations)
+const serveOwnQuiz = async (quiz, userId) => {
+  const attempt = await QuizAttempt.findOne({ quizId: quiz._id, userId, status: 'in-progress' });
+  if (!attempt) return quiz;
+
+  return {
+    ...quizDeliveryService.buildQuizView(questionBankService.getAttemptQuiz(quiz, attempt), attempt),
+    inProgressAttemptId: attempt._id
+  };
+};
+
 // Get quiz by content ID
 router.get('/content/:contentId', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -296,7 +384,7 @@ router.get('/content/:contentId', requireAuth, getOrCreateUser, async (req, res,
     res.json({
       success: true,
       message: 'Quiz retrieved successfully',
-      data: quiz
+      data: await serveOwnQuiz(quiz, userId)
     });
   } catch (error) {
     console.error('Get quiz error:', error);
@@ -327,7 +415,7 @@ router.get('/:quizId', requireAuth, getOrCreateUser, async (req, res, next) => {
     res.json({
       success: true,
       message: 'Quiz retrieved successfully',
-      data: quiz
+      data: await serveOwnQuiz(quiz, userId)
     });
   } catch (error) {
     console.error('Get quiz by ID error:', error);
@@ -335,6 +423,92 @@ router.get('/:quizId', requireAuth, getOrCreateUser, async (req, res, next) => {
   }
 });
 
+// Download a quiz as GIFT, QTI 2.1 (content package) or CSV; ?format= defaults to gift
+router.get('/:quizId/export', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { quizId } = req.params;
+    const format = String(req.query.format || 'gift').toLowerCase();
+
+    if (!quizFormats.FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${Object.keys(quizFormats.FORMATS).join(', ')}`,
+        error: 'UNSUPPORTED_FORMAT'
+      });
+    }
+
+    const quiz = await Quiz.findOne({
+      _id: quizId,
+      userId: req.user._id,
+      isActive: true
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+        error: 'QUIZ_NOT_FOUND'
+      });
+    }
+
+    if (quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quiz draws its questions from the question bank and has none to export',
+        error: 'QUIZ_HAS_NO_QUESTIONS'
+      });
+    }
+
+    const file = await quizFormats.exportQuestions(format, { title: quiz.title, questions: quizFormats.fromQuiz(quiz) });
+
+    res.attachment(file.fileName);
+    res.type(file.contentType);
+    if (file.skipped > 0) {
+      // Questions of types the format can't express are left out of the file
+      res.set('X-Skipped-Questions', String(file.skipped));
+    }
+    res.send(file.body);
+  } catch (error) {
+    console.error('Export quiz error:', error);
+    next(error);
+  }
+});
+
+// Per-question statistics from finished attempts (owner only): p-value, discrimination,
+// distractor rates, time spent, skip rate and automatic flags such as possibly-miskeyed
+router.get('/:quizId/item-analysis', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const quiz = await Quiz.findOne({
+      _id: req.params.quizId,
+      userId: req.user._id,
+      isActive: true
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+        error: 'QUIZ_NOT_FOUND'
+      });
+    }
+
+    const analysis = await itemAnalysisService.analyzeQuiz(quiz);
+
+    res.json({
+      success: true,
+      data: {
+        quizId: quiz._id,
+        title: quiz.title,
+        ...analysis,
+        generatedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Quiz item analysis error:', error);
+    next(error);
+  }
+});
+
 // Get quiz attempts by quiz ID
 router.get('/:quizId/attempts', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -358,11 +532,11 @@ router.get('/:quizId/attempts', requireAuth, getOrCreateUser, async (req, res, n
       });
     }
 
-    // Get all completed attempts for this quiz
+    // Get all finished (completed or timed-out) attempts for this quiz
     const attempts = await QuizAttempt.find({
       quizId: quizId,
       userId: userId,
-      status: 'completed'
+      status: { $in: FINISHED_STATUSES }
     })
     .sort({ completedAt: -1 })
     .lean();
@@ -377,10 +551,16 @@ router.get('/:quizId/attempts', requireAuth, getOrCreateUser, async (req, res, n
   }
 });
 
-// Start quiz attempt
-router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, next) => {
+// Delivery mode of an attempt; adaptive attempts also report the current question and progress
+const getAdaptiveProgress = (attempt) => (attempt.mode === 'adaptive'
+  ? { mode: attempt.mode, adaptive: adaptiveQuizService.getProgress(attempt) }
+  : { mode: attempt.mode || 'standard' });
+
+// Start quiz attempt (body { mode: 'adaptive' } serves questions one at a time by ability)
+router.post('/:quizId/attempt', requireAuth, getOrCreateUser, validate(schemas.quizAttemptStart), async (req, res, next) => {
   try {
     const { quizId } = req.params;
+    const { mode, maxQuestions } = req.body;
     const { clerkUserId, _id: userId } = req.user;
 
     console.log('Starting quiz attempt:', {
@@ -405,20 +585,6 @@ router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, n
       });
     }
 
-    // If still not found, try without user restriction (for custom quizzes that might be shareable)
-    if (!quiz) {
-      quiz = await Quiz.findOne({ 
-        _id: quizId, 
-        isActive: true 
-      });
-      
-      console.log('Quiz found without user restriction:', quiz ? 'yes' : 'no');
-      if (quiz) {
-        console.log('Quiz userId:', quiz.userId?.toString());
-        console.log('Current userId:', userId?.toString());
-      }
-    }
-
     if (!quiz) {
       console.log('Quiz not found for quizId:', quizId);
       return res.status(404).json({
@@ -441,6 +607,12 @@ router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, n
       status: 'in-progress'
     });
 
+    // An attempt whose time ran out is closed and graded instead of resumed
+    if (existingInProgressAttempt && quizAttemptService.isExpired(existingInProgressAttempt)) {
+      await quizAttemptService.timeOutQuizAttempt(existingInProgressAttempt, quiz);
+      existingInProgressAttempt = null;
+    }
+
     if (existingInProgressAttempt) {
       console.log('Found existing in-progress attempt:', existingInProgressAttempt._id);
       // Return the existing attempt instead of creating a new one
@@ -449,20 +621,23 @@ router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, n
         message: 'Quiz attempt resumed',
         data: {
           attemptId: existingInProgressAttempt._id,
-          quiz: quiz,
+          quiz: quizDeliveryService.buildQuizView(questionBankService.getAttemptQuiz(quiz, existingInProgressAttempt), existingInProgressAttempt),
           attemptNumber: existingInProgressAttempt.attemptNumber,
           maxAttempts: quiz.settings.maxAttempts,
           timeLimit: quiz.settings.timeLimit,
+          ...quizAttemptService.getTiming(existingInProgressAttempt),
+          ...getAdaptiveProgress(existingInProgressAttempt),
+          savedAnswers: existingInProgressAttempt.savedAnswers,
           isResumed: true
         }
       });
     }
 
-    // Check if user can take the quiz (attempt limits for completed attempts)
+    // Check if user can take the quiz (attempt limits for finished attempts, including timed-out ones)
     const completedAttempts = await QuizAttempt.countDocuments({
       quizId: quizId,
       userId: userId,
-      status: 'completed'
+      status: { $in: FINISHED_STATUSES }
     });
 
     if (completedAttempts >= quiz.settings.maxAttempts) {
@@ -479,15 +654,58 @@ router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, n
       userId: userId
     });
 
+    // Bank-drawn quizzes sample this attempt's questions from the owner's question bank
+    let drawnQuestions = [];
+    if (quiz.drawRules?.length > 0) {
+      drawnQuestions = (await questionBankService.drawQuestions(
+        quiz.drawRules,
+        questionBankService.getScope({ _id: quiz.userId })
+      )).map(question => questionBankService.toQuizQuestion(question));
+
+      if (drawnQuestions.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'The question bank has no questions matching this quiz',
+          error: 'NO_QUESTIONS_AVAILABLE'
+        });
+      }
+    }
+
+    // Adaptive attempts serve one question at a time from the quiz's gradable questions,
+    // starting at the user's preferred difficulty
+    let adaptive = null;
+    if (mode === 'adaptive') {
+      const pool = adaptiveQuizService.getPool(quiz, { drawnQuestions });
+      if (pool.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This quiz has no questions that can be served adaptively (essays are graded later)',
+          error: 'NO_ADAPTIVE_QUESTIONS'
+        });
+      }
+
+      adaptive = adaptiveQuizService.createState(req.user.profile?.preferences?.difficulty, { maxQuestions });
+      adaptiveQuizService.advance({ adaptive }, pool);
+    }
+
     // Create new attempt using findOneAndUpdate with upsert to handle race conditions
+    const startedAt = new Date();
     const attemptData = {
       quizId: quiz._id,
       contentId: quiz.contentId || null, // Handle custom quizzes without contentId
       userId: userId,
       clerkUserId: clerkUserId,
       attemptNumber: totalAttempts + 1,
-      maxPoints: quiz.totalPoints,
-      startedAt: new Date(),
+      // Adaptive attempts get their maximum from the questions served, when graded
+      maxPoints: adaptive ? 0 : drawnQuestions.length > 0
+        ? drawnQuestions.reduce((sum, question) => sum + (question.points || 1), 0)
+        : quiz.totalPoints,
+      drawnQuestions,
+      mode,
+      adaptive,
+      startedAt,
+      expiresAt: quizAttemptService.getExpiresAt(startedAt, quiz.settings.timeLimit),
+      shuffleSeed: quizDeliveryService.createSeed(),
       status: 'in-progress'
     };
 
@@ -514,10 +732,12 @@ router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, n
         message: 'Quiz attempt started',
         data: {
           attemptId: attempt._id,
-          quiz: quiz,
+          quiz: quizDeliveryService.buildQuizView(questionBankService.getAttemptQuiz(quiz, attempt), attempt),
           attemptNumber: attempt.attemptNumber,
           maxAttempts: quiz.settings.maxAttempts,
-          timeLimit: quiz.settings.timeLimit
+          timeLimit: quiz.settings.timeLimit,
+          ...quizAttemptService.getTiming(attempt),
+          ...getAdaptiveProgress(attempt)
         }
       });
     } catch (duplicateError) {
@@ -536,10 +756,13 @@ router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, n
           message: 'Quiz attempt resumed',
           data: {
             attemptId: existingAttempt._id,
-            quiz: quiz,
+            quiz: quizDeliveryService.buildQuizView(questionBankService.getAttemptQuiz(quiz, existingAttempt), existingAttempt),
             attemptNumber: existingAttempt.attemptNumber,
             maxAttempts: quiz.settings.maxAttempts,
             timeLimit: quiz.settings.timeLimit,
+            ...quizAttemptService.getTiming(existingAttempt),
+            ...getAdaptiveProgress(existingAttempt),
+            savedAnswers: existingAttempt.savedAnswers,
             isResumed: true
           }
         });
@@ -553,11 +776,205 @@ router.post('/:quizId/attempt', requireAuth, getOrCreateUser, async (req, res, n
   }
 });
 
+const answerSaveSchema = require('joi').object({
+  userAnswer: schemas.answerValue.optional(),
+  timeSpent: require('joi').number().min(0).optional(), // total seconds on this question
+  flagged: require('joi').boolean().optional(),
+  confidence: require('joi').string().valid('low', 'medium', 'high').allow(null).optional()
+}).min(1);
+
+// Save one answer (and time spent / review flag / confidence) while the attempt is in progress
+router.put('/attempt/:attemptId/answers/:questionId', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { attemptId, questionId } = req.params;
+
+    const { error, value } = answerSaveSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const attempt = await QuizAttempt.findOne({
+      _id: attemptId,
+      userId: req.user._id,
+      status: 'in-progress'
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found or already completed',
+        error: 'ATTEMPT_NOT_FOUND'
+      });
+    }
+
+    const quiz = await Quiz.findById(attempt.quizId);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+        error: 'QUIZ_NOT_FOUND'
+      });
+    }
+
+    if (quizAttemptService.isExpired(attempt)) {
+      await quizAttemptService.timeOutQuizAttempt(attempt, quiz);
+      return res.status(409).json({
+        success: false,
+        message: 'Time limit exceeded. The attempt was submitted with the answers saved before the deadline.',
+        error: 'TIME_LIMIT_EXCEEDED'
+      });
+    }
+
+    const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+    if (!attemptQuiz.questions.id(questionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz',
+        error: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    // Adaptive answers are final once the next question has been served
+    if (attempt.mode === 'adaptive' && adaptiveQuizService.getCurrentQuestionId(attempt.adaptive)?.toString() !== questionId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This question has already been answered',
+        error: 'QUESTION_ALREADY_ANSWERED'
+      });
+    }
+
+    const savedAnswer = quizAttemptService.saveQuizAnswer(attempt, questionId, value);
+    await attempt.save();
+
+    res.json({
+      success: true,
+      message: 'Answer saved',
+      data: {
+        attemptId: attempt._id,
+        answer: savedAnswer,
+        answeredCount: attempt.savedAnswers.filter(item => gradingService.hasAnswer(item.userAnswer)).length,
+        flaggedCount: attempt.savedAnswers.filter(item => item.flagged).length,
+        totalQuestions: attemptQuiz.questions.length,
+        ...quizAttemptService.getTiming(attempt)
+      }
+    });
+  } catch (error) {
+    console.error('Save quiz answer error:', error);
+    next(error);
+  }
+});
+
+// Answer the current question of an adaptive attempt and get the next one. The answer is final;
+// the attempt is complete when the ability estimate is confident or the question cap is hit.
+router.post('/attempt/:attemptId/next', requireAuth, getOrCreateUser, validate(schemas.adaptiveAnswer), async (req, res, next) => {
+  try {
+    const { attemptId } = req.params;
+    const { questionId, userAnswer, timeSpent, confidence } = req.body;
+
+    const attempt = await QuizAttempt.findOne({
+      _id: attemptId,
+      userId: req.user._id,
+      status: 'in-progress'
+    });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz attempt not found or already completed',
+        error: 'ATTEMPT_NOT_FOUND'
+      });
+    }
+
+    if (attempt.mode !== 'adaptive') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt is not adaptive; save answers with PUT /attempt/:attemptId/answers/:questionId',
+        error: 'NOT_ADAPTIVE'
+      });
+    }
+
+    const quiz = await Quiz.findById(attempt.quizId);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+        error: 'QUIZ_NOT_FOUND'
+      });
+    }
+
+    if (quizAttemptService.isExpired(attempt)) {
+      await quizAttemptService.timeOutQuizAttempt(attempt, quiz);
+      return res.status(409).json({
+        success: false,
+        message: 'Time limit exceeded. The attempt was submitted with the answers saved before the deadline.',
+        error: 'TIME_LIMIT_EXCEEDED'
+      });
+    }
+
+    if (attempt.adaptive.isComplete) {
+      return res.status(409).json({
+        success: false,
+        message: 'All questions for this attempt have been answered; submit the attempt',
+        error: 'ADAPTIVE_COMPLETE'
+      });
+    }
+
+    const currentQuestionId = adaptiveQuizService.getCurrentQuestionId(attempt.adaptive);
+    if (currentQuestionId?.toString() !== questionId) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only the current question can be answered',
+        error: 'NOT_CURRENT_QUESTION',
+        data: { currentQuestionId }
+      });
+    }
+
+    const pool = adaptiveQuizService.getPool(quiz, attempt);
+    const question = pool.find(item => item._id.toString() === questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this quiz',
+        error: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    const { isCorrect } = await gradingService.gradeAnswer(question, userAnswer);
+    quizAttemptService.saveQuizAnswer(attempt, questionId, { userAnswer, timeSpent, confidence });
+    adaptiveQuizService.recordResponse(attempt, question, isCorrect);
+    const nextQuestion = adaptiveQuizService.advance(attempt, pool);
+    await attempt.save();
+
+    const view = nextQuestion
+      ? quizDeliveryService.buildQuizView(questionBankService.getAttemptQuiz(quiz, attempt), attempt)
+      : null;
+
+    res.json({
+      success: true,
+      message: nextQuestion ? 'Answer saved' : 'Answer saved; the attempt is ready to submit',
+      data: {
+        attemptId: attempt._id,
+        question: view ? view.questions.find(item => item._id.equals(nextQuestion._id)) : null,
+        ...getAdaptiveProgress(attempt),
+        ...quizAttemptService.getTiming(attempt)
+      }
+    });
+  } catch (error) {
+    console.error('Adaptive quiz answer error:', error);
+    next(error);
+  }
+});
+
 // Submit quiz attempt
 router.post('/attempt/:attemptId/submit', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
     const { attemptId } = req.params;
-    const { answers } = req.body; // Array of { questionId, userAnswer }
+    const { answers } = req.body; // Optional array of { questionId, userAnswer }; saved answers fill the rest
     const { clerkUserId, _id: userId } = req.user;
 
     // Get the attempt
@@ -585,35 +1002,42 @@ router.post('/attempt/:attemptId/submit', requireAuth, getOrCreateUser, async (r
       });
     }
 
-    // Process answers
-    const processedAnswers = answers.map(answer => {
-      const question = quiz.questions.id(answer.questionId);
-      if (!question) {
-        throw new Error(`Question not found: ${answer.questionId}`);
-      }
-
-      let isCorrect = false;
-      let points = 0;
-
-      if (question.type === 'multiple-choice') {
-        const correctOption = question.options.find(opt => opt.isCorrect);
-        isCorrect = correctOption && correctOption.text === answer.userAnswer;
-      } else if (question.type === 'true-false') {
-        isCorrect = question.correctAnswer.toLowerCase() === answer.userAnswer.toLowerCase();
+    // Past the deadline: close the attempt with the answers saved in time and reject the late ones
+    if (quizAttemptService.isExpired(attempt)) {
+      const timedOutAttempt = await quizAttemptService.timeOutQuizAttempt(attempt, quiz);
+      if (!timedOutAttempt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quiz attempt not found or already completed',
+          error: 'ATTEMPT_NOT_FOUND'
+        });
       }
 
-      if (isCorrect) {
-        points = question.points;
-      }
+      return res.status(409).json({
+        success: false,
+        message: 'Time limit exceeded. Answers submitted after the deadline were not accepted.',
+        error: 'TIME_LIMIT_EXCEEDED',
+        data: {
+          attempt: timedOutAttempt,
+          passed: timedOutAttempt.passed,
+          score: timedOutAttempt.score,
+          correctAnswers: timedOutAttempt.correctAnswers,
+          totalQuestions: timedOutAttempt.totalQuestions,
+          sectionScores: timedOutAttempt.sectionScores,
+          adaptive: adaptiveQuizService.getResult(timedOutAttempt),
+          expiresAt: timedOutAttempt.expiresAt,
+          review: quizDeliveryService.buildQuizReview(questionBankService.getAttemptQuiz(quiz, timedOutAttempt), timedOutAttempt)
+        }
+      });
+    }
 
-      return {
-        questionId: answer.questionId,
-        sectionTitle: question.sectionTitle,
-        userAnswer: answer.userAnswer,
-        isCorrect: isCorrect,
-        points: points,
-        timeSpent: answer.timeSpent || 0
-      };
+    // Grade answers (short answers by fuzzy matching, essays by AI rubric in the content's language)
+    const sourceContent = quiz.contentId ? await Content.findById(quiz.contentId).select('metadata.language') : null;
+    const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+    // Adaptive answers were fixed as each question was answered, so only the saved ones count
+    const answersToGrade = quizAttemptService.collectQuizAnswers(attemptQuiz, attempt, attempt.mode === 'adaptive' ? [] : answers);
+    const processedAnswers = await gradingService.gradeAnswers(attemptQuiz, answersToGrade, {
+      language: sourceContent?.metadata?.language
     });
 
     // Update attempt with answers
@@ -621,71 +1045,32 @@ router.post('/attempt/:attemptId/submit', requireAuth, getOrCreateUser, async (r
     attempt.status = 'completed';
     attempt.completedAt = new Date();
     attempt.timeSpent = Math.round((attempt.completedAt - attempt.startedAt) / (1000 * 60));
-    
-    // Calculate total score
-    const totalPoints = processedAnswers.reduce((sum, answer) => sum + answer.points, 0);
-    const maxPoints = quiz.questions.reduce((sum, q) => sum + q.points, 0);
-    attempt.score = Math.round((totalPoints / maxPoints) * 100);
-    
+
+    // Calculate total score, section scores and pass/fail
+    gradingService.recalculateAttempt(attempt, attemptQuiz);
+
     console.log('Quiz scoring:', {
-      totalPoints,
-      maxPoints,
+      totalPoints: attempt.totalPoints,
+      maxPoints: attempt.maxPoints,
       score: attempt.score,
       answers: processedAnswers.length
     });
-    
-    // Calculate section scores
-    const sectionScores = {};
-    processedAnswers.forEach(answer => {
-      if (!sectionScores[answer.sectionTitle]) {
-        sectionScores[answer.sectionTitle] = {
-          total: 0,
-          correct: 0
-        };
-      }
-      sectionScores[answer.sectionTitle].total++;
-      if (answer.isCorrect) {
-        sectionScores[answer.sectionTitle].correct++;
-      }
-    });
 
-    attempt.sectionScores = Object.keys(sectionScores).map(sectionTitle => ({
-      sectionTitle,
-      score: Math.round((sectionScores[sectionTitle].correct / sectionScores[sectionTitle].total) * 100),
-      totalQuestions: sectionScores[sectionTitle].total,
-      correctAnswers: sectionScores[sectionTitle].correct
-    }));
-
-    // Determine if passed
-    attempt.passed = attempt.score >= quiz.settings.passingScore;
-
-    await attempt.save();
-
-    // Update quiz analytics
-    quiz.analytics.totalAttempts = (quiz.analytics.totalAttempts || 0) + 1;
-    quiz.analytics.lastTaken = new Date();
-
-    // Update average score
-    const allCompletedAttempts = await QuizAttempt.find({
-      quizId: quiz._id,
-      status: 'completed'
-    }).select('score');
-    
-    if (allCompletedAttempts.length > 0) {
-      quiz.analytics.averageScore = Math.round(
-        allCompletedAttempts.reduce((sum, att) => sum + att.score, 0) / allCompletedAttempts.length
-      );
-      quiz.analytics.bestScore = Math.max(...allCompletedAttempts.map(att => att.score));
-      quiz.analytics.passRate = Math.round(
-        (allCompletedAttempts.filter(att => att.passed).length / allCompletedAttempts.length) * 100
-      );
+    // Grading can take a while (essays); the sweeper or another submit may have closed the attempt meanwhile
+    if (!await quizAttemptService.saveIfInProgress(attempt)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt was already submitted or timed out',
+        error: 'ATTEMPT_ALREADY_CLOSED'
+      });
     }
 
-    await quiz.save();
+    // Update quiz analytics and the content's quiz history
+    await quizAttemptService.recordQuizResult(quiz, attempt);
 
     // Update user streak for quiz completion
     try {
-      await updateUserStreak(userId);
+      await databaseService.updateUserStreak(userId);
     } catch (error) {
       console.error('Failed to update user streak:', error);
       // Don't fail the submission if streak update fails
@@ -694,7 +1079,7 @@ router.post('/attempt/:attemptId/submit', requireAuth, getOrCreateUser, async (r
     // Generate AI-powered quiz performance summary
     let quizSummary = null;
     try {
-      quizSummary = await geminiService.generateQuizSummary(quiz, attempt);
+      quizSummary = await geminiService.generateQuizSummary(attemptQuiz, attempt);
       
       // Save summary to the attempt
       attempt.aiSummary = quizSummary;
@@ -706,39 +1091,6 @@ router.post('/attempt/:attemptId/submit', requireAuth, getOrCreateUser, async (r
       // Don't fail the submission if summary generation fails
     }
 
-    // Update content quiz history
-    const content = await Content.findById(quiz.contentId);
-    if (content) {
-      // Update quiz history
-      content.quizHistory.totalAttempts += 1;
-      content.quizHistory.lastAttempt = new Date();
-      
-      // Update best score
-      if (attempt.score > content.quizHistory.bestScore) {
-        content.quizHistory.bestScore = attempt.score;
-      }
-      
-      // Update passed status
-      if (attempt.passed && !content.quizHistory.isPassed) {
-        content.quizHistory.isPassed = true;
-      }
-
-      // Add attempt to history
-      content.quizHistory.attempts.push({
-        attemptId: attempt._id,
-        score: attempt.score,
-        passed: attempt.passed,
-        completedAt: attempt.completedAt
-      });
-
-      // Keep only last 10 attempts to avoid too much data
-      if (content.quizHistory.attempts.length > 10) {
-        content.quizHistory.attempts = content.quizHistory.attempts.slice(-10);
-      }
-
-      await content.save();
-    }
-
     // Debug logging for correct answers
     console.log('=== QUIZ SUBMISSION DEBUG ===');
     console.log('Attempt answers:', attempt.answers.length);
@@ -757,7 +1109,9 @@ router.post('/attempt/:attemptId/submit', requireAuth, getOrCreateUser, async (r
         correctAnswers: attempt.correctAnswers, // Add this explicitly
         totalQuestions: attempt.totalQuestions, // Add this too for consistency
         sectionScores: attempt.sectionScores,
+        adaptive: adaptiveQuizService.getResult(attempt),
         aiSummary: quizSummary,
+        review: quizDeliveryService.buildQuizReview(attemptQuiz, attempt),
         canRetake: quiz.settings.allowRetakes && attempt.attemptNumber < quiz.settings.maxAttempts
       }
     });
@@ -767,6 +1121,212 @@ router.post('/attempt/:attemptId/submit', requireAuth, getOrCreateUser, async (r
   }
 });
 
+// Find a finished attempt on a quiz owned by the current user (for grade review)
+const findReviewableAttempt = async (attemptId, user) => {
+  const attempt = await QuizAttempt.findOne({ _id: attemptId, status: { $in: FINISHED_STATUSES } });
+  if (!attempt) return { attempt: null, quiz: null };
+
+  const quiz = await Quiz.findOne({ _id: attempt.quizId, userId: user._id });
+  return {
+    attempt: quiz ? attempt : null,
+    quiz,
+    attemptQuiz: quiz ? questionBankService.getAttemptQuiz(quiz, attempt) : null
+  };
+};
+
+// Save a regraded attempt and refresh everything derived from its score
+const saveRegradedAttempt = async (attempt, quiz) => {
+  gradingService.recalculateAttempt(attempt, questionBankService.getAttemptQuiz(quiz, attempt));
+  await attempt.save();
+
+  await quizAttemptService.updateScoreAnalytics(quiz);
+  await quiz.save();
+
+  if (quiz.contentId) {
+    const content = await Content.findById(quiz.contentId);
+    const entry = content?.quizHistory.attempts.find(item => item.attemptId?.equals(attempt._id));
+    if (entry) {
+      entry.score = attempt.score;
+      entry.passed = attempt.passed;
+      content.quizHistory.bestScore = Math.max(...content.quizHistory.attempts.map(item => item.score || 0));
+      content.quizHistory.isPassed = content.quizHistory.attempts.some(item => item.passed);
+      await content.save();
+    }
+  }
+};
+
+const answerGradeSchema = require('joi').object({
+  points: require('joi').number().min(0).required(),
+  isCorrect: require('joi').boolean().optional(),
+  comment: require('joi').string().trim().max(1000).allow('').optional()
+});
+
+// List free-text answers on the owner's quiz for review (short-answer and essay)
+router.get('/:quizId/grading', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { quizId } = req.params;
+    const { status } = req.query; // 'needs-review' | 'graded' | 'overridden'
+
+    const quiz = await Quiz.findOne({ _id: quizId, userId: req.user._id, isActive: true });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+        error: 'QUIZ_NOT_FOUND'
+      });
+    }
+
+    const query = { quizId, status: { $in: FINISHED_STATUSES } };
+    if (status) query['answers.grading.status'] = status;
+
+    const attempts = await QuizAttempt.find(query)
+      .populate('userId', 'firstName lastName username')
+      .sort({ completedAt: -1 })
+      .limit(100);
+
+    // Bank-drawn quizzes have different questions in each attempt
+    const items = attempts.flatMap(attempt => {
+      const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+      return attempt.answers
+        .map(answer => ({ answer, question: attemptQuiz.questions.id(answer.questionId) }))
+        .filter(({ question }) => question && ['short-answer', 'essay'].includes(question.type))
+        .filter(({ answer }) => !status || answer.grading?.status === status)
+        .map(({ answer, question }) => ({
+          attemptId: attempt._id,
+          user: attempt.userId,
+          completedAt: attempt.completedAt,
+          questionId: answer.questionId,
+          question: question.question,
+          type: question.type,
+          correctAnswer: question.correctAnswer,
+          userAnswer: answer.userAnswer,
+          points: answer.points,
+          maxPoints: answer.maxPoints || question.points,
+          isCorrect: answer.isCorrect,
+          grading: answer.grading
+        }));
+    });
+
+    res.json({
+      success: true,
+      data: {
+        quizId: quiz._id,
+        items,
+        total: items.length
+      }
+    });
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    next(error);
+  }
+});
+
+// Override the automatic grade of one answer (quiz owner only)
+router.put('/attempt/:attemptId/answers/:questionId/grade', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { attemptId, questionId } = req.params;
+
+    const { error, value } = answerGradeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message),
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { attempt, quiz, attemptQuiz } = await findReviewableAttempt(attemptId, req.user);
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Completed attempt not found on a quiz you own',
+        error: 'ATTEMPT_NOT_FOUND'
+      });
+    }
+
+    const answer = attempt.answers.find(item => item.questionId.toString() === questionId);
+    const question = attemptQuiz.questions.id(questionId);
+    if (!answer || !question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found in this attempt',
+        error: 'ANSWER_NOT_FOUND'
+      });
+    }
+
+    if (value.points > question.points) {
+      return res.status(400).json({
+        success: false,
+        message: `Points cannot exceed the question's ${question.points} points`,
+        error: 'INVALID_POINTS'
+      });
+    }
+
+    answer.maxPoints = answer.maxPoints || question.points;
+    gradingService.applyOverride(answer, value, req.user);
+    await saveRegradedAttempt(attempt, quiz);
+
+    res.json({
+      success: true,
+      message: 'Grade updated',
+      data: {
+        attemptId: attempt._id,
+        answer,
+        score: attempt.score,
+        totalPoints: attempt.totalPoints,
+        passed: attempt.passed
+      }
+    });
+  } catch (error) {
+    console.error('Override grade error:', error);
+    next(error);
+  }
+});
+
+// Remove an override and restore the automatic grade
+router.delete('/attempt/:attemptId/answers/:questionId/grade', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { attemptId, questionId } = req.params;
+
+    const { attempt, quiz } = await findReviewableAttempt(attemptId, req.user);
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Completed attempt not found on a quiz you own',
+        error: 'ATTEMPT_NOT_FOUND'
+      });
+    }
+
+    const answer = attempt.answers.find(item => item.questionId.toString() === questionId);
+    if (!answer || answer.grading?.status !== 'overridden') {
+      return res.status(404).json({
+        success: false,
+        message: 'No overridden grade for this answer',
+        error: 'OVERRIDE_NOT_FOUND'
+      });
+    }
+
+    gradingService.revertOverride(answer);
+    await saveRegradedAttempt(attempt, quiz);
+
+    res.json({
+      success: true,
+      message: 'Automatic grade restored',
+      data: {
+        attemptId: attempt._id,
+        answer,
+        score: attempt.score,
+        totalPoints: attempt.totalPoints,
+        passed: attempt.passed
+      }
+    });
+  } catch (error) {
+    console.error('Revert grade error:', error);
+    next(error);
+  }
+});
+
 // Get user's quiz attempts for a content
 router.get('/content/:contentId/attempts', requireAuth, getOrCreateUser, async (req, res, next) => {
   try {
@@ -776,7 +1336,7 @@ router.get('/content/:contentId/attempts', requireAuth, getOrCreateUser, async (
     const attempts = await QuizAttempt.find({
       contentId: contentId,
       userId: userId,
-      status: 'completed'
+      status: { $in: FINISHED_STATUSES }
     }).sort({ attemptNumber: -1 });
 
     res.json({
@@ -799,7 +1359,7 @@ router.get('/attempt/:attemptId', requireAuth, getOrCreateUser, async (req, res,
     const attempt = await QuizAttempt.findOne({
       _id: attemptId,
       userId: userId
-    }).populate('quizId', 'title questions');
+    });
 
     if (!attempt) {
       return res.status(404).json({
@@ -809,10 +1369,23 @@ router.get('/attempt/:attemptId', requireAuth, getOrCreateUser, async (req, res,
       });
     }
 
+    // Questions in the order they were served; answers only once finished and the quiz reveals them
+    const data = attempt.toJSON();
+    const quiz = await Quiz.findById(attempt.quizId);
+    if (quiz) {
+      const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+      const review = attempt.status !== 'in-progress' ? quizDeliveryService.buildQuizReview(attemptQuiz, attempt) : null;
+      data.quizId = {
+        _id: quiz._id,
+        title: quiz.title,
+        questions: review || quizDeliveryService.buildQuizView(attemptQuiz, attempt).questions
+      };
+    }
+
     res.json({
       success: true,
       message: 'Quiz attempt retrieved successfully',
-      data: attempt
+      data
     });
   } catch (error) {
     console.error('Get quiz attempt error:', error);
@@ -868,57 +1441,4 @@ router.get('/results/:contentId', requireAuth, getOrCreateUser, async (req, res,
   }
 });
 
-// Helper function to update user streak
-async function updateUserStreak(userId) {
-  try {
-    const user = await User.findById(userId);
-    if (!user) return;
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const lastActivity = user.profile.streak.lastActivity;
-    let currentStreak = user.profile.streak.current || 0;
-    let longestStreak = user.profile.streak.longest || 0;
-
-    if (!lastActivity) {
-      // First activity ever
-      currentStreak = 1;
-    } else {
-      const lastActivityDate = new Date(lastActivity);
-      lastActivityDate.setHours(0, 0, 0, 0);
-      
-      const daysDifference = Math.floor((today - lastActivityDate) / (1000 * 60 * 60 * 24));
-      
-      if (daysDifference === 0) {
-        // Same day, don't increment streak
-        return;
-      } else if (daysDifference === 1) {
-        // Consecutive day, increment streak
-        currentStreak += 1;
-      } else {
-        // Streak broken, start over
-        currentStreak = 1;
-      }
-    }
-
-    // Update longest streak if current is longer
-    if (currentStreak > longestStreak) {
-      longestStreak = currentStreak;
-    }
-
-    // Update user streak data
-    await User.findByIdAndUpdate(userId, {
-      'profile.streak.current': currentStreak,
-      'profile.streak.longest': longestStreak,
-      'profile.streak.lastActivity': new Date()
-    });
-
-    console.log(`Updated user streak: current=${currentStreak}, longest=${longestStreak}`);
-  } catch (error) {
-    console.error('Error updating user streak:', error);
-    throw error;
-  }
-}
-
 module.exports = router;
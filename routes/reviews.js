@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requireAuth, getOrCreateUser } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const databaseService = require('../services/databaseService');
+const reviewService = require('../services/reviewService');
+const ReviewItem = require('../models/ReviewItem');
+
+// Find an active review item belonging to the current user
+const findReviewItem = async (req, res) => {
+  const { itemId } = req.params;
+
+  const item = mongoose.Types.ObjectId.isValid(itemId)
+    ? await ReviewItem.findOne({ _id: itemId, userId: req.user._id, isActive: true })
+    : null;
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Review item not found',
+      error: 'REVIEW_ITEM_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return item;
+};
+
+// Today's review session: items due by the end of the day, most overdue first
+router.get('/due', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const { items, dueCount } = await reviewService.getDueItems(req.user._id, { limit });
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        dueCount,
+        remaining: Math.max(0, dueCount - items.length)
+      }
+    });
+  } catch (error) {
+    console.error('Get due reviews error:', error);
+    next(error);
+  }
+});
+
+// All items in the queue with their schedules (?source=quiz|community-quiz)
+router.get('/', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const { source, page = 1, limit = 20 } = req.query;
+
+    const query = { userId: req.user._id, isActive: true };
+    if (source) query['source.kind'] = source;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [items, total, dueCount] = await Promise.all([
+      ReviewItem.find(query)
+        .sort({ dueAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ReviewItem.countDocuments(query),
+      ReviewItem.countDocuments(reviewService.dueQuery(req.user._id))
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(item => ({
+          ...reviewService.toSessionItem(item),
+          easeFactor: item.easeFactor,
+          interval: item.interval,
+          lapses: item.lapses
+        })),
+        dueCount,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List reviews error:', error);
+    next(error);
+  }
+});
+
+// Record a review: grade the answer (or take the self-rating) and reschedule the item
+router.post('/:itemId/result', requireAuth, getOrCreateUser, validate(schemas.reviewResult), async (req, res, next) => {
+  try {
+    const item = await findReviewItem(req, res);
+    if (!item) return;
+
+    const { answer, quality, timeSpent } = req.body;
+
+    if (item.question.type === 'essay' && quality === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Essay questions are self-rated; send a quality from 0 to 5',
+        error: 'QUALITY_REQUIRED'
+      });
+    }
+
+    const result = await reviewService.recordReview(item, { answer, quality, timeSpent });
+
+    // Reviews count toward the daily streak
+    try {
+      await databaseService.updateUserStreak(req.user._id);
+    } catch (error) {
+      console.error('Failed to update user streak:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Review recorded',
+      data: {
+        isCorrect: result.isCorrect,
+        quality: result.quality,
+        correctAnswer: result.correctAnswer,
+        explanation: result.explanation,
+        easeFactor: item.easeFactor,
+        interval: item.interval,
+        repetitions: item.repetitions,
+        dueAt: item.dueAt
+      }
+    });
+  } catch (error) {
+    console.error('Record review error:', error);
+    next(error);
+  }
+});
+
+// Remove an item from review sessions
+router.delete('/:itemId', requireAuth, getOrCreateUser, async (req, res, next) => {
+  try {
+    const item = await findReviewItem(req, res);
+    if (!item) return;
+
+    item.isActive = false;
+    await item.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from the review queue'
+    });
+  } catch (error) {
+    console.error('Delete review item error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
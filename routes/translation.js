@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const translationService = require('../services/translationService');
 const databaseService = require('../services/databaseService');
+const languageDetectionService = require('../services/languageDetectionService');
 const { authMiddleware } = require('../middleware/auth');
 const { body, param, query, validationResult } = require('express-validator');
 
@@ -55,8 +56,10 @@ router.get('/content/:contentId',
         });
       }
 
-      // If requesting English or content doesn't have AI summary yet, return original
-      if (lang === 'en' || !content.aiSummary) {
+      const sourceLanguage = content.metadata?.language || 'en';
+
+      // If requesting the content's own language or content doesn't have AI summary yet, return original
+      if (lang === sourceLanguage || !content.aiSummary) {
         return res.json({
           success: true,
           data: { content }
@@ -64,7 +67,7 @@ router.get('/content/:contentId',
       }
 
       // Translate content
-      const translatedContent = await translationService.translateContent(content, lang);
+      const translatedContent = await translationService.translateContent(content, lang, [], sourceLanguage);
 
       res.json({
         success: true,
@@ -120,8 +123,10 @@ router.get('/quiz/:contentId',
         });
       }
 
-      // If requesting English, return original quiz
-      if (lang === 'en') {
+      const sourceLanguage = content.metadata?.language || 'en';
+
+      // If requesting the content's own language, return original quiz
+      if (lang === sourceLanguage) {
         return res.json({
           success: true,
           data: { quiz: content.aiSummary.quiz }
@@ -129,7 +134,7 @@ router.get('/quiz/:contentId',
       }
 
       // Translate quiz
-      const translatedQuiz = await translationService.translateQuiz(content.aiSummary.quiz, lang);
+      const translatedQuiz = await translationService.translateQuiz(content.aiSummary.quiz, lang, sourceLanguage);
 
       res.json({
         success: true,
@@ -166,7 +171,8 @@ router.post('/text',
         });
       }
 
-      const { text, targetLanguage, sourceLanguage = 'en' } = req.body;
+      const { text, targetLanguage } = req.body;
+      const sourceLanguage = req.body.sourceLanguage || languageDetectionService.detect(text).language;
 
       const translatedText = await translationService.translateText(text, targetLanguage, sourceLanguage);
 
@@ -1,10 +1,13 @@
 require('dotenv').config();
 
+const { resolveProviderName } = require('./services/llm');
+
 // Validate required environment variables
+const llmProvider = resolveProviderName();
 const requiredEnvVars = [
   'MONGODB_URI',
-  'GEMINI_API_KEY',
-  'CLERK_SECRET_KEY'
+  'CLERK_SECRET_KEY',
+  ...(llmProvider === 'gemini' ? ['GEMINI_API_KEY'] : [])
 ];
 
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
@@ -16,6 +19,7 @@ if (missingEnvVars.length > 0) {
 
 console.log('Environment check passed');
 console.log('MongoDB URI configured:', process.env.MONGODB_URI ? 'Yes' : 'No');
+console.log('LLM provider:', llmProvider);
 console.log('Gemini API Key configured:', process.env.GEMINI_API_KEY ? 'Yes' : 'No');
 console.log('Clerk Secret Key configured:', process.env.CLERK_SECRET_KEY ? 'Yes' : 'No');
 
@@ -39,6 +43,15 @@ const communityRoutes = require('./routes/community');
 const communityContentRoutes = require('./routes/communityContent');
 const communityQuizRoutes = require('./routes/communityQuiz');
 const communityChatRoutes = require('./routes/communityChat');
+const jobRoutes = require('./routes/jobs');
+const questionRoutes = require('./routes/questions');
+const reviewRoutes = require('./routes/reviews');
+
+// Import background job worker
+const { startWorker } = require('./worker');
+const jobQueue = require('./services/jobQueue');
+const quizAttemptService = require('./services/quizAttemptService');
+const realtimeService = require('./services/realtimeService');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -50,6 +63,11 @@ const PORT = process.env.PORT || 5001;
 // Connect to MongoDB
 connectDB();
 
+// Run the job worker in-process unless a separate `node worker.js` handles it
+if (process.env.JOB_WORKER_MODE !== 'external') {
+  startWorker();
+}
+
 // Trust proxy for proper IP addresses behind reverse proxy
 app.set('trust proxy', 1);
 
@@ -108,7 +126,7 @@ const corsOptions = {
     'Access-Control-Request-Method',
     'Access-Control-Request-Headers'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'X-Skipped-Questions'],
   maxAge: 86400 // 24 hours
 };
 
@@ -257,7 +275,10 @@ app.get('/api/status', (req, res) => {
       auth: '/api/auth',
       content: '/api/content',
       quiz: '/api/quiz',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      jobs: '/api/jobs',
+      questions: '/api/questions',
+      reviews: '/api/reviews'
     },
     documentation: process.env.API_DOCS_URL || null
   });
@@ -293,6 +314,9 @@ app.use('/api/v1/community', communityRoutes);
 app.use('/api/v1/community-content', communityContentRoutes);
 app.use('/api/v1/community-quiz', communityQuizRoutes);
 app.use('/api/v1/community-chat', communityChatRoutes);
+app.use('/api/v1/jobs', jobRoutes);
+app.use('/api/v1/questions', questionRoutes);
+app.use('/api/v1/reviews', reviewRoutes);
 
 // Backward compatibility (without versioning)
 app.use('/api/auth', authRoutes);
@@ -304,6 +328,9 @@ app.use('/api/community', communityRoutes);
 app.use('/api/community-content', communityContentRoutes);
 app.use('/api/community-quiz', communityQuizRoutes);
 app.use('/api/community-chat', communityChatRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Root route for health check and basic info
 app.get('/', (req, res) => {
@@ -338,6 +365,11 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Shutting down gracefully...`);
   
+  // Stop picking up new background jobs and quiz timeouts
+  jobQueue.stop();
+  quizAttemptService.stop();
+  realtimeService.stop();
+
   const server = app.listen(PORT);
   
   server.close(() => {
@@ -384,6 +416,14 @@ const server = app.listen(PORT, () => {
   `);
 });
 
+// Real-time community chat over Socket.IO, on the same port and CORS rules as the API
+realtimeService.attach(server, {
+  cors: {
+    origin: corsOptions.origin,
+    credentials: true
+  }
+});
+
 // Handle server errors
 server.on('error', (error) => {
   if (error.code === 'EADDRINUSE') {
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+
+// Adaptive delivery: the next question is picked after each answer from a running ability
+// estimate. Ability is on a logit scale with a Rasch (1PL) model, where a question's difficulty
+// sets its location; the estimate is the posterior mean (EAP) on a grid with a normal prior.
+const DIFFICULTY_LOCATIONS = { easy: -1, medium: 0, hard: 1 };
+
+// Points multiplier by difficulty, so harder questions count for more in the score
+const DIFFICULTY_WEIGHTS = { easy: 1, medium: 2, hard: 3 };
+
+const DEFAULT_MAX_QUESTIONS = 15;
+const DEFAULT_TARGET_STANDARD_ERROR = 0.5;
+
+// Never stop on confidence before this many answers
+const MIN_QUESTIONS = 5;
+
+// Ability grid for the posterior (-4..4 logits)
+const GRID = Array.from({ length: 81 }, (_, index) => -4 + index * 0.1);
+const PRIOR_SD = 1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class AdaptiveQuizService {
+  // Only questions that can be graded on the spot are served adaptively
+  isEligible(question) {
+    return question.type !== 'essay';
+  }
+
+  // Questions an adaptive attempt draws from: the attempt's drawn questions, or the quiz's own
+  getPool(quiz, attempt) {
+    const questions = attempt.drawnQuestions?.length > 0 ? attempt.drawnQuestions : quiz.questions;
+    return questions.filter(question => this.isEligible(question));
+  }
+
+  /**
+   * Adaptive state for a new attempt. The user's preferred difficulty sets the starting estimate.
+   * @param {string} preferredDifficulty - User.profile.preferences.difficulty
+   * @param {Object} options - { maxQuestions, targetStandardError }
+   */
+  createState(preferredDifficulty, { maxQuestions, targetStandardError } = {}) {
+    const startingDifficulty = DIFFICULTY_LOCATIONS[preferredDifficulty] !== undefined ? preferredDifficulty : 'medium';
+    return {
+      startingDifficulty,
+      maxQuestions: maxQuestions || DEFAULT_MAX_QUESTIONS,
+      targetStandardError: targetStandardError || DEFAULT_TARGET_STANDARD_ERROR,
+      servedQuestionIds: [],
+      responses: [],
+      ability: DIFFICULTY_LOCATIONS[startingDifficulty],
+      standardError: PRIOR_SD,
+      isComplete: false,
+      stopReason: null
+    };
+  }
+
+  /**
+   * Posterior mean and standard deviation of ability given the responses so far
+   * @param {Array<{ difficulty: string, isCorrect: boolean }>} responses
+   * @param {number} priorMean
+   * @returns {{ ability: number, standardError: number }}
+   */
+  estimateAbility(responses, priorMean = 0) {
+    const weights = GRID.map(theta => {
+      let logLikelihood = -((theta - priorMean) ** 2) / (2 * PRIOR_SD ** 2);
+      responses.forEach(response => {
+        const probability = 1 / (1 + Math.exp(-(theta - DIFFICULTY_LOCATIONS[response.difficulty || 'medium'])));
+        logLikelihood += Math.log(response.isCorrect ? probability : 1 - probability);
+      });
+      return Math.exp(logLikelihood);
+    });
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const ability = GRID.reduce((sum, theta, index) => sum + theta * weights[index], 0) / total;
+    const variance = GRID.reduce((sum, theta, index) => sum + ((theta - ability) ** 2) * weights[index], 0) / total;
+
+    return { ability: round(ability), standardError: round(Math.sqrt(variance)) };
+  }
+
+  // easy / medium / hard band for an ability estimate
+  getLevel(ability) {
+    if (ability < -0.5) return 'easy';
+    if (ability > 0.5) return 'hard';
+    return 'medium';
+  }
+
+  /**
+   * Next question: an unserved one whose difficulty is closest to the current estimate
+   * (where a Rasch item is most informative), chosen at random within that difficulty
+   * @returns {Object|null}
+   */
+  selectNext(pool, state) {
+    const served = new Set(state.servedQuestionIds.map(id => id.toString()));
+    const remaining = pool.filter(question => !served.has(question._id.toString()));
+    if (remaining.length === 0) return null;
+
+    const distance = question => Math.abs(DIFFICULTY_LOCATIONS[question.difficulty || 'medium'] - state.ability);
+    const closest = Math.min(...remaining.map(distance));
+    const candidates = remaining.filter(question => distance(question) === closest);
+
+    return candidates[crypto.randomInt(candidates.length)];
+  }
+
+  // The question served but not yet answered, if any
+  getCurrentQuestionId(state) {
+    const { servedQuestionIds, responses } = state;
+    return servedQuestionIds.length > responses.length ? servedQuestionIds[servedQuestionIds.length - 1] : null;
+  }
+
+  /**
+   * Serve the next question, or mark the attempt complete when the estimate is confident,
+   * the question cap is hit or the pool runs out (attempt is not saved here)
+   * @returns {Object|null} - The question served
+   */
+  advance(attempt, pool) {
+    const state = attempt.adaptive;
+    const answered = state.responses.length;
+
+    let stopReason = null;
+    if (answered >= MIN_QUESTIONS && state.standardError <= state.targetStandardError) {
+      stopReason = 'confident';
+    } else if (answered >= state.maxQuestions) {
+      stopReason = 'max-questions';
+    }
+
+    const next = stopReason ? null : this.selectNext(pool, state);
+    if (!next) {
+      state.isComplete = true;
+      state.stopReason = stopReason || 'pool-exhausted';
+      return null;
+    }
+
+    state.servedQuestionIds.push(next._id);
+    return next;
+  }
+
+  /**
+   * Record the graded answer to the current question and update the estimate
+   * (attempt is not saved here)
+   */
+  recordResponse(attempt, question, isCorrect) {
+    const state = attempt.adaptive;
+    const difficulty = question.difficulty || 'medium';
+
+    state.responses.push({ questionId: question._id, difficulty, isCorrect });
+    const { ability, standardError } = this.estimateAbility(state.responses, DIFFICULTY_LOCATIONS[state.startingDifficulty]);
+    state.ability = ability;
+    state.standardError = standardError;
+
+    const response = state.responses[state.responses.length - 1];
+    response.ability = ability;
+    response.standardError = standardError;
+  }
+
+  /**
+   * The quiz as seen by an adaptive attempt: the questions served so far, in served order,
+   * with points weighted by difficulty
+   * @param {Object} quiz - Plain quiz object whose questions are the attempt's pool
+   * @param {Object} attempt - QuizAttempt document
+   * @returns {Object} - Plain quiz object
+   */
+  toAttemptQuiz(quiz, attempt) {
+    const byId = new Map(quiz.questions.map(question => [question._id.toString(), question]));
+
+    return {
+      ...quiz,
+      settings: { ...quiz.settings, randomizeQuestions: false },
+      questions: attempt.adaptive.servedQuestionIds
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .map(question => ({
+          ...question,
+          points: (question.points || 1) * DIFFICULTY_WEIGHTS[question.difficulty || 'medium']
+        }))
+    };
+  }
+
+  // Progress shown while taking the quiz; the estimate itself is revealed with the results
+  getProgress(attempt) {
+    const state = attempt.adaptive;
+    return {
+      answered: state.responses.length,
+      maxQuestions: state.maxQuestions,
+      currentQuestionId: this.getCurrentQuestionId(state),
+      isComplete: state.isComplete
+    };
+  }
+
+  // Final estimate for results and analytics
+  getResult(attempt) {
+    const state = attempt.adaptive;
+    if (!state) return null;
+
+    return {
+      ability: state.ability,
+      standardError: state.standardError,
+      level: this.getLevel(state.ability),
+      startingDifficulty: state.startingDifficulty,
+      questionsAnswered: state.responses.length,
+      stopReason: state.stopReason
+    };
+  }
+}
+
+module.exports = new AdaptiveQuizService();
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Community = require('../models/Community');
+const CommunityMember = require('../models/CommunityMember');
+const CommunityInvite = require('../models/CommunityInvite');
+const CommunityBan = require('../models/CommunityBan');
+const CommunityModerationLog = require('../models/CommunityModerationLog');
+const realtimeService = require('./realtimeService');
+
+// Roles that manage a community's members
+const MANAGER_ROLES = ['moderator', 'admin'];
+
+// Moderators act on members, admins on moderators and members; the admin is the community's owner
+const ROLE_RANKS = { member: 0, moderator: 1, admin: 2 };
+
+class CommunityMembershipService {
+  // Private communities and those with requireApproval take join requests instead of open joins
+  requiresApproval(community) {
+    return Boolean(community.settings?.isPrivate || community.settings?.requireApproval);
+  }
+
+  isManager(membership) {
+    return Boolean(membership && MANAGER_ROLES.includes(membership.role));
+  }
+
+  // Content from regular members waits for review when the community has requireModeration
+  requiresContentReview(community, membership) {
+    return Boolean(community?.settings?.requireModeration) && !this.isManager(membership);
+  }
+
+  /**
+   * Communities a user may see in listings: public ones, and private ones they belong to
+   * @param {ObjectId} userId
+   * @returns {Promise<Object>} - Community query
+   */
+  async visibleCommunitiesQuery(userId) {
+    const memberships = await CommunityMember.find({ userId, isActive: true }).select('communityId');
+    return {
+      isActive: true,
+      $or: [
+        { 'settings.isPrivate': { $ne: true } },
+        { _id: { $in: memberships.map(membership => membership.communityId) } }
+      ]
+    };
+  }
+
+  /**
+   * Make a user an active member, reactivating the membership of someone who left before
+   * (so their stats carry over), and count them in the community's memberCount
+   * @param {ObjectId} communityId
+   * @param {{ _id: ObjectId, clerkUserId: string }} user
+   * @returns {Promise<Object>} - CommunityMember document
+   */
+  async addMember(communityId, user, role = 'member') {
+    const membership = await CommunityMember.findOneAndUpdate(
+      { userId: user._id, communityId },
+      {
+        $set: {
+          clerkUserId: user.clerkUserId,
+          role,
+          isActive: true,
+          joinedAt: new Date(),
+          lastActivity: new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await Community.findByIdAndUpdate(communityId, {
+      $inc: { memberCount: 1 }
+    });
+
+    return membership;
+  }
+
+  /**
+   * Deactivate a membership (kick or leave), update memberCount and take the user out of the
+   * community's chat rooms
+   * @param {Object} membership - Active CommunityMember document
+   */
+  async removeMember(membership) {
+    membership.isActive = false;
+    await membership.save();
+
+    await Community.findByIdAndUpdate(membership.communityId, {
+      $inc: { memberCount: -1 }
+    });
+
+    await realtimeService.removeFromCommunity(membership.communityId, membership.userId);
+  }
+
+  /**
+   * Make a member the community's admin and owner (Community.createdBy) and the current admin a
+   * moderator. All three writes share a transaction (MongoDB needs a replica set for these), so a
+   * failure can't leave two admins or none.
+   * @param {Object} actorMembership - The current admin's CommunityMember document
+   * @param {Object} targetMembership - The new owner's active CommunityMember document
+   */
+  async transferOwnership(communityId, actorMembership, targetMembership) {
+    await mongoose.connection.transaction(async (session) => {
+      const result = await CommunityMember.bulkWrite([
+        {
+          updateOne: {
+            filter: { _id: targetMembership._id, isActive: true },
+            update: { $set: { role: 'admin' } }
+          }
+        },
+        {
+          updateOne: {
+            filter: { _id: actorMembership._id, role: 'admin', isActive: true },
+            update: { $set: { role: 'moderator' } }
+          }
+        }
+      ], { session });
+
+      // Someone else changed either membership since it was loaded
+      if (result.matchedCount !== 2) {
+        const error = new Error('The memberships changed during the transfer; try again');
+        error.status = 409;
+        error.error = 'OWNERSHIP_TRANSFER_CONFLICT';
+        throw error;
+      }
+
+      await Community.updateOne({ _id: communityId }, { $set: { createdBy: targetMembership.userId } }, { session });
+    });
+
+    targetMembership.role = 'admin';
+    actorMembership.role = 'moderator';
+  }
+
+  // Whether the actor's role outranks the target's, as kicking, banning and role changes require
+  canActOn(actorMembership, targetMembership) {
+    return this.isManager(actorMembership) &&
+      ROLE_RANKS[actorMembership.role] > ROLE_RANKS[targetMembership?.role || 'member'];
+  }
+
+  /**
+   * The user's ban from a community that is still in force, if any
+   * @returns {Promise<Object|null>} - CommunityBan document
+   */
+  async getActiveBan(communityId, userId, now = new Date()) {
+    return CommunityBan.findOne({
+      communityId,
+      userId,
+      liftedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).sort({ createdAt: -1 });
+  }
+
+  // 403 body for a banned user
+  banResponse(ban) {
+    return {
+      success: false,
+      message: ban.expiresAt
+        ? `You are banned from this community until ${ban.expiresAt.toISOString()}`
+        : 'You are banned from this community',
+      error: 'BANNED_FROM_COMMUNITY',
+      data: { reason: ban.reason, expiresAt: ban.expiresAt }
+    };
+  }
+
+  /**
+   * Add an entry to a community's moderation log
+   * @param {ObjectId} communityId
+   * @param {ObjectId} actorId - User who took the action
+   * @param {string} action - See CommunityModerationLog.action
+   * @param {Object} entry - { targetUserId, reason, details }
+   */
+  async recordModeration(communityId, actorId, action, { targetUserId = null, reason = '', details = {} } = {}) {
+    return CommunityModerationLog.create({ communityId, actorId, action, targetUserId, reason, details });
+  }
+
+  /**
+   * Why a member can't create an invite with this role, or null when they can. With
+   * allowMemberInvites any member can invite members, otherwise only moderators and admins can;
+   * only admins hand out the moderator role.
+   * @returns {string|null}
+   */
+  getInviteError(community, membership, role = 'member') {
+    if (!membership) {
+      return 'You must be a member to invite others';
+    }
+    if (role === 'moderator' && membership.role !== 'admin') {
+      return 'Only admins can create moderator invites';
+    }
+    if (community.settings?.allowMemberInvites === false && !this.isManager(membership)) {
+      return 'Only moderators and admins can create invites in this community';
+    }
+    return null;
+  }
+
+  createInviteToken() {
+    return crypto.randomBytes(18).toString('base64url');
+  }
+
+  /**
+   * Use up one redemption of an invite. The checks and the increment are a single update, so
+   * concurrent redemptions can't go past maxUses.
+   * @returns {Promise<Object|null>} - The invite, or null when it's revoked, expired or used up
+   */
+  async claimInvite(token, userId, now = new Date()) {
+    return CommunityInvite.findOneAndUpdate(
+      {
+        token,
+        isRevoked: false,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+      },
+      {
+        $inc: { uses: 1 },
+        $push: { redemptions: { userId, redeemedAt: now } }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new CommunityMembershipService();
@@ -0,0 +1,309 @@
+const ContentRevision = require('../models/ContentRevision');
+const Quiz = require('../models/Quiz');
+const languageDetectionService = require('./languageDetectionService');
+const outlineService = require('./outlineService');
+const fingerprintService = require('./fingerprintService');
+const { splitByHeadings } = require('./llm/chunker');
+
+// Fields that are versioned; originalText changes also invalidate the AI summary and quizzes
+const TRACKED_FIELDS = ['title', 'category', 'tags', 'originalText'];
+
+// Line diffs are O(n*m); larger sections are reported as whole-section replacements
+const MAX_LINE_DIFF_CELLS = 250000;
+
+// Documents saved before revisions were tracked have no revision field; they are at revision 1
+const atRevision = (field, revision) => (revision === 1
+  ? { $or: [{ [field]: 1 }, { [field]: { $exists: false } }] }
+  : { [field]: revision });
+
+// Another edit of the same content took the revision number first; status/error follow the
+// shape errorHandler already understands
+class RevisionConflictError extends Error {
+  constructor(message = 'This content was changed by another request; reload it and try again') {
+    super(message);
+    this.name = 'RevisionConflictError';
+    this.status = 409;
+    this.error = 'REVISION_CONFLICT';
+  }
+}
+
+class ContentRevisionService {
+  snapshot(content) {
+    return {
+      title: content.title,
+      category: content.category,
+      tags: [...(content.tags || [])],
+      originalText: content.originalText
+    };
+  }
+
+  isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * The original version is only stored once content is first edited (so unedited
+   * uploads don't keep two copies of their text); record it before applying changes.
+   */
+  async ensureBaseline(content) {
+    const exists = await ContentRevision.exists({ contentId: content._id });
+    if (exists) return;
+
+    try {
+      await ContentRevision.create({
+        contentId: content._id,
+        revision: content.currentRevision || 1,
+        userId: content.userId,
+        clerkUserId: content.clerkUserId,
+        changeType: 'create',
+        changedFields: TRACKED_FIELDS,
+        aiSummary: content.status === 'processed' ? content.aiSummary : null,
+        createdAt: content.createdAt,
+        ...this.snapshot(content)
+      });
+    } catch (error) {
+      // A concurrent edit stored the baseline first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Apply changes to a content document and store the result as a new revision
+   * @param {Object} content - Content document
+   * @param {Object} updates - New values for tracked fields
+   * @param {Object} user - Author ({ _id, clerkUserId })
+   * @param {Object} options - { changeType, restoredFrom, aiSummary } where aiSummary
+   *   is a previously generated summary that matches the new text
+   * @returns {Promise<Object>} - { content, revision, changedFields, textChanged }
+   * @throws {RevisionConflictError} - When a concurrent edit took the next revision number
+   */
+  async applyChanges(content, updates, user, options = {}) {
+    const { changeType = 'edit', restoredFrom = null, aiSummary = null } = options;
+
+    await this.ensureBaseline(content);
+
+    const changedFields = TRACKED_FIELDS.filter(field =>
+      updates[field] !== undefined && !this.isEqual(updates[field], content[field])
+    );
+
+    if (changedFields.length === 0) {
+      return { content, revision: null, changedFields, textChanged: false };
+    }
+
+    content.currentRevision = await this.reserveRevision(content);
+
+    changedFields.forEach(field => {
+      content[field] = updates[field];
+    });
+
+    const textChanged = changedFields.includes('originalText');
+
+    if (textChanged) {
+      const wordCount = content.originalText.split(/\s+/).filter(Boolean).length;
+      content.metadata.wordCount = wordCount;
+      content.metadata.readingTime = Math.ceil(wordCount / 200);
+      content.metadata.language = languageDetectionService.detect(content.originalText).language;
+      content.outline = outlineService.build(content.originalText, content.fileType);
+      content.fingerprint = fingerprintService.compute(content.originalText);
+
+      if (aiSummary) {
+        content.aiSummary = aiSummary;
+        content.status = 'processed';
+        content.processingProgress = { stage: 'completed', percent: 100, updatedAt: new Date() };
+      } else {
+        content.status = 'processing';
+        content.processingProgress = { stage: 'queued', percent: 0, completedChunks: 0, totalChunks: 0, updatedAt: new Date() };
+      }
+    }
+
+    await content.save();
+
+    const revision = await ContentRevision.create({
+      contentId: content._id,
+      revision: content.currentRevision,
+      userId: user._id,
+      clerkUserId: user.clerkUserId,
+      changeType,
+      changedFields,
+      restoredFrom,
+      aiSummary: textChanged ? aiSummary : await this.getRevisionSummary(content._id, content.currentRevision - 1),
+      ...this.snapshot(content)
+    });
+
+    if (textChanged) {
+      await this.markQuizzesStale(content._id, content.currentRevision);
+      if (restoredFrom) {
+        await this.reviveQuizzes(content._id, restoredFrom, content.currentRevision);
+      }
+    }
+
+    return { content, revision, changedFields, textChanged };
+  }
+
+  /**
+   * Take the next revision number. The check against the revision this request loaded and the
+   * increment are a single update, so concurrent edits can't both store the same revision.
+   * @returns {Promise<number>}
+   */
+  async reserveRevision(content) {
+    const loadedRevision = content.currentRevision || 1;
+    const reserved = await content.constructor.findOneAndUpdate(
+      { _id: content._id, ...atRevision('currentRevision', loadedRevision) },
+      { $set: { currentRevision: loadedRevision + 1 } },
+      { new: true, projection: { currentRevision: 1 } }
+    );
+
+    if (!reserved) {
+      throw new RevisionConflictError();
+    }
+    return reserved.currentRevision;
+  }
+
+  async getRevisionSummary(contentId, revision) {
+    const previous = await ContentRevision.findOne({ contentId, revision }).select('aiSummary');
+    return previous?.aiSummary || null;
+  }
+
+  // Called when summary generation for a revision finishes so restores can reuse it
+  async saveRevisionSummary(contentId, revision, aiSummary) {
+    await ContentRevision.updateOne({ contentId, revision }, { aiSummary });
+  }
+
+  // Quizzes generated from earlier text no longer match the content
+  async markQuizzesStale(contentId, currentRevision) {
+    await Quiz.updateMany(
+      {
+        contentId,
+        isActive: true,
+        isStale: { $ne: true },
+        $or: [{ contentRevision: { $lt: currentRevision } }, { contentRevision: { $exists: false } }]
+      },
+      { isStale: true, staleSince: new Date() }
+    );
+  }
+
+  // Restoring a revision brings back the exact text its quizzes were generated from
+  async reviveQuizzes(contentId, restoredFrom, currentRevision) {
+    await Quiz.updateMany(
+      { contentId, isActive: true, ...atRevision('contentRevision', restoredFrom) },
+      { isStale: false, staleSince: null, contentRevision: currentRevision }
+    );
+  }
+
+  async listRevisions(contentId, { page = 1, limit = 20 } = {}) {
+    const query = { contentId };
+    const [revisions, total] = await Promise.all([
+      ContentRevision.find(query)
+        .select('-originalText -aiSummary')
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ContentRevision.countDocuments(query)
+    ]);
+
+    return { revisions, total };
+  }
+
+  async getRevision(contentId, revision) {
+    return ContentRevision.findOne({ contentId, revision });
+  }
+
+  /**
+   * Section-level diff between two revisions. Text is split on detected headings;
+   * sections are matched by heading (in order for repeated headings).
+   * @returns {Object} - { fields, sections, summary }
+   */
+  diff(fromRevision, toRevision) {
+    const fields = ['title', 'category', 'tags']
+      .filter(field => !this.isEqual(fromRevision[field], toRevision[field]))
+      .map(field => ({ field, from: fromRevision[field], to: toRevision[field] }));
+
+    const sections = this.diffSections(
+      this.keyedSections(fromRevision.originalText),
+      this.keyedSections(toRevision.originalText)
+    );
+
+    const summary = sections.reduce((counts, section) => {
+      counts[section.status] = (counts[section.status] || 0) + 1;
+      return counts;
+    }, { added: 0, removed: 0, modified: 0, unchanged: 0 });
+
+    return { fields, sections, summary };
+  }
+
+  keyedSections(text) {
+    const seen = {};
+    return splitByHeadings(text || '').map((block, index) => {
+      const title = block.heading || (index === 0 ? 'Introduction' : `Section ${index + 1}`);
+      seen[title] = (seen[title] || 0) + 1;
+      return { key: `${title}#${seen[title]}`, title, text: block.text };
+    });
+  }
+
+  diffSections(fromSections, toSections) {
+    const fromByKey = new Map(fromSections.map(section => [section.key, section]));
+    const toKeys = new Set(toSections.map(section => section.key));
+    const result = [];
+
+    toSections.forEach(section => {
+      const previous = fromByKey.get(section.key);
+      if (!previous) {
+        result.push({ title: section.title, status: 'added', to: section.text });
+      } else if (previous.text === section.text) {
+        result.push({ title: section.title, status: 'unchanged' });
+      } else {
+        result.push({
+          title: section.title,
+          status: 'modified',
+          changes: this.diffLines(previous.text, section.text)
+        });
+      }
+    });
+
+    fromSections
+      .filter(section => !toKeys.has(section.key))
+      .forEach(section => result.push({ title: section.title, status: 'removed', from: section.text }));
+
+    return result;
+  }
+
+  // Longest-common-subsequence line diff; returns only added and removed lines
+  diffLines(fromText, toText) {
+    const a = fromText.split('\n');
+    const b = toText.split('\n');
+
+    if (a.length * b.length > MAX_LINE_DIFF_CELLS) {
+      return [
+        ...a.map(line => ({ type: 'removed', line })),
+        ...b.map(line => ({ type: 'added', line }))
+      ];
+    }
+
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        changes.push({ type: 'removed', line: a[i++] });
+      } else {
+        changes.push({ type: 'added', line: b[j++] });
+      }
+    }
+    while (i < a.length) changes.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) changes.push({ type: 'added', line: b[j++] });
+
+    return changes;
+  }
+}
+
+module.exports = new ContentRevisionService();
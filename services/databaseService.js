@@ -56,6 +56,58 @@ class DatabaseService {
     }
   }
 
+  // Extend the user's daily streak for today's activity (quiz completions, reviews)
+  async updateUserStreak(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) return;
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      const lastActivity = user.profile.streak.lastActivity;
+      let currentStreak = user.profile.streak.current || 0;
+      let longestStreak = user.profile.streak.longest || 0;
+
+      if (!lastActivity) {
+        // First activity ever
+        currentStreak = 1;
+      } else {
+        const lastActivityDate = new Date(lastActivity);
+        lastActivityDate.setHours(0, 0, 0, 0);
+
+        const daysDifference = Math.floor((today - lastActivityDate) / (1000 * 60 * 60 * 24));
+
+        if (daysDifference === 0) {
+          // Same day, don't increment streak
+          return;
+        } else if (daysDifference === 1) {
+          // Consecutive day, increment streak
+          currentStreak += 1;
+        } else {
+          // Streak broken, start over
+          currentStreak = 1;
+        }
+      }
+
+      // Update longest streak if current is longer
+      if (currentStreak > longestStreak) {
+        longestStreak = currentStreak;
+      }
+
+      await User.findByIdAndUpdate(userId, {
+        'profile.streak.current': currentStreak,
+        'profile.streak.longest': longestStreak,
+        'profile.streak.lastActivity': new Date()
+      });
+
+      console.log(`Updated user streak: current=${currentStreak}, longest=${longestStreak}`);
+    } catch (error) {
+      console.error('Error updating user streak:', error);
+      throw error;
+    }
+  }
+
   // Content operations
   async createContent(contentData) {
     try {
@@ -109,7 +161,7 @@ class DatabaseService {
           .sort(sort)
           .skip(skip)
           .limit(parseInt(limit))
-          .select('-originalText'), // Exclude large text field for list view
+          .select('-originalText -outline'), // Exclude large fields for list view
         Content.countDocuments(query)
       ]);
 
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+// MinHash signature size; split into LSH bands so near-duplicates share at least one band key
+const NUM_HASHES = 64;
+const BAND_ROWS = 4;
+const SHINGLE_SIZE = 5;
+
+// Jaccard similarity (estimated) at or above which two documents count as near-duplicates
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.8;
+
+// Fixed seeds keep signatures comparable across processes and deployments
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, index) =>
+  crypto.createHash('sha1').update(`minhash-seed-${index}`).digest().readUInt32LE(0)
+);
+
+// 32-bit FNV-1a
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Re-hash a shingle hash with a seed (murmur3 finalizer)
+const mix = (hash, seed) => {
+  let h = (hash ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+class FingerprintService {
+  /**
+   * Normalize text so that re-exports of the same notes compare equal: case, Unicode
+   * forms, Markdown/punctuation and whitespace differences are ignored.
+   */
+  normalize(text) {
+    return (text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Compute the stored fingerprint for a document
+   * @param {string} text - Document text
+   * @returns {{ hash: string, minhash: number[], bands: string[], shingleCount: number }}
+   */
+  compute(text) {
+    const normalized = this.normalize(text);
+    const shingles = this.shingles(normalized);
+    const minhash = this.minhash(shingles);
+
+    return {
+      hash: crypto.createHash('sha256').update(normalized).digest('hex'),
+      minhash,
+      bands: this.bands(minhash),
+      shingleCount: shingles.size
+    };
+  }
+
+  // Hashed word n-grams; short texts fall back to a single shingle of all their words
+  shingles(normalized) {
+    const words = normalized.split(' ').filter(Boolean);
+    const shingles = new Set();
+
+    if (words.length <= SHINGLE_SIZE) {
+      if (words.length > 0) shingles.add(fnv1a(words.join(' ')));
+      return shingles;
+    }
+
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      shingles.add(fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+    }
+    return shingles;
+  }
+
+  minhash(shingles) {
+    const signature = new Array(NUM_HASHES).fill(0xffffffff);
+    shingles.forEach(shingle => {
+      for (let i = 0; i < NUM_HASHES; i++) {
+        const value = mix(shingle, SEEDS[i]);
+        if (value < signature[i]) signature[i] = value;
+      }
+    });
+    return signature;
+  }
+
+  bands(minhash) {
+    const bands = [];
+    for (let start = 0; start < minhash.length; start += BAND_ROWS) {
+      const rows = minhash.slice(start, start + BAND_ROWS).join('.');
+      bands.push(`${start / BAND_ROWS}:${fnv1a(rows).toString(36)}`);
+    }
+    return bands;
+  }
+
+  /**
+   * Estimated Jaccard similarity of two MinHash signatures (0-1)
+   */
+  similarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  /**
+   * Find existing documents that duplicate a fingerprint
+   * @param {mongoose.Model} Model - Content or CommunityContent
+   * @param {Object} fingerprint - Result of compute()
+   * @param {Object} scope - Query restricting candidates (e.g. owner or community)
+   * @param {Object} options - { threshold, limit, select }
+   * @returns {Promise<Array<{ document, similarity: number, exact: boolean }>>} - Best match first
+   */
+  async findDuplicates(Model, fingerprint, scope, options = {}) {
+    const { threshold = NEAR_DUPLICATE_THRESHOLD, limit = 5, select = '' } = options;
+
+    const candidates = await Model.find({
+      ...scope,
+      isActive: true,
+      $or: [
+        { 'fingerprint.hash': fingerprint.hash },
+        { 'fingerprint.bands': { $in: fingerprint.bands } }
+      ]
+    })
+      .select(`${select} fingerprint.hash +fingerprint.minhash`.trim())
+      .limit(50);
+
+    return candidates
+      .map(document => {
+        const exact = document.fingerprint?.hash === fingerprint.hash;
+        return {
+          document,
+          exact,
+          similarity: exact ? 1 : this.similarity(document.fingerprint?.minhash, fingerprint.minhash)
+        };
+      })
+      .filter(match => match.exact || match.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  // Shape a match for API responses
+  describeMatch({ document, similarity, exact }) {
+    return {
+      contentId: document._id,
+      title: document.title,
+      fileName: document.fileName,
+      status: document.status,
+      createdAt: document.createdAt,
+      similarity: Math.round(similarity * 100) / 100,
+      exact
+    };
+  }
+}
+
+module.exports = new FingerprintService();
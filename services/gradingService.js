@@ -0,0 +1,456 @@
+const geminiService = require('./geminiService');
+
+// Minimum normalized similarity for a short answer with a typo to still count
+const FUZZY_THRESHOLD = 0.85;
+// Answers shorter than this (e.g. "H2O", "Fe") must match exactly
+const FUZZY_MIN_LENGTH = 4;
+// Share of rubric points an essay needs to count as correct in accuracy stats
+const ESSAY_PASS_FRACTION = 0.5;
+
+// Used for essay questions that don't define their own rubric
+const DEFAULT_RUBRIC = [
+  { criterion: 'Accuracy', description: 'Statements are correct and answer the question that was asked', maxPoints: 4 },
+  { criterion: 'Completeness', description: 'Covers the key ideas the question calls for', maxPoints: 3 },
+  { criterion: 'Clarity', description: 'Organized and clearly argued', maxPoints: 3 }
+];
+
+const ARTICLES = new Set(['a', 'an', 'the']);
+
+class GradingService {
+  /**
+   * Grade submitted answers against a quiz
+   * @param {Object} quiz - Quiz document
+   * @param {Array<{questionId, userAnswer, timeSpent}>} answers - Submitted answers
+   * @param {Object} options - { language } used for essay feedback
+   * @returns {Promise<Array<Object>>} - Answer entries for QuizAttempt.answers
+   */
+  async gradeAnswers(quiz, answers, options = {}) {
+    const graded = [];
+
+    // Sequential so essay grading doesn't burst the AI provider
+    for (const answer of answers) {
+      const question = quiz.questions.id(answer.questionId);
+      if (!question) {
+        throw new Error(`Question not found: ${answer.questionId}`);
+      }
+
+      const result = await this.gradeAnswer(question, answer.userAnswer, options);
+      graded.push({
+        questionId: answer.questionId,
+        sectionTitle: question.sectionTitle,
+        userAnswer: answer.userAnswer,
+        timeSpent: answer.timeSpent || 0,
+        confidence: answer.confidence || null,
+        ...result
+      });
+    }
+
+    return graded;
+  }
+
+  /**
+   * Grade one answer
+   * @returns {Promise<{ isCorrect: boolean, points: number, maxPoints: number, grading: Object }>}
+   */
+  async gradeAnswer(question, userAnswer, options = {}) {
+    const result = question.type === 'essay'
+      ? await this.gradeEssay(question, String(userAnswer ?? ''), options)
+      : this.gradeObjective(question, userAnswer);
+
+    const maxPoints = question.points || 1;
+    const points = Math.round(maxPoints * result.fraction * 100) / 100;
+    const isCorrect = question.type === 'essay' ? result.fraction >= ESSAY_PASS_FRACTION : result.fraction === 1;
+    const status = result.grading.status || 'graded';
+
+    return {
+      isCorrect,
+      points,
+      maxPoints,
+      grading: {
+        ...result.grading,
+        status,
+        autoPoints: points,
+        autoIsCorrect: isCorrect,
+        autoStatus: status
+      }
+    };
+  }
+
+  /**
+   * Grade any question that doesn't need the AI. Also used to score community quiz questions
+   * once they're in the personal question shape.
+   * @param {Object} question - Question in the personal quiz shape
+   * @param {*} userAnswer - Text, a number, or a list (see middleware/validation answerValueSchema)
+   * @returns {{ fraction: number, grading: Object }} - fraction is the share of the question's points earned
+   */
+  gradeObjective(question, userAnswer) {
+    const answer = String(userAnswer ?? '');
+
+    switch (question.type) {
+      case 'short-answer':
+        return this.gradeShortAnswer(question, answer);
+      case 'true-false':
+        return {
+          fraction: (question.correctAnswer || '').toLowerCase() === answer.toLowerCase() ? 1 : 0,
+          grading: { method: 'exact' }
+        };
+      case 'multi-select':
+        return this.gradeMultiSelect(question, this.toList(userAnswer));
+      case 'numeric':
+        return this.gradeNumeric(question, userAnswer);
+      case 'fill-in-the-blank':
+        return this.gradeBlanks(question, this.toList(userAnswer));
+      case 'matching':
+        return this.gradeMatching(question, this.toList(userAnswer));
+      case 'ordering':
+        return this.gradeOrdering(question, this.toList(userAnswer));
+      default: {
+        const correctOption = question.options.find(option => option.isCorrect);
+        return {
+          fraction: correctOption && correctOption.text === answer ? 1 : 0,
+          grading: { method: 'exact' }
+        };
+      }
+    }
+  }
+
+  // Whether an answer was given at all: blank text and empty lists don't count
+  hasAnswer(userAnswer) {
+    if (Array.isArray(userAnswer)) return userAnswer.some(item => this.hasAnswer(item));
+    if (typeof userAnswer === 'number') return Number.isFinite(userAnswer);
+    if (typeof userAnswer === 'boolean') return true;
+    return String(userAnswer ?? '').trim() !== '';
+  }
+
+  toList(userAnswer) {
+    if (Array.isArray(userAnswer)) return userAnswer;
+    return this.hasAnswer(userAnswer) ? [userAnswer] : [];
+  }
+
+  // Multi-part questions score all-or-nothing unless the question allows partial credit
+  partialResult(question, partsCorrect, partsTotal, fraction = partsTotal > 0 ? partsCorrect / partsTotal : 0) {
+    return {
+      fraction: question.partialCredit || fraction === 1 ? fraction : 0,
+      grading: { method: 'partial', partsCorrect, partsTotal }
+    };
+  }
+
+  /**
+   * Every correct option and no wrong one earns full marks. With partial credit each correct
+   * option selected earns its share and each wrong one takes a share back, down to zero.
+   */
+  gradeMultiSelect(question, selected) {
+    const chosen = new Set(selected.map(text => String(text)));
+    const correct = question.options.filter(option => option.isCorrect).map(option => option.text);
+    const hits = correct.filter(text => chosen.has(text)).length;
+    const wrong = [...chosen].filter(text => !correct.includes(text)).length;
+
+    const result = this.partialResult(question, hits, correct.length, correct.length > 0 ? Math.max(0, (hits - wrong) / correct.length) : 0);
+    if (wrong > 0) {
+      result.grading.feedback = `${wrong} incorrect option${wrong === 1 ? '' : 's'} selected.`;
+    }
+    return result;
+  }
+
+  /**
+   * Numeric answers are correct within the question's tolerance. A unit given with the answer
+   * must match the expected one (no conversion: "500 g" is wrong when "0.5 kg" is expected);
+   * leaving it out is only wrong when the question requires it.
+   */
+  gradeNumeric(question, userAnswer) {
+    const key = question.numericAnswer;
+    if (!key || typeof key.value !== 'number') {
+      return { fraction: 0, grading: { method: 'manual', status: 'needs-review', feedback: 'No reference answer; awaiting review.' } };
+    }
+
+    const { value, unit } = this.parseQuantity(userAnswer);
+    if (value === null) {
+      return { fraction: 0, grading: { method: 'numeric', feedback: 'The answer is not a number.' } };
+    }
+
+    const tolerance = key.toleranceType === 'percent' ? Math.abs(key.value) * (key.tolerance || 0) / 100 : key.tolerance || 0;
+    const inRange = Math.abs(value - key.value) <= Math.max(tolerance, Math.abs(key.value) * 1e-9, 1e-12);
+
+    let unitError = null;
+    if (key.unit && unit && this.normalizeUnit(unit) !== this.normalizeUnit(key.unit)) {
+      unitError = `Expected the answer in ${key.unit}.`;
+    } else if (key.unit && !unit && key.unitRequired) {
+      unitError = 'The answer needs a unit.';
+    }
+
+    return {
+      fraction: inRange && !unitError ? 1 : 0,
+      grading: { method: 'numeric', ...(unitError && { feedback: unitError }) }
+    };
+  }
+
+  /**
+   * Number and unit from an answer such as 42, "9.81 m/s^2" or "1,200 N"
+   * @returns {{ value: number|null, unit: string }}
+   */
+  parseQuantity(userAnswer) {
+    if (typeof userAnswer === 'number') {
+      return { value: Number.isFinite(userAnswer) ? userAnswer : null, unit: '' };
+    }
+
+    const cleaned = String(userAnswer ?? '').trim().replace(/(\d),(?=\d{3}\b)/g, '$1');
+    const match = cleaned.match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+    return match ? { value: parseFloat(match[1]), unit: match[2].trim() } : { value: null, unit: '' };
+  }
+
+  // Units compare case-sensitively (mm vs Mm), ignoring spaces, "^" and superscript digits
+  normalizeUnit(unit) {
+    return String(unit || '').normalize('NFKC').replace(/[\s^]+/g, '').replace(/·/g, '*');
+  }
+
+  // Each blank is graded like a short answer against its own accepted answers
+  gradeBlanks(question, answers) {
+    const blanks = question.blanks || [];
+    const correct = blanks.filter((blank, index) => {
+      const [correctAnswer, ...acceptedAnswers] = blank.acceptedAnswers || [];
+      return this.gradeShortAnswer({ correctAnswer, acceptedAnswers }, String(answers[index] ?? '')).fraction === 1;
+    }).length;
+
+    return this.partialResult(question, correct, blanks.length);
+  }
+
+  // Answers list the right-hand item chosen for each pair, in pair order
+  gradeMatching(question, answers) {
+    const pairs = question.pairs || [];
+    const correct = pairs.filter((pair, index) => String(answers[index] ?? '').trim() === pair.right).length;
+    return this.partialResult(question, correct, pairs.length);
+  }
+
+  // Options are stored in the correct order; partial credit counts items in the right position
+  gradeOrdering(question, answers) {
+    const items = question.options.map(option => option.text);
+    const correct = items.filter((text, index) => String(answers[index] ?? '').trim() === text).length;
+    return this.partialResult(question, correct, items.length);
+  }
+
+  /**
+   * Short answers match the correct answer or an accepted alternate after normalization,
+   * numerically, or within a small edit distance
+   */
+  gradeShortAnswer(question, answer) {
+    const candidates = [question.correctAnswer, ...(question.acceptedAnswers || [])]
+      .filter(candidate => candidate && candidate.trim());
+
+    if (candidates.length === 0) {
+      return { fraction: 0, grading: { method: 'manual', status: 'needs-review', feedback: 'No reference answer; awaiting review.' } };
+    }
+
+    const userNumber = this.parseNumber(answer);
+    if (userNumber !== null) {
+      const match = candidates.find(candidate => {
+        const expected = this.parseNumber(candidate);
+        return expected !== null && Math.abs(expected - userNumber) <= Math.max(1e-9, Math.abs(expected) * 1e-6);
+      });
+      if (match) {
+        return { fraction: 1, grading: { method: 'numeric', similarity: 1, matchedAnswer: match } };
+      }
+    }
+
+    const normalized = this.normalizeAnswer(answer);
+    let best = { similarity: 0, candidate: null };
+
+    for (const candidate of candidates) {
+      const expected = this.normalizeAnswer(candidate);
+      if (expected === normalized) {
+        return { fraction: 1, grading: { method: 'exact', similarity: 1, matchedAnswer: candidate } };
+      }
+
+      const similarity = this.fuzzyEligible(normalized, expected)
+        ? Math.max(this.similarity(normalized, expected), this.similarity(this.sortWords(normalized), this.sortWords(expected)))
+        : 0;
+      if (similarity > best.similarity) {
+        best = { similarity, candidate };
+      }
+    }
+
+    const similarity = Math.round(best.similarity * 100) / 100;
+    if (best.similarity >= FUZZY_THRESHOLD) {
+      return { fraction: 1, grading: { method: 'fuzzy', similarity, matchedAnswer: best.candidate } };
+    }
+    return { fraction: 0, grading: { method: 'fuzzy', similarity } };
+  }
+
+  /**
+   * Essays are scored per rubric criterion by the AI. If grading fails the answer gets no
+   * points and is queued for the quiz owner's review instead of failing the submission.
+   */
+  async gradeEssay(question, answer, { language } = {}) {
+    const rubric = question.rubric?.length > 0
+      ? question.rubric.map(item => ({ criterion: item.criterion, description: item.description, maxPoints: item.maxPoints || 1 }))
+      : DEFAULT_RUBRIC;
+
+    if (!answer.trim()) {
+      return {
+        fraction: 0,
+        grading: {
+          method: 'ai-rubric',
+          criteria: rubric.map(item => ({ criterion: item.criterion, score: 0, maxPoints: item.maxPoints, justification: 'No answer given.' })),
+          feedback: 'No answer given.'
+        }
+      };
+    }
+
+    let result;
+    try {
+      result = await geminiService.gradeEssay({
+        question: question.question,
+        answer,
+        rubric,
+        referenceAnswer: question.correctAnswer || question.explanation,
+        language
+      });
+    } catch (error) {
+      console.error('Essay grading failed:', error.message);
+      return {
+        fraction: 0,
+        grading: { method: 'ai-rubric', status: 'needs-review', feedback: 'Automatic grading failed; awaiting review.' }
+      };
+    }
+
+    // Match scores to rubric criteria by name, falling back to position
+    const criteria = rubric.map((item, index) => {
+      const scored = result.criteria.find(entry => entry.criterion.toLowerCase() === item.criterion.toLowerCase())
+        || result.criteria[index];
+      return {
+        criterion: item.criterion,
+        score: scored ? Math.min(Math.max(scored.score, 0), item.maxPoints) : 0,
+        maxPoints: item.maxPoints,
+        justification: scored ? scored.justification : 'Not scored.'
+      };
+    });
+
+    const earned = criteria.reduce((sum, item) => sum + item.score, 0);
+    const total = criteria.reduce((sum, item) => sum + item.maxPoints, 0);
+
+    return {
+      fraction: total > 0 ? earned / total : 0,
+      grading: { method: 'ai-rubric', criteria, feedback: result.feedback }
+    };
+  }
+
+  normalizeAnswer(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim()
+      .split(' ')
+      .filter(word => !ARTICLES.has(word))
+      .join(' ');
+  }
+
+  parseNumber(text) {
+    const cleaned = String(text || '').trim().replace(/(\d),(?=\d{3}\b)/g, '$1');
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned) ? parseFloat(cleaned) : null;
+  }
+
+  // Typos are forgiven, but "World War 1" must not match "World War 2"
+  fuzzyEligible(answer, expected) {
+    if (expected.length < FUZZY_MIN_LENGTH) return false;
+    const digits = (value) => (value.match(/\d+/g) || []).join(' ');
+    return digits(answer) === digits(expected);
+  }
+
+  sortWords(text) {
+    return text.split(' ').sort().join(' ');
+  }
+
+  // 1 - edit distance / length of the longer string; swapped neighbouring letters count as one edit
+  similarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+      }
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Replace an answer's automatic grade with the quiz owner's
+   * @param {Object} answer - QuizAttempt answer subdocument
+   * @param {Object} override - { points, isCorrect, comment }
+   * @param {Object} user - Reviewer
+   */
+  applyOverride(answer, { points, isCorrect, comment }, user) {
+    const maxPoints = answer.maxPoints || points;
+
+    answer.points = points;
+    answer.isCorrect = isCorrect !== undefined ? isCorrect : points >= maxPoints * ESSAY_PASS_FRACTION;
+    answer.grading.status = 'overridden';
+    answer.grading.override = {
+      points,
+      isCorrect: answer.isCorrect,
+      comment,
+      by: user._id,
+      at: new Date()
+    };
+  }
+
+  revertOverride(answer) {
+    answer.points = answer.grading.autoPoints ?? 0;
+    answer.isCorrect = answer.grading.autoIsCorrect ?? false;
+    answer.grading.status = answer.grading.autoStatus || 'graded';
+    answer.grading.override = undefined;
+  }
+
+  /**
+   * Recompute totals, percentage score, pass/fail and section scores from the answers
+   * @param {Object} attempt - QuizAttempt document (modified in place)
+   * @param {Object} quiz - Quiz document
+   */
+  recalculateAttempt(attempt, quiz) {
+    const totalPoints = attempt.answers.reduce((sum, answer) => sum + (answer.points || 0), 0);
+    const maxPoints = quiz.questions.reduce((sum, question) => sum + question.points, 0);
+
+    attempt.totalPoints = totalPoints;
+    attempt.maxPoints = maxPoints;
+    attempt.score = maxPoints > 0 ? Math.round((totalPoints / maxPoints) * 100) : 0;
+
+    const sectionScores = {};
+    attempt.answers.forEach(answer => {
+      if (!sectionScores[answer.sectionTitle]) {
+        sectionScores[answer.sectionTitle] = {
+          total: 0,
+          correct: 0
+        };
+      }
+      sectionScores[answer.sectionTitle].total++;
+      if (answer.isCorrect) {
+        sectionScores[answer.sectionTitle].correct++;
+      }
+    });
+
+    attempt.sectionScores = Object.keys(sectionScores).map(sectionTitle => ({
+      sectionTitle,
+      score: Math.round((sectionScores[sectionTitle].correct / sectionScores[sectionTitle].total) * 100),
+      totalQuestions: sectionScores[sectionTitle].total,
+      correctAnswers: sectionScores[sectionTitle].correct
+    }));
+
+    attempt.passed = attempt.score >= quiz.settings.passingScore;
+  }
+}
+
+module.exports = new GradingService();
@@ -0,0 +1,278 @@
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+// Elements that never contain article text
+const DROP_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'form', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'dialog', 'menu'
+]);
+
+const DROP_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'menu', 'menubar', 'dialog']);
+
+// class/id hints in the spirit of Readability's heuristics
+const NEGATIVE_HINTS = /(^|[\s_-])(nav|navbar|menu|footer|header|masthead|sidebar|widget|sponsor(ed)?|advert(isement)?|ads?|ad-slot|promo|share|sharing|social|comments?|related|recommend(ed)?|breadcrumbs?|cookie|consent|banner|popup|modal|newsletter|subscribe|signup|pagination|toolbar|skip-link)($|[\s_-])/i;
+const POSITIVE_HINTS = /(^|[\s_-])(article|content|entry|main|post|story|text|body|blog|chapter|lesson)($|[\s_-])/i;
+
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'footer', 'li', 'ul', 'ol', 'pre', 'blockquote', 'table', 'tr', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr']);
+
+const MIN_PARAGRAPH_LENGTH = 25;
+
+class HtmlExtractionService {
+  /**
+   * Extract the readable article from an HTML document as Markdown-style text
+   * (headings, paragraphs, lists and fenced code blocks), dropping navigation,
+   * ads and other page chrome.
+   * @param {string} html - Raw HTML
+   * @returns {{ title: string|null, text: string, headings: string[] }}
+   */
+  extractArticle(html) {
+    const document = parseDocument(html, { decodeEntities: true, lowerCaseTags: true });
+
+    const title = this.findTitle(document);
+    this.removeClutter(document);
+
+    const root = this.findContentRoot(document);
+    const blocks = [];
+    this.renderBlocks(root, blocks);
+
+    // Don't repeat the title when the article starts with it as a heading
+    if (title && blocks[0] && blocks[0].replace(/^#+\s*/, '') === title) {
+      blocks.shift();
+    }
+
+    const text = [title ? `# ${title}` : null, ...blocks].filter(Boolean).join('\n\n');
+    const headings = blocks.filter(block => /^#{1,6}\s/.test(block)).map(block => block.replace(/^#+\s*/, ''));
+
+    return { title, text, headings };
+  }
+
+  /**
+   * Render trusted, chrome-free HTML (e.g. a converted DOCX) as Markdown-style text
+   * without the article heuristics
+   * @param {string} html - HTML markup
+   * @returns {string}
+   */
+  toMarkdown(html) {
+    const document = parseDocument(html, { decodeEntities: true, lowerCaseTags: true });
+    const blocks = [];
+    this.renderBlocks(document, blocks);
+    return blocks.join('\n\n');
+  }
+
+  findTitle(document) {
+    const meta = DomUtils.findOne(element =>
+      element.name === 'meta' && ['og:title', 'twitter:title'].includes(element.attribs.property || element.attribs.name),
+    document.children);
+    if (meta && meta.attribs.content) {
+      return this.collapse(meta.attribs.content);
+    }
+
+    const heading = DomUtils.findOne(element => element.name === 'h1', document.children);
+    if (heading) {
+      const text = this.collapse(DomUtils.textContent(heading));
+      if (text) return text;
+    }
+
+    const titleElement = DomUtils.findOne(element => element.name === 'title', document.children);
+    if (titleElement) {
+      // "Article name | Site name" -> "Article name"
+      const text = this.collapse(DomUtils.textContent(titleElement)).split(/\s+[|–—·»]\s+|\s+-\s+/)[0];
+      if (text) return text;
+    }
+
+    return null;
+  }
+
+  removeClutter(document) {
+    const toRemove = DomUtils.findAll(element => this.isClutter(element), document.children);
+    toRemove.forEach(element => DomUtils.removeElement(element));
+
+    // Comments and processing instructions
+    const removeNonContent = (nodes) => {
+      [...nodes].forEach(node => {
+        if (node.type === 'comment' || node.type === 'directive') {
+          DomUtils.removeElement(node);
+        } else if (node.children) {
+          removeNonContent(node.children);
+        }
+      });
+    };
+    removeNonContent(document.children);
+  }
+
+  isClutter(element) {
+    if (DROP_TAGS.has(element.name)) return true;
+
+    const attribs = element.attribs || {};
+    if (attribs.hidden !== undefined || attribs['aria-hidden'] === 'true') return true;
+    if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(attribs.style || '')) return true;
+    if (DROP_ROLES.has(attribs.role)) return true;
+
+    // Site-wide header/footer, but keep an article's own <header> (it often holds the byline and h1)
+    if ((element.name === 'header' || element.name === 'footer') && !this.hasAncestor(element, ['article', 'main'])) {
+      return true;
+    }
+
+    const hints = `${attribs.class || ''} ${attribs.id || ''}`;
+    if (NEGATIVE_HINTS.test(hints) && !POSITIVE_HINTS.test(hints) && !['body', 'article', 'main'].includes(element.name)) {
+      return true;
+    }
+
+    return false;
+  }
+
+  hasAncestor(element, names) {
+    let current = element.parent;
+    while (current) {
+      if (names.includes(current.name)) return true;
+      current = current.parent;
+    }
+    return false;
+  }
+
+  /**
+   * Pick the element holding the article: <article>/<main> when present, otherwise
+   * the container whose paragraphs carry the most text.
+   */
+  findContentRoot(document) {
+    const articles = DomUtils.findAll(element => element.name === 'article', document.children);
+    if (articles.length > 0) {
+      return articles.reduce((best, article) => (this.textLength(article) > this.textLength(best) ? article : best));
+    }
+
+    const main = DomUtils.findOne(element => element.name === 'main' || (element.attribs && element.attribs.role === 'main'), document.children);
+    if (main && this.textLength(main) > 0) return main;
+
+    const scores = new Map();
+    const paragraphs = DomUtils.findAll(element => ['p', 'pre', 'td', 'blockquote'].includes(element.name), document.children);
+
+    paragraphs.forEach(paragraph => {
+      const text = this.collapse(DomUtils.textContent(paragraph));
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = paragraph.parent;
+      const grandparent = parent && parent.parent;
+
+      if (parent && parent.type === 'tag') scores.set(parent, (scores.get(parent) || 0) + score);
+      if (grandparent && grandparent.type === 'tag') scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      // Penalize link-heavy containers such as link lists and footers
+      const adjusted = score * (1 - this.linkDensity(element));
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    });
+
+    return best || DomUtils.findOne(element => element.name === 'body', document.children) || document;
+  }
+
+  textLength(element) {
+    return this.collapse(DomUtils.textContent(element)).length;
+  }
+
+  linkDensity(element) {
+    const total = this.textLength(element);
+    if (total === 0) return 0;
+    const linkLength = DomUtils.findAll(child => child.name === 'a', element.children)
+      .reduce((sum, link) => sum + this.textLength(link), 0);
+    return linkLength / total;
+  }
+
+  collapse(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Walk the content tree and emit one Markdown block per heading/paragraph/list/code block
+  renderBlocks(node, blocks) {
+    let inline = '';
+
+    const flushInline = () => {
+      const text = this.collapse(inline);
+      if (text) blocks.push(text);
+      inline = '';
+    };
+
+    (node.children || []).forEach(child => {
+      if (child.type === 'text') {
+        inline += child.data;
+        return;
+      }
+      if (child.type !== 'tag') return;
+
+      const name = child.name;
+
+      if (/^h[1-6]$/.test(name)) {
+        flushInline();
+        const text = this.collapse(DomUtils.textContent(child));
+        if (text) blocks.push(`${'#'.repeat(Number(name[1]))} ${text}`);
+      } else if (name === 'pre') {
+        flushInline();
+        const code = DomUtils.textContent(child).replace(/^\n+|\s+$/g, '');
+        const codeElement = DomUtils.findOne(element => element.name === 'code', child.children);
+        const language = ((codeElement && codeElement.attribs.class) || '').match(/language-([\w+-]+)/);
+        if (code) blocks.push(`\`\`\`${language ? language[1] : ''}\n${code}\n\`\`\``);
+      } else if (name === 'ul' || name === 'ol') {
+        flushInline();
+        const list = this.renderList(child, name === 'ol');
+        if (list && this.linkDensity(child) < 0.8) blocks.push(list);
+      } else if (name === 'blockquote') {
+        flushInline();
+        const quote = [];
+        this.renderBlocks(child, quote);
+        if (quote.length > 0) blocks.push(quote.map(block => block.split('\n').map(line => `> ${line}`).join('\n')).join('\n>\n'));
+      } else if (name === 'table') {
+        flushInline();
+        const table = this.renderTable(child);
+        if (table) blocks.push(table);
+      } else if (name === 'br') {
+        inline += '\n';
+      } else if (name === 'hr') {
+        flushInline();
+      } else if (name === 'img') {
+        // Images carry no text we can study from
+      } else if (name === 'code') {
+        inline += `\`${DomUtils.textContent(child)}\``;
+      } else if (BLOCK_TAGS.has(name)) {
+        flushInline();
+        this.renderBlocks(child, blocks);
+      } else {
+        inline += DomUtils.textContent(child);
+      }
+    });
+
+    flushInline();
+  }
+
+  renderList(list, ordered) {
+    const items = (list.children || []).filter(child => child.name === 'li');
+    return items.map((item, index) => {
+      const nested = item.children.filter(child => child.name === 'ul' || child.name === 'ol');
+      const ownText = this.collapse(item.children
+        .filter(child => !nested.includes(child))
+        .map(child => DomUtils.textContent(child))
+        .join(' '));
+      const marker = ordered ? `${index + 1}.` : '-';
+      const nestedText = nested
+        .map(child => this.renderList(child, child.name === 'ol').split('\n').map(line => `  ${line}`).join('\n'))
+        .join('\n');
+      return [ownText ? `${marker} ${ownText}` : null, nestedText || null].filter(Boolean).join('\n');
+    }).filter(Boolean).join('\n');
+  }
+
+  renderTable(table) {
+    const rows = DomUtils.findAll(element => element.name === 'tr', table.children);
+    return rows.map(row => row.children
+      .filter(cell => cell.name === 'td' || cell.name === 'th')
+      .map(cell => this.collapse(DomUtils.textContent(cell)))
+      .join(' | '))
+      .filter(line => line.replace(/[|\s]/g, ''))
+      .join('\n');
+  }
+}
+
+module.exports = new HtmlExtractionService();
@@ -0,0 +1,313 @@
+const QuizAttempt = require('../models/QuizAttempt');
+const CommunityQuizAttempt = require('../models/CommunityQuizAttempt');
+const gradingService = require('./gradingService');
+const questionBankService = require('./questionBankService');
+const quizAttemptService = require('./quizAttemptService');
+const { FINISHED_STATUSES } = quizAttemptService;
+
+// Item analysis (classical test theory) over finished attempts. Each question's
+// discrimination is the point-biserial correlation between answering it correctly and the
+// rest of the attempt's score (the score without that question), so a question doesn't
+// correlate with itself.
+
+// Most recent attempts analyzed per quiz
+const MAX_ATTEMPTS = 2000;
+
+// Questions answered by fewer attempts than this are reported but not flagged
+const MIN_RESPONSES_FOR_FLAGS = 5;
+
+const THRESHOLDS = {
+  tooEasy: 0.9, // p-value at or above
+  tooHard: 0.2, // p-value at or below
+  lowDiscrimination: 0.15,
+  negativeDiscrimination: -0.2,
+  misleadingDistractor: 0.1, // a distractor chosen by stronger students
+  oftenSkipped: 0.25
+};
+
+const MAX_WRONG_ANSWERS = 5;
+
+// Question types whose responses pick from the options, so option rates are reported
+const CHOICE_TYPES = ['multiple-choice', 'true-false', 'multi-select'];
+
+const round = (value) => (value === null || Number.isNaN(value) ? null : Math.round(value * 100) / 100);
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Point-biserial correlation between a yes/no variable and a score
+ * @param {Array<{ score: number, flag: boolean }>} pairs
+ * @returns {number|null} - null when either group is empty or scores don't vary
+ */
+const pointBiserial = (pairs) => {
+  if (pairs.length < 2) return null;
+
+  const scores = pairs.map(pair => pair.score);
+  const average = mean(scores);
+  const sd = Math.sqrt(mean(scores.map(score => (score - average) ** 2)));
+  const flagged = pairs.filter(pair => pair.flag).map(pair => pair.score);
+  const others = pairs.filter(pair => !pair.flag).map(pair => pair.score);
+
+  if (sd === 0 || flagged.length === 0 || others.length === 0) return null;
+
+  const p = flagged.length / pairs.length;
+  return ((mean(flagged) - mean(others)) / sd) * Math.sqrt(p * (1 - p));
+};
+
+class ItemAnalysisService {
+  /**
+   * One attempt as item responses
+   * @typedef {Object} AttemptRecord
+   * @property {number} earned - Points earned on the attempt
+   * @property {number} possible - Points possible on the attempt
+   * @property {Array<{ questionId: string, question: Object, weight: number, answered: boolean,
+   *   isCorrect: boolean, earned: number, choices: string[], answerText: string|null, timeSpent: number }>} items
+   *   where choices are the lowercased option texts picked (choice questions only)
+   */
+
+  // Personal attempt: graded answers keyed by question, including adaptive and bank-drawn attempts
+  fromQuizAttempt(quiz, attempt) {
+    const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+    const answers = new Map(attempt.answers.map(answer => [answer.questionId.toString(), answer]));
+
+    const items = attemptQuiz.questions.map(question => {
+      const answer = answers.get(question._id.toString());
+      const answered = Boolean(answer) && gradingService.hasAnswer(answer.userAnswer);
+      const weight = question.points || 1;
+      const picked = answered ? gradingService.toList(answer.userAnswer) : [];
+
+      return {
+        questionId: question._id.toString(),
+        question: question.toObject ? question.toObject() : question,
+        weight,
+        answered,
+        isCorrect: Boolean(answer?.isCorrect),
+        earned: answer ? Math.min(weight, answer.points || 0) : 0,
+        choices: CHOICE_TYPES.includes(question.type) ? picked.map(text => String(text).toLowerCase()) : [],
+        answerText: answered ? picked.join(', ') : null,
+        timeSpent: answer?.timeSpent || 0
+      };
+    });
+
+    return this.toRecord(items);
+  }
+
+  // Community attempt: every question has an entry; one without a selection or response is a skip
+  fromCommunityAttempt(quiz, attempt) {
+    const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+
+    const items = attemptQuiz.questions.map((communityQuestion, index) => {
+      const answer = attempt.answers.find(item => item.questionIndex === index);
+      const question = questionBankService.fromCommunityQuestion(communityQuestion);
+      const answered = quizAttemptService.isCommunityAnswered(answer);
+      const picked = Number.isInteger(answer?.selectedAnswer)
+        ? [communityQuestion.options[answer.selectedAnswer] || '']
+        : gradingService.toList(answer?.response);
+      // Multi-select and ordering responses hold option indexes
+      const pickedTexts = ['multi-select', 'ordering'].includes(question.type) ? picked.map(optionIndex => communityQuestion.options[optionIndex] || '') : picked;
+
+      return {
+        questionId: String(communityQuestion._id || answer?.questionId),
+        question,
+        weight: 1,
+        answered,
+        isCorrect: Boolean(answer?.isCorrect),
+        earned: answer?.credit ?? (answer?.isCorrect ? 1 : 0),
+        choices: answered && CHOICE_TYPES.includes(question.type) ? pickedTexts.map(text => String(text).toLowerCase()) : [],
+        answerText: answered ? pickedTexts.join(', ') : null,
+        timeSpent: answer?.timeSpent || 0
+      };
+    });
+
+    return this.toRecord(items);
+  }
+
+  toRecord(items) {
+    return {
+      earned: items.reduce((sum, item) => sum + item.earned, 0),
+      possible: items.reduce((sum, item) => sum + item.weight, 0),
+      items
+    };
+  }
+
+  // Options a response can choose between; true/false questions get their two answers
+  getOptions(question) {
+    if (['multiple-choice', 'multi-select'].includes(question.type)) {
+      return (question.options || []).map(option => ({ text: option.text, isCorrect: Boolean(option.isCorrect) }));
+    }
+    if (question.type === 'true-false') {
+      return ['true', 'false'].map(text => ({ text, isCorrect: (question.correctAnswer || '').toLowerCase() === text }));
+    }
+    return null;
+  }
+
+  /**
+   * Item statistics across attempt records
+   * @param {Array<Object>} questions - Current quiz questions (personal shape), listed first in quiz order
+   * @param {Array<AttemptRecord>} records
+   */
+  analyze(questions, records) {
+    const items = new Map();
+    const getItem = (questionId, question) => {
+      if (!items.has(questionId)) {
+        items.set(questionId, { questionId, question, responses: [] });
+      }
+      return items.get(questionId);
+    };
+
+    questions.forEach(question => getItem(question._id.toString(), question));
+
+    records.forEach(record => {
+      record.items.forEach(response => {
+        // Score on the rest of the attempt, as a fraction of the points left
+        const restPossible = record.possible - response.weight;
+        const restScore = restPossible > 0 ? (record.earned - response.earned) / restPossible : null;
+        getItem(response.questionId, response.question).responses.push({ ...response, restScore });
+      });
+    });
+
+    return [...items.values()].map(item => this.analyzeItem(item));
+  }
+
+  analyzeItem({ questionId, question, responses }) {
+    const served = responses.length;
+    const answered = responses.filter(response => response.answered);
+    const correct = responses.filter(response => response.isCorrect).length;
+    const scored = responses.filter(response => response.restScore !== null);
+
+    const pValue = served > 0 ? correct / served : null;
+    const discrimination = pointBiserial(scored.map(response => ({ score: response.restScore, flag: response.isCorrect })));
+
+    const options = this.getOptions(question)?.map(option => {
+      const key = option.text.toLowerCase();
+      const count = responses.filter(response => response.choices.includes(key)).length;
+      return {
+        text: option.text,
+        isCorrect: option.isCorrect,
+        count,
+        rate: served > 0 ? round(count / served) : null,
+        discrimination: round(pointBiserial(scored.map(response => ({ score: response.restScore, flag: response.choices.includes(key) }))))
+      };
+    }) || null;
+
+    const analysis = {
+      questionId,
+      question: question.question,
+      type: question.type,
+      difficulty: question.difficulty,
+      responses: served,
+      pValue: round(pValue),
+      discrimination: round(discrimination),
+      skipRate: served > 0 ? round((served - answered.length) / served) : null,
+      meanTimeSpent: round(mean(answered.map(response => response.timeSpent || 0))), // seconds
+      options
+    };
+
+    if (question.type === 'short-answer') {
+      analysis.commonWrongAnswers = this.getCommonWrongAnswers(responses);
+    }
+
+    analysis.flags = this.getFlags(analysis);
+    return analysis;
+  }
+
+  // Most frequent wrong short answers; one that keeps coming up may be a missing accepted answer
+  getCommonWrongAnswers(responses) {
+    const counts = new Map();
+    responses
+      .filter(response => response.answered && !response.isCorrect)
+      .forEach(response => {
+        const text = response.answerText.trim().toLowerCase();
+        counts.set(text, (counts.get(text) || 0) + 1);
+      });
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_WRONG_ANSWERS)
+      .map(([answer, count]) => ({ answer, count }));
+  }
+
+  /**
+   * Automatic flags. "possibly-miskeyed": stronger students tend to get the question wrong, or
+   * a distractor is picked more often than the keyed answer and by stronger students (only
+   * checked when there is a single keyed answer).
+   * @returns {string[]}
+   */
+  getFlags({ responses, pValue, discrimination, skipRate, options }) {
+    if (responses < MIN_RESPONSES_FOR_FLAGS) return [];
+
+    const flags = [];
+    const keys = (options || []).filter(option => option.isCorrect);
+    const key = keys.length === 1 ? keys[0] : null;
+    const distractors = (options || []).filter(option => !option.isCorrect);
+
+    const attractiveDistractor = distractors.some(option =>
+      key && option.count > key.count && option.discrimination !== null && option.discrimination > 0
+    );
+    const miskeyed = (discrimination !== null && discrimination <= THRESHOLDS.negativeDiscrimination) || attractiveDistractor;
+
+    if (miskeyed) {
+      flags.push('possibly-miskeyed');
+    } else {
+      if (discrimination !== null && discrimination < THRESHOLDS.lowDiscrimination) {
+        flags.push('low-discrimination');
+      }
+      if (distractors.some(option => option.discrimination !== null && option.discrimination >= THRESHOLDS.misleadingDistractor)) {
+        flags.push('misleading-distractor');
+      }
+    }
+
+    if (pValue >= THRESHOLDS.tooEasy) flags.push('too-easy');
+    if (pValue <= THRESHOLDS.tooHard) flags.push('too-hard');
+    if (skipRate >= THRESHOLDS.oftenSkipped) flags.push('often-skipped');
+
+    return flags;
+  }
+
+  summarize(questions, attemptCount) {
+    const withDiscrimination = questions.filter(question => question.discrimination !== null);
+    return {
+      attemptsAnalyzed: attemptCount,
+      questionsAnalyzed: questions.filter(question => question.responses > 0).length,
+      flaggedQuestions: questions.filter(question => question.flags.length > 0).length,
+      possiblyMiskeyed: questions.filter(question => question.flags.includes('possibly-miskeyed')).length,
+      meanPValue: round(mean(questions.filter(question => question.pValue !== null).map(question => question.pValue))),
+      meanDiscrimination: round(mean(withDiscrimination.map(question => question.discrimination)))
+    };
+  }
+
+  /**
+   * Item analysis for a personal quiz
+   * @param {Object} quiz - Quiz document
+   */
+  async analyzeQuiz(quiz) {
+    const attempts = await QuizAttempt.find({ quizId: quiz._id, status: { $in: FINISHED_STATUSES } })
+      .sort({ completedAt: -1 })
+      .limit(MAX_ATTEMPTS);
+
+    const records = attempts.map(attempt => this.fromQuizAttempt(quiz, attempt));
+    const questions = this.analyze(quiz.questions.map(question => question.toObject()), records);
+
+    return { summary: this.summarize(questions, attempts.length), questions, thresholds: THRESHOLDS };
+  }
+
+  /**
+   * Item analysis for a community quiz
+   * @param {Object} quiz - CommunityQuiz document
+   */
+  async analyzeCommunityQuiz(quiz) {
+    const attempts = await CommunityQuizAttempt.find({ communityQuizId: quiz._id, status: { $in: FINISHED_STATUSES } })
+      .sort({ completedAt: -1 })
+      .limit(MAX_ATTEMPTS);
+
+    const records = attempts.map(attempt => this.fromCommunityAttempt(quiz, attempt));
+    const questions = this.analyze(
+      quiz.questions.map(question => ({ _id: question._id, ...questionBankService.fromCommunityQuestion(question) })),
+      records
+    );
+
+    return { summary: this.summarize(questions, attempts.length), questions, thresholds: THRESHOLDS };
+  }
+}
+
+module.exports = new ItemAnalysisService();
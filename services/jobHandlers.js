@@ -0,0 +1,272 @@
+const geminiService = require('./geminiService');
+const contentRevisionService = require('./contentRevisionService');
+const outlineService = require('./outlineService');
+const Content = require('../models/Content');
+const CommunityContent = require('../models/CommunityContent');
+const Quiz = require('../models/Quiz');
+
+// Errors that retrying cannot fix (e.g. the document was deleted) skip straight to dead-letter
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+// Map AI difficulty values to database enum values
+const mapDifficulty = (aiDifficulty) => {
+  const difficultyMap = {
+    'easy': 'beginner',
+    'medium': 'intermediate',
+    'hard': 'advanced',
+    'beginner': 'beginner',
+    'intermediate': 'intermediate',
+    'advanced': 'advanced'
+  };
+  return difficultyMap[aiDifficulty?.toLowerCase()] || 'intermediate';
+};
+
+// Transform the AI summary result to match the Content schema
+const buildContentSummary = (summaryResult, fallbackStudyTime = 0) => ({
+  summary: summaryResult.summary,
+  keyTopics: summaryResult.keyTopics?.map(topic => ({
+    topic: typeof topic === 'string' ? topic : topic.topic || topic,
+    confidence: typeof topic === 'object' ? topic.confidence || 0.8 : 0.8 // Default confidence score
+  })) || [],
+  difficulty: mapDifficulty(summaryResult.difficulty),
+  learningObjectives: summaryResult.sections?.map(section => section.title) || [],
+  prerequisites: [],
+  estimatedStudyTime: parseInt(summaryResult.estimatedReadTime?.toString().replace(/\D/g, '')) || fallbackStudyTime,
+  sections: summaryResult.sections?.map(section => ({
+    sectionId: section.sectionId || null,
+    title: section.title,
+    content: section.summary,
+    keyPoints: section.keyPoints || []
+  })) || [],
+  generatedAt: new Date()
+});
+
+// Transform AI quiz questions to match the Quiz schema
+const transformQuizQuestions = (questions, defaults = {}) => questions.map(q => ({
+  question: q.question,
+  type: q.type,
+  sectionTitle: q.sectionTitle || defaults.sectionTitle,
+  options: ['multiple-choice', 'multi-select', 'ordering'].includes(q.type) ?
+    q.options.map(opt => ({
+      text: opt,
+      isCorrect: q.type === 'multi-select' ? q.correctAnswers.includes(opt) : opt === q.correctAnswer
+    })) : [],
+  correctAnswer: ['multiple-choice', 'true-false', 'short-answer'].includes(q.type) ? q.correctAnswer : undefined,
+  acceptedAnswers: q.acceptedAnswers || [],
+  numericAnswer: q.type === 'numeric' ?
+    { value: q.correctAnswer, tolerance: q.tolerance, unit: q.unit } : undefined,
+  blanks: q.type === 'fill-in-the-blank' ?
+    q.blanks.map(acceptedAnswers => ({ acceptedAnswers })) : [],
+  pairs: q.type === 'matching' ? q.pairs : [],
+  explanation: q.explanation,
+  points: q.points || 1,
+  difficulty: q.difficulty || defaults.difficulty || 'medium'
+}));
+
+const contentSummary = {
+  async handle(job) {
+    const { contentId } = job.payload;
+
+    const content = await Content.findOne({ _id: contentId, isActive: true });
+    if (!content) {
+      throw permanentError(`Content ${contentId} not found`);
+    }
+
+    // Jobs queued by an edit carry the revision they were queued for
+    const revision = job.payload.revision || content.currentRevision || 1;
+    if ((content.currentRevision || 1) !== revision) {
+      return { contentId, revision, superseded: true };
+    }
+
+    // Long documents report per-chunk progress while they are summarized
+    const updateProgress = ({ stage, completedChunks, totalChunks, percent }) =>
+      Content.findByIdAndUpdate(contentId, {
+        processingProgress: { stage, percent, completedChunks, totalChunks, updatedAt: new Date() }
+      });
+
+    await updateProgress({ stage: 'map', completedChunks: 0, totalChunks: 0, percent: 0 });
+
+    // Structured documents are summarized along their real sections
+    const summaryResult = await geminiService.generateContentSummary(content.originalText, content.title, {
+      language: content.metadata?.language,
+      sections: outlineService.getSummaryUnits(content.originalText, content.outline?.sections),
+      onProgress: updateProgress
+    });
+    if (!summaryResult) {
+      throw new Error('No result returned from AI service');
+    }
+
+    const aiSummary = buildContentSummary(summaryResult, content.metadata?.readingTime);
+
+    // Skip the write if the text was edited while we were summarizing
+    const updated = await Content.findOneAndUpdate({ _id: contentId, currentRevision: revision }, {
+      status: 'processed',
+      aiSummary,
+      'processingProgress.stage': 'completed',
+      'processingProgress.percent': 100,
+      'processingProgress.updatedAt': new Date()
+    });
+
+    if (!updated) {
+      return { contentId, revision, superseded: true };
+    }
+
+    await contentRevisionService.saveRevisionSummary(contentId, revision, aiSummary);
+
+    return { contentId, revision };
+  },
+
+  async onDead(job) {
+    await Content.findByIdAndUpdate(job.payload.contentId, {
+      status: 'failed',
+      'processingProgress.stage': 'failed',
+      'processingProgress.updatedAt': new Date()
+    });
+  }
+};
+
+const communityContentSummary = {
+  async handle(job) {
+    const { communityContentId } = job.payload;
+
+    const content = await CommunityContent.findOne({ _id: communityContentId, isActive: true });
+    if (!content) {
+      throw permanentError(`Community content ${communityContentId} not found`);
+    }
+
+    const summaryData = await geminiService.generateContentSummary(content.originalText, content.title, {
+      language: content.metadata?.language
+    });
+
+    content.aiSummary = {
+      summary: summaryData.summary,
+      keyTopics: summaryData.keyTopics || [],
+      difficulty: mapDifficulty(summaryData.difficulty),
+      estimatedReadTime: summaryData.estimatedReadTime || '5 minutes',
+      sections: summaryData.sections || [],
+      generatedAt: new Date()
+    };
+    content.summaryStatus = 'completed';
+    content.summaryError = null;
+
+    await content.save();
+
+    return { communityContentId };
+  },
+
+  async onDead(job, error) {
+    await CommunityContent.findByIdAndUpdate(job.payload.communityContentId, {
+      summaryStatus: 'failed',
+      summaryError: error?.message || 'Summary generation failed'
+    });
+  }
+};
+
+const quizGeneration = {
+  async handle(job) {
+    const { contentId, questionsPerSection = 3, questionTypes } = job.payload;
+
+    const content = await Content.findOne({ _id: contentId, userId: job.userId, isActive: true });
+    if (!content) {
+      throw permanentError(`Content ${contentId} not found`);
+    }
+
+    if (!content.aiSummary || !content.aiSummary.sections) {
+      throw permanentError('Content must be fully processed before quiz generation');
+    }
+
+    // A previous attempt may have saved the quiz before failing
+    const existingQuiz = await Quiz.findOne({ contentId, userId: job.userId, isActive: true, isStale: { $ne: true } });
+    if (existingQuiz) {
+      return { quizId: existingQuiz._id, isExisting: true };
+    }
+
+    const quizData = await geminiService.generateQuiz(
+      content,
+      content.aiSummary.sections,
+      { questionsPerSection, questionTypes }
+    );
+
+    const quiz = new Quiz({
+      contentId: content._id,
+      userId: job.userId,
+      clerkUserId: job.clerkUserId,
+      title: quizData.title,
+      description: quizData.description,
+      difficulty: content.aiSummary.difficulty || 'intermediate',
+      category: content.category,
+      contentRevision: content.currentRevision || 1,
+      questions: transformQuizQuestions(quizData.questions),
+      settings: {
+        timeLimit: parseInt(quizData.estimatedTime) || 30,
+        randomizeQuestions: true,
+        randomizeOptions: true,
+        showCorrectAnswer: true,
+        allowRetakes: true,
+        maxAttempts: 3,
+        passingScore: 70
+      },
+      status: 'published'
+    });
+
+    await quiz.save();
+
+    // Update content to mark it has a quiz
+    content.quizHistory.hasQuiz = true;
+    content.quizHistory.quizId = quiz._id;
+    await content.save();
+
+    return { quizId: quiz._id, isExisting: false };
+  }
+};
+
+const topicQuizGeneration = {
+  async handle(job) {
+    const { topic, description = '', difficulty = 'medium', numQuestions = 5, questionTypes } = job.payload;
+
+    const quizData = await geminiService.generateQuizFromTopic({
+      topic,
+      description,
+      difficulty,
+      numQuestions,
+      questionTypes
+    });
+
+    const quiz = new Quiz({
+      userId: job.userId,
+      clerkUserId: job.clerkUserId,
+      title: quizData.title || `${topic} Quiz`,
+      description: quizData.description || `A custom quiz on ${topic}`,
+      difficulty: difficulty,
+      category: 'custom',
+      questions: transformQuizQuestions(quizData.questions, { sectionTitle: topic, difficulty }),
+      settings: {
+        timeLimit: parseInt(quizData.estimatedTime) || 20,
+        randomizeQuestions: true,
+        randomizeOptions: true,
+        showCorrectAnswer: true,
+        allowRetakes: true,
+        maxAttempts: 5,
+        passingScore: 70
+      },
+      status: 'published',
+      isCustom: true,
+      customTopic: topic
+    });
+
+    await quiz.save();
+
+    return { quizId: quiz._id };
+  }
+};
+
+module.exports = {
+  'content-summary': contentSummary,
+  'community-content-summary': communityContentSummary,
+  'quiz-generation': quizGeneration,
+  'topic-quiz-generation': topicQuizGeneration
+};
@@ -0,0 +1,337 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const DEFAULT_OPTIONS = {
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  lockTimeout: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000, // 10 minutes
+  baseRetryDelay: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000,
+  maxRetryDelay: 30 * 60 * 1000 // 30 minutes
+};
+
+class JobQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.handlers = {};
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.timer = null;
+    this.currentJob = null;
+    this.lastRecovery = 0;
+  }
+
+  /**
+   * Register handlers keyed by job type
+   * @param {Object} handlers - { [type]: { handle(job), onDead?(job, error) } }
+   */
+  registerHandlers(handlers) {
+    Object.entries(handlers).forEach(([type, handler]) => {
+      this.handlers[type] = typeof handler === 'function' ? { handle: handler } : handler;
+    });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must have a registered handler on the worker)
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { userId, clerkUserId, dedupeKey, maxAttempts, priority, runAt }
+   * @returns {Promise<Object>} - The created job, or the existing one when dedupeKey matches
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const {
+      userId = null,
+      clerkUserId = null,
+      dedupeKey = null,
+      maxAttempts,
+      priority = 0,
+      runAt = new Date()
+    } = options;
+
+    if (dedupeKey) {
+      const existingJob = await Job.findOne({
+        dedupeKey,
+        status: { $in: ['pending', 'processing'] }
+      });
+
+      if (existingJob) {
+        return existingJob;
+      }
+    }
+
+    const job = new Job({
+      type,
+      payload,
+      userId,
+      clerkUserId,
+      dedupeKey,
+      priority,
+      runAt,
+      ...(maxAttempts && { maxAttempts })
+    });
+
+    try {
+      await job.save();
+    } catch (error) {
+      // Another request enqueued the same work between the lookup and the insert
+      if (error.code !== 11000 || !dedupeKey) throw error;
+      const existingJob = await Job.findOne({ dedupeKey, status: { $in: ['pending', 'processing'] } });
+      if (existingJob) return existingJob;
+      throw error;
+    }
+    console.log(`Job ${job._id} (${type}) enqueued`);
+
+    // Pick it up right away if this process is running a worker
+    if (this.running && !this.currentJob) {
+      this.schedule(0);
+    }
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return null;
+    }
+    return Job.findById(jobId);
+  }
+
+  /**
+   * Move a dead job back to pending with a fresh attempt budget
+   * @param {Object} job - Job document in the 'dead' state
+   */
+  async retry(job) {
+    job.status = 'pending';
+    job.attempts = 0;
+    job.runAt = new Date();
+    job.lockedAt = null;
+    job.lockedBy = null;
+    job.completedAt = null;
+    await job.save();
+
+    if (this.running && !this.currentJob) {
+      this.schedule(0);
+    }
+
+    return job;
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    console.log(`Job worker ${this.workerId} started for types: ${Object.keys(this.handlers).join(', ')}`);
+    this.schedule(0);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    // Let the in-flight job finish so it isn't left locked
+    while (this.currentJob) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    console.log(`Job worker ${this.workerId} stopped`);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    if (!this.running) return;
+
+    // Wait for the database connection before polling
+    if (mongoose.connection.readyState !== 1) {
+      return this.schedule(this.options.pollInterval);
+    }
+
+    let processed = false;
+    try {
+      if (Date.now() - this.lastRecovery > this.options.lockTimeout / 2) {
+        await this.recoverStaleJobs();
+        this.lastRecovery = Date.now();
+      }
+
+      const job = await this.claimNext();
+      if (job) {
+        await this.process(job);
+        processed = true;
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    }
+
+    if (this.running) {
+      // Drain the queue back to back, otherwise wait for the next poll
+      this.schedule(processed ? 0 : this.options.pollInterval);
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        status: 'pending',
+        runAt: { $lte: now },
+        type: { $in: Object.keys(this.handlers) }
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedAt: now,
+          lockedBy: this.workerId,
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      {
+        sort: { priority: -1, runAt: 1 },
+        new: true
+      }
+    );
+  }
+
+  /**
+   * Refresh the job's lock while its handler runs, so long jobs (chunked summaries, slow AI
+   * calls with repair re-prompts) aren't recovered as stale and handed to a second worker
+   * @returns {Function} - Stops the heartbeat
+   */
+  startHeartbeat(job) {
+    const timer = setInterval(async () => {
+      try {
+        const locked = await Job.updateOne(
+          { _id: job._id, status: 'processing', lockedBy: job.lockedBy },
+          { lockedAt: new Date() }
+        );
+        if (locked.matchedCount === 0) {
+          console.warn(`Job ${job._id} (${job.type}) lost its lock while running`);
+        }
+      } catch (error) {
+        console.error(`Heartbeat failed for job ${job._id}:`, error);
+      }
+    }, Math.max(1000, Math.floor(this.options.lockTimeout / 3)));
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  async process(job) {
+    const handler = this.handlers[job.type];
+    this.currentJob = job;
+    const stopHeartbeat = this.startHeartbeat(job);
+
+    try {
+      console.log(`Processing job ${job._id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+      const result = await handler.handle(job);
+
+      // Guard on the lock like handleFailure: if the lock expired and the job was recovered,
+      // the worker now running it owns its state
+      const completedJob = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'processing', lockedBy: job.lockedBy },
+        {
+          status: 'completed',
+          result: result === undefined ? null : result,
+          completedAt: new Date(),
+          lockedAt: null,
+          lockedBy: null,
+          lastError: null
+        }
+      );
+
+      if (completedJob) {
+        console.log(`Job ${job._id} (${job.type}) completed`);
+      } else {
+        console.warn(`Job ${job._id} (${job.type}) finished after losing its lock; result discarded`);
+      }
+    } catch (error) {
+      await this.handleFailure(job, error);
+    } finally {
+      stopHeartbeat();
+      this.currentJob = null;
+    }
+  }
+
+  async handleFailure(job, error) {
+    const message = error?.message || String(error);
+    const isDead = error?.retryable === false || job.attempts >= job.maxAttempts;
+
+    const update = {
+      lastError: message,
+      lockedAt: null,
+      lockedBy: null,
+      $push: {
+        errorHistory: {
+          $each: [{ attempt: job.attempts, message, failedAt: new Date() }],
+          $slice: -20
+        }
+      }
+    };
+
+    if (isDead) {
+      update.status = 'dead';
+      update.completedAt = new Date();
+    } else {
+      update.status = 'pending';
+      update.runAt = new Date(Date.now() + this.getRetryDelay(job.attempts));
+    }
+
+    // Guard on the lock so a job that was already recovered or finished isn't overwritten
+    const updatedJob = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'processing', lockedBy: job.lockedBy },
+      update,
+      { new: true }
+    );
+
+    if (!updatedJob) return;
+
+    if (isDead) {
+      console.error(`Job ${job._id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, message);
+
+      const handler = this.handlers[job.type];
+      if (handler?.onDead) {
+        try {
+          await handler.onDead(job, error);
+        } catch (hookError) {
+          console.error(`onDead hook failed for job ${job._id}:`, hookError);
+        }
+      }
+    } else {
+      console.warn(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}, retrying:`, message);
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const delay = this.options.baseRetryDelay * Math.pow(2, Math.max(0, attempts - 1));
+    const jitter = Math.random() * this.options.baseRetryDelay;
+    return Math.min(delay + jitter, this.options.maxRetryDelay);
+  }
+
+  // Jobs locked by a worker that crashed or restarted mid-run go back to the queue
+  async recoverStaleJobs() {
+    const cutoff = new Date(Date.now() - this.options.lockTimeout);
+    const staleJobs = await Job.find({
+      status: 'processing',
+      lockedAt: { $lt: cutoff }
+    });
+
+    for (const job of staleJobs) {
+      await this.handleFailure(job, new Error(`Job lock expired (worker ${job.lockedBy} did not finish)`));
+    }
+
+    if (staleJobs.length > 0) {
+      console.warn(`Recovered ${staleJobs.length} stale job(s)`);
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,129 @@
+// Unicode ranges for the scripts of the languages we support
+const SCRIPTS = {
+  devanagari: /[ऀ-ॿ]/,
+  gujarati: /[઀-૿]/,
+  bengali: /[ঀ-৿]/,
+  cyrillic: /[Ѐ-ӿ]/,
+  han: /[一-鿿㐀-䶿]/,
+  latin: /[A-Za-zÀ-ɏ]/
+};
+
+// Scripts that map to a single supported language
+const SCRIPT_LANGUAGES = {
+  gujarati: 'gu',
+  bengali: 'bn',
+  cyrillic: 'ru',
+  han: 'zh',
+  latin: 'en'
+};
+
+// Hindi and Marathi share Devanagari, so they are told apart by weighted
+// word and character n-gram features that are frequent in one and rare in the other
+const DEVANAGARI_FEATURES = {
+  hi: {
+    words: ['है', 'हैं', 'और', 'का', 'की', 'के', 'में', 'से', 'को', 'नहीं', 'यह', 'था', 'थी', 'थे', 'पर', 'लिए', 'भी', 'जो', 'कि', 'एक', 'होता', 'होती', 'किया', 'गया', 'वह'],
+    ngrams: ['ों ', 'ने ', 'ता है', 'ती है', 'ते हैं', 'कर ', 'ाएं', 'ियों']
+  },
+  mr: {
+    words: ['आहे', 'आहेत', 'आणि', 'व', 'हे', 'ही', 'हा', 'नाही', 'होते', 'होता', 'मध्ये', 'साठी', 'त्या', 'त्याचे', 'करून', 'पण', 'म्हणजे', 'तसेच', 'असे', 'या', 'एक', 'केले', 'जे'],
+    ngrams: ['ळ', 'च्या', 'ाचे', 'ाची', 'ाचा', 'ांना', 'ून ', 'ात ', 'ले ']
+  }
+};
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  gu: 'Gujarati',
+  mr: 'Marathi',
+  bn: 'Bengali',
+  ru: 'Russian',
+  zh: 'Chinese'
+};
+
+// Detection looks at a sample; whole textbooks do not need to be scanned
+const SAMPLE_SIZE = 20000;
+
+class LanguageDetectionService {
+  /**
+   * Detect the dominant language of a text
+   * @param {string} text - Text to analyse
+   * @param {Object} options - { fallback } language to return when nothing can be detected
+   * @returns {Object} - { language, script, confidence }
+   */
+  detect(text, options = {}) {
+    const { fallback = 'en' } = options;
+    const sample = (text || '').slice(0, SAMPLE_SIZE);
+
+    const counts = this.countScripts(sample);
+    const totalLetters = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    if (totalLetters === 0) {
+      return { language: fallback, script: null, confidence: 0 };
+    }
+
+    const [script, scriptCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    const scriptShare = scriptCount / totalLetters;
+
+    if (script === 'devanagari') {
+      const { language, confidence } = this.detectDevanagari(sample);
+      return { language, script, confidence: this.round(scriptShare * confidence) };
+    }
+
+    return { language: SCRIPT_LANGUAGES[script], script, confidence: this.round(scriptShare) };
+  }
+
+  countScripts(text) {
+    const counts = Object.fromEntries(Object.keys(SCRIPTS).map(script => [script, 0]));
+
+    for (const char of text) {
+      for (const [script, pattern] of Object.entries(SCRIPTS)) {
+        if (pattern.test(char)) {
+          counts[script]++;
+          break;
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  detectDevanagari(text) {
+    const words = text.split(/[\s.,;:!?।॥()"'“”\-–]+/).filter(Boolean);
+    const padded = ` ${text.replace(/\s+/g, ' ')} `;
+
+    const scores = Object.fromEntries(Object.entries(DEVANAGARI_FEATURES).map(([language, features]) => {
+      const wordSet = new Set(features.words);
+      const wordHits = words.filter(word => wordSet.has(word)).length;
+      const ngramHits = features.ngrams.reduce((sum, ngram) => sum + padded.split(ngram).length - 1, 0);
+      return [language, wordHits * 2 + ngramHits];
+    }));
+
+    const total = scores.hi + scores.mr;
+    if (total === 0) {
+      // Hindi is by far the more common Devanagari language among our users
+      return { language: 'hi', confidence: 0.5 };
+    }
+
+    const language = scores.mr > scores.hi ? 'mr' : 'hi';
+    return { language, confidence: Math.max(scores.hi, scores.mr) / total };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Get the English name of a language code
+   * @param {string} code - Language code
+   * @returns {string} - Language name (defaults to English)
+   */
+  getLanguageName(code) {
+    return LANGUAGE_NAMES[code] || LANGUAGE_NAMES.en;
+  }
+
+  getSupportedLanguageCodes() {
+    return Object.keys(LANGUAGE_NAMES);
+  }
+}
+
+module.exports = new LanguageDetectionService();
@@ -0,0 +1,117 @@
+// Split long documents into prompt-sized chunks, preferring heading boundaries so each
+// chunk covers one coherent part of the document.
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/, // Markdown headings
+  /^(chapter|part|section|unit|module|lecture)\s+[\dIVXLC]+\b/i, // "Chapter 3", "Lecture IV: ..."
+  /^\d+(\.\d+)*\.?\s+[A-Z][^.!?]{0,100}$/, // "2.1 Cell Structure"
+  /^[A-Z][A-Z0-9 ,:&'()-]{3,80}$/ // ALL CAPS lines
+];
+
+const isHeading = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 120) return false;
+  return HEADING_PATTERNS.some(pattern => pattern.test(trimmed));
+};
+
+const cleanHeading = (line) => line.trim().replace(/^#{1,6}\s+/, '');
+
+// Break the document into heading-delimited blocks
+const splitByHeadings = (text) => {
+  const blocks = [];
+  let current = { heading: null, lines: [] };
+
+  text.split('\n').forEach(line => {
+    if (isHeading(line) && current.lines.some(existing => existing.trim())) {
+      blocks.push(current);
+      current = { heading: cleanHeading(line), lines: [line] };
+    } else {
+      if (isHeading(line) && !current.heading) current.heading = cleanHeading(line);
+      current.lines.push(line);
+    }
+  });
+  blocks.push(current);
+
+  return blocks
+    .map(block => ({ heading: block.heading, text: block.lines.join('\n').trim() }))
+    .filter(block => block.text);
+};
+
+// Split an oversized block on paragraph, then sentence, then hard character boundaries
+const splitBySize = (text, maxChars) => {
+  if (text.length <= maxChars) return [text];
+
+  const pieces = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer.trim()) pieces.push(buffer.trim());
+    buffer = '';
+  };
+
+  const units = text.split(/\n\s*\n/).flatMap(paragraph =>
+    paragraph.length <= maxChars ? [paragraph] : paragraph.split(/(?<=[.!?।])\s+/)
+  );
+
+  units.forEach(unit => {
+    if (unit.length > maxChars) {
+      flush();
+      for (let i = 0; i < unit.length; i += maxChars) {
+        pieces.push(unit.slice(i, i + maxChars));
+      }
+      return;
+    }
+
+    if (buffer.length + unit.length + 2 > maxChars) flush();
+    buffer += (buffer ? '\n\n' : '') + unit;
+  });
+  flush();
+
+  return pieces;
+};
+
+/**
+ * Chunk a document for map-reduce summarization
+ * @param {string} text - Full document text
+ * @param {Object} options - { maxChars }
+ * @returns {Array<{index: number, heading: string|null, text: string}>}
+ */
+const chunkText = (text, options = {}) => {
+  const { maxChars = 24000 } = options;
+  const chunks = [];
+  let pending = null;
+
+  const pushPending = () => {
+    if (pending) chunks.push(pending);
+    pending = null;
+  };
+
+  splitByHeadings(text).forEach(block => {
+    splitBySize(block.text, maxChars).forEach((piece, pieceIndex) => {
+      const heading = block.heading && pieceIndex > 0 ? `${block.heading} (continued)` : block.heading;
+
+      // Merge short neighbouring sections so we don't spend a request per heading
+      if (pending && pending.text.length + piece.length + 2 <= maxChars) {
+        pending.text += `\n\n${piece}`;
+        if (heading) pending.headings.push(heading);
+        return;
+      }
+
+      pushPending();
+      pending = { text: piece, headings: heading ? [heading] : [] };
+    });
+  });
+  pushPending();
+
+  return chunks.map((chunk, index) => ({
+    index,
+    heading: chunk.headings.length > 0 ? chunk.headings.join(' / ') : null,
+    text: chunk.text
+  }));
+};
+
+module.exports = {
+  chunkText,
+  splitByHeadings,
+  isHeading
+};
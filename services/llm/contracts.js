@@ -0,0 +1,319 @@
+const Joi = require('joi');
+
+// Response contracts for every JSON prompt, keyed by task name. Validation converts
+// loosely-typed model output (e.g. "True", "Medium", "2") into the shapes the models expect.
+
+const stringList = Joi.array().items(Joi.string().trim().min(1)).default([]);
+
+// Normalise "True/False", "true_false", "Multiple Choice" and friends to the enum values
+const enumString = (...values) => Joi.string().trim().lowercase().replace(/[\s_/]+/g, '-').valid(...values);
+
+const questionDifficulty = enumString('easy', 'medium', 'hard').default('medium');
+
+const readTime = Joi.alternatives().try(Joi.string().trim(), Joi.number().min(0));
+
+// Resolve a model-supplied answer ("B", 1, "paris") to an index into options
+const resolveOptionIndex = (answer, options) => {
+  if (typeof answer === 'number') {
+    return Number.isInteger(answer) && answer >= 0 && answer < options.length ? answer : -1;
+  }
+
+  const text = String(answer).trim();
+  const exact = options.indexOf(text);
+  if (exact !== -1) return exact;
+
+  const caseInsensitive = options.findIndex(option => option.toLowerCase() === text.toLowerCase());
+  if (caseInsensitive !== -1) return caseInsensitive;
+
+  if (/^[A-Ha-h]$/.test(text)) {
+    const index = text.toUpperCase().charCodeAt(0) - 65;
+    return index < options.length ? index : -1;
+  }
+
+  if (/^\d+$/.test(text)) {
+    const index = parseInt(text, 10);
+    return index < options.length ? index : -1;
+  }
+
+  return -1;
+};
+
+const normalizeTrueFalse = (answer) => {
+  const text = String(answer).trim().toLowerCase();
+  if (['true', 't', 'yes'].includes(text)) return 'true';
+  if (['false', 'f', 'no'].includes(text)) return 'false';
+  return null;
+};
+
+const OPTION_TYPES = ['multiple-choice', 'multi-select', 'ordering'];
+const BLANK_PATTERN = /_{3,}/g;
+
+// Fields the newer question types add; which ones apply depends on the type
+const structuredFields = {
+  options: Joi.when('type', {
+    is: Joi.valid(...OPTION_TYPES),
+    then: Joi.array().items(Joi.string().trim().min(1)).min(2).unique().required(),
+    otherwise: Joi.array().items(Joi.string().trim())
+  }),
+  correctAnswer: Joi.when('type', {
+    is: Joi.valid('multi-select', 'fill-in-the-blank', 'matching', 'ordering'),
+    then: Joi.any(),
+    otherwise: Joi.alternatives().try(Joi.string().trim().min(1), Joi.boolean(), Joi.number()).required()
+  }),
+  // multi-select
+  correctAnswers: Joi.when('type', {
+    is: 'multi-select',
+    then: Joi.array().items(Joi.string().trim().min(1), Joi.number().integer()).single().min(1).required(),
+    otherwise: Joi.any()
+  }),
+  // numeric
+  tolerance: Joi.number().min(0).default(0),
+  unit: Joi.string().trim().allow('').default(''),
+  // fill-in-the-blank: accepted answers per blank, or a single answer per blank
+  blanks: Joi.when('type', {
+    is: 'fill-in-the-blank',
+    then: Joi.array().items(Joi.array().items(Joi.string().trim().min(1)).single().min(1)).min(1).required(),
+    otherwise: Joi.any()
+  }),
+  // matching
+  pairs: Joi.when('type', {
+    is: 'matching',
+    then: Joi.array().items(Joi.object({
+      left: Joi.string().trim().min(1).required(),
+      right: Joi.string().trim().min(1).required()
+    })).min(2).unique('left').required(),
+    otherwise: Joi.any()
+  })
+};
+
+/**
+ * Check and normalise the answer key of a question of any type. Options stay as strings,
+ * correctAnswer becomes the option text (multiple choice), "true"/"false" or a number (numeric),
+ * and correctAnswers becomes the correct option indexes (multi-select).
+ * @returns {{ value: Object }|{ error: string }}
+ */
+const normalizeAnswerKey = (question) => {
+  switch (question.type) {
+    case 'true-false': {
+      const answer = normalizeTrueFalse(question.correctAnswer);
+      return answer ? { value: { ...question, correctAnswer: answer } } : { error: 'true-false correctAnswer must be "true" or "false"' };
+    }
+    case 'short-answer':
+      return { value: { ...question, correctAnswer: String(question.correctAnswer) } };
+    case 'multi-select': {
+      const indexes = question.correctAnswers.map(answer => resolveOptionIndex(answer, question.options));
+      if (indexes.includes(-1)) {
+        return { error: 'every correctAnswers entry must match one of the options' };
+      }
+      return { value: { ...question, correctAnswers: [...new Set(indexes)].sort((a, b) => a - b) } };
+    }
+    case 'numeric': {
+      const value = typeof question.correctAnswer === 'number' ? question.correctAnswer : parseFloat(String(question.correctAnswer));
+      return Number.isFinite(value)
+        ? { value: { ...question, correctAnswer: value } }
+        : { error: `numeric correctAnswer "${question.correctAnswer}" must be a number` };
+    }
+    case 'fill-in-the-blank':
+      return (question.question.match(BLANK_PATTERN) || []).length === question.blanks.length
+        ? { value: question }
+        : { error: 'fill-in-the-blank questions need one ___ in the question for each entry in blanks' };
+    case 'matching':
+    case 'ordering':
+      return { value: question };
+    default: {
+      const index = resolveOptionIndex(question.correctAnswer, question.options);
+      return index === -1
+        ? { error: `correctAnswer "${question.correctAnswer}" must match one of the options` }
+        : { value: { ...question, correctAnswer: question.options[index] } };
+    }
+  }
+};
+
+// Question shape shared by section and topic quizzes (personal Quiz model); correctAnswers are option texts
+const quizQuestion = Joi.object({
+  sectionTitle: Joi.string().trim().allow(''),
+  question: Joi.string().trim().min(1).required(),
+  type: enumString('multiple-choice', 'true-false', 'short-answer', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering').required(),
+  ...structuredFields,
+  acceptedAnswers: stringList,
+  explanation: Joi.string().trim().allow('').default(''),
+  difficulty: questionDifficulty,
+  points: Joi.number().integer().min(1).max(10).default(1)
+}).custom((question, helpers) => {
+  const { value, error } = normalizeAnswerKey(question);
+  if (error) {
+    return helpers.message(error);
+  }
+  return value.type === 'multi-select'
+    ? { ...value, correctAnswers: value.correctAnswers.map(index => value.options[index]) }
+    : value;
+});
+
+const quiz = Joi.object({
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().allow('').max(500),
+  totalQuestions: Joi.number().integer().min(0),
+  estimatedTime: readTime,
+  questions: Joi.array().items(quizQuestion).min(1).required()
+});
+
+// Community quizzes store the correct answer as an index into exactly-typed options; the
+// other types are converted to the CommunityQuiz question shape
+const communityQuizQuestion = Joi.object({
+  question: Joi.string().trim().min(1).required(),
+  type: enumString('multiple-choice', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering').default('multiple-choice'),
+  ...structuredFields,
+  options: Joi.when('type', {
+    switch: [
+      { is: 'multiple-choice', then: Joi.array().items(Joi.string().trim().min(1)).min(2).max(4).unique().required() },
+      { is: Joi.valid('multi-select', 'ordering'), then: Joi.array().items(Joi.string().trim().min(1)).min(2).max(8).unique().required() }
+    ],
+    otherwise: Joi.array().items(Joi.string().trim()).default([])
+  }),
+  explanation: Joi.string().trim().allow('').default(''),
+  difficulty: questionDifficulty,
+  points: Joi.number().integer().min(1).default(1)
+}).custom((question, helpers) => {
+  const { value, error } = normalizeAnswerKey(question);
+  if (error) {
+    return helpers.message(error);
+  }
+
+  const { correctAnswer, correctAnswers, tolerance, unit, blanks, ...common } = value;
+  switch (value.type) {
+    case 'multiple-choice':
+      return { ...common, correctAnswer: value.options.indexOf(correctAnswer) };
+    case 'multi-select':
+      return { ...common, correctAnswers };
+    case 'numeric':
+      return { ...common, options: [], numericAnswer: { value: correctAnswer, tolerance, unit } };
+    case 'fill-in-the-blank':
+      return { ...common, options: [], blanks: blanks.map(acceptedAnswers => ({ acceptedAnswers })) };
+    default:
+      return common;
+  }
+});
+
+const keyTopics = Joi.array().items(
+  Joi.string().trim().min(1),
+  Joi.object({
+    topic: Joi.string().trim().min(1).required(),
+    confidence: Joi.number().min(0).max(1)
+  })
+).default([]);
+
+const summarySection = Joi.object({
+  title: Joi.string().trim().min(1).required(),
+  summary: Joi.string().trim().min(1).required(),
+  keyPoints: stringList
+});
+
+const contracts = {
+  'content-summary': Joi.object({
+    summary: Joi.string().trim().min(1).required(),
+    keyTopics,
+    difficulty: enumString('beginner', 'intermediate', 'advanced', 'easy', 'medium', 'hard').default('intermediate'),
+    estimatedReadTime: readTime,
+    sections: Joi.array().items(summarySection).min(1).required()
+  }),
+
+  // Map step of long-document summarization
+  'chunk-summary': Joi.object({
+    summary: Joi.string().trim().min(1).required(),
+    keyTopics,
+    sections: Joi.array().items(summarySection).default([])
+  }),
+
+  // Outline-based summarization: one call per document section, then an overview
+  'section-summary': Joi.object({
+    summary: Joi.string().trim().min(1).required(),
+    keyPoints: stringList
+  }),
+
+  'document-overview': Joi.object({
+    summary: Joi.string().trim().min(1).required(),
+    keyTopics,
+    difficulty: enumString('beginner', 'intermediate', 'advanced', 'easy', 'medium', 'hard').default('intermediate'),
+    estimatedReadTime: readTime
+  }),
+
+  'section-quiz': quiz.keys({
+    title: Joi.string().trim().min(1).max(200).required()
+  }),
+
+  'topic-quiz': quiz,
+
+  'community-quiz': Joi.object({
+    questions: Joi.array().items(communityQuizQuestion).min(1).required()
+  }),
+
+  'quiz-analysis': Joi.object({
+    score: Joi.number().min(0).max(100).required(),
+    totalQuestions: Joi.number().integer().min(0).required(),
+    correctAnswers: Joi.number().integer().min(0).required(),
+    performance: Joi.string().trim().lowercase().replace(/[\s-]+/g, '_').valid('good', 'excellent', 'needs_improvement').required(),
+    feedback: Joi.string().trim().allow('').default(''),
+    weakAreas: stringList,
+    strongAreas: stringList,
+    recommendations: stringList
+  }),
+
+  // Rubric scores are clamped to each criterion's maximum by the grading service
+  'essay-grading': Joi.object({
+    criteria: Joi.array().items(Joi.object({
+      criterion: Joi.string().trim().min(1).required(),
+      score: Joi.number().min(0).required(),
+      justification: Joi.string().trim().allow('').default('')
+    })).min(1).required(),
+    feedback: Joi.string().trim().allow('').default('')
+  }),
+
+  'quiz-summary': Joi.object({
+    overallPerformance: enumString('excellent', 'good', 'average', 'needs-improvement').required(),
+    summary: Joi.string().trim().min(1).required(),
+    strengths: stringList,
+    weaknesses: stringList,
+    recommendations: stringList,
+    topicsMastered: stringList,
+    topicsToReview: stringList,
+    nextSteps: Joi.string().trim().allow('').default(''),
+    motivationalMessage: Joi.string().trim().allow('').default('')
+  })
+};
+
+/**
+ * Validate a parsed model response against its task contract
+ * @param {string} task - Task name
+ * @param {*} data - Parsed JSON
+ * @returns {Object} - { value, errors } where errors is a list of readable messages
+ */
+const validateResponse = (task, data) => {
+  const schema = contracts[task];
+  if (!schema) {
+    return { value: data, errors: [] };
+  }
+
+  const { value, error } = schema.validate(data, {
+    abortEarly: false,
+    allowUnknown: true,
+    convert: true,
+    errors: { wrap: { label: false } }
+  });
+
+  if (!error) {
+    return { value, errors: [] };
+  }
+
+  return {
+    value: null,
+    errors: error.details.map(detail => {
+      const field = detail.path.join('.');
+      return field ? `${field}: ${detail.message}` : detail.message;
+    })
+  };
+};
+
+module.exports = {
+  contracts,
+  validateResponse
+};
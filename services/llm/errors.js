@@ -0,0 +1,28 @@
+// Base error for AI failures; status/error follow the shape errorHandler already understands
+class AIServiceError extends Error {
+  constructor(message, { status = 502, code = 'AI_SERVICE_ERROR', task, cause } = {}) {
+    super(message);
+    this.name = 'AIServiceError';
+    this.status = status;
+    this.error = code;
+    this.task = task;
+    if (cause) this.cause = cause;
+  }
+}
+
+// The model kept returning output that does not match the task's response contract
+class AIResponseValidationError extends AIServiceError {
+  constructor(message, { task, errors = [], rawResponse, attempts } = {}) {
+    super(message, { status: 502, code: 'AI_INVALID_RESPONSE', task });
+    this.name = 'AIResponseValidationError';
+    this.errors = errors;
+    this.attempts = attempts;
+    // Kept off the API response but available for logging
+    Object.defineProperty(this, 'rawResponse', { value: rawResponse, enumerable: false });
+  }
+}
+
+module.exports = {
+  AIServiceError,
+  AIResponseValidationError
+};
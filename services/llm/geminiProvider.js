@@ -0,0 +1,34 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+class GeminiProvider {
+  constructor(options = {}) {
+    const {
+      apiKey = process.env.GEMINI_API_KEY,
+      model = process.env.GEMINI_MODEL || DEFAULT_MODEL
+    } = options;
+
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini LLM provider');
+    }
+
+    this.name = 'gemini';
+    this.modelName = model;
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = this.genAI.getGenerativeModel({ model });
+  }
+
+  /**
+   * Send a prompt to Gemini and return the raw text response
+   * @param {string} prompt - Full prompt text
+   * @returns {Promise<string>} - Model output
+   */
+  async generateText(prompt) {
+    const result = await this.model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,37 @@
+const GeminiProvider = require('./geminiProvider');
+const OfflineProvider = require('./offlineProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  offline: OfflineProvider
+};
+
+/**
+ * Resolve which provider to use: LLM_PROVIDER when set, otherwise Gemini. The offline provider
+ * is never picked implicitly, so a deploy missing GEMINI_API_KEY fails the startup env check.
+ * @returns {string} - Provider name
+ */
+const resolveProviderName = () => {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  return configured || 'gemini';
+};
+
+/**
+ * Create an LLM provider instance
+ * @param {string} name - Provider name ('gemini' | 'offline')
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} - Provider exposing generateText(prompt, { task, context })
+ */
+const createProvider = (name = resolveProviderName(), options = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  createProvider,
+  resolveProviderName,
+  PROVIDERS
+};
@@ -0,0 +1,112 @@
+// Tolerant JSON extraction for model output. Models wrap JSON in prose or code fences,
+// echo the `// comments` from our prompt templates and leave trailing commas behind.
+
+// Remove // and /* */ comments outside of string literals
+const stripComments = (text) => {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      result += char;
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      result += '\n';
+    } else if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+};
+
+// Find the first balanced {...} or [...] block, ignoring brackets inside strings
+const findJSONBlock = (text) => {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+};
+
+const removeTrailingCommas = (text) => text.replace(/,(\s*[}\]])/g, '$1');
+
+const normalizeQuotes = (text) => text.replace(/[“”]/g, '"');
+
+/**
+ * Extract and parse the JSON payload from a model response
+ * @param {string} text - Raw model response
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - When no parseable JSON can be recovered
+ */
+const extractJSON = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new SyntaxError('Response was empty');
+  }
+
+  const unfenced = text.replace(/```(?:json|JSON)?\s*\n?|\n?```/g, '').trim();
+
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    // Fall through to the tolerant path
+  }
+
+  const block = findJSONBlock(stripComments(unfenced));
+  if (!block) {
+    throw new SyntaxError('Response did not contain a JSON object');
+  }
+
+  const candidates = [block, removeTrailingCommas(block), removeTrailingCommas(normalizeQuotes(block))];
+  let lastError;
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new SyntaxError(`Response contained malformed JSON: ${lastError.message}`);
+};
+
+module.exports = {
+  extractJSON
+};
@@ -0,0 +1,240 @@
+// Deterministic section outline for structured documents. Markdown uploads, DOCX heading
+// styles and HTML pages all reach us as Markdown-style text, so one parser covers them.
+const STRUCTURED_FILE_TYPES = ['md', 'docx', 'html'];
+
+const ATX_HEADING = /^ {0,3}(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const CODE_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// Leading text shorter than this (e.g. a byline under the title) is not summarized on its own
+const MIN_INTRO_CHARS = 200;
+
+class OutlineService {
+  isStructured(fileType) {
+    return STRUCTURED_FILE_TYPES.includes(fileType);
+  }
+
+  /**
+   * Build the outline stored on Content. Offsets are character positions in originalText.
+   * @param {string} text - Document text
+   * @param {string} fileType - Content fileType; unstructured types get an empty outline
+   * @returns {{ sections: Array<Object>, generatedAt: Date }}
+   */
+  build(text, fileType) {
+    return {
+      sections: this.isStructured(fileType) ? this.parse(text || '') : [],
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Parse Markdown headings (ATX and setext, skipping fenced code) into a flat list
+   * of sections linked by parentId. `end` covers subsections; `ownEnd` stops at the
+   * next heading of any level.
+   * @param {string} text - Markdown-style text
+   * @returns {Array<{ sectionId, title, level, parentId, start, contentStart, ownEnd, end, wordCount }>}
+   */
+  parse(text) {
+    const headings = this.findHeadings(text);
+    const usedIds = {};
+    const stack = [];
+
+    const sections = headings.map((heading, index) => {
+      while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+        stack.pop();
+      }
+
+      const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+      const ownEnd = index + 1 < headings.length ? headings[index + 1].start : text.length;
+
+      const section = {
+        sectionId: this.uniqueId(heading.title, usedIds),
+        title: heading.title,
+        level: heading.level,
+        parentId: stack.length > 0 ? stack[stack.length - 1].sectionId : null,
+        start: heading.start,
+        contentStart: heading.contentStart,
+        ownEnd,
+        end: next ? next.start : text.length,
+        wordCount: this.countWords(text.slice(heading.contentStart, ownEnd))
+      };
+
+      stack.push(section);
+      return section;
+    });
+
+    return sections;
+  }
+
+  findHeadings(text) {
+    const headings = [];
+    const lines = text.split('\n');
+    let offset = 0;
+    let fence = null;
+    let previous = null;
+    let previousBlank = true;
+
+    lines.forEach(line => {
+      const lineStart = offset;
+      const lineEnd = offset + line.length;
+      offset = lineEnd + 1;
+
+      const fenceMatch = line.match(CODE_FENCE);
+      if (fence) {
+        if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+          fence = null;
+        }
+        previous = null;
+        previousBlank = false;
+        return;
+      }
+      if (fenceMatch) {
+        fence = fenceMatch[1];
+        previous = null;
+        previousBlank = false;
+        return;
+      }
+
+      const atx = line.match(ATX_HEADING);
+      if (atx) {
+        const title = this.cleanTitle(atx[2]);
+        if (title) {
+          headings.push({ title, level: atx[1].length, start: lineStart, contentStart: Math.min(offset, text.length) });
+        }
+        previous = null;
+        previousBlank = false;
+        return;
+      }
+
+      // "Title\n=====" or "Title\n-----", but not a list item or a rule under a blank line
+      const underline = line.match(SETEXT_UNDERLINE);
+      if (underline && previous && !/^\s*([-*+]|\d+[.)])\s/.test(previous.line)) {
+        const title = this.cleanTitle(previous.line);
+        if (title) {
+          headings.push({
+            title,
+            level: underline[1][0] === '=' ? 1 : 2,
+            start: previous.start,
+            contentStart: Math.min(offset, text.length)
+          });
+        }
+        previous = null;
+        previousBlank = false;
+        return;
+      }
+
+      // Setext headings are a single line of paragraph text directly above the underline
+      previous = line.trim() && previousBlank ? { line, start: lineStart } : null;
+      previousBlank = !line.trim();
+    });
+
+    return headings;
+  }
+
+  cleanTitle(title) {
+    return title
+      .replace(/[*_`]+/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 200);
+  }
+
+  // Slug ids stay the same across edits that don't rename or reorder same-named sections
+  uniqueId(title, usedIds) {
+    const slug = title
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'section';
+
+    usedIds[slug] = (usedIds[slug] || 0) + 1;
+    return usedIds[slug] === 1 ? slug : `${slug}-${usedIds[slug]}`;
+  }
+
+  countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  /**
+   * Nest the flat section list for API responses
+   * @param {Array<Object>} sections - Stored outline sections
+   * @param {string} [text] - When given, each node includes its own text
+   * @returns {Array<Object>} - Top-level sections with `children`
+   */
+  toTree(sections, text) {
+    const nodes = new Map();
+    const roots = [];
+
+    sections.forEach(section => {
+      const plain = typeof section.toObject === 'function' ? section.toObject() : { ...section };
+      delete plain._id;
+      const node = { ...plain, children: [] };
+      if (text !== undefined) {
+        node.text = text.slice(section.contentStart, section.ownEnd).trim();
+      }
+      nodes.set(section.sectionId, node);
+
+      const parent = section.parentId && nodes.get(section.parentId);
+      (parent ? parent.children : roots).push(node);
+    });
+
+    return roots;
+  }
+
+  /**
+   * Find the innermost section containing a character position
+   * @returns {Object|null}
+   */
+  sectionAt(sections, position) {
+    let found = null;
+    sections.forEach(section => {
+      if (position >= section.start && position < section.end) {
+        found = section;
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Pick the sections the AI summarizes: the first level with more than one section,
+   * so a lone document-title heading doesn't swallow the whole outline. Text before
+   * the first picked section becomes an introduction when it is long enough.
+   * @param {string} text - Document text
+   * @param {Array<Object>} sections - Stored outline sections
+   * @returns {Array<{ sectionId: string|null, title: string, text: string }>}
+   */
+  getSummaryUnits(text, sections) {
+    if (!sections || sections.length === 0) return [];
+
+    let parent = null;
+    let units = sections.filter(section => !section.parentId);
+    while (units.length === 1) {
+      const children = sections.filter(section => section.parentId === units[0].sectionId);
+      if (children.length === 0) break;
+      parent = units[0];
+      units = children;
+    }
+
+    const result = units.map(section => ({
+      sectionId: section.sectionId,
+      title: section.title,
+      text: text.slice(section.start, section.end).trim()
+    }));
+
+    const introStart = parent ? parent.contentStart : 0;
+    const intro = text.slice(introStart, units[0].start).trim();
+    if (intro.length >= MIN_INTRO_CHARS) {
+      result.unshift({
+        sectionId: parent ? parent.sectionId : null,
+        title: parent ? parent.title : 'Introduction',
+        text: intro
+      });
+    }
+
+    return result.filter(unit => unit.text);
+  }
+}
+
+module.exports = new OutlineService();
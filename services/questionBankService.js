@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const CommunityMember = require('../models/CommunityMember');
+const adaptiveQuizService = require('./adaptiveQuizService');
+
+// Community quizzes support multiple choice with 2-4 options and the multi-part types, but not
+// true/false, short answer or essay questions ($and keeps the search filter's own $or intact)
+const COMMUNITY_QUESTION_FILTER = {
+  $and: [{
+    $or: [
+      { type: 'multiple-choice', 'options.1': { $exists: true }, 'options.4': { $exists: false } },
+      { type: { $in: ['multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'] } }
+    ]
+  }]
+};
+
+const BANK_MANAGER_ROLES = ['moderator', 'admin'];
+
+class QuestionBankService {
+  /**
+   * Query scope for a bank: the user's personal bank, or a community's shared bank
+   * @param {Object} user - Current user
+   * @param {string|null} communityId
+   */
+  getScope(user, communityId = null) {
+    return communityId
+      ? { communityId: new mongoose.Types.ObjectId(communityId) }
+      : { userId: user._id, communityId: null };
+  }
+
+  /**
+   * Community banks hold answer keys, so only moderators and admins may read or change them
+   * @returns {Promise<boolean>}
+   */
+  async canManageCommunityBank(user, communityId) {
+    const membership = await CommunityMember.findOne({
+      userId: user._id,
+      communityId,
+      isActive: true
+    });
+    return Boolean(membership && BANK_MANAGER_ROLES.includes(membership.role));
+  }
+
+  // Personal questions belong to their author; community questions to the community's managers
+  async canManage(user, question) {
+    if (question.communityId) {
+      return this.canManageCommunityBank(user, question.communityId);
+    }
+    return question.userId.equals(user._id);
+  }
+
+  /**
+   * Search filter for bank questions
+   * @param {Object} filters - { q, tags, difficulty, type, sourceContentId }
+   */
+  buildFilter({ q, tags, difficulty, type, sourceContentId } = {}) {
+    const filter = {};
+    if (q) filter.$text = { $search: q };
+    if (tags?.length) filter.tags = { $all: tags.map(tag => tag.toLowerCase()) };
+    if (difficulty) filter.difficulty = difficulty;
+    if (type) filter.type = type;
+    if (sourceContentId) {
+      const id = new mongoose.Types.ObjectId(sourceContentId);
+      filter.$or = [{ sourceContentId: id }, { sourceCommunityContentId: id }];
+    }
+    return filter;
+  }
+
+  // Match stage for one draw rule within a bank
+  ruleMatch(rule, scope, { community = false, excludeIds = [] } = {}) {
+    return {
+      ...scope,
+      ...this.buildFilter(rule),
+      ...(community && COMMUNITY_QUESTION_FILTER),
+      isActive: true,
+      ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } })
+    };
+  }
+
+  /**
+   * How many questions each rule can draw from, for validating a quiz definition
+   * @returns {Promise<Array<{ rule, requested: number, available: number }>>}
+   */
+  async checkAvailability(rules, scope, options = {}) {
+    return Promise.all(rules.map(async rule => ({
+      rule,
+      requested: rule.count,
+      available: await Question.countDocuments(this.ruleMatch(rule, scope, options))
+    })));
+  }
+
+  /**
+   * Randomly sample questions for one attempt. Rules are applied in order and a question
+   * drawn by an earlier rule isn't drawn again; a rule with too few matches draws what it can.
+   * @param {Array} rules - Draw rules { count, difficulty, tags, sourceContentId, type }
+   * @param {Object} scope - Result of getScope()
+   * @param {Object} options - { community } restricts draws to community-compatible questions
+   * @returns {Promise<Array<Object>>} - Plain question objects
+   */
+  async drawQuestions(rules, scope, options = {}) {
+    const drawn = [];
+
+    for (const rule of rules) {
+      const sample = await Question.aggregate([
+        { $match: this.ruleMatch(rule, scope, { ...options, excludeIds: drawn.map(question => question._id) }) },
+        { $sample: { size: rule.count } }
+      ]);
+      drawn.push(...sample);
+    }
+
+    if (drawn.length > 0) {
+      await Question.updateMany(
+        { _id: { $in: drawn.map(question => question._id) } },
+        { $inc: { 'usage.timesDrawn': 1 }, $set: { 'usage.lastUsedAt': new Date() } }
+      );
+    }
+
+    return drawn;
+  }
+
+  // Embedded Quiz question from a bank question; keeps the bank _id so results map back
+  toQuizQuestion(question) {
+    return {
+      _id: question._id,
+      question: question.question,
+      type: question.type,
+      options: (question.options || []).map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+      correctAnswer: question.correctAnswer,
+      acceptedAnswers: question.acceptedAnswers,
+      partialCredit: question.partialCredit,
+      numericAnswer: question.numericAnswer,
+      blanks: question.blanks,
+      pairs: question.pairs,
+      rubric: question.rubric,
+      explanation: question.explanation,
+      points: question.points,
+      difficulty: question.difficulty,
+      tags: question.tags
+    };
+  }
+
+  // Embedded CommunityQuiz question: option strings with the correct options as indexes
+  toCommunityQuestion(question) {
+    const options = question.options || [];
+    const type = question.type || 'multiple-choice';
+
+    return {
+      _id: question._id,
+      question: question.question,
+      type,
+      options: options.map(option => option.text),
+      ...(type === 'multiple-choice' && { correctAnswer: Math.max(0, options.findIndex(option => option.isCorrect)) }),
+      correctAnswers: type === 'multi-select'
+        ? options.map((option, index) => (option.isCorrect ? index : -1)).filter(index => index !== -1)
+        : [],
+      partialCredit: question.partialCredit,
+      numericAnswer: question.numericAnswer,
+      blanks: question.blanks,
+      pairs: question.pairs,
+      explanation: question.explanation || '',
+      difficulty: question.difficulty,
+      points: question.points
+    };
+  }
+
+  // Bank question fields from a personal quiz question
+  fromQuizQuestion(question) {
+    return {
+      question: question.question,
+      type: question.type,
+      options: question.options.map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+      correctAnswer: question.correctAnswer,
+      acceptedAnswers: question.acceptedAnswers,
+      partialCredit: question.partialCredit,
+      numericAnswer: question.numericAnswer,
+      blanks: question.blanks,
+      pairs: question.pairs,
+      rubric: question.rubric,
+      explanation: question.explanation,
+      points: question.points,
+      difficulty: question.difficulty,
+      tags: question.tags
+    };
+  }
+
+  // Bank question fields from a community quiz question
+  fromCommunityQuestion(question) {
+    const type = question.type || 'multiple-choice';
+    const isCorrect = (index) => (type === 'multi-select'
+      ? (question.correctAnswers || []).includes(index)
+      : type === 'multiple-choice' && index === question.correctAnswer);
+
+    return {
+      question: question.question,
+      type,
+      options: (question.options || []).map((text, index) => ({ text, isCorrect: isCorrect(index) })),
+      partialCredit: question.partialCredit,
+      numericAnswer: question.numericAnswer,
+      blanks: question.blanks,
+      pairs: question.pairs,
+      explanation: question.explanation,
+      points: question.points,
+      difficulty: question.difficulty
+    };
+  }
+
+  /**
+   * The quiz as seen by one attempt: bank-drawn quizzes take their questions from the
+   * attempt's snapshot, and adaptive attempts only see the questions served so far.
+   * The result is for reading only; save analytics on the original quiz.
+   * @param {Object} quiz - Quiz or CommunityQuiz document
+   * @param {Object} attempt - QuizAttempt or CommunityQuizAttempt document
+   */
+  getAttemptQuiz(quiz, attempt) {
+    const isDrawn = attempt?.drawnQuestions?.length > 0;
+    const isAdaptive = attempt?.mode === 'adaptive' && Boolean(attempt.adaptive);
+    if (!isDrawn && !isAdaptive) return quiz;
+
+    const attemptQuiz = quiz.toObject({ virtuals: false });
+    if (isDrawn) {
+      attemptQuiz.questions = attempt.drawnQuestions.map(question => question.toObject ? question.toObject() : question);
+    }
+
+    return quiz.constructor.hydrate(isAdaptive ? adaptiveQuizService.toAttemptQuiz(attemptQuiz, attempt) : attemptQuiz);
+  }
+
+  /**
+   * Add graded answers to the usage stats of the bank questions they came from
+   * @param {Array<{ questionId, isCorrect }>} answers
+   */
+  async recordResults(answers) {
+    const operations = answers
+      .filter(answer => mongoose.Types.ObjectId.isValid(answer.questionId))
+      .map(answer => ({
+        updateOne: {
+          filter: { _id: new mongoose.Types.ObjectId(String(answer.questionId)) },
+          update: {
+            $inc: {
+              'usage.timesAnswered': 1,
+              'usage.timesCorrect': answer.isCorrect ? 1 : 0
+            }
+          }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await Question.bulkWrite(operations, { ordered: false });
+    }
+  }
+}
+
+module.exports = new QuestionBankService();
@@ -0,0 +1,505 @@
+const mongoose = require('mongoose');
+const gradingService = require('./gradingService');
+const questionBankService = require('./questionBankService');
+const reviewService = require('./reviewService');
+const Content = require('../models/Content');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const CommunityQuiz = require('../models/CommunityQuiz');
+const CommunityQuizAttempt = require('../models/CommunityQuizAttempt');
+
+// Submissions this long after the deadline are still accepted (network latency, client clock drift)
+const GRACE_PERIOD_MS = (parseInt(process.env.QUIZ_TIME_GRACE_SECONDS) || 30) * 1000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.QUIZ_TIMEOUT_SWEEP_INTERVAL_MS) || 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+// Attempts that fail to time out are retried after SWEEP_INTERVAL_MS, doubling up to this
+const MAX_SWEEP_BACKOFF_MS = 60 * 60 * 1000;
+
+// Attempt statuses that count as a finished, graded attempt
+const FINISHED_STATUSES = ['completed', 'timed-out'];
+
+class QuizAttemptService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Deadline for an attempt
+   * @param {Date} startedAt - When the attempt started
+   * @param {number} timeLimit - Minutes; 0 or missing means no limit
+   * @returns {Date|null}
+   */
+  getExpiresAt(startedAt, timeLimit) {
+    if (!timeLimit || timeLimit <= 0) return null;
+    return new Date(new Date(startedAt).getTime() + timeLimit * 60 * 1000);
+  }
+
+  // True once the deadline and the grace period have both passed
+  isExpired(attempt, now = new Date()) {
+    return Boolean(attempt.expiresAt) && now.getTime() > attempt.expiresAt.getTime() + GRACE_PERIOD_MS;
+  }
+
+  /**
+   * Timer state for the client; serverTime lets it correct for clock skew
+   * @returns {{ startedAt: Date, expiresAt: Date|null, timeRemaining: number|null, serverTime: Date }}
+   */
+  getTiming(attempt, now = new Date()) {
+    return {
+      startedAt: attempt.startedAt,
+      expiresAt: attempt.expiresAt || null,
+      timeRemaining: attempt.expiresAt
+        ? Math.max(0, Math.round((attempt.expiresAt.getTime() - now.getTime()) / 1000))
+        : null, // seconds
+      serverTime: now
+    };
+  }
+
+  // Atomically move an attempt out of in-progress without grading it (its quiz is gone)
+  claimForTimeout(Model, attempt) {
+    return Model.findOneAndUpdate(
+      { _id: attempt._id, status: 'in-progress' },
+      { $set: { status: 'timed-out', completedAt: attempt.expiresAt || new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Save a graded attempt (submitted or timed out) only if it is still in progress, so the
+   * sweeper and submits can't both close it and record its result twice. Grading happens before
+   * this, so when it fails the attempt stays in progress and the next sweep retries it.
+   * @returns {Promise<boolean>} - False when the attempt was already closed
+   */
+  async saveIfInProgress(attempt) {
+    attempt.$where = { status: 'in-progress' };
+    try {
+      await attempt.save();
+      return true;
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) return false;
+      // Replacing the answers array makes the save check the version too; a version mismatch on
+      // an attempt that is still open is a concurrent change, left for the next sweep
+      if (error instanceof mongoose.Error.VersionError &&
+        !await attempt.constructor.exists({ _id: attempt._id, status: 'in-progress' })) {
+        return false;
+      }
+      throw error;
+    } finally {
+      attempt.$where = undefined;
+    }
+  }
+
+  /**
+   * Close an expired personal quiz attempt, grading only the answers saved before the deadline
+   * @param {Object} attempt - QuizAttempt document
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Object|null>} - The timed-out attempt, or null if it was already closed
+   */
+  async timeOutQuizAttempt(attempt, quiz) {
+    const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+    const sourceContent = quiz.contentId ? await Content.findById(quiz.contentId).select('metadata.language') : null;
+    attempt.answers = await gradingService.gradeAnswers(attemptQuiz, this.collectQuizAnswers(attemptQuiz, attempt), {
+      language: sourceContent?.metadata?.language
+    });
+    attempt.status = 'timed-out';
+    attempt.completedAt = attempt.expiresAt || new Date();
+    attempt.timeSpent = Math.round((attempt.completedAt - attempt.startedAt) / (1000 * 60));
+    gradingService.recalculateAttempt(attempt, attemptQuiz);
+
+    if (!await this.saveIfInProgress(attempt)) return null;
+
+    await this.recordQuizResult(quiz, attempt);
+    return attempt;
+  }
+
+  /**
+   * Save one answer on an in-progress personal quiz attempt (document is not saved here)
+   * @param {Object} attempt - QuizAttempt document
+   * @param {string} questionId - Question being answered
+   * @param {Object} update - { userAnswer, timeSpent (total seconds on the question), flagged, confidence }
+   * @returns {Object} - The saved answer entry
+   */
+  saveQuizAnswer(attempt, questionId, { userAnswer, timeSpent, flagged, confidence }) {
+    let saved = attempt.savedAnswers.find(item => item.questionId.toString() === questionId.toString());
+    if (!saved) {
+      attempt.savedAnswers.push({ questionId });
+      saved = attempt.savedAnswers[attempt.savedAnswers.length - 1];
+    }
+
+    if (userAnswer !== undefined) saved.userAnswer = userAnswer;
+    if (timeSpent !== undefined) saved.timeSpent = timeSpent;
+    if (flagged !== undefined) saved.flagged = flagged;
+    if (confidence !== undefined) saved.confidence = confidence;
+    saved.savedAt = new Date();
+    attempt.lastSavedAt = saved.savedAt;
+
+    return saved;
+  }
+
+  /**
+   * Answers to grade for a personal quiz attempt, one per question in the attempt's quiz: the
+   * saved answers, replaced by any submitted in the final call. Unanswered questions get a blank
+   * answer so they are graded as wrong and still count towards the attempt's question total;
+   * answers to questions no longer in the quiz are skipped.
+   * @param {Object} quiz - Quiz document
+   * @param {Object} attempt - QuizAttempt document
+   * @param {Array<{ questionId, userAnswer, timeSpent, confidence }>} submitted - Answers sent with submit
+   * @returns {Array<{ questionId, userAnswer, timeSpent, confidence }>}
+   */
+  collectQuizAnswers(quiz, attempt, submitted = []) {
+    const byQuestion = new Map();
+
+    (attempt.savedAnswers || []).forEach(saved => {
+      byQuestion.set(saved.questionId.toString(), {
+        questionId: saved.questionId,
+        userAnswer: saved.userAnswer,
+        timeSpent: saved.timeSpent,
+        confidence: saved.confidence
+      });
+    });
+
+    // Blank submitted answers don't erase a saved one
+    (submitted || []).filter(answer => gradingService.hasAnswer(answer.userAnswer)).forEach(answer => {
+      const key = String(answer.questionId);
+      byQuestion.set(key, {
+        questionId: answer.questionId,
+        userAnswer: answer.userAnswer,
+        timeSpent: answer.timeSpent || byQuestion.get(key)?.timeSpent || 0,
+        confidence: answer.confidence || byQuestion.get(key)?.confidence || null
+      });
+    });
+
+    return quiz.questions.map(question => {
+      const answer = byQuestion.get(question._id.toString());
+      if (answer && gradingService.hasAnswer(answer.userAnswer)) return answer;
+      return {
+        questionId: question._id,
+        userAnswer: '',
+        timeSpent: answer?.timeSpent || 0,
+        confidence: null
+      };
+    });
+  }
+
+  /**
+   * Save one answer on an in-progress community quiz attempt (document is not saved here)
+   * @param {Object} attempt - CommunityQuizAttempt document
+   * @param {number} questionIndex - Position of the question in the quiz
+   * @param {Object} update - { selectedAnswer (option index or null), response (other question types),
+   *   timeSpent, flagged, confidence }
+   * @returns {Object} - The saved answer entry
+   */
+  saveCommunityAnswer(attempt, questionIndex, { selectedAnswer, response, timeSpent, flagged, confidence }) {
+    let saved = attempt.answers.find(item => item.questionIndex === questionIndex);
+    if (!saved) {
+      attempt.answers.push({ questionIndex });
+      saved = attempt.answers[attempt.answers.length - 1];
+    }
+
+    if (selectedAnswer !== undefined) saved.selectedAnswer = selectedAnswer;
+    if (response !== undefined) saved.response = response;
+    if (timeSpent !== undefined) saved.timeSpent = timeSpent;
+    if (flagged !== undefined) saved.flagged = flagged;
+    if (confidence !== undefined) saved.confidence = confidence;
+    saved.savedAt = new Date();
+    attempt.lastSavedAt = saved.savedAt;
+
+    return saved;
+  }
+
+  // Whether a community answer holds a selection or a response
+  isCommunityAnswered(answer) {
+    return Number.isInteger(answer?.selectedAnswer) || gradingService.hasAnswer(answer?.response);
+  }
+
+  /**
+   * Answers to score for a community attempt, in question order: the saved answers,
+   * replaced by any given in the final call
+   * @returns {Array<{ selectedAnswer, response, timeSpent, confidence }>}
+   */
+  collectCommunityAnswers(quiz, attempt, submitted = []) {
+    return quiz.questions.map((question, index) => {
+      const saved = attempt.answers.find(item => item.questionIndex === index);
+      const answer = (submitted || [])[index];
+      const confidence = answer?.confidence || saved?.confidence || null;
+
+      if (this.isCommunityAnswered(answer)) {
+        return {
+          selectedAnswer: answer.selectedAnswer ?? null,
+          response: answer.response ?? null,
+          timeSpent: answer.timeSpent || saved?.timeSpent || 0,
+          confidence
+        };
+      }
+      return {
+        selectedAnswer: saved?.selectedAnswer ?? null,
+        response: saved?.response ?? null,
+        timeSpent: saved?.timeSpent || 0,
+        confidence
+      };
+    });
+  }
+
+  /**
+   * Update quiz analytics, the source content's quiz history and the user's review queue after an attempt finishes
+   * @param {Object} quiz - Quiz document (saved here)
+   * @param {Object} attempt - Finished QuizAttempt document
+   */
+  async recordQuizResult(quiz, attempt) {
+    if (attempt.drawnQuestions?.length > 0) {
+      await questionBankService.recordResults(attempt.answers);
+    }
+
+    try {
+      await reviewService.addFromQuizAttempt(questionBankService.getAttemptQuiz(quiz, attempt), attempt);
+    } catch (error) {
+      // The review queue is best-effort; the result itself is already saved
+      console.error(`Failed to queue reviews for quiz attempt ${attempt._id}:`, error);
+    }
+
+    quiz.analytics.totalAttempts = (quiz.analytics.totalAttempts || 0) + 1;
+    quiz.analytics.lastTaken = new Date();
+    await this.updateScoreAnalytics(quiz);
+    await quiz.save();
+
+    const content = quiz.contentId ? await Content.findById(quiz.contentId) : null;
+    if (!content) return;
+
+    content.quizHistory.totalAttempts += 1;
+    content.quizHistory.lastAttempt = new Date();
+
+    if (attempt.score > content.quizHistory.bestScore) {
+      content.quizHistory.bestScore = attempt.score;
+    }
+
+    if (attempt.passed && !content.quizHistory.isPassed) {
+      content.quizHistory.isPassed = true;
+    }
+
+    content.quizHistory.attempts.push({
+      attemptId: attempt._id,
+      score: attempt.score,
+      passed: attempt.passed,
+      completedAt: attempt.completedAt
+    });
+
+    // Keep only last 10 attempts to avoid too much data
+    if (content.quizHistory.attempts.length > 10) {
+      content.quizHistory.attempts = content.quizHistory.attempts.slice(-10);
+    }
+
+    await content.save();
+  }
+
+  // Average, best score and pass rate over all finished attempts (quiz is not saved here)
+  async updateScoreAnalytics(quiz) {
+    const finishedAttempts = await QuizAttempt.find({
+      quizId: quiz._id,
+      status: { $in: FINISHED_STATUSES }
+    }).select('score passed');
+
+    if (finishedAttempts.length > 0) {
+      quiz.analytics.averageScore = Math.round(
+        finishedAttempts.reduce((sum, att) => sum + att.score, 0) / finishedAttempts.length
+      );
+      quiz.analytics.bestScore = Math.max(...finishedAttempts.map(att => att.score));
+      quiz.analytics.passRate = Math.round(
+        (finishedAttempts.filter(att => att.passed).length / finishedAttempts.length) * 100
+      );
+    }
+  }
+
+  /**
+   * Share of a community question earned: the selected option for multiple choice; other types
+   * are graded like personal questions, with option indexes turned into option texts first
+   * @returns {number} - 0-1
+   */
+  getCommunityCredit(question, selectedAnswer, response) {
+    const type = question.type || 'multiple-choice';
+    if (type === 'multiple-choice') {
+      return selectedAnswer !== null && question.correctAnswer === selectedAnswer ? 1 : 0;
+    }
+    if (response === null) return 0;
+
+    const answer = ['multi-select', 'ordering'].includes(type)
+      ? gradingService.toList(response).map(index => question.options[index])
+      : response;
+    const { fraction } = gradingService.gradeObjective(questionBankService.fromCommunityQuestion(question), answer);
+    return Math.round(fraction * 100) / 100;
+  }
+
+  /**
+   * Score community quiz answers. Each question counts equally; partial credit counts toward
+   * the percentage but only fully correct answers count as correct.
+   * @param {Object} quiz - CommunityQuiz document
+   * @param {Array<{ selectedAnswer, response, timeSpent, confidence }>} answers - Answers in question order
+   * @returns {{ answers: Array, correctAnswers: number, percentage: number, isPassed: boolean }}
+   */
+  scoreCommunityAnswers(quiz, answers) {
+    let correctAnswers = 0;
+    let earned = 0;
+
+    const scoredAnswers = quiz.questions.map((question, index) => {
+      const answer = (answers || [])[index] || {};
+      const selectedAnswer = Number.isInteger(answer.selectedAnswer) ? answer.selectedAnswer : null;
+      const response = gradingService.hasAnswer(answer.response) ? answer.response : null;
+      const credit = this.getCommunityCredit(question, selectedAnswer, response);
+      const isCorrect = credit === 1;
+      if (isCorrect) correctAnswers++;
+      earned += credit;
+
+      return {
+        questionIndex: index,
+        questionId: question._id || `q_${index}`,
+        selectedAnswer,
+        response,
+        isCorrect,
+        credit,
+        timeSpent: answer.timeSpent || 0,
+        confidence: answer.confidence || null
+      };
+    });
+
+    const percentage = quiz.questions.length > 0 ? Math.round((earned / quiz.questions.length) * 100) : 0;
+
+    return {
+      answers: scoredAnswers,
+      correctAnswers,
+      percentage,
+      isPassed: percentage >= (quiz.passingScore || 70)
+    };
+  }
+
+  /**
+   * Close an expired community quiz attempt, scoring only the answers saved before the deadline
+   * @returns {Promise<Object|null>} - The timed-out attempt, or null if it was already closed
+   */
+  async timeOutCommunityAttempt(attempt, quiz) {
+    const attemptQuiz = questionBankService.getAttemptQuiz(quiz, attempt);
+    const result = this.scoreCommunityAnswers(attemptQuiz, this.collectCommunityAnswers(attemptQuiz, attempt));
+    attempt.answers = result.answers;
+    attempt.score = result.correctAnswers;
+    attempt.correctAnswers = result.correctAnswers;
+    attempt.totalQuestions = attemptQuiz.questions.length;
+    attempt.percentage = result.percentage;
+    attempt.isPassed = result.isPassed;
+    attempt.status = 'timed-out';
+    attempt.completedAt = attempt.expiresAt || new Date();
+    attempt.totalTimeTaken = Math.round((attempt.completedAt - attempt.startedAt) / 1000);
+
+    if (!await this.saveIfInProgress(attempt)) return null;
+
+    await this.recordCommunityResult(quiz, attempt);
+
+    return attempt;
+  }
+
+  // Bank usage stats for community attempts with drawn questions, and the user's review queue
+  async recordCommunityResult(quiz, attempt) {
+    if (attempt.drawnQuestions?.length > 0) {
+      await questionBankService.recordResults(attempt.answers);
+    }
+
+    try {
+      await reviewService.addFromCommunityAttempt(questionBankService.getAttemptQuiz(quiz, attempt), attempt);
+    } catch (error) {
+      console.error(`Failed to queue reviews for community quiz attempt ${attempt._id}:`, error);
+    }
+  }
+
+  /**
+   * Time out every in-progress attempt whose deadline (plus grace) has passed
+   * @returns {Promise<{ quizAttempts: number, communityAttempts: number }>}
+   */
+  async sweep() {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - GRACE_PERIOD_MS);
+    // Attempts backing off after a failed sweep wait their turn, so they can't fill every batch
+    const expiredQuery = {
+      status: 'in-progress',
+      expiresAt: { $ne: null, $lt: cutoff },
+      $or: [{ timeoutRetryAt: null }, { timeoutRetryAt: { $lte: now } }]
+    };
+
+    const [quizAttempts, communityAttempts] = await Promise.all([
+      QuizAttempt.find(expiredQuery).sort({ expiresAt: 1 }).limit(SWEEP_BATCH_SIZE),
+      CommunityQuizAttempt.find(expiredQuery).sort({ expiresAt: 1 }).limit(SWEEP_BATCH_SIZE)
+    ]);
+
+    const closed = { quizAttempts: 0, communityAttempts: 0 };
+
+    for (const attempt of quizAttempts) {
+      try {
+        const quiz = await Quiz.findById(attempt.quizId);
+        const result = quiz
+          ? await this.timeOutQuizAttempt(attempt, quiz)
+          : await this.claimForTimeout(QuizAttempt, attempt);
+        if (result) closed.quizAttempts++;
+      } catch (error) {
+        console.error(`Failed to time out quiz attempt ${attempt._id}:`, error);
+        await this.deferTimeout(QuizAttempt, attempt);
+      }
+    }
+
+    for (const attempt of communityAttempts) {
+      try {
+        const quiz = await CommunityQuiz.findById(attempt.communityQuizId);
+        const result = quiz
+          ? await this.timeOutCommunityAttempt(attempt, quiz)
+          : await this.claimForTimeout(CommunityQuizAttempt, attempt);
+        if (result) closed.communityAttempts++;
+      } catch (error) {
+        console.error(`Failed to time out community quiz attempt ${attempt._id}:`, error);
+        await this.deferTimeout(CommunityQuizAttempt, attempt);
+      }
+    }
+
+    if (closed.quizAttempts + closed.communityAttempts > 0) {
+      console.log(`Timed out ${closed.quizAttempts} quiz and ${closed.communityAttempts} community quiz attempt(s)`);
+    }
+
+    return closed;
+  }
+
+  // Count a failed timeout and push the attempt's next sweep back exponentially
+  async deferTimeout(Model, attempt) {
+    const failures = (attempt.timeoutFailures || 0) + 1;
+    const delay = Math.min(SWEEP_INTERVAL_MS * 2 ** (failures - 1), MAX_SWEEP_BACKOFF_MS);
+
+    try {
+      await Model.updateOne(
+        { _id: attempt._id, status: 'in-progress' },
+        { $set: { timeoutFailures: failures, timeoutRetryAt: new Date(Date.now() + delay) } }
+      );
+    } catch (error) {
+      console.error(`Failed to defer timeout of attempt ${attempt._id}:`, error);
+    }
+  }
+
+  // Run the sweeper periodically alongside the job worker
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      // Skip while disconnected or while the previous sweep is still running
+      if (this.sweeping || mongoose.connection.readyState !== 1) return;
+
+      this.sweeping = true;
+      try {
+        await this.sweep();
+      } catch (error) {
+        console.error('Quiz timeout sweep error:', error);
+      } finally {
+        this.sweeping = false;
+      }
+    }, SWEEP_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new QuizAttemptService();
+module.exports.FINISHED_STATUSES = FINISHED_STATUSES;
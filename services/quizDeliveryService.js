@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+
+// Deterministic PRNG so an attempt's seed always reproduces the same order (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 32-bit FNV-1a, used to derive a per-question seed from the attempt seed
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Community answers to these types are lists of option positions rather than a single selectedAnswer
+const OPTION_LIST_TYPES = ['multi-select', 'ordering'];
+
+class QuizDeliveryService {
+  // Random seed stored on a new attempt
+  createSeed() {
+    return crypto.randomInt(0, 2 ** 31);
+  }
+
+  // Attempts created before seeds were stored fall back to a seed derived from their id
+  getSeed(attempt) {
+    if (Number.isInteger(attempt.shuffleSeed)) return attempt.shuffleSeed;
+    return hashString(attempt._id.toString());
+  }
+
+  /**
+   * Fisher-Yates shuffle of 0..length-1
+   * @returns {number[]} - order[displayedPosition] = canonical index
+   */
+  shuffledOrder(length, seed) {
+    const order = Array.from({ length }, (_, index) => index);
+    const random = createRandom(seed);
+    for (let i = length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+
+  identityOrder(length) {
+    return Array.from({ length }, (_, index) => index);
+  }
+
+  /**
+   * Question and option order for an attempt. Ordering questions store their items in the
+   * correct order, so those are always shuffled.
+   * @param {Object} questions - Quiz questions (canonical order)
+   * @param {Object} attempt - Attempt with a shuffle seed
+   * @param {{ shuffleQuestions: boolean, shuffleOptions: boolean, shouldShuffleOptions?: Function }} settings
+   * @returns {{ questionOrder: number[], optionOrders: number[][] }} - optionOrders is indexed by canonical question index
+   */
+  getOrder(questions, attempt, { shuffleQuestions, shuffleOptions, shouldShuffleOptions = () => true }) {
+    const seed = this.getSeed(attempt);
+
+    const questionOrder = shuffleQuestions
+      ? this.shuffledOrder(questions.length, seed)
+      : this.identityOrder(questions.length);
+
+    const optionOrders = questions.map((question, index) => {
+      const count = question.options?.length || 0;
+      return question.type === 'ordering' || (shuffleOptions && shouldShuffleOptions(question))
+        ? this.shuffledOrder(count, (seed ^ hashString(`${question._id || index}`)) >>> 0)
+        : this.identityOrder(count);
+    });
+
+    return { questionOrder, optionOrders };
+  }
+
+  // Personal quizzes: only multiple-choice and multi-select options are shuffled (True/False keeps its order)
+  getQuizOrder(quiz, attempt) {
+    return this.getOrder(quiz.questions, attempt, {
+      shuffleQuestions: quiz.settings?.randomizeQuestions,
+      shuffleOptions: quiz.settings?.randomizeOptions,
+      shouldShuffleOptions: question => ['multiple-choice', 'multi-select'].includes(question.type)
+    });
+  }
+
+  getCommunityOrder(quiz, attempt) {
+    return this.getOrder(quiz.questions, attempt, {
+      shuffleQuestions: quiz.settings?.shuffleQuestions,
+      shuffleOptions: quiz.settings?.shuffleOptions
+    });
+  }
+
+  /**
+   * Type-specific fields for rendering a question, without its answer key: the number of blanks,
+   * the unit of a numeric answer (only whether one is needed when the unit is part of the answer),
+   * and for matching the left-hand prompts with the right-hand choices shuffled
+   * @param {Object} question - Personal or community question
+   * @param {number} seed - Attempt seed (see getSeed)
+   */
+  getAnswerFields(question, seed) {
+    switch (question.type) {
+      case 'numeric': {
+        const key = question.numericAnswer || {};
+        return key.unitRequired ? { unitRequired: true } : { unit: key.unit || undefined, unitRequired: false };
+      }
+      case 'fill-in-the-blank':
+        return { blankCount: question.blanks.length };
+      case 'matching': {
+        const order = this.shuffledOrder(question.pairs.length, (seed ^ hashString(`${question._id}:pairs`)) >>> 0);
+        return {
+          prompts: question.pairs.map(pair => pair.left),
+          choices: order.map(index => question.pairs[index].right)
+        };
+      }
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * One personal-shape question as served, with its options in the given order and no answer data
+   * @param {Object} question
+   * @param {number[]} optionOrder - order[displayedPosition] = option index
+   * @param {number} seed - Attempt seed
+   */
+  serveQuestion(question, optionOrder, seed) {
+    return {
+      _id: question._id,
+      question: question.question,
+      type: question.type,
+      options: optionOrder.map(optionIndex => ({
+        _id: question.options[optionIndex]._id,
+        text: question.options[optionIndex].text
+      })),
+      ...this.getAnswerFields(question, seed),
+      rubric: question.type === 'essay' ? question.rubric : undefined,
+      points: question.points,
+      difficulty: question.difficulty
+    };
+  }
+
+  /**
+   * Correct answer to show after an attempt, in the personal question shape. Text for multiple
+   * choice, true/false and short answer; option texts for multi-select and, in order, for ordering;
+   * the value, tolerance and unit for numeric; the accepted answers per blank; the pairs for matching.
+   */
+  describeCorrectAnswer(question) {
+    switch (question.type) {
+      case 'multiple-choice':
+        return question.options.find(option => option.isCorrect)?.text || null;
+      case 'multi-select':
+        return question.options.filter(option => option.isCorrect).map(option => option.text);
+      case 'ordering':
+        return question.options.map(option => option.text);
+      case 'numeric': {
+        const { value, tolerance, toleranceType, unit } = question.numericAnswer || {};
+        return { value, tolerance, toleranceType, unit };
+      }
+      case 'fill-in-the-blank':
+        return question.blanks.map(blank => [...blank.acceptedAnswers]);
+      case 'matching':
+        return question.pairs.map(({ left, right }) => ({ left, right }));
+      default:
+        return question.correctAnswer || null;
+    }
+  }
+
+  /**
+   * Personal quiz as served to the person taking it: questions in attempt order, no answer data
+   * @param {Object} quiz - Quiz document
+   * @param {Object} attempt - QuizAttempt document
+   */
+  buildQuizView(quiz, attempt) {
+    const { questionOrder, optionOrders } = this.getQuizOrder(quiz, attempt);
+
+    return {
+      _id: quiz._id,
+      contentId: quiz.contentId,
+      title: quiz.title,
+      description: quiz.description,
+      difficulty: quiz.difficulty,
+      category: quiz.category,
+      isCustom: quiz.isCustom,
+      customTopic: quiz.customTopic,
+      settings: {
+        timeLimit: quiz.settings.timeLimit,
+        passingScore: quiz.settings.passingScore,
+        maxAttempts: quiz.settings.maxAttempts,
+        allowRetakes: quiz.settings.allowRetakes,
+        showCorrectAnswer: quiz.settings.showCorrectAnswer
+      },
+      totalQuestions: quiz.questions.length,
+      totalPoints: quiz.totalPoints,
+      estimatedTime: quiz.estimatedTime,
+      questions: questionOrder.map(index =>
+        this.serveQuestion(quiz.questions[index], optionOrders[index], this.getSeed(attempt))
+      )
+    };
+  }
+
+  /**
+   * Answer key for a finished personal attempt, in the order the questions were served.
+   * Returns null when the quiz doesn't reveal answers after submission.
+   */
+  buildQuizReview(quiz, attempt) {
+    if (!quiz.settings.showCorrectAnswer) return null;
+
+    const { questionOrder, optionOrders } = this.getQuizOrder(quiz, attempt);
+
+    return questionOrder.map(index => {
+      const question = quiz.questions[index];
+
+      return {
+        _id: question._id,
+        question: question.question,
+        type: question.type,
+        options: optionOrders[index].map(optionIndex => ({
+          _id: question.options[optionIndex]._id,
+          text: question.options[optionIndex].text,
+          isCorrect: question.options[optionIndex].isCorrect
+        })),
+        correctAnswer: this.describeCorrectAnswer(question),
+        acceptedAnswers: question.acceptedAnswers,
+        partialCredit: question.partialCredit,
+        explanation: question.explanation
+      };
+    });
+  }
+
+  /**
+   * Community quiz as served to the person taking it. Options are plain strings in displayed order;
+   * `questionIndex` is the canonical index used by the save endpoint, and saved answers are
+   * returned as displayed option positions (`selectedAnswer`, or `response` for multi-select and ordering).
+   */
+  buildCommunityQuizView(quiz, attempt) {
+    const { questionOrder, optionOrders } = this.getCommunityOrder(quiz, attempt);
+
+    return {
+      _id: quiz._id,
+      communityId: quiz.communityId,
+      title: quiz.title,
+      description: quiz.description,
+      difficulty: quiz.difficulty,
+      category: quiz.category,
+      timeLimit: quiz.timeLimit,
+      passingScore: quiz.passingScore,
+      maxAttempts: quiz.maxAttempts,
+      showAnswersAfterSubmission: quiz.settings?.showAnswersAfterSubmission,
+      totalQuestions: quiz.questions.length,
+      questions: questionOrder.map((index, position) => {
+        const question = quiz.questions[index];
+        const saved = attempt.answers?.find(answer => answer.questionIndex === index);
+        const savedOption = Number.isInteger(saved?.selectedAnswer)
+          ? optionOrders[index].indexOf(saved.selectedAnswer)
+          : -1;
+
+        return {
+          questionIndex: index,
+          position,
+          question: question.question,
+          type: question.type || 'multiple-choice',
+          options: optionOrders[index].map(optionIndex => question.options[optionIndex]),
+          ...this.getAnswerFields(question, this.getSeed(attempt)),
+          points: question.points,
+          difficulty: question.difficulty,
+          selectedAnswer: savedOption === -1 ? null : savedOption,
+          response: this.toDisplayedResponse(question, optionOrders[index], saved?.response),
+          flagged: saved?.flagged || false,
+          timeSpent: saved?.timeSpent || 0
+        };
+      })
+    };
+  }
+
+  /**
+   * Map a displayed option position on a community question back to the canonical option index
+   * @returns {number|null}
+   */
+  toCanonicalOption(quiz, attempt, questionIndex, displayedOption) {
+    if (!Number.isInteger(displayedOption)) return null;
+    const { optionOrders } = this.getCommunityOrder(quiz, attempt);
+    const canonical = optionOrders[questionIndex]?.[displayedOption];
+    return canonical === undefined ? null : canonical;
+  }
+
+  /**
+   * Map a community response from displayed option positions to canonical option indexes
+   * (multi-select and ordering); other responses are returned as they are
+   * @param {Object} question - Community question
+   * @param {number[]} optionOrder - The question's option order for the attempt
+   */
+  toCanonicalResponse(question, optionOrder, response) {
+    if (response === undefined || response === null) return null;
+    if (!OPTION_LIST_TYPES.includes(question.type) || !Array.isArray(response)) return response;
+    return response
+      .map(position => (Number.isInteger(position) ? optionOrder[position] : undefined))
+      .filter(index => index !== undefined);
+  }
+
+  // Inverse of toCanonicalResponse, for returning saved answers
+  toDisplayedResponse(question, optionOrder, response) {
+    if (response === undefined || response === null) return null;
+    if (!OPTION_LIST_TYPES.includes(question.type) || !Array.isArray(response)) return response;
+    return response.map(index => optionOrder.indexOf(index));
+  }
+
+  /**
+   * Convert submitted community answers to canonical question order and option indexes.
+   * Each answer may name its question with `questionIndex`; otherwise its array position is
+   * taken as the position the question was served in.
+   * @returns {Array<{ selectedAnswer, response, timeSpent, confidence }>} - Indexed by canonical question index
+   */
+  toCanonicalCommunityAnswers(quiz, attempt, answers) {
+    const { questionOrder, optionOrders } = this.getCommunityOrder(quiz, attempt);
+    const canonical = [];
+
+    (answers || []).forEach((answer, position) => {
+      if (!answer) return;
+      const index = Number.isInteger(answer.questionIndex) ? answer.questionIndex : questionOrder[position];
+      if (index === undefined || !quiz.questions[index]) return;
+
+      const selectedAnswer = Number.isInteger(answer.selectedAnswer)
+        ? optionOrders[index][answer.selectedAnswer]
+        : answer.selectedAnswer;
+
+      canonical[index] = {
+        selectedAnswer: selectedAnswer === undefined ? null : selectedAnswer,
+        response: this.toCanonicalResponse(quiz.questions[index], optionOrders[index], answer.response),
+        timeSpent: answer.timeSpent,
+        confidence: answer.confidence
+      };
+    });
+
+    return canonical;
+  }
+
+  /**
+   * Answer key for a finished community attempt, in served order with displayed option positions.
+   * Returns null when the quiz doesn't reveal answers after submission.
+   */
+  buildCommunityReview(quiz, attempt) {
+    if (!quiz.settings?.showAnswersAfterSubmission) return null;
+
+    const { questionOrder, optionOrders } = this.getCommunityOrder(quiz, attempt);
+
+    return questionOrder.map(index => {
+      const question = quiz.questions[index];
+      const answer = attempt.answers.find(item => item.questionIndex === index);
+      const order = optionOrders[index];
+
+      return {
+        questionIndex: index,
+        question: question.question,
+        type: question.type || 'multiple-choice',
+        options: order.map(optionIndex => question.options[optionIndex]),
+        correctAnswer: this.describeCommunityCorrectAnswer(question, order),
+        selectedAnswer: Number.isInteger(answer?.selectedAnswer) ? order.indexOf(answer.selectedAnswer) : null,
+        response: this.toDisplayedResponse(question, order, answer?.response),
+        isCorrect: answer?.isCorrect || false,
+        credit: answer?.credit ?? (answer?.isCorrect ? 1 : 0),
+        explanation: question.explanation
+      };
+    });
+  }
+
+  // Community correct answers refer to options by displayed position, like the answers themselves
+  describeCommunityCorrectAnswer(question, order) {
+    switch (question.type || 'multiple-choice') {
+      case 'multiple-choice':
+        return order.indexOf(question.correctAnswer);
+      case 'multi-select':
+        return question.correctAnswers.map(index => order.indexOf(index)).sort((a, b) => a - b);
+      case 'ordering':
+        return question.options.map((option, index) => order.indexOf(index));
+      default:
+        return this.describeCorrectAnswer(question);
+    }
+  }
+
+  // Community quiz details for members who didn't create it: no correct answers or explanations.
+  // Ordering items and matching choices are stored in answer order, so they're shuffled first.
+  stripCommunityAnswers(quiz) {
+    const data = quiz.toJSON();
+    const seed = hashString(quiz._id.toString());
+
+    data.questions = data.questions.map(({ correctAnswer, correctAnswers, numericAnswer, blanks, pairs, explanation, ...question }) => {
+      const served = { ...question, ...this.getAnswerFields({ ...question, numericAnswer, blanks, pairs }, seed) };
+      if (question.type === 'ordering') {
+        served.options = this.shuffledOrder(question.options.length, (seed ^ hashString(`${question._id}`)) >>> 0)
+          .map(index => question.options[index]);
+      }
+      return served;
+    });
+    return data;
+  }
+}
+
+module.exports = new QuizDeliveryService();
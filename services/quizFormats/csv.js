@@ -0,0 +1,207 @@
+// CSV layout (RFC 4180, comma-separated, first row is the header; column names are
+// case-insensitive and spaces may stand in for underscores):
+//
+//   question          required
+//   type              multiple-choice (default) | true-false | short-answer | essay
+//   option_1..option_8  answer options for multiple choice
+//   correct           multiple choice: option number (1), letter (A) or the option text;
+//                     true-false: true/false; short-answer: the expected answer
+//   accepted_answers  other accepted short answers, separated by "|"
+//   explanation, points (1-10), difficulty (easy|medium|hard), tags (separated by "|")
+//
+// Row numbers in errors are the spreadsheet line of the row (the header is line 1).
+
+const COLUMNS = ['question', 'type', 'correct', 'accepted_answers', 'explanation', 'points', 'difficulty', 'tags'];
+const OPTION_COLUMN = /^option_(\d+)$/;
+const MAX_OPTIONS = 8;
+
+/**
+ * Split CSV text into records
+ * @returns {Array<{ line: number, fields: string[] }>}
+ */
+const readRecords = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim())) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const character = source[i];
+
+    if (quoted) {
+      if (character === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n') line++;
+        field += character;
+      }
+    } else if (character === '"' && field === '') {
+      quoted = true;
+    } else if (character === ',') {
+      fields.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += character;
+    }
+  }
+
+  if (field || fields.length > 0) endRecord();
+  return records;
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const splitList = (value) => (value || '').split('|').map(item => item.trim()).filter(Boolean);
+
+// Correct option index from a number, letter or the option's text; -1 when it matches nothing
+const resolveCorrectOption = (correct, options) => {
+  const value = correct.trim();
+  if (/^\d+$/.test(value)) return parseInt(value, 10) - 1;
+  if (/^[a-h]$/i.test(value)) return value.toUpperCase().charCodeAt(0) - 65;
+  return options.findIndex(option => option.toLowerCase() === value.toLowerCase());
+};
+
+const toQuestion = (row) => {
+  const type = (row.type || 'multiple-choice').trim().toLowerCase() || 'multiple-choice';
+  const correct = (row.correct || '').trim();
+
+  const question = {
+    question: (row.question || '').trim(),
+    type,
+    ...(row.explanation && { explanation: row.explanation.trim() }),
+    ...(row.points && { points: row.points.trim() }),
+    ...(row.difficulty && { difficulty: row.difficulty.trim().toLowerCase() }),
+    tags: splitList(row.tags).map(tag => tag.toLowerCase())
+  };
+
+  if (type === 'multiple-choice') {
+    // Keep column numbering so "correct" refers to the option column even with blank columns between
+    const options = Array.from(row.options, text => text || '');
+    if (!correct) {
+      throw new Error('correct is required for multiple choice questions');
+    }
+    const correctIndex = resolveCorrectOption(correct, options);
+    if (!options[correctIndex]) {
+      throw new Error(`correct "${correct}" does not match a filled option column`);
+    }
+    question.options = options
+      .map((text, index) => ({ text, isCorrect: index === correctIndex }))
+      .filter(option => option.text);
+  } else if (type === 'true-false') {
+    const answer = correct.toLowerCase();
+    question.correctAnswer = ['t', 'true', 'yes', '1'].includes(answer) ? 'true'
+      : ['f', 'false', 'no', '0'].includes(answer) ? 'false' : answer;
+  } else if (type === 'short-answer') {
+    question.correctAnswer = correct;
+    question.acceptedAnswers = splitList(row.accepted_answers);
+  }
+
+  return question;
+};
+
+/**
+ * Parse CSV text in the layout above
+ * @param {string} text
+ * @returns {Array<{ location: string, question?: Object, error?: string }>}
+ */
+const parse = (text) => {
+  const [header, ...records] = readRecords(text);
+  if (!header) return [];
+
+  const headers = header.fields.map(normalizeHeader);
+  if (!headers.includes('question')) {
+    return [{ location: 'row 1', error: 'header row must include a "question" column' }];
+  }
+  const unknown = headers.filter(name => name && !COLUMNS.includes(name) && !OPTION_COLUMN.test(name));
+  if (unknown.length > 0) {
+    return [{ location: 'row 1', error: `unknown column(s): ${unknown.join(', ')}` }];
+  }
+
+  return records.map(record => {
+    const location = `row ${record.line}`;
+    if (record.fields.length > headers.length) {
+      return { location, error: `row has ${record.fields.length} fields but the header has ${headers.length}` };
+    }
+
+    const row = { options: [] };
+    headers.forEach((name, index) => {
+      const value = record.fields[index] ?? '';
+      const option = name.match(OPTION_COLUMN);
+      if (option) {
+        row.options[parseInt(option[1], 10) - 1] = value.trim();
+      } else {
+        row[name] = value;
+      }
+    });
+
+    try {
+      return { location, question: toQuestion(row) };
+    } catch (error) {
+      return { location, error: error.message };
+    }
+  });
+};
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize questions as CSV
+ * @param {{ questions: Array }} quiz - Questions in the personal quiz shape
+ * @returns {string}
+ */
+const serialize = ({ questions }) => {
+  const optionCount = Math.min(MAX_OPTIONS, Math.max(4, ...questions.map(question => question.options?.length || 0)));
+  const optionHeaders = Array.from({ length: optionCount }, (_, index) => `option_${index + 1}`);
+  const header = ['question', 'type', ...optionHeaders, 'correct', 'accepted_answers', 'explanation', 'points', 'difficulty', 'tags'];
+
+  const rows = questions.map(question => {
+    const options = question.type === 'multiple-choice' ? question.options : [];
+    const correctIndex = options.findIndex(option => option.isCorrect);
+
+    return [
+      question.question,
+      question.type,
+      ...optionHeaders.map((_, index) => options[index]?.text),
+      question.type === 'multiple-choice' ? correctIndex + 1 : question.correctAnswer,
+      question.type === 'short-answer' ? (question.acceptedAnswers || []).join('|') : '',
+      question.explanation,
+      question.points,
+      question.difficulty,
+      (question.tags || []).join('|')
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parse,
+  serialize,
+  types: ['multiple-choice', 'true-false', 'short-answer', 'essay'],
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv'
+};
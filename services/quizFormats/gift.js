@@ -0,0 +1,357 @@
+// Moodle GIFT format (https://docs.moodle.org/en/GIFT_format).
+// Supported: multiple choice, multiple-answer choice (imported with partial credit), true/false,
+// short answer, numeric answers with a tolerance or range, matching and essays, with "####"
+// general feedback as the explanation and $CATEGORY names as tags. GIFT has no field for points,
+// difficulty, units or rubrics, so those are not exported; fill-in-the-blank questions with
+// several blanks and ordering questions have no GIFT form and are left out of exports.
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+
+const TYPES = ['multiple-choice', 'multi-select', 'true-false', 'short-answer', 'numeric', 'matching', 'essay'];
+
+const escapeText = (text) => String(text ?? '').replace(SPECIAL_CHARACTERS, character => `\\${character}`);
+
+const unescapeText = (text) => text.replace(/\\(.)/g, (_, character) => (character === 'n' ? '\n' : character));
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Index of the next unescaped character from the set, or -1
+const findUnescaped = (text, characters, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (characters.includes(text[i])) return i;
+  }
+  return -1;
+};
+
+// "[html]<p>Text</p>" -> "Text"; other markup markers are dropped
+const plainText = (raw) => {
+  const match = raw.match(/^\s*\[(html|moodle|markdown|plain)\]/i);
+  const text = match ? raw.slice(match[0].length) : raw;
+  if (match && match[1].toLowerCase() === 'html') {
+    return collapse(DomUtils.textContent(parseDocument(unescapeText(text), { decodeEntities: true })));
+  }
+  return collapse(unescapeText(text));
+};
+
+// Split a question into blocks separated by blank lines, remembering where each one starts
+const splitBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+  let category = null;
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('//')) return;
+
+    const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.*)$/i);
+    if (categoryMatch) {
+      // "$course$/Physics/Thermodynamics" -> "thermodynamics"
+      category = categoryMatch[1].split('/').map(part => part.trim()).filter(part => part && !part.startsWith('$')).pop() || null;
+      current = null;
+      return;
+    }
+
+    if (!trimmed) {
+      current = null;
+      return;
+    }
+
+    if (!current) {
+      current = { line: index + 1, lines: [], category };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return blocks;
+};
+
+/**
+ * Split the inside of an answer block into answers and feedback.
+ * @returns {{ answers: Array<{ mark: string, text: string, weight: number|null, feedback: string|null }>, prefix: string, generalFeedback: string|null }}
+ */
+const tokenizeAnswers = (body) => {
+  const answers = [];
+  let prefix = '';
+  let generalFeedback = null;
+  let current = null;
+  let target = 'prefix';
+
+  for (let i = 0; i < body.length; i++) {
+    const character = body[i];
+
+    if (character === '\\' && i + 1 < body.length) {
+      const escaped = body.slice(i, i + 2);
+      if (target === 'general') generalFeedback += escaped;
+      else if (target === 'feedback') current.feedback += escaped;
+      else if (target === 'answer') current.text += escaped;
+      else prefix += escaped;
+      i++;
+      continue;
+    }
+
+    if (target === 'general') {
+      generalFeedback += character;
+    } else if (body.startsWith('####', i)) {
+      generalFeedback = '';
+      target = 'general';
+      i += 3;
+    } else if (character === '=' || character === '~') {
+      current = { mark: character, text: '', weight: null, feedback: null };
+      answers.push(current);
+      target = 'answer';
+    } else if (character === '#' && current) {
+      current.feedback = '';
+      target = 'feedback';
+    } else if (target === 'feedback') {
+      current.feedback += character;
+    } else if (target === 'answer') {
+      current.text += character;
+    } else {
+      prefix += character;
+    }
+  }
+
+  answers.forEach(answer => {
+    const weight = answer.text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weight) {
+      answer.weight = parseFloat(weight[1]);
+      answer.text = answer.text.slice(weight[0].length);
+    }
+    answer.text = plainText(answer.text);
+    answer.feedback = answer.feedback === null ? null : plainText(answer.feedback);
+  });
+
+  return {
+    answers,
+    prefix: prefix.trim(),
+    generalFeedback: generalFeedback === null ? null : plainText(generalFeedback)
+  };
+};
+
+// "3.14", "3.14:0.01" or "1..5" -> { value, tolerance }, or null
+const parseNumericAnswer = (text) => {
+  const range = text.match(/^(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)$/);
+  if (range) {
+    const [min, max] = [parseFloat(range[1]), parseFloat(range[2])].sort((a, b) => a - b);
+    return { value: (min + max) / 2, tolerance: (max - min) / 2 };
+  }
+
+  const match = text.match(/^(-?\d+(?:\.\d+)?)(?:\s*:\s*(\d+(?:\.\d+)?))?$/);
+  return match ? { value: parseFloat(match[1]), tolerance: match[2] ? parseFloat(match[2]) : 0 } : null;
+};
+
+// "33.33333" for a third; GIFT weights are percentages
+const formatWeight = (weight) => String(Number(weight.toFixed(5)));
+
+// Build a question from the answer block; throws with a message for unsupported forms
+const parseAnswerBlock = (body) => {
+  const trimmed = body.trim();
+
+  if (!trimmed || /^####/.test(trimmed)) {
+    return {
+      type: 'essay',
+      explanation: trimmed ? plainText(trimmed.slice(4)) : undefined
+    };
+  }
+
+  const trueFalse = trimmed.match(/^(TRUE|FALSE|T|F)(?=\s*(#|$))/i);
+  if (trueFalse) {
+    const { generalFeedback } = tokenizeAnswers(trimmed.slice(trueFalse[0].length));
+    return {
+      type: 'true-false',
+      correctAnswer: trueFalse[1].toUpperCase().startsWith('T') ? 'true' : 'false',
+      explanation: generalFeedback || undefined
+    };
+  }
+
+  if (trimmed.startsWith('#')) {
+    const { prefix, answers, generalFeedback } = tokenizeAnswers(trimmed.slice(1));
+    const values = [prefix, ...answers.filter(answer => answer.mark === '=' && (answer.weight === null || answer.weight === 100)).map(answer => answer.text)]
+      .map(value => value.trim())
+      .filter(Boolean);
+    const numbers = values.map(parseNumericAnswer);
+    if (values.length === 0 || numbers.includes(null)) {
+      throw new Error('numeric answers must be a number, "value:tolerance" or a "min..max" range');
+    }
+
+    if (numbers.length === 1) {
+      return {
+        type: 'numeric',
+        numericAnswer: numbers[0],
+        explanation: generalFeedback || undefined
+      };
+    }
+
+    // Several exact values: any of them is accepted
+    if (numbers.some(number => number.tolerance > 0)) {
+      throw new Error('numeric questions with several answers are only supported for exact values');
+    }
+    return {
+      type: 'short-answer',
+      correctAnswer: values[0],
+      acceptedAnswers: values.slice(1),
+      explanation: generalFeedback || undefined
+    };
+  }
+
+  const { answers, generalFeedback } = tokenizeAnswers(trimmed);
+
+  if (answers.length === 0) {
+    throw new Error('answer block has no answers');
+  }
+
+  if (answers.some(answer => answer.text.includes('->'))) {
+    const pairs = answers.map(answer => {
+      const separator = answer.text.indexOf('->');
+      return { left: answer.text.slice(0, separator).trim(), right: answer.text.slice(separator + 2).trim() };
+    });
+    if (answers.some(answer => answer.mark !== '=') || pairs.some(pair => !pair.left || !pair.right)) {
+      throw new Error('matching answers must all be "=left -> right"; extra right-hand answers are not supported');
+    }
+    return {
+      type: 'matching',
+      pairs,
+      explanation: generalFeedback || undefined
+    };
+  }
+
+  const correct = answers.filter(answer => (answer.mark === '=' && (answer.weight === null || answer.weight > 0)) || answer.weight > 0);
+  const hasWrongAnswers = answers.some(answer => answer.mark === '~');
+
+  if (!hasWrongAnswers) {
+    // Every answer is "=": short answer; only full-credit answers are accepted
+    const accepted = answers.filter(answer => answer.weight === null || answer.weight === 100).map(answer => answer.text);
+    if (accepted.length === 0) {
+      throw new Error('short answer question has no full-credit answer');
+    }
+    return {
+      type: 'short-answer',
+      correctAnswer: accepted[0],
+      acceptedAnswers: accepted.slice(1),
+      explanation: generalFeedback || undefined
+    };
+  }
+
+  if (correct.length === 0) {
+    throw new Error('choice question has no correct answer; mark one with "=" or give answers a positive weight');
+  }
+
+  // Several answers with positive weights: multiple-answer question, scored by its weights
+  if (correct.length > 1) {
+    return {
+      type: 'multi-select',
+      options: answers.map(answer => ({ text: answer.text, isCorrect: correct.includes(answer) })),
+      partialCredit: true,
+      explanation: generalFeedback || undefined
+    };
+  }
+
+  if (correct[0].weight !== null && correct[0].weight !== 100) {
+    throw new Error('partially correct single answers are not supported; give the correct answer full credit');
+  }
+
+  return {
+    type: 'multiple-choice',
+    options: answers.map(answer => ({ text: answer.text, isCorrect: answer === correct[0] })),
+    // Without general feedback, the correct answer's feedback explains the question
+    explanation: generalFeedback || correct[0].feedback || undefined
+  };
+};
+
+/**
+ * Parse GIFT text
+ * @param {string} text
+ * @returns {Array<{ location: string, question?: Object, error?: string }>}
+ */
+const parse = (text) => splitBlocks(text).map(block => {
+  const location = `line ${block.line}`;
+  let source = block.lines.join('\n');
+
+  // Optional "::Name::" title; the name is not stored
+  const title = source.match(/^\s*::((?:\\.|[^\\])*?)::/);
+  if (title) source = source.slice(title[0].length);
+
+  const open = findUnescaped(source, '{');
+  if (open === -1) {
+    return { location, error: 'question has no answer block ({...})' };
+  }
+  const close = findUnescaped(source, '}', open + 1);
+  if (close === -1) {
+    return { location, error: 'answer block is not closed with "}"' };
+  }
+
+  // "Missing word" questions have text after the answer block
+  const before = source.slice(0, open).trim();
+  const after = source.slice(close + 1).trim();
+  const questionText = after ? `${plainText(before)} _____ ${plainText(after)}` : plainText(before);
+
+  try {
+    return {
+      location,
+      question: {
+        question: questionText,
+        tags: block.category ? [block.category.toLowerCase()] : [],
+        ...parseAnswerBlock(source.slice(open + 1, close))
+      }
+    };
+  } catch (error) {
+    return { location, error: error.message };
+  }
+});
+
+// GIFT answer block for one question
+const serializeAnswers = (question) => {
+  const feedback = question.explanation ? `####${escapeText(question.explanation)}` : '';
+
+  switch (question.type) {
+    case 'true-false':
+      return `{${question.correctAnswer === 'true' ? 'TRUE' : 'FALSE'}${feedback}}`;
+    case 'short-answer': {
+      const answers = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+      return `{\n${answers.map(answer => `\t=${escapeText(answer)}`).join('\n')}${feedback ? `\n\t${feedback}` : ''}\n}`;
+    }
+    case 'essay':
+      return `{${feedback}}`;
+    case 'numeric': {
+      const { value, tolerance = 0, toleranceType } = question.numericAnswer;
+      const margin = toleranceType === 'percent' ? Math.abs(value) * tolerance / 100 : tolerance;
+      return `{#${value}${margin > 0 ? `:${Number(margin.toFixed(10))}` : ''}${feedback}}`;
+    }
+    case 'matching':
+      return `{\n${question.pairs.map(pair => `\t=${escapeText(pair.left)} -> ${escapeText(pair.right)}`).join('\n')}${feedback ? `\n\t${feedback}` : ''}\n}`;
+    case 'multi-select': {
+      // Correct answers share 100%; each wrong answer takes the same share off
+      const weight = formatWeight(100 / question.options.filter(option => option.isCorrect).length);
+      return `{\n${question.options.map(option => `\t~%${option.isCorrect ? '' : '-'}${weight}%${escapeText(option.text)}`).join('\n')}${feedback ? `\n\t${feedback}` : ''}\n}`;
+    }
+    default:
+      return `{\n${question.options.map(option => `\t${option.isCorrect ? '=' : '~'}${escapeText(option.text)}`).join('\n')}${feedback ? `\n\t${feedback}` : ''}\n}`;
+  }
+};
+
+/**
+ * Serialize questions as GIFT
+ * @param {{ title: string, questions: Array }} quiz - Questions in the personal quiz shape
+ * @returns {string}
+ */
+const serialize = ({ title, questions }) => {
+  const header = `// ${collapse(title || 'Quiz')}\n// Exported ${new Date().toISOString()}\n\n`;
+  return header + questions
+    .map((question, index) => `::Q${index + 1}:: ${escapeText(question.question)} ${serializeAnswers(question)}`)
+    .join('\n\n') + '\n';
+};
+
+module.exports = {
+  parse,
+  serialize,
+  types: TYPES,
+  contentType: 'text/plain; charset=utf-8',
+  extension: 'gift.txt'
+};
@@ -0,0 +1,200 @@
+// Quiz import/export formats. Parsers and serializers work on questions in the personal
+// Quiz shape; community quizzes are converted to and from that shape here.
+const gift = require('./gift');
+const qti = require('./qti');
+const csv = require('./csv');
+const { schemas } = require('../../middleware/validation');
+const questionBankService = require('../questionBankService');
+
+const FORMATS = { gift, qti, csv };
+
+const MAX_IMPORT_QUESTIONS = 500;
+
+// Community quizzes hold single-answer multiple choice with 2-4 options and the structured types
+const MAX_COMMUNITY_OPTIONS = 4;
+const COMMUNITY_TYPES = ['multiple-choice', 'multi-select', 'numeric', 'fill-in-the-blank', 'matching', 'ordering'];
+
+// Rejected import request; status/error follow the shape errorHandler already understands
+class QuizImportError extends Error {
+  constructor(message, code = 'INVALID_IMPORT_FILE') {
+    super(message);
+    this.name = 'QuizImportError';
+    this.status = 400;
+    this.error = code;
+  }
+}
+
+const EXTENSIONS = {
+  gift: 'gift',
+  txt: 'gift',
+  xml: 'qti',
+  zip: 'qti',
+  csv: 'csv'
+};
+
+/**
+ * Format named by the request, or guessed from the uploaded file's extension
+ * @returns {string|null}
+ */
+const detectFormat = (format, fileName) => {
+  if (format) return FORMATS[format] ? format : null;
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return EXTENSIONS[extension] || null;
+};
+
+/**
+ * Parse and validate an import file
+ * @param {string} format - 'gift' | 'qti' | 'csv'
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<{ questions: Array<{ location: string, question: Object }>, errors: Array<{ location: string, errors: string[] }>, total: number }>}
+ */
+const parseQuestions = async (format, buffer) => {
+  const parser = FORMATS[format];
+  if (!parser) {
+    throw new Error(`Unsupported format "${format}". Supported formats: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const items = await parser.parse(format === 'qti' ? buffer : buffer.toString('utf8'));
+  const questions = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    if (index >= MAX_IMPORT_QUESTIONS) {
+      if (index === MAX_IMPORT_QUESTIONS) {
+        errors.push({ location: item.location, errors: [`only the first ${MAX_IMPORT_QUESTIONS} questions can be imported`] });
+      }
+      return;
+    }
+
+    if (item.error) {
+      errors.push({ location: item.location, errors: [item.error] });
+      return;
+    }
+
+    const { error, value } = schemas.quizQuestion.validate(item.question, {
+      abortEarly: false,
+      stripUnknown: true,
+      errors: { wrap: { label: false } }
+    });
+    if (error) {
+      errors.push({ location: item.location, errors: error.details.map(detail => detail.message) });
+      return;
+    }
+
+    questions.push({ location: item.location, question: value });
+  });
+
+  return { questions, errors, total: items.length };
+};
+
+/**
+ * Parse an import request: an uploaded file, or the file's text in `data`
+ * @param {{ file?: Object, data?: string, format?: string }} input - multer file and body fields
+ * @returns {Promise<{ format: string, questions: Array, errors: Array, total: number }>} - See parseQuestions()
+ * @throws {QuizImportError} - No file, unknown format or unreadable file
+ */
+const readImport = async ({ file, data, format: requestedFormat }) => {
+  const buffer = file ? file.buffer : data ? Buffer.from(data, 'utf8') : null;
+  if (!buffer || buffer.length === 0) {
+    throw new QuizImportError('Upload a file or send its contents in "data"', 'NO_FILE');
+  }
+
+  const format = detectFormat(requestedFormat, file?.originalname);
+  if (!format) {
+    throw new QuizImportError(`Could not tell the file format; set "format" to one of: ${Object.keys(FORMATS).join(', ')}`, 'UNSUPPORTED_FORMAT');
+  }
+
+  try {
+    return { format, ...await parseQuestions(format, buffer) };
+  } catch (error) {
+    throw new QuizImportError(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+};
+
+/**
+ * Convert parsed questions to community quiz questions (correct options become indexes).
+ * True/false becomes a two-option question; short answer and essay questions are rejected.
+ * @param {Array<{ location, question }>} parsed - Result of parseQuestions().questions
+ * @returns {{ questions: Object[], errors: Array<{ location: string, errors: string[] }> }}
+ */
+const toCommunityQuestions = (parsed) => {
+  const questions = [];
+  const errors = [];
+
+  parsed.forEach(({ location, question }) => {
+    const common = {
+      question: question.question,
+      explanation: question.explanation || '',
+      difficulty: question.difficulty,
+      points: question.points
+    };
+
+    if (question.type === 'true-false') {
+      questions.push({ ...common, options: ['True', 'False'], correctAnswer: question.correctAnswer === 'true' ? 0 : 1 });
+    } else if (!COMMUNITY_TYPES.includes(question.type)) {
+      errors.push({ location, errors: [`${question.type} questions are not supported in community quizzes`] });
+    } else if (question.type === 'multiple-choice' && question.options.length > MAX_COMMUNITY_OPTIONS) {
+      errors.push({ location, errors: [`community multiple choice questions can have at most ${MAX_COMMUNITY_OPTIONS} options`] });
+    } else {
+      const { _id, ...converted } = questionBankService.toCommunityQuestion(question);
+      questions.push(converted);
+    }
+  });
+
+  return { questions, errors };
+};
+
+// Personal quiz questions in the shape serializers expect
+const fromQuiz = (quiz) => quiz.questions.map(question => ({
+  question: question.question,
+  type: question.type,
+  options: question.options || [],
+  correctAnswer: question.correctAnswer,
+  acceptedAnswers: question.acceptedAnswers,
+  partialCredit: question.partialCredit,
+  numericAnswer: question.numericAnswer,
+  blanks: question.blanks,
+  pairs: question.pairs,
+  explanation: question.explanation,
+  points: question.points,
+  difficulty: question.difficulty,
+  tags: question.tags
+}));
+
+const fromCommunityQuiz = (quiz) => quiz.questions.map(question => questionBankService.fromCommunityQuestion(question));
+
+/**
+ * Serialize questions for download. Questions of a type the format can't express are left out
+ * and counted in `skipped`.
+ * @param {string} format - 'gift' | 'qti' | 'csv'
+ * @param {{ title: string, questions: Object[] }} quiz
+ * @returns {Promise<{ body: string|Buffer, contentType: string, fileName: string, skipped: number }>}
+ */
+const exportQuestions = async (format, { title, questions }) => {
+  const serializer = FORMATS[format];
+  if (!serializer) {
+    throw new Error(`Unsupported format "${format}". Supported formats: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const slug = (title || 'quiz').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'quiz';
+  const supported = questions.filter(question => serializer.types.includes(question.type));
+  return {
+    body: await serializer.serialize({ title, questions: supported }),
+    contentType: serializer.contentType,
+    fileName: `${slug}.${serializer.extension}`,
+    skipped: questions.length - supported.length
+  };
+};
+
+module.exports = {
+  FORMATS,
+  MAX_IMPORT_QUESTIONS,
+  QuizImportError,
+  detectFormat,
+  parseQuestions,
+  readImport,
+  toCommunityQuestions,
+  fromQuiz,
+  fromCommunityQuiz,
+  exportQuestions
+};
@@ -0,0 +1,305 @@
+// IMS QTI 2.1. Imports accept a content package (.zip with imsmanifest.xml), a single
+// assessmentItem XML file, or an XML file holding several assessmentItem elements.
+// Supported interactions: choiceInteraction (single cardinality; two True/False choices become a
+// true/false question), textEntryInteraction (short answer, with mapped alternatives) and
+// extendedTextInteraction (essay). modalFeedback becomes the explanation. Exports are content
+// packages with one item file per question and an assessmentTest that lists them in order.
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { isZip, readZip, writeZip } = require('./zip');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const SUPPORTED_INTERACTIONS = ['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction'];
+
+// Tag name without a namespace prefix ("qti:assessmentItem" -> "assessmentItem")
+const localName = (element) => (element.name || '').split(':').pop();
+
+const isElement = (node) => node.type === 'tag';
+
+const findAll = (name, nodes) => DomUtils.findAll(element => localName(element) === name, nodes);
+
+const findOne = (name, nodes) => DomUtils.findOne(element => localName(element) === name, nodes, true);
+
+const childElements = (element, name) => (element?.children || []).filter(child => isElement(child) && (!name || localName(child) === name));
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+const textOf = (node) => (node ? collapse(DomUtils.textContent(node)) : '');
+
+// Item body text with interactions left out, or replaced by a blank for inline text entries
+const bodyText = (node) => {
+  if (node.type === 'text') return node.data;
+  if (!isElement(node) && node.type !== 'root') return '';
+
+  const name = localName(node);
+  if (name === 'textEntryInteraction') return ' _____ ';
+  if (SUPPORTED_INTERACTIONS.includes(name) || name.endsWith('Interaction') || name === 'modalFeedback' || name === 'feedbackBlock') {
+    return ' ';
+  }
+
+  const text = (node.children || []).map(bodyText).join('');
+  return ['p', 'div', 'br', 'li'].includes(name) ? ` ${text} ` : text;
+};
+
+const parseResponseDeclarations = (item) => {
+  const declarations = {};
+  childElements(item, 'responseDeclaration').forEach(declaration => {
+    declarations[declaration.attribs.identifier] = {
+      cardinality: declaration.attribs.cardinality,
+      correct: findAll('value', childElements(declaration, 'correctResponse')).map(textOf),
+      mapped: findAll('mapEntry', childElements(declaration, 'mapping'))
+        .filter(entry => parseFloat(entry.attribs.mappedValue) > 0)
+        .map(entry => entry.attribs.mapKey)
+    };
+  });
+  return declarations;
+};
+
+// MAXSCORE (written by our exports) or SCORE's normalMaximum, when it is a valid points value
+const parsePoints = (item) => {
+  const outcomes = childElements(item, 'outcomeDeclaration');
+  const maxScore = outcomes.find(outcome => outcome.attribs.identifier === 'MAXSCORE');
+  const score = outcomes.find(outcome => outcome.attribs.identifier === 'SCORE');
+  const value = maxScore ? parseFloat(textOf(findOne('value', [maxScore]))) : parseFloat(score?.attribs.normalMaximum);
+  return Number.isInteger(value) && value >= 1 && value <= 10 ? value : undefined;
+};
+
+/**
+ * Convert one assessmentItem element
+ * @returns {Object} - Question in the personal quiz shape; throws for unsupported items
+ */
+const parseItem = (item) => {
+  const itemBody = childElements(item, 'itemBody')[0];
+  if (!itemBody) throw new Error('item has no itemBody');
+
+  const interactions = DomUtils.findAll(element => localName(element).endsWith('Interaction'), [itemBody]);
+  if (interactions.length !== 1) {
+    throw new Error(interactions.length === 0 ? 'item has no interaction' : 'items with more than one interaction are not supported');
+  }
+
+  const interaction = interactions[0];
+  const interactionName = localName(interaction);
+  if (!SUPPORTED_INTERACTIONS.includes(interactionName)) {
+    throw new Error(`${interactionName} is not supported`);
+  }
+
+  const declaration = parseResponseDeclarations(item)[interaction.attribs.responseIdentifier];
+  if (!declaration && interactionName !== 'extendedTextInteraction') {
+    throw new Error(`no responseDeclaration for "${interaction.attribs.responseIdentifier}"`);
+  }
+
+  const prompt = textOf(childElements(interaction, 'prompt')[0]);
+  // A text entry on its own after the question leaves a trailing blank
+  const questionText = collapse([collapse(bodyText(itemBody)).replace(/\s*_____$/, ''), prompt].filter(Boolean).join(' '))
+    || collapse(item.attribs.title || '');
+
+  const explanation = findAll('modalFeedback', [item]).map(textOf).filter(Boolean).join(' ') || undefined;
+  const common = { question: questionText, explanation, points: parsePoints(item) };
+
+  if (interactionName === 'extendedTextInteraction') {
+    return { ...common, type: 'essay' };
+  }
+
+  if (interactionName === 'textEntryInteraction') {
+    const answers = [...new Set([...declaration.correct, ...declaration.mapped].filter(Boolean))];
+    return {
+      ...common,
+      type: 'short-answer',
+      correctAnswer: answers[0],
+      acceptedAnswers: answers.slice(1)
+    };
+  }
+
+  if (declaration.cardinality && declaration.cardinality !== 'single') {
+    throw new Error('multiple-response choice interactions are not supported');
+  }
+
+  const choices = childElements(interaction, 'simpleChoice').map(choice => ({
+    identifier: choice.attribs.identifier,
+    text: textOf(choice)
+  }));
+  const correctIdentifier = declaration.correct[0];
+  if (!choices.some(choice => choice.identifier === correctIdentifier)) {
+    throw new Error('correctResponse does not name one of the choices');
+  }
+
+  const texts = choices.map(choice => choice.text.toLowerCase());
+  if (choices.length === 2 && texts.includes('true') && texts.includes('false')) {
+    return {
+      ...common,
+      type: 'true-false',
+      correctAnswer: choices.find(choice => choice.identifier === correctIdentifier).text.toLowerCase()
+    };
+  }
+
+  return {
+    ...common,
+    type: 'multiple-choice',
+    options: choices.map(choice => ({ text: choice.text, isCorrect: choice.identifier === correctIdentifier }))
+  };
+};
+
+/**
+ * Parse QTI XML or a QTI content package
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ location: string, question?: Object, error?: string }>>}
+ */
+const parse = async (buffer) => {
+  const files = isZip(buffer)
+    ? (await readZip(buffer))
+      .filter(file => /\.xml$/i.test(file.name) && !/(^|\/)imsmanifest\.xml$/i.test(file.name))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    : [{ name: null, data: buffer }];
+
+  const results = [];
+  files.forEach(file => {
+    const document = parseDocument(file.data.toString('utf8'), { xmlMode: true, decodeEntities: true });
+    findAll('assessmentItem', document.children).forEach((item, index) => {
+      const identifier = item.attribs.identifier || `#${index + 1}`;
+      const location = file.name ? `${file.name} (item ${identifier})` : `item ${identifier}`;
+      try {
+        results.push({ location, question: parseItem(item) });
+      } catch (error) {
+        results.push({ location, error: error.message });
+      }
+    });
+  });
+
+  return results;
+};
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Response declaration, interaction and response processing template for one question
+const itemParts = (question) => {
+  switch (question.type) {
+    case 'essay':
+      return {
+        declaration: '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+        body: `<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10">\n      <prompt>${escapeXml(question.question)}</prompt>\n    </extendedTextInteraction>`,
+        processing: ''
+      };
+    case 'short-answer': {
+      const answers = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+      return {
+        declaration: [
+          '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+          `    <correctResponse><value>${escapeXml(answers[0])}</value></correctResponse>`,
+          '    <mapping defaultValue="0">',
+          ...answers.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="${question.points || 1}" caseSensitive="false"/>`),
+          '    </mapping>',
+          '  </responseDeclaration>'
+        ].join('\n'),
+        body: `<p>${escapeXml(question.question)}</p>\n    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>`,
+        processing: '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>'
+      };
+    }
+    default: {
+      const options = question.type === 'true-false'
+        ? [{ text: 'True', isCorrect: question.correctAnswer === 'true' }, { text: 'False', isCorrect: question.correctAnswer === 'false' }]
+        : question.options;
+      const correctIndex = options.findIndex(option => option.isCorrect);
+      return {
+        declaration: [
+          '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">',
+          `    <correctResponse><value>CHOICE_${correctIndex + 1}</value></correctResponse>`,
+          '  </responseDeclaration>'
+        ].join('\n'),
+        body: [
+          `<choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === 'multiple-choice'}" maxChoices="1">`,
+          `      <prompt>${escapeXml(question.question)}</prompt>`,
+          ...options.map((option, index) => `      <simpleChoice identifier="CHOICE_${index + 1}">${escapeXml(option.text)}</simpleChoice>`),
+          '    </choiceInteraction>'
+        ].join('\n'),
+        processing: '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>'
+      };
+    }
+  }
+};
+
+const serializeItem = (question, identifier) => {
+  const { declaration, body, processing } = itemParts(question);
+  const points = question.points || 1;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"`,
+    `  identifier="${identifier}" title="${escapeXml(question.question.slice(0, 100))}" adaptive="false" timeDependent="false">`,
+    `  ${declaration}`,
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>',
+    `  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${points}</value></defaultValue></outcomeDeclaration>`,
+    // FEEDBACK is never set, so showHide="hide" keeps the explanation visible after responding
+    question.explanation ? '  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>' : null,
+    '  <itemBody>',
+    `    ${body}`,
+    '  </itemBody>',
+    processing ? `  ${processing}` : null,
+    question.explanation
+      ? `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="HIDDEN" showHide="hide">${escapeXml(question.explanation)}</modalFeedback>`
+      : null,
+    '</assessmentItem>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+/**
+ * Serialize questions as a QTI 2.1 content package
+ * @param {{ title: string, questions: Array }} quiz - Questions in the personal quiz shape
+ * @returns {Promise<Buffer>} - ZIP archive
+ */
+const serialize = async ({ title, questions }) => {
+  const items = questions.map((question, index) => ({
+    identifier: `ITEM_${index + 1}`,
+    href: `items/item_${index + 1}.xml`,
+    xml: serializeItem(question, `ITEM_${index + 1}`)
+  }));
+
+  const test = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="TEST" title="${escapeXml(title || 'Quiz')}">`,
+    '  <testPart identifier="PART_1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    '    <assessmentSection identifier="SECTION_1" title="Questions" visible="false">',
+    ...items.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>',
+    ''
+  ].join('\n');
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST">',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="TEST" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">',
+    '      <file href="assessmentTest.xml"/>',
+    ...items.map(item => `      <dependency identifierref="${item.identifier}"/>`),
+    '    </resource>',
+    ...items.map(item => [
+      `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">`,
+      `      <file href="${item.href}"/>`,
+      '    </resource>'
+    ].join('\n')),
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+
+  return writeZip([
+    { name: 'imsmanifest.xml', data: manifest },
+    { name: 'assessmentTest.xml', data: test },
+    ...items.map(item => ({ name: item.href, data: item.xml }))
+  ]);
+};
+
+module.exports = {
+  parse,
+  serialize,
+  types: ['multiple-choice', 'true-false', 'short-answer', 'essay'],
+  contentType: 'application/zip',
+  extension: 'qti.zip'
+};
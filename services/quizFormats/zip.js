@@ -0,0 +1,69 @@
+// ZIP reading and writing for IMS content packages (QTI), on top of JSZip
+const JSZip = require('jszip');
+
+// Guards against zip bombs in uploaded packages
+const MAX_ENTRIES = 1000;
+const MAX_TOTAL_SIZE = 20 * 1024 * 1024;
+
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+// Extract one entry, giving up once it would take the archive past `remaining` bytes. Sizes in
+// the archive's headers can lie, so the bytes are counted as they are inflated.
+const readEntry = (file, remaining) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const stream = file.nodeStream('nodebuffer');
+
+  stream.on('data', chunk => {
+    size += chunk.length;
+    if (size > remaining) {
+      stream.destroy();
+      reject(new Error(`ZIP archive is too large when extracted (maximum ${MAX_TOTAL_SIZE / (1024 * 1024)}MB)`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+/**
+ * Read the files in a ZIP archive
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ name: string, data: Buffer }>>} - Directories are skipped
+ */
+const readZip = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const entries = Object.values(zip.files);
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`ZIP archive has too many entries (maximum ${MAX_ENTRIES})`);
+  }
+
+  const files = [];
+  let totalSize = 0;
+
+  for (const entry of entries.filter(item => !item.dir)) {
+    const data = await readEntry(entry, MAX_TOTAL_SIZE - totalSize);
+    totalSize += data.length;
+    files.push({ name: entry.name, data });
+  }
+
+  return files;
+};
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{ name: string, data: Buffer|string }>} files
+ * @returns {Promise<Buffer>}
+ */
+const writeZip = (files) => {
+  const zip = new JSZip();
+  files.forEach(file => zip.file(file.name, file.data));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  isZip,
+  readZip,
+  writeZip
+};
@@ -0,0 +1,218 @@
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CommunityMember = require('../models/CommunityMember');
+const CommunityQuiz = require('../models/CommunityQuiz');
+const CommunityQuizAttempt = require('../models/CommunityQuizAttempt');
+
+// Rooms: one per community chat and one per community quiz discussion
+const communityRoom = (communityId) => `community:${communityId}`;
+const quizDiscussionRoom = (quizId) => `quiz-discussion:${quizId}`;
+
+// Every socket of a user joins their own room, so they can be found when their membership ends
+const userRoom = (userId) => `user:${userId}`;
+
+// Room a chat message belongs to
+const getMessageRoom = (message) => (message.type === 'quiz-discussion' && message.communityQuizId
+  ? quizDiscussionRoom(message.communityQuizId)
+  : communityRoom(message.communityId));
+
+// Session token from the handshake: `auth.token`, a Bearer header or Clerk's __session cookie,
+// the same places requireAuth looks
+const getSessionToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.slice(7);
+
+  const cookie = (handshake.headers.cookie || '').match(/(?:^|;\s*)__session=([^;]+)/);
+  return cookie ? decodeURIComponent(cookie[1]) : null;
+};
+
+/**
+ * Verify a Clerk session token and return the Clerk user ID. With CLERK_JWT_KEY set the token is
+ * checked locally against the instance's public key; otherwise the signing keys are fetched from Clerk.
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+const verifySessionToken = async (token) => {
+  const { clerkClient } = require('@clerk/clerk-sdk-node');
+  const claims = await clerkClient.verifyToken(token, {
+    secretKey: process.env.CLERK_SECRET_KEY,
+    jwtKey: process.env.CLERK_JWT_KEY
+  });
+  return claims.sub;
+};
+
+// Socket connect error; `data` reaches the client with the connect_error event
+const socketError = (message, code) => {
+  const error = new Error(message);
+  error.data = { success: false, message, error: code };
+  return error;
+};
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach a Socket.IO server to the HTTP server. Clients connect with the same Clerk session
+   * token they send to the REST API, then join rooms with `community:join` and
+   * `quiz-discussion:join`; chat changes made through the REST routes are broadcast to those rooms.
+   * @param {http.Server} httpServer
+   * @param {Object} options - { cors, authenticate(token) -> clerkUserId } (authenticate defaults to Clerk)
+   * @returns {Server}
+   */
+  attach(httpServer, { cors, authenticate = verifySessionToken } = {}) {
+    this.io = new Server(httpServer, { cors });
+
+    this.io.use(async (socket, next) => {
+      try {
+        const token = getSessionToken(socket.handshake);
+        if (!token) {
+          return next(socketError('Authentication required', 'AUTH_REQUIRED'));
+        }
+
+        let clerkUserId;
+        try {
+          clerkUserId = await authenticate(token);
+        } catch (error) {
+          console.error('Socket authentication error:', error.message);
+          return next(socketError('Authentication required', 'AUTH_REQUIRED'));
+        }
+
+        // The user record is created on the first REST request (getOrCreateUser)
+        const user = await User.findOne({ clerkUserId });
+        if (!user) {
+          return next(socketError('User not found; sign in through the app first', 'USER_NOT_FOUND'));
+        }
+
+        socket.data.user = { _id: user._id, clerkUserId, username: user.username };
+        next();
+      } catch (error) {
+        console.error('Socket connection error:', error);
+        next(socketError('Could not connect', 'CONNECTION_ERROR'));
+      }
+    });
+
+    this.io.on('connection', socket => {
+      socket.join(userRoom(socket.data.user._id));
+      socket.data.quizDiscussions = {};
+      this.registerHandlers(socket);
+    });
+
+    console.log('Socket.IO attached');
+    return this.io;
+  }
+
+  // Room events from a connected client. Every event takes an acknowledgement callback that gets
+  // a { success, message, error } result like the REST API's.
+  registerHandlers(socket) {
+    const handle = (event, handler) => {
+      socket.on(event, async (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          reply(await handler(payload || {}));
+        } catch (error) {
+          console.error(`Socket ${event} error:`, error);
+          reply({ success: false, message: 'Something went wrong', error: 'INTERNAL_ERROR' });
+        }
+      });
+    };
+
+    handle('community:join', async ({ communityId }) => {
+      const denied = await this.checkMembership(socket.data.user, communityId, 'You must be a member to view community messages');
+      if (denied) return denied;
+
+      socket.join(communityRoom(communityId));
+      return { success: true, data: { room: communityRoom(communityId) } };
+    });
+
+    handle('community:leave', async ({ communityId }) => {
+      socket.leave(communityRoom(communityId));
+      return { success: true };
+    });
+
+    handle('quiz-discussion:join', async ({ communityId, quizId }) => {
+      const denied = await this.checkMembership(socket.data.user, communityId, 'You must be a member to view quiz discussions');
+      if (denied) return denied;
+
+      if (!mongoose.Types.ObjectId.isValid(quizId)) {
+        return { success: false, message: 'Invalid quiz ID', error: 'INVALID_ID' };
+      }
+
+      // The membership check only counts for the community the quiz belongs to
+      const quiz = await CommunityQuiz.exists({ _id: quizId, communityId });
+      if (!quiz) {
+        return { success: false, message: 'Quiz not found in this community', error: 'QUIZ_NOT_FOUND' };
+      }
+
+      // Same rule as the discussion routes: only users who attempted the quiz take part
+      const attempt = await CommunityQuizAttempt.exists({ userId: socket.data.user._id, communityQuizId: quizId });
+      if (!attempt) {
+        return { success: false, message: 'You must attempt the quiz to participate in discussions', error: 'ATTEMPT_REQUIRED' };
+      }
+
+      socket.join(quizDiscussionRoom(quizId));
+      socket.data.quizDiscussions[quizId] = String(communityId);
+      return { success: true, data: { room: quizDiscussionRoom(quizId) } };
+    });
+
+    handle('quiz-discussion:leave', async ({ quizId }) => {
+      socket.leave(quizDiscussionRoom(quizId));
+      delete socket.data.quizDiscussions[quizId];
+      return { success: true };
+    });
+  }
+
+  // Error result when the user isn't an active member of the community, otherwise null
+  async checkMembership(user, communityId, message) {
+    if (!mongoose.Types.ObjectId.isValid(communityId)) {
+      return { success: false, message: 'Invalid community ID', error: 'INVALID_ID' };
+    }
+
+    const membership = await CommunityMember.exists({ userId: user._id, communityId, isActive: true });
+    return membership ? null : { success: false, message, error: 'NOT_A_MEMBER' };
+  }
+
+  /**
+   * Broadcast a chat change to the message's room. A no-op when no Socket.IO server is attached
+   * (the standalone worker, scripts).
+   * @param {string} event - 'message:created' | 'message:updated' | 'message:deleted' | 'message:reactions'
+   * @param {Object} message - CommunityMessage document
+   * @param {Object} data - Event payload
+   */
+  emitMessageEvent(event, message, data) {
+    if (!this.io) return;
+    this.io.to(getMessageRoom(message)).emit(event, data);
+  }
+
+  /**
+   * Take a user's sockets out of a community's chat and quiz discussion rooms, after they
+   * leave, are kicked or are banned
+   */
+  async removeFromCommunity(communityId, userId) {
+    if (!this.io) return;
+
+    const sockets = await this.io.in(userRoom(userId)).fetchSockets();
+    sockets.forEach(socket => {
+      socket.leave(communityRoom(communityId));
+      Object.entries(socket.data.quizDiscussions || {})
+        .filter(([, discussionCommunityId]) => discussionCommunityId === String(communityId))
+        .forEach(([quizId]) => {
+          socket.leave(quizDiscussionRoom(quizId));
+          delete socket.data.quizDiscussions[quizId];
+        });
+    });
+  }
+
+  stop() {
+    if (this.io) {
+      this.io.close();
+      this.io = null;
+    }
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const ReviewItem = require('../models/ReviewItem');
+const gradingService = require('./gradingService');
+const questionBankService = require('./questionBankService');
+const quizDeliveryService = require('./quizDeliveryService');
+
+// SM-2 (https://super-memory.com/english/ol/sm2.htm): quality 0-5, below 3 is a failed recall
+const MIN_EASE_FACTOR = 1.3;
+const PASSING_QUALITY = 3;
+
+// Quality used when the client sends an answer but no self-rating
+const DEFAULT_QUALITY = { correct: 4, incorrect: 1 };
+
+const MAX_HISTORY = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+class ReviewService {
+  /**
+   * Apply one review to an item's SM-2 schedule (document is not saved here)
+   * @param {Object} item - ReviewItem document
+   * @param {number} quality - 0-5
+   * @param {Date} now
+   */
+  schedule(item, quality, now = new Date()) {
+    if (quality < PASSING_QUALITY) {
+      item.repetitions = 0;
+      item.interval = 1;
+      item.lapses = (item.lapses || 0) + 1;
+    } else {
+      item.repetitions = (item.repetitions || 0) + 1;
+      if (item.repetitions === 1) {
+        item.interval = 1;
+      } else if (item.repetitions === 2) {
+        item.interval = 6;
+      } else {
+        item.interval = Math.round(item.interval * item.easeFactor);
+      }
+    }
+
+    const easeFactor = item.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    item.easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+
+    item.dueAt = new Date(now.getTime() + item.interval * DAY_MS);
+    item.lastReviewedAt = now;
+    item.lastQuality = quality;
+    item.reviewCount = (item.reviewCount || 0) + 1;
+
+    return item;
+  }
+
+  // Missed answers, and correct ones the user wasn't sure of
+  needsReview(answer) {
+    return !answer.isCorrect || answer.confidence === 'low';
+  }
+
+  /**
+   * Add questions to a user's review queue. A question already in the queue is made due
+   * again from the start of its schedule, keeping its ease factor.
+   * @param {Object} attempt - Finished attempt; supplies the user
+   * @param {Array<{ source: Object, question: Object }>} entries
+   * @returns {Promise<number>} - Number of questions queued
+   */
+  async queue(attempt, entries) {
+    if (entries.length === 0) return 0;
+
+    const now = new Date();
+    await ReviewItem.bulkWrite(entries.map(({ source, question }) => ({
+      updateOne: {
+        filter: {
+          userId: attempt.userId,
+          'source.kind': source.kind,
+          'source.quizId': source.quizId,
+          'source.questionId': source.questionId
+        },
+        update: {
+          $set: {
+            clerkUserId: attempt.clerkUserId,
+            'source.communityId': source.communityId || null,
+            'source.quizTitle': source.quizTitle,
+            question,
+            repetitions: 0,
+            interval: 0,
+            dueAt: now,
+            isActive: true
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return entries.length;
+  }
+
+  /**
+   * Queue missed and low-confidence questions from a graded personal quiz attempt
+   * @param {Object} quiz - The quiz as seen by the attempt (see questionBankService.getAttemptQuiz)
+   * @param {Object} attempt - Graded QuizAttempt document
+   */
+  async addFromQuizAttempt(quiz, attempt) {
+    const entries = [];
+
+    attempt.answers.filter(answer => this.needsReview(answer)).forEach(answer => {
+      const question = quiz.questions.find(item => item._id.toString() === answer.questionId.toString());
+      if (!question) return;
+
+      entries.push({
+        source: {
+          kind: 'quiz',
+          quizId: attempt.quizId,
+          questionId: question._id.toString(),
+          quizTitle: quiz.title
+        },
+        question: questionBankService.fromQuizQuestion(question)
+      });
+    });
+
+    return this.queue(attempt, entries);
+  }
+
+  /**
+   * Queue missed and low-confidence questions from a scored community quiz attempt.
+   * Unanswered questions are queued too; they count as missed.
+   * @param {Object} quiz - The quiz as seen by the attempt (see questionBankService.getAttemptQuiz)
+   * @param {Object} attempt - Scored CommunityQuizAttempt document
+   */
+  async addFromCommunityAttempt(quiz, attempt) {
+    const entries = [];
+
+    attempt.answers.filter(answer => this.needsReview(answer)).forEach(answer => {
+      const question = quiz.questions[answer.questionIndex];
+      if (!question) return;
+
+      entries.push({
+        source: {
+          kind: 'community-quiz',
+          quizId: attempt.communityQuizId,
+          communityId: quiz.communityId,
+          questionId: String(answer.questionId || question._id),
+          quizTitle: quiz.title
+        },
+        question: questionBankService.fromCommunityQuestion(question)
+      });
+    });
+
+    return this.queue(attempt, entries);
+  }
+
+  // An item as served in a review session: the question without its answer key. Ordering items
+  // and matching choices are shuffled with a seed from the item, so the order is stable.
+  toSessionItem(item) {
+    const { question } = item;
+    const seed = quizDeliveryService.getSeed(item);
+    const optionOrder = question.type === 'ordering'
+      ? quizDeliveryService.shuffledOrder(question.options.length, seed)
+      : quizDeliveryService.identityOrder(question.options.length);
+    const { _id, ...served } = quizDeliveryService.serveQuestion(question, optionOrder, seed);
+
+    return {
+      _id: item._id,
+      source: item.source,
+      question: { ...served, tags: question.tags },
+      dueAt: item.dueAt,
+      repetitions: item.repetitions,
+      reviewCount: item.reviewCount,
+      lastReviewedAt: item.lastReviewedAt
+    };
+  }
+
+  // Active items due by the end of today
+  dueQuery(userId, now = new Date()) {
+    return { userId, isActive: true, dueAt: { $lte: endOfDay(now) } };
+  }
+
+  /**
+   * Items for today's review session, most overdue first
+   * @returns {Promise<{ items: Object[], dueCount: number }>}
+   */
+  async getDueItems(userId, { limit = 20, now = new Date() } = {}) {
+    const query = this.dueQuery(userId, now);
+    const [items, dueCount] = await Promise.all([
+      ReviewItem.find(query).sort({ dueAt: 1 }).limit(limit),
+      ReviewItem.countDocuments(query)
+    ]);
+
+    return { items: items.map(item => this.toSessionItem(item)), dueCount };
+  }
+
+  /**
+   * Record one review. With an answer, the question is graded and the quality defaults from the
+   * result; a self-rated quality is capped below passing when the answer was wrong. Essays are
+   * not graded here and need a self-rated quality.
+   * @param {Object} item - ReviewItem document
+   * @param {Object} result - { answer, quality, timeSpent (seconds) }
+   * @returns {Promise<{ item, isCorrect: boolean|null, quality: number, correctAnswer, explanation }>}
+   */
+  async recordReview(item, { answer, quality, timeSpent = 0 }, now = new Date()) {
+    const { question } = item;
+    let isCorrect = null;
+
+    if (answer !== undefined && answer !== null && question.type !== 'essay') {
+      ({ isCorrect } = await gradingService.gradeAnswer(question, answer));
+    }
+
+    let finalQuality = quality;
+    if (finalQuality === undefined || finalQuality === null) {
+      finalQuality = isCorrect ? DEFAULT_QUALITY.correct : DEFAULT_QUALITY.incorrect;
+    } else if (isCorrect === false) {
+      finalQuality = Math.min(finalQuality, PASSING_QUALITY - 1);
+    }
+
+    this.schedule(item, finalQuality, now);
+    item.history.push({ reviewedAt: now, quality: finalQuality, isCorrect, timeSpent });
+    if (item.history.length > MAX_HISTORY) {
+      item.history = item.history.slice(-MAX_HISTORY);
+    }
+    await item.save();
+
+    return {
+      item,
+      isCorrect,
+      quality: finalQuality,
+      correctAnswer: this.getCorrectAnswer(question),
+      explanation: question.explanation
+    };
+  }
+
+  getCorrectAnswer(question) {
+    return quizDeliveryService.describeCorrectAnswer(question);
+  }
+
+  /**
+   * Reviews per day, for streaks and study time in analytics
+   * @param {ObjectId} userId
+   * @param {Date|null} since - Only reviews at or after this time
+   * @returns {Promise<Array<{ date: string, reviews: number, timeSpent: number, lastReviewedAt: Date }>>} - timeSpent in minutes
+   */
+  async getReviewActivity(userId, since = null) {
+    const reviewedAt = since ? { 'history.reviewedAt': { $gte: since } } : {};
+
+    const days = await ReviewItem.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), ...reviewedAt } },
+      { $unwind: '$history' },
+      { $match: reviewedAt },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$history.reviewedAt' } },
+          reviews: { $sum: 1 },
+          seconds: { $sum: '$history.timeSpent' },
+          lastReviewedAt: { $max: '$history.reviewedAt' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return days.map(day => ({
+      date: day._id,
+      reviews: day.reviews,
+      timeSpent: Math.round(day.seconds / 60),
+      lastReviewedAt: day.lastReviewedAt
+    }));
+  }
+}
+
+module.exports = new ReviewService();
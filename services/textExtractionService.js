@@ -0,0 +1,255 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const htmlExtractionService = require('./htmlExtractionService');
+
+// Minimum amount of text (per page for PDFs) below which we assume the file is a scan
+const MIN_TEXT_LENGTH = 50;
+const MIN_CHARS_PER_PAGE = 20;
+
+const PARSERS = {
+  pdf: {
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf']
+  },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  txt: {
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt']
+  },
+  md: {
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown']
+  },
+  html: {
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml']
+  }
+};
+
+const createExtractionError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.name = 'TextExtractionError';
+  error.status = status;
+  error.error = code;
+  return error;
+};
+
+class TextExtractionService {
+  /**
+   * Get the MIME types and extensions accepted by the extraction layer
+   * @returns {{ mimeTypes: string[], extensions: string[] }}
+   */
+  getSupportedTypes() {
+    return Object.values(PARSERS).reduce((acc, parser) => ({
+      mimeTypes: acc.mimeTypes.concat(parser.mimeTypes),
+      extensions: acc.extensions.concat(parser.extensions)
+    }), { mimeTypes: [], extensions: [] });
+  }
+
+  /**
+   * Check whether an uploaded file can be handled (for multer fileFilter)
+   * @param {Object} file - Multer file object
+   * @returns {boolean}
+   */
+  isSupported(file) {
+    return this.detectFileType(file) !== null;
+  }
+
+  /**
+   * Resolve the parser key for a file. Extension wins over MIME type because
+   * browsers often send .md files as text/plain or application/octet-stream.
+   * @param {Object} file - Multer file object ({ originalname, mimetype })
+   * @returns {string|null} - 'pdf' | 'docx' | 'txt' | 'md' | 'html' or null when unsupported
+   */
+  detectFileType(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    const byExtension = Object.keys(PARSERS).find(type => PARSERS[type].extensions.includes(extension));
+    if (byExtension) return byExtension;
+
+    const byMimeType = Object.keys(PARSERS).find(type => PARSERS[type].mimeTypes.includes(file.mimetype));
+    return byMimeType || null;
+  }
+
+  /**
+   * Extract plain text from an uploaded file
+   * @param {Object} file - Multer file object with an in-memory buffer
+   * @returns {Promise<{ text: string, fileType: string, pageCount: number, wordCount: number, title: string|null }>}
+   */
+  async extract(file) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw createExtractionError('Uploaded file is empty', 'EMPTY_FILE');
+    }
+
+    const fileType = this.detectFileType(file);
+    if (!fileType) {
+      throw createExtractionError(
+        `Unsupported file type: ${file.mimetype}. Only PDF, TXT, MD, DOCX, and HTML files are allowed.`,
+        'UNSUPPORTED_FILE_TYPE'
+      );
+    }
+
+    let result;
+    switch (fileType) {
+      case 'pdf':
+        result = await this.extractPdf(file.buffer);
+        break;
+      case 'docx':
+        result = await this.extractDocx(file.buffer);
+        break;
+      case 'html':
+        result = this.extractHtml(file.buffer);
+        break;
+      default:
+        result = this.extractPlainText(file.buffer);
+    }
+
+    const text = this.normalizeWhitespace(result.text);
+
+    if (text.length < MIN_TEXT_LENGTH) {
+      throw createExtractionError(
+        'File content is too short. Minimum 50 characters required.',
+        'CONTENT_TOO_SHORT'
+      );
+    }
+
+    return {
+      text,
+      fileType,
+      pageCount: result.pageCount || 1,
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      title: result.title || null
+    };
+  }
+
+  /**
+   * Extract the readable article from raw HTML (e.g. a request body rather than a file)
+   * @param {string} html - HTML markup
+   * @returns {Promise<Object>} - Same shape as extract()
+   */
+  async extractFromHtml(html) {
+    return this.extract({
+      buffer: Buffer.from(html || '', 'utf-8'),
+      originalname: 'article.html',
+      mimetype: 'text/html'
+    });
+  }
+
+  async extractPdf(buffer) {
+    if (buffer.slice(0, 5).toString('latin1') !== '%PDF-') {
+      throw createExtractionError('File is not a valid PDF document', 'INVALID_FILE');
+    }
+
+    let data;
+    try {
+      data = await pdfParse(buffer);
+    } catch (error) {
+      if (error.name === 'PasswordException' || /password|encrypt/i.test(error.message || '')) {
+        throw createExtractionError(
+          'This PDF is password-protected or encrypted. Please upload an unlocked copy.',
+          'ENCRYPTED_FILE'
+        );
+      }
+      console.error('PDF parse error:', error);
+      throw createExtractionError('Failed to extract text from PDF', 'TEXT_EXTRACTION_FAILED');
+    }
+
+    const text = data.text || '';
+    const pageCount = data.numpages || 1;
+
+    // Scanned documents parse fine but yield (almost) no text layer
+    if (text.replace(/\s/g, '').length < Math.max(MIN_TEXT_LENGTH, pageCount * MIN_CHARS_PER_PAGE)) {
+      throw createExtractionError(
+        'No selectable text found in this PDF. It appears to be scanned or image-only.',
+        'IMAGE_ONLY_FILE'
+      );
+    }
+
+    return { text, pageCount };
+  }
+
+  async extractDocx(buffer) {
+    // Password-protected Office files are stored as OLE compound documents, not ZIP archives
+    if (buffer.slice(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]))) {
+      throw createExtractionError(
+        'This document is password-protected or encrypted. Please upload an unlocked copy.',
+        'ENCRYPTED_FILE'
+      );
+    }
+
+    if (buffer.slice(0, 2).toString('latin1') !== 'PK') {
+      throw createExtractionError('File is not a valid DOCX document', 'INVALID_FILE');
+    }
+
+    // Converting through HTML keeps heading styles as Markdown headings for the outline parser
+    let result;
+    try {
+      result = await mammoth.convertToHtml({ buffer }, {
+        styleMap: ["p[style-name='Title'] => h1:fresh"],
+        convertImage: mammoth.images.imgElement(() => ({}))
+      });
+    } catch (error) {
+      console.error('DOCX parse error:', error);
+      throw createExtractionError('Failed to extract text from DOCX', 'TEXT_EXTRACTION_FAILED');
+    }
+
+    const text = htmlExtractionService.toMarkdown(result.value || '');
+    if (text.trim().length === 0) {
+      throw createExtractionError(
+        'No text found in this document. It appears to contain only images.',
+        'IMAGE_ONLY_FILE'
+      );
+    }
+
+    return { text, pageCount: 1 };
+  }
+
+  extractPlainText(buffer) {
+    let text;
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      text = buffer.slice(2).toString('utf16le');
+    } else {
+      text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    }
+
+    if (text.includes('\u0000')) {
+      throw createExtractionError('File does not contain readable text', 'INVALID_FILE');
+    }
+
+    return { text, pageCount: 1 };
+  }
+
+  extractHtml(buffer) {
+    // Saved pages declare their encoding in a <meta> tag; everything that isn't Latin-1 is read as UTF-8/16
+    const head = buffer.slice(0, 2048).toString('latin1');
+    const charset = (head.match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+    const html = /^(iso-8859-1|latin1|windows-1252)$/i.test(charset || '')
+      ? buffer.toString('latin1')
+      : this.extractPlainText(buffer).text;
+
+    if (!/<[a-z!][^>]*>/i.test(html)) {
+      throw createExtractionError('File is not a valid HTML document', 'INVALID_FILE');
+    }
+
+    const article = htmlExtractionService.extractArticle(html);
+    if (!article.text.trim()) {
+      throw createExtractionError('No readable article text found in this page', 'TEXT_EXTRACTION_FAILED');
+    }
+
+    return { text: article.text, title: article.title, pageCount: 1 };
+  }
+
+  normalizeWhitespace(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = new TextExtractionService();
@@ -43,11 +43,12 @@ class TranslationService {
    * @param {Object} content - Content object to translate
    * @param {string} targetLanguage - Target language code
    * @param {Array} fieldsToTranslate - Array of field paths to translate
+   * @param {string} sourceLanguage - Source language code (default: the content's detected language)
    * @returns {Promise<Object>} - Translated content object
    */
-  async translateContent(content, targetLanguage, fieldsToTranslate = []) {
+  async translateContent(content, targetLanguage, fieldsToTranslate = [], sourceLanguage = content.metadata?.language || 'en') {
     try {
-      if (targetLanguage === 'en') {
+      if (targetLanguage === sourceLanguage) {
         return content;
       }
 
@@ -65,7 +66,7 @@ class TranslationService {
       const fields = fieldsToTranslate.length > 0 ? fieldsToTranslate : defaultFields;
 
       for (const fieldPath of fields) {
-        await this.translateFieldPath(translatedContent, fieldPath, targetLanguage);
+        await this.translateFieldPath(translatedContent, fieldPath, targetLanguage, sourceLanguage);
       }
 
       return translatedContent;
@@ -80,8 +81,9 @@ class TranslationService {
    * @param {Object} obj - Object containing the field
    * @param {string} fieldPath - Dot notation path to field (e.g., 'aiSummary.summary')
    * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (default: 'en')
    */
-  async translateFieldPath(obj, fieldPath, targetLanguage) {
+  async translateFieldPath(obj, fieldPath, targetLanguage, sourceLanguage = 'en') {
     try {
       const parts = fieldPath.split('.');
       let current = obj;
@@ -100,7 +102,7 @@ class TranslationService {
           if (Array.isArray(current)) {
             // Translate each item in array
             for (let j = 0; j < current.length; j++) {
-              await this.translateFieldPath(current[j], parts.slice(i + 1).join('.'), targetLanguage);
+              await this.translateFieldPath(current[j], parts.slice(i + 1).join('.'), targetLanguage, sourceLanguage);
             }
             return;
           }
@@ -120,12 +122,12 @@ class TranslationService {
         if (Array.isArray(current[arrayField])) {
           for (let i = 0; i < current[arrayField].length; i++) {
             if (typeof current[arrayField][i] === 'string') {
-              current[arrayField][i] = await this.translateText(current[arrayField][i], targetLanguage);
+              current[arrayField][i] = await this.translateText(current[arrayField][i], targetLanguage, sourceLanguage);
             }
           }
         }
       } else if (typeof current[finalField] === 'string') {
-        current[finalField] = await this.translateText(current[finalField], targetLanguage);
+        current[finalField] = await this.translateText(current[finalField], targetLanguage, sourceLanguage);
       }
     } catch (error) {
       console.error(`Error translating field path ${fieldPath}:`, error);
@@ -136,11 +138,12 @@ class TranslationService {
    * Translates quiz questions and options
    * @param {Object} quiz - Quiz object to translate
    * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (default: 'en')
    * @returns {Promise<Object>} - Translated quiz object
    */
-  async translateQuiz(quiz, targetLanguage) {
+  async translateQuiz(quiz, targetLanguage, sourceLanguage = 'en') {
     try {
-      if (targetLanguage === 'en') {
+      if (targetLanguage === sourceLanguage) {
         return quiz;
       }
 
@@ -150,19 +153,19 @@ class TranslationService {
         for (const question of translatedQuiz.questions) {
           // Translate question text
           if (question.question) {
-            question.question = await this.translateText(question.question, targetLanguage);
+            question.question = await this.translateText(question.question, targetLanguage, sourceLanguage);
           }
 
           // Translate options
           if (question.options && Array.isArray(question.options)) {
             for (let i = 0; i < question.options.length; i++) {
-              question.options[i] = await this.translateText(question.options[i], targetLanguage);
+              question.options[i] = await this.translateText(question.options[i], targetLanguage, sourceLanguage);
             }
           }
 
           // Translate explanation if exists
           if (question.explanation) {
-            question.explanation = await this.translateText(question.explanation, targetLanguage);
+            question.explanation = await this.translateText(question.explanation, targetLanguage, sourceLanguage);
           }
         }
       }
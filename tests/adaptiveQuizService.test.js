@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const adaptiveQuizService = require('../services/adaptiveQuizService');
+
+const question = (difficulty) => ({ _id: new mongoose.Types.ObjectId(), difficulty });
+
+describe('adaptiveQuizService', () => {
+  describe('estimateAbility', () => {
+    it('returns the prior when nothing has been answered', () => {
+      const { ability, standardError } = adaptiveQuizService.estimateAbility([], 0);
+      expect(ability).toBe(0);
+      expect(standardError).toBeCloseTo(1, 1);
+    });
+
+    it('moves up after a correct answer and down by the same amount after a wrong one', () => {
+      const up = adaptiveQuizService.estimateAbility([{ difficulty: 'medium', isCorrect: true }]);
+      const down = adaptiveQuizService.estimateAbility([{ difficulty: 'medium', isCorrect: false }]);
+      expect(up.ability).toBeGreaterThan(0);
+      expect(down.ability).toBe(-up.ability);
+    });
+
+    it('credits a correct hard answer more than a correct easy one', () => {
+      const hard = adaptiveQuizService.estimateAbility([{ difficulty: 'hard', isCorrect: true }]);
+      const easy = adaptiveQuizService.estimateAbility([{ difficulty: 'easy', isCorrect: true }]);
+      expect(hard.ability).toBeGreaterThan(easy.ability);
+    });
+
+    it('narrows the standard error as responses accumulate', () => {
+      const responses = Array.from({ length: 10 }, (_, index) => ({ difficulty: 'medium', isCorrect: index % 2 === 0 }));
+      const few = adaptiveQuizService.estimateAbility(responses.slice(0, 2));
+      const many = adaptiveQuizService.estimateAbility(responses);
+      expect(many.standardError).toBeLessThan(few.standardError);
+    });
+  });
+
+  describe('createState', () => {
+    it('starts from the preferred difficulty', () => {
+      expect(adaptiveQuizService.createState('hard')).toMatchObject({ startingDifficulty: 'hard', ability: 1 });
+      expect(adaptiveQuizService.createState('unknown')).toMatchObject({ startingDifficulty: 'medium', ability: 0 });
+    });
+  });
+
+  describe('advance', () => {
+    it('serves the unserved question closest to the current estimate', () => {
+      const pool = [question('easy'), question('medium'), question('hard')];
+      const attempt = { adaptive: adaptiveQuizService.createState('hard') };
+
+      const next = adaptiveQuizService.advance(attempt, pool);
+      expect(next).toBe(pool[2]);
+      expect(adaptiveQuizService.getCurrentQuestionId(attempt.adaptive)).toBe(pool[2]._id);
+    });
+
+    it('stops at the question cap and when the pool runs out', () => {
+      const pool = [question('medium'), question('medium')];
+      const capped = { adaptive: adaptiveQuizService.createState('medium', { maxQuestions: 1 }) };
+      adaptiveQuizService.advance(capped, pool);
+      adaptiveQuizService.recordResponse(capped, pool[0], true);
+      expect(adaptiveQuizService.advance(capped, pool)).toBeNull();
+      expect(capped.adaptive).toMatchObject({ isComplete: true, stopReason: 'max-questions' });
+
+      const exhausted = { adaptive: adaptiveQuizService.createState('medium') };
+      adaptiveQuizService.advance(exhausted, pool.slice(0, 1));
+      adaptiveQuizService.recordResponse(exhausted, pool[0], true);
+      expect(adaptiveQuizService.advance(exhausted, pool.slice(0, 1))).toBeNull();
+      expect(exhausted.adaptive.stopReason).toBe('pool-exhausted');
+    });
+
+    it('records the running estimate on each response', () => {
+      const pool = [question('medium')];
+      const attempt = { adaptive: adaptiveQuizService.createState('medium') };
+      adaptiveQuizService.advance(attempt, pool);
+      adaptiveQuizService.recordResponse(attempt, pool[0], true);
+
+      const [response] = attempt.adaptive.responses;
+      expect(response).toMatchObject({ difficulty: 'medium', isCorrect: true, ability: attempt.adaptive.ability });
+      expect(attempt.adaptive.ability).toBeGreaterThan(0);
+      expect(attempt.adaptive.standardError).toBeLessThan(1);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../services/geminiService', () => ({}));
+
+const gradingService = require('../services/gradingService');
+
+describe('gradingService', () => {
+  describe('gradeShortAnswer', () => {
+    const question = { correctAnswer: 'Photosynthesis', acceptedAnswers: ['light reactions'] };
+
+    it('accepts a small typo in a long enough answer', () => {
+      const result = gradingService.gradeShortAnswer(question, 'photosynthesys');
+      expect(result.fraction).toBe(1);
+      expect(result.grading).toMatchObject({ method: 'fuzzy', matchedAnswer: 'Photosynthesis' });
+    });
+
+    it('matches accepted alternates after normalization', () => {
+      const result = gradingService.gradeShortAnswer(question, '  The Light Reactions ');
+      expect(result).toMatchObject({ fraction: 1, grading: { method: 'exact', matchedAnswer: 'light reactions' } });
+    });
+
+    it('requires short answers to match exactly', () => {
+      expect(gradingService.gradeShortAnswer({ correctAnswer: 'Fe' }, 'Fa').fraction).toBe(0);
+    });
+
+    it('rejects answers below the similarity threshold', () => {
+      expect(gradingService.gradeShortAnswer(question, 'respiration').fraction).toBe(0);
+    });
+  });
+
+  describe('gradeNumeric', () => {
+    const absolute = { numericAnswer: { value: 10, tolerance: 0.5, toleranceType: 'absolute' } };
+    const percent = { numericAnswer: { value: 200, tolerance: 5, toleranceType: 'percent' } };
+
+    it('accepts answers on the tolerance boundary and rejects those just past it', () => {
+      expect(gradingService.gradeNumeric(absolute, 10.5).fraction).toBe(1);
+      expect(gradingService.gradeNumeric(absolute, '9.5').fraction).toBe(1);
+      expect(gradingService.gradeNumeric(absolute, 10.51).fraction).toBe(0);
+    });
+
+    it('applies percent tolerance relative to the expected value', () => {
+      expect(gradingService.gradeNumeric(percent, 210).fraction).toBe(1);
+      expect(gradingService.gradeNumeric(percent, 210.5).fraction).toBe(0);
+    });
+
+    it('reads thousands separators and units', () => {
+      expect(gradingService.parseQuantity('1,200 N')).toEqual({ value: 1200, unit: 'N' });
+      expect(gradingService.parseQuantity('9.81 m/s^2')).toEqual({ value: 9.81, unit: 'm/s^2' });
+    });
+
+    it('rejects a different unit without converting it', () => {
+      const question = { numericAnswer: { value: 0.5, unit: 'kg' } };
+      expect(gradingService.gradeNumeric(question, '0.5 kg').fraction).toBe(1);
+      expect(gradingService.gradeNumeric(question, '500 g')).toMatchObject({ fraction: 0, grading: { feedback: 'Expected the answer in kg.' } });
+    });
+
+    it('only requires a unit when the question says so', () => {
+      expect(gradingService.gradeNumeric({ numericAnswer: { value: 3, unit: 'm' } }, '3').fraction).toBe(1);
+      expect(gradingService.gradeNumeric({ numericAnswer: { value: 3, unit: 'm', unitRequired: true } }, '3').fraction).toBe(0);
+    });
+  });
+
+  describe('gradeMultiSelect', () => {
+    const options = [
+      { text: 'A', isCorrect: true },
+      { text: 'B', isCorrect: true },
+      { text: 'C', isCorrect: true },
+      { text: 'D', isCorrect: false }
+    ];
+
+    it('gives each correct option its share and takes one back per wrong option', () => {
+      const question = { options, partialCredit: true };
+      expect(gradingService.gradeMultiSelect(question, ['A', 'B']).fraction).toBeCloseTo(2 / 3);
+      expect(gradingService.gradeMultiSelect(question, ['A', 'B', 'D']).fraction).toBeCloseTo(1 / 3);
+      expect(gradingService.gradeMultiSelect(question, ['A', 'D']).fraction).toBe(0);
+    });
+
+    it('scores all-or-nothing without partial credit', () => {
+      const question = { options, partialCredit: false };
+      expect(gradingService.gradeMultiSelect(question, ['A', 'B']).fraction).toBe(0);
+      expect(gradingService.gradeMultiSelect(question, ['A', 'B', 'C']).fraction).toBe(1);
+    });
+  });
+
+  describe('gradeMatching', () => {
+    const pairs = [
+      { left: 'France', right: 'Paris' },
+      { left: 'Spain', right: 'Madrid' },
+      { left: 'Italy', right: 'Rome' }
+    ];
+
+    it('counts correctly matched pairs toward partial credit', () => {
+      const result = gradingService.gradeMatching({ pairs, partialCredit: true }, ['Paris', 'Rome', 'Rome']);
+      expect(result.fraction).toBeCloseTo(2 / 3);
+      expect(result.grading).toMatchObject({ method: 'partial', partsCorrect: 2, partsTotal: 3 });
+    });
+
+    it('scores all-or-nothing without partial credit', () => {
+      expect(gradingService.gradeMatching({ pairs }, ['Paris', 'Rome', 'Rome']).fraction).toBe(0);
+      expect(gradingService.gradeMatching({ pairs }, ['Paris', 'Madrid', 'Rome']).fraction).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const { io: connect } = require('socket.io-client');
+
+jest.mock('../models/User', () => ({ findOne: jest.fn() }));
+jest.mock('../models/CommunityMember', () => ({ exists: jest.fn() }));
+jest.mock('../models/CommunityQuiz', () => ({ exists: jest.fn() }));
+jest.mock('../models/CommunityQuizAttempt', () => ({ exists: jest.fn() }));
+
+const User = require('../models/User');
+const CommunityMember = require('../models/CommunityMember');
+const realtimeService = require('../services/realtimeService');
+
+const userId = new mongoose.Types.ObjectId();
+const communityId = new mongoose.Types.ObjectId().toString();
+
+// Stands in for Clerk: only 'valid-token' authenticates
+const authenticate = async (token) => {
+  if (token !== 'valid-token') throw new Error('Invalid token');
+  return 'clerk_user';
+};
+
+describe('realtimeService', () => {
+  let httpServer;
+  let url;
+  const sockets = [];
+
+  const openSocket = (token) => {
+    const socket = connect(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    sockets.push(socket);
+    return socket;
+  };
+
+  const emitWithAck = (socket, event, payload) => new Promise(resolve => socket.emit(event, payload, resolve));
+
+  beforeAll(done => {
+    httpServer = http.createServer();
+    realtimeService.attach(httpServer, { authenticate });
+    httpServer.listen(0, () => {
+      url = `http://localhost:${httpServer.address().port}`;
+      done();
+    });
+  });
+
+  beforeEach(() => {
+    User.findOne.mockResolvedValue({ _id: userId, username: 'learner' });
+    CommunityMember.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(socket => socket.disconnect());
+    jest.clearAllMocks();
+  });
+
+  afterAll(done => {
+    realtimeService.stop();
+    httpServer.close(done);
+  });
+
+  it('rejects connections with an invalid session token', done => {
+    const socket = openSocket('bad-token');
+    socket.on('connect_error', error => {
+      expect(error.data).toMatchObject({ success: false, error: 'AUTH_REQUIRED' });
+      done();
+    });
+  });
+
+  it('broadcasts new messages to members who joined the community room', async () => {
+    const socket = openSocket('valid-token');
+
+    const joined = await emitWithAck(socket, 'community:join', { communityId });
+    expect(joined).toMatchObject({ success: true, data: { room: `community:${communityId}` } });
+
+    const received = new Promise(resolve => socket.on('message:created', resolve));
+    const message = { _id: new mongoose.Types.ObjectId().toString(), type: 'general', communityId, content: 'Hello' };
+    realtimeService.emitMessageEvent('message:created', message, { message });
+
+    await expect(received).resolves.toEqual({ message });
+  });
+
+  it('refuses to join a community room without an active membership', async () => {
+    CommunityMember.exists.mockResolvedValue(null);
+    const socket = openSocket('valid-token');
+
+    const joined = await emitWithAck(socket, 'community:join', { communityId });
+    expect(joined).toMatchObject({ success: false, error: 'NOT_A_MEMBER' });
+  });
+});
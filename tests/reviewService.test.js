@@ -0,0 +1,44 @@
+jest.mock('../models/ReviewItem', () => ({ bulkWrite: jest.fn() }));
+jest.mock('../services/geminiService', () => ({}));
+
+const reviewService = require('../services/reviewService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-05T09:00:00Z');
+
+const newItem = () => ({ repetitions: 0, interval: 0, easeFactor: 2.5, lapses: 0, reviewCount: 0 });
+
+describe('reviewService.schedule', () => {
+  it('follows the SM-2 intervals of 1 day, 6 days, then the previous interval times the ease', () => {
+    const item = newItem();
+
+    reviewService.schedule(item, 4, now);
+    expect(item).toMatchObject({ repetitions: 1, interval: 1, easeFactor: 2.5 });
+
+    reviewService.schedule(item, 4, now);
+    expect(item).toMatchObject({ repetitions: 2, interval: 6 });
+
+    reviewService.schedule(item, 5, now);
+    expect(item).toMatchObject({ repetitions: 3, interval: 15, easeFactor: 2.6, reviewCount: 3, lastQuality: 5 });
+    expect(item.dueAt).toEqual(new Date(now.getTime() + 15 * DAY_MS));
+  });
+
+  it('lowers the ease after a hard recall but never below 1.3', () => {
+    const item = { ...newItem(), easeFactor: 1.4 };
+
+    reviewService.schedule(item, 3, now);
+    expect(item.easeFactor).toBe(1.3);
+
+    reviewService.schedule(item, 3, now);
+    expect(item.easeFactor).toBe(1.3);
+  });
+
+  it('resets repetitions and the interval after a lapse', () => {
+    const item = { ...newItem(), repetitions: 4, interval: 40, lapses: 1 };
+
+    reviewService.schedule(item, 2, now);
+    expect(item).toMatchObject({ repetitions: 0, interval: 1, lapses: 2, easeFactor: 2.18 });
+    expect(item.dueAt).toEqual(new Date(now.getTime() + DAY_MS));
+    expect(item.lastReviewedAt).toBe(now);
+  });
+});
@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+const jobQueue = require('./services/jobQueue');
+const jobHandlers = require('./services/jobHandlers');
+const quizAttemptService = require('./services/quizAttemptService');
+
+// Register handlers and start polling for background jobs and expired quiz attempts
+const startWorker = () => {
+  jobQueue.registerHandlers(jobHandlers);
+  jobQueue.start();
+  quizAttemptService.start();
+  return jobQueue;
+};
+
+// Run as a standalone worker process: `node worker.js`
+if (require.main === module) {
+  const mongoose = require('mongoose');
+  const connectDB = require('./config/database');
+
+  const shutdown = async (signal) => {
+    console.log(`\n${signal} received. Stopping job worker...`);
+    quizAttemptService.stop();
+    await jobQueue.stop();
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  connectDB();
+  startWorker();
+}
+
+module.exports = { startWorker };